@@ -1,12 +1,25 @@
 const express = require("express");
 const authRoutes = require("./routes/authRoutes");
+const profileRoutes = require("./routes/profileRoutes");
 const eventRoutes = require("./routes/eventRoutes");
+const calendarRoutes = require("./routes/calendarRoutes");
+const organizerRequestRoutes = require("./routes/organizerRequestRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const orderRoutes = require("./routes/orderRoutes");
+const paymentRoutes = require("./routes/paymentRoutes");
 const errorHandler = require("./middleware/errorHandler");
 
 const app = express();
 
 // Body parsing middleware
-app.use(express.json());
+// The raw body is kept for verifying payment webhook signatures
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString();
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Health check
@@ -19,7 +32,13 @@ app.get("/", (req, res) => {
 
 // Routes
 app.use("/", authRoutes);
+app.use("/me", profileRoutes);
 app.use("/events", eventRoutes);
+app.use("/calendar", calendarRoutes);
+app.use("/organizer-requests", organizerRequestRoutes);
+app.use("/admin", adminRoutes);
+app.use("/orders", orderRoutes);
+app.use("/payments", paymentRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -1,13 +1,113 @@
 require("dotenv").config();
 
+/**
+ * Read a setting that has a development default but must be set explicitly
+ * in production
+ */
+const requiredInProduction = (name, fallback) => {
+  if (process.env[name]) return process.env[name];
+  if (process.env.NODE_ENV === "production") {
+    throw new Error(`${name} must be set in production`);
+  }
+  return fallback;
+};
+
 module.exports = {
   port: process.env.PORT || 3000,
-  jwtSecret: process.env.JWT_SECRET || "default_jwt_secret",
-  jwtExpiresIn: process.env.JWT_EXPIRES_IN || "24h",
+  // Public base URL used in links sent by email
+  appUrl: process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`,
+  jwtSecret: requiredInProduction("JWT_SECRET", "default_jwt_secret"),
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || "15m",
+  // Signs the QR-code tickets checked at the event entrance
+  ticketSecret: requiredInProduction("TICKET_SECRET", "default_ticket_secret"),
+  // Refresh token lifetime in seconds (default 7 days)
+  refreshTokenTtl: parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 7 * 24 * 60 * 60,
+  // Password reset / email verification token lifetimes in seconds
+  passwordResetTtl: parseInt(process.env.PASSWORD_RESET_TTL, 10) || 60 * 60,
+  emailVerificationTtl:
+    parseInt(process.env.EMAIL_VERIFICATION_TTL, 10) || 24 * 60 * 60,
+  // Only users with a verified email may register for events
+  requireVerifiedEmail: process.env.REQUIRE_VERIFIED_EMAIL === "true",
+  // Length of events created without an explicit end time
+  defaultEventDurationMinutes:
+    parseInt(process.env.DEFAULT_EVENT_DURATION_MINUTES, 10) || 60,
+  // Upper bound on the number of occurrences a recurring event may expand to
+  maxSeriesOccurrences: parseInt(process.env.MAX_SERIES_OCCURRENCES, 10) || 100,
+  reminders: {
+    // Minutes before an event starts at which participants are reminded
+    offsetsMinutes: (process.env.REMINDER_OFFSETS_MINUTES || "1440,15")
+      .split(",")
+      .map((value) => parseInt(value, 10))
+      .filter((value) => value > 0),
+    pollIntervalMs: parseInt(process.env.REMINDER_POLL_MS, 10) || 30 * 1000,
+  },
+  storage: {
+    // "journal" persists to disk; "memory" is used by the test suite
+    driver:
+      process.env.STORAGE_DRIVER ||
+      (process.env.NODE_ENV === "test" ? "memory" : "journal"),
+    dir: process.env.STORAGE_DIR || "./storage",
+  },
+  rateLimit: {
+    // Requests per IP within a sliding window
+    login: {
+      windowMs: parseInt(process.env.LOGIN_RATE_WINDOW_MS, 10) || 15 * 60 * 1000,
+      max: parseInt(process.env.LOGIN_RATE_MAX, 10) || 30,
+    },
+    register: {
+      windowMs: parseInt(process.env.REGISTER_RATE_WINDOW_MS, 10) || 60 * 60 * 1000,
+      max: parseInt(process.env.REGISTER_RATE_MAX, 10) || 20,
+    },
+    forgotPassword: {
+      windowMs: parseInt(process.env.FORGOT_PASSWORD_RATE_WINDOW_MS, 10) || 60 * 60 * 1000,
+      max: parseInt(process.env.FORGOT_PASSWORD_RATE_MAX, 10) || 10,
+    },
+    // Progressive lockout after repeated failed logins for one account
+    loginLockout: {
+      windowMs: parseInt(process.env.LOGIN_LOCKOUT_WINDOW_MS, 10) || 15 * 60 * 1000,
+      threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5,
+      baseDelayMs: parseInt(process.env.LOGIN_LOCKOUT_BASE_MS, 10) || 30 * 1000,
+      maxDelayMs: parseInt(process.env.LOGIN_LOCKOUT_MAX_MS, 10) || 15 * 60 * 1000,
+    },
+  },
   email: {
     host: process.env.EMAIL_HOST || "smtp.ethereal.email",
     port: parseInt(process.env.EMAIL_PORT, 10) || 587,
     user: process.env.EMAIL_USER || "",
     pass: process.env.EMAIL_PASS || "",
+    // "smtp" sends through the pooled SMTP transport; "stub" records
+    // messages locally and is used by the test suite
+    transport:
+      process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === "test" ? "stub" : "smtp"),
+    maxConnections: parseInt(process.env.EMAIL_MAX_CONNECTIONS, 10) || 5,
+  },
+  payments: {
+    // "fake" is a local provider for development and tests; real providers
+    // plug in through setPaymentProvider() in services/paymentProvider.js
+    provider: requiredInProduction("PAYMENT_PROVIDER", "fake"),
+    webhookSecret: requiredInProduction("PAYMENT_WEBHOOK_SECRET", "default_webhook_secret"),
+    currency: process.env.DEFAULT_CURRENCY || "USD",
+    // Minutes a seat stays reserved while its payment is pending
+    holdMinutes: parseInt(process.env.PAYMENT_HOLD_MINUTES, 10) || 15,
+  },
+  stream: {
+    // Live event update streams: keep-alive comment interval and the
+    // reconnection delay suggested to clients
+    heartbeatMs: parseInt(process.env.STREAM_HEARTBEAT_MS, 10) || 25 * 1000,
+    retryMs: parseInt(process.env.STREAM_RETRY_MS, 10) || 5 * 1000,
+  },
+  joinLinks: {
+    // Participants can open an event's virtual venue from this many minutes
+    // before the start until the end; each signed join link expires after
+    // `ttl` seconds
+    opensBeforeMinutes: parseInt(process.env.JOIN_OPENS_BEFORE_MINUTES, 10) || 15,
+    ttl: parseInt(process.env.JOIN_LINK_TTL, 10) || 5 * 60,
+  },
+  emailQueue: {
+    // Failed deliveries are retried with exponential backoff, then dead-lettered
+    maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 6,
+    baseDelayMs: parseInt(process.env.EMAIL_RETRY_BASE_MS, 10) || 30 * 1000,
+    maxDelayMs: parseInt(process.env.EMAIL_RETRY_MAX_MS, 10) || 60 * 60 * 1000,
+    pollIntervalMs: parseInt(process.env.EMAIL_QUEUE_POLL_MS, 10) || 5 * 1000,
   },
 };
@@ -0,0 +1,66 @@
+/**
+ * Roles and the permissions they grant
+ * Routes authorize by permission name, so a new role only needs an entry here
+ */
+const ATTENDEE = ["events:read", "events:register"];
+const ORGANIZER = [...ATTENDEE, "events:create"];
+const ADMIN = [
+  ...ORGANIZER,
+  "users:manage",
+  "events:moderate",
+  "organizers:approve",
+  "emails:manage",
+];
+
+const ROLE_PERMISSIONS = {
+  attendee: ATTENDEE,
+  organizer: ORGANIZER,
+  admin: ADMIN,
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Roles on a single event and the permissions they grant there
+ * The owner is the event's organizer; the other roles are team members
+ * the owner invited. Checked by services/eventPolicy.js.
+ */
+// Check-in staff see names on the roster; "event:contacts" adds the
+// participants' emails and roster exports
+const CHECK_IN = ["event:roster", "event:checkin"];
+const MODERATOR = [...CHECK_IN, "event:contacts", "event:participants"];
+const CO_ORGANIZER = [...MODERATOR, "event:edit", "event:stats"];
+const OWNER = [...CO_ORGANIZER, "event:cancel", "event:team", "event:transfer"];
+
+const EVENT_ROLE_PERMISSIONS = {
+  owner: OWNER,
+  "co-organizer": CO_ORGANIZER,
+  moderator: MODERATOR,
+  "check-in": CHECK_IN,
+};
+
+// Roles the owner can give to team members
+const TEAM_ROLES = ["co-organizer", "moderator", "check-in"];
+
+/**
+ * Check whether a role grants a permission
+ */
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+/**
+ * Check whether a role on an event grants a permission
+ */
+const hasEventPermission = (eventRole, permission) => {
+  return (EVENT_ROLE_PERMISSIONS[eventRole] || []).includes(permission);
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  EVENT_ROLE_PERMISSIONS,
+  TEAM_ROLES,
+  hasPermission,
+  hasEventPermission,
+};
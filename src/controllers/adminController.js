@@ -0,0 +1,273 @@
+const { findUserById, getAllUsers, updateUser } = require("../data/users");
+const { findEventById, updateEvent } = require("../data/events");
+const { revokeUserTokenFamilies } = require("../data/tokens");
+const { hasPermission } = require("../config/permissions");
+const { validateUserQuery, validateCancellationReason } = require("../utils/validators");
+const { serializeEvent } = require("../utils/serializers");
+const { checkSeriesScope, getScopedOccurrences } = require("../services/seriesService");
+const { cancelEventOccurrences } = require("../services/cancellationService");
+const { countActiveOrganizedEvents, deleteAccount } = require("../services/accountService");
+const { transferOwnership } = require("../services/eventTeamService");
+
+/**
+ * Build the user payload returned to admins (no credentials)
+ */
+const toUserSummary = ({ password, calendarFeedToken, ...user }) => ({
+  ...user,
+  status: user.status || "active",
+});
+
+/**
+ * List users
+ * GET /admin/users?search=&role=&status=&page=&limit=
+ * `search` matches name or email, case-insensitively
+ */
+const listUsers = async (req, res, next) => {
+  try {
+    const errors = validateUserQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const { role, status } = req.query;
+    const search = (req.query.search || "").trim().toLowerCase();
+
+    const users = getAllUsers()
+      .map(toUserSummary)
+      .filter((user) => !role || user.role === role)
+      .filter((user) => !status || user.status === status)
+      .filter(
+        (user) =>
+          !search ||
+          user.name.toLowerCase().includes(search) ||
+          user.email.includes(search)
+      )
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const start = (page - 1) * limit;
+
+    res.status(200).json({
+      users: users.slice(start, start + limit),
+      pagination: {
+        page,
+        limit,
+        total: users.length,
+        totalPages: Math.ceil(users.length / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Suspend a user account
+ * POST /admin/users/:id/suspend
+ * Suspended users are signed out everywhere and cannot log in
+ */
+const suspendUser = async (req, res, next) => {
+  try {
+    const user = findUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: "You cannot suspend your own account" });
+    }
+    if (user.status === "suspended") {
+      return res.status(409).json({ error: "User is already suspended" });
+    }
+
+    const { reason } = req.body || {};
+    const errors = validateCancellationReason(reason);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const suspended = updateUser(user.id, {
+      status: "suspended",
+      suspendedAt: new Date().toISOString(),
+      suspendedBy: req.user.id,
+      suspensionReason: (reason && reason.trim()) || null,
+    });
+    revokeUserTokenFamilies(user.id);
+
+    res.status(200).json({
+      message: "User suspended successfully",
+      user: toUserSummary(suspended),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lift a user's suspension
+ * POST /admin/users/:id/unsuspend
+ */
+const unsuspendUser = async (req, res, next) => {
+  try {
+    const user = findUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (user.status !== "suspended") {
+      return res.status(409).json({ error: "User is not suspended" });
+    }
+
+    const restored = updateUser(user.id, {
+      status: "active",
+      suspendedAt: null,
+      suspendedBy: null,
+      suspensionReason: null,
+    });
+
+    res.status(200).json({
+      message: "User unsuspended successfully",
+      user: toUserSummary(restored),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a user account
+ * DELETE /admin/users/:id
+ * Events the user organizes must be transferred or cancelled first
+ */
+const deleteUserById = async (req, res, next) => {
+  try {
+    const user = findUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: "You cannot delete your own account" });
+    }
+
+    const activeEvents = countActiveOrganizedEvents(user.id);
+    if (activeEvents > 0) {
+      return res.status(409).json({
+        error: `User organizes ${activeEvents} active event(s). Transfer or cancel them first.`,
+      });
+    }
+
+    await deleteAccount(user.id);
+
+    res.status(200).json({ message: "User deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Take down an event
+ * POST /admin/events/:id/takedown?scope=this|following|all
+ * Cancels the event (notifying participants) and hides it from listings.
+ * The moderator's reason is recorded but not emailed to participants.
+ */
+const takedownEvent = async (req, res, next) => {
+  try {
+    const event = findEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+    if (event.takenDownAt) {
+      return res.status(409).json({ error: "Event has already been taken down" });
+    }
+
+    const scope = req.query.scope || "this";
+    const scopeError = checkSeriesScope(event, scope);
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError });
+    }
+
+    const { reason } = req.body || {};
+    const errors = validateCancellationReason(reason);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const takedown = {
+      takenDownAt: new Date().toISOString(),
+      takenDownBy: req.user.id,
+      takedownReason: (reason && reason.trim()) || null,
+    };
+
+    // Events the organizer already cancelled are only hidden
+    const occurrences = getScopedOccurrences(event, scope, { includeCancelled: true }).filter(
+      (occurrence) => !occurrence.takenDownAt
+    );
+    cancelEventOccurrences(
+      occurrences.filter((occurrence) => occurrence.status !== "cancelled"),
+      { cancelledBy: req.user.id, ...takedown }
+    );
+    occurrences
+      .filter((occurrence) => occurrence.status === "cancelled")
+      .forEach((occurrence) => updateEvent(occurrence.id, takedown));
+
+    res.status(200).json({
+      message: "Event taken down successfully",
+      event: serializeEvent(findEventById(event.id)),
+      ...(event.seriesId && { takenDownCount: occurrences.length }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Hand an event over to another organizer
+ * POST /admin/events/:id/transfer
+ * Every occurrence of a series moves together. The previous owner is
+ * not kept on the event team.
+ */
+const transferEvent = async (req, res, next) => {
+  try {
+    const event = findEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    const { organizerId } = req.body || {};
+    if (!organizerId || typeof organizerId !== "string") {
+      return res.status(400).json({ error: "organizerId is required" });
+    }
+
+    const organizer = findUserById(organizerId);
+    if (!organizer) {
+      return res.status(404).json({ error: "New organizer not found" });
+    }
+    if (!hasPermission(organizer.role, "events:create")) {
+      return res.status(400).json({ error: "The new organizer must have the organizer role" });
+    }
+    if (organizer.status === "suspended") {
+      return res.status(400).json({ error: "The new organizer is suspended" });
+    }
+    if (event.organizerId === organizer.id) {
+      return res.status(409).json({ error: "The event already belongs to this organizer" });
+    }
+
+    const transferredCount = transferOwnership(event, organizer);
+
+    res.status(200).json({
+      message: "Event transferred successfully",
+      event: serializeEvent(findEventById(event.id)),
+      ...(event.seriesId && { transferredCount }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listUsers,
+  suspendUser,
+  unsuspendUser,
+  deleteUserById,
+  takedownEvent,
+  transferEvent,
+};
@@ -1,20 +1,62 @@
 const bcrypt = require("bcrypt");
-const jwt = require("jsonwebtoken");
 const { v4: uuidv4 } = require("uuid");
 const config = require("../config/config");
-const { findUserByEmail, addUser } = require("../data/users");
-const { validateRegistration } = require("../utils/validators");
+const {
+  findUserByEmail,
+  findUserById,
+  addUser,
+  updateUser,
+} = require("../data/users");
+const { revokeUserTokenFamilies, invalidateActionTokens } = require("../data/tokens");
+const {
+  validateRegistration,
+  validatePassword,
+  validateLanguage,
+} = require("../utils/validators");
+const { SUPPORTED_LOCALES } = require("../templates/email");
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  createActionToken,
+  consumeActionToken,
+} = require("../services/tokenService");
+const { sendPasswordResetEmail } = require("../services/emailService");
+const {
+  sendVerificationLink,
+  syncParticipantDetails,
+} = require("../services/accountService");
+const {
+  getLoginRetryAfter,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require("../services/loginThrottle");
+const { submitOrganizerRequest } = require("../services/organizerRequestService");
+
+/**
+ * Best supported match for the request's Accept-Language header (or null)
+ * Used as the email language when none is given at registration
+ */
+const preferredLanguage = (req) => {
+  if (!req.get("Accept-Language")) return null;
+  return req.acceptsLanguages(...SUPPORTED_LOCALES) || null;
+};
 
 /**
  * Register a new user
  * POST /register
+ * Everyone starts as an attendee; asking for the organizer role files
+ * an organizer request for an admin to approve.
  */
 const register = async (req, res, next) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password, role, language } = req.body;
 
     // Validate input
-    const errors = validateRegistration(name, email, password, role);
+    const errors = [
+      ...validateRegistration(name, email, password, role),
+      ...validateLanguage(language),
+    ];
     if (errors.length > 0) {
       return res.status(400).json({ errors });
     }
@@ -35,28 +77,36 @@ const register = async (req, res, next) => {
       name: name.trim(),
       email: email.toLowerCase().trim(),
       password: hashedPassword,
-      role: role || "attendee", // default role is attendee
+      role: "attendee",
+      status: "active",
+      emailVerified: false,
+      language: language || preferredLanguage(req),
       createdAt: new Date().toISOString(),
     };
 
     addUser(newUser);
+    sendVerificationLink(newUser);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: newUser.id, email: newUser.email, role: newUser.role },
-      config.jwtSecret,
-      { expiresIn: config.jwtExpiresIn }
-    );
+    const organizerRequest = role === "organizer" ? submitOrganizerRequest(newUser) : null;
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = issueTokens(newUser);
 
     res.status(201).json({
-      message: "User registered successfully",
+      message: organizerRequest
+        ? "User registered successfully. Your organizer request is pending approval."
+        : "User registered successfully",
       user: {
         id: newUser.id,
         name: newUser.name,
         email: newUser.email,
         role: newUser.role,
+        emailVerified: newUser.emailVerified,
+        language: newUser.language,
       },
+      ...(organizerRequest && { organizerRequest }),
       token,
+      refreshToken,
     });
   } catch (error) {
     next(error);
@@ -76,24 +126,39 @@ const login = async (req, res, next) => {
       return res.status(400).json({ error: "Email and password are required" });
     }
 
+    const normalizedEmail = email.toLowerCase().trim();
+
+    // Refuse attempts while the account is locked out
+    const retryAfter = getLoginRetryAfter(normalizedEmail);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        error: "Too many failed login attempts. Please try again later.",
+      });
+    }
+
     // Find user
-    const user = findUserByEmail(email.toLowerCase().trim());
+    const user = findUserByEmail(normalizedEmail);
     if (!user) {
+      recordLoginFailure(normalizedEmail);
       return res.status(401).json({ error: "Invalid email or password" });
     }
 
     // Compare password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      recordLoginFailure(normalizedEmail);
       return res.status(401).json({ error: "Invalid email or password" });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      config.jwtSecret,
-      { expiresIn: config.jwtExpiresIn }
-    );
+    recordLoginSuccess(normalizedEmail);
+
+    if (user.status === "suspended") {
+      return res.status(403).json({ error: "Your account has been suspended." });
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = issueTokens(user);
 
     res.status(200).json({
       message: "Login successful",
@@ -102,15 +167,221 @@ const login = async (req, res, next) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
+        language: user.language || null,
       },
       token,
+      refreshToken,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * POST /refresh
+ */
+const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return res.status(400).json({ error: "Refresh token is required" });
+    }
+
+    const result = rotateRefreshToken(refreshToken);
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    const user = findUserById(result.userId);
+    if (!user) {
+      return res.status(401).json({ error: "Invalid refresh token." });
+    }
+    if (user.status === "suspended") {
+      return res.status(403).json({ error: "Your account has been suspended." });
+    }
+
+    const tokens = issueTokens(user, result.familyId);
+
+    res.status(200).json({
+      message: "Token refreshed successfully",
+      ...tokens,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Logout the current session
+ * POST /logout
+ * Revokes the access token and every refresh token of this login
+ */
+const logout = async (req, res, next) => {
+  try {
+    revokeSession(req.auth);
+    res.status(200).json({ message: "Logout successful" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Request a password reset link
+ * POST /forgot-password
+ * Always responds the same way so it cannot be used to probe for accounts
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({ error: "Email is required" });
+    }
+
+    const user = findUserByEmail(email.toLowerCase().trim());
+    if (user) {
+      const token = createActionToken(user, "password-reset");
+      const resetUrl = `${config.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+      sendPasswordResetEmail(user, resetUrl).catch((err) =>
+        console.error("Email sending failed:", err.message)
+      );
+    }
+
+    res.status(200).json({
+      message: "If an account with that email exists, a password reset link has been sent",
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Set a new password using a reset token
+ * POST /reset-password
+ * Signs the user out of every existing session
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({ error: "Reset token is required" });
+    }
+
+    const errors = validatePassword(password);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const result = consumeActionToken(token, "password-reset");
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const user = findUserById(result.userId);
+    if (!user) {
+      return res.status(400).json({ error: "Invalid or expired token." });
+    }
+
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+    updateUser(user.id, { password: hashedPassword });
+
+    invalidateActionTokens(user.id, "password-reset");
+    revokeUserTokenFamilies(user.id);
+
+    res.status(200).json({ message: "Password has been reset successfully" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm an email address
+ * GET /verify-email?token=
+ * Also completes an email change: a link sent to the pending address
+ * makes it the account's email.
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.query;
+
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({ error: "Verification token is required" });
+    }
+
+    const result = consumeActionToken(token, "email-verification");
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const user = findUserById(result.userId);
+    if (user && user.pendingEmail && user.pendingEmail === result.email) {
+      // Someone may have registered the address in the meantime
+      if (findUserByEmail(user.pendingEmail)) {
+        return res.status(409).json({ error: "User with this email already exists" });
+      }
+
+      const updated = updateUser(user.id, {
+        email: user.pendingEmail,
+        pendingEmail: null,
+        emailVerified: true,
+        emailVerifiedAt: new Date().toISOString(),
+      });
+      syncParticipantDetails(updated);
+
+      return res.status(200).json({ message: "Email address changed successfully" });
+    }
+
+    // The token is only valid for the address it was sent to
+    if (!user || user.email !== result.email) {
+      return res.status(400).json({ error: "Invalid or expired token." });
+    }
+
+    updateUser(user.id, {
+      emailVerified: true,
+      emailVerifiedAt: new Date().toISOString(),
+    });
+
+    res.status(200).json({ message: "Email verified successfully" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a new verification link to the current user
+ * POST /resend-verification
+ * Goes to the pending address while an email change awaits confirmation
+ */
+const resendVerification = async (req, res, next) => {
+  try {
+    const user = findUserById(req.user.id);
+
+    if (user.emailVerified && !user.pendingEmail) {
+      return res.status(400).json({ error: "Email is already verified" });
+    }
+
+    invalidateActionTokens(user.id, "email-verification");
+    sendVerificationLink(user, user.pendingEmail || user.email);
+
+    res.status(200).json({ message: "Verification email sent" });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   register,
   login,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
 };
@@ -0,0 +1,119 @@
+const crypto = require("crypto");
+const config = require("../config/config");
+const { findEventById, findEventsByAttendeeId } = require("../data/events");
+const { findUserById, findUserByCalendarToken, updateUser } = require("../data/users");
+const { buildEventsIcs, buildFeedIcs } = require("../services/calendarService");
+const { hasPermission } = require("../config/permissions");
+
+/**
+ * Send an iCalendar document
+ */
+const sendCalendar = (res, content, filename) => {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  if (filename) {
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  }
+  res.status(200).send(content);
+};
+
+/**
+ * Build the public feed URL for a feed token
+ */
+const feedUrl = (token) => `${config.appUrl}/calendar/feed/${token}.ics`;
+
+/**
+ * Generate a new unguessable feed token for a user
+ */
+const assignFeedToken = (userId) => {
+  const token = crypto.randomBytes(24).toString("hex");
+  updateUser(userId, { calendarFeedToken: token });
+  return token;
+};
+
+/**
+ * Download a single event as an .ics file
+ * GET /events/:id/ics
+ */
+const getEventIcs = async (req, res, next) => {
+  try {
+    const event = findEventById(req.params.id);
+
+    // Taken-down events are only visible to moderators
+    if (!event || (event.takenDownAt && !hasPermission(req.user.role, "events:moderate"))) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+    if (!event.startsAt) {
+      return res.status(409).json({ error: "Event has no schedule yet" });
+    }
+
+    sendCalendar(res, buildEventsIcs([event]), `event-${event.id}.ics`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's private calendar feed URL
+ * GET /calendar/feed-url
+ * The feed token is created on first use
+ */
+const getFeedUrl = async (req, res, next) => {
+  try {
+    const user = findUserById(req.user.id);
+    const token = user.calendarFeedToken || assignFeedToken(user.id);
+
+    res.status(200).json({ url: feedUrl(token) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the current user's feed URL, invalidating the old one
+ * POST /calendar/feed-url
+ */
+const rotateFeedUrl = async (req, res, next) => {
+  try {
+    const token = assignFeedToken(req.user.id);
+
+    res.status(200).json({
+      message: "Calendar feed URL regenerated. The previous URL no longer works.",
+      url: feedUrl(token),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Subscribable feed of the events a user is registered for
+ * GET /calendar/feed/:token.ics
+ * Public: calendar clients cannot send a bearer token, so the
+ * unguessable token in the URL identifies the user
+ */
+const getFeed = async (req, res, next) => {
+  try {
+    const user = findUserByCalendarToken(req.params.token);
+    if (!user) {
+      return res.status(404).json({ error: "Calendar feed not found" });
+    }
+
+    // The attendee index also holds waitlist spots and cancellations;
+    // taken-down events drop out of the feed
+    const events = findEventsByAttendeeId(user.id).filter(
+      (event) =>
+        !event.takenDownAt && event.participants.some((p) => p.userId === user.id)
+    );
+
+    sendCalendar(res, buildFeedIcs(user, events));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getEventIcs,
+  getFeedUrl,
+  rotateFeedUrl,
+  getFeed,
+};
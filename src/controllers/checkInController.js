@@ -0,0 +1,111 @@
+const { findEventById } = require("../data/events");
+const { createQrCode, toSvg, toPng } = require("../utils/qrcode");
+const { canOnEvent } = require("../services/eventPolicy");
+const { getTicket, checkInTicket } = require("../services/checkInService");
+const { recordActivity } = require("../services/analyticsService");
+
+/**
+ * Get the current user's ticket for an event
+ * GET /events/:id/ticket?format=svg|png
+ * Without `format`, returns the ticket with its QR code as a data URL;
+ * with it, returns the QR code image itself.
+ */
+const getOwnTicket = async (req, res, next) => {
+  try {
+    const { format } = req.query;
+    if (format !== undefined && !["svg", "png"].includes(format)) {
+      return res.status(400).json({ errors: ["'format' must be either 'svg' or 'png'"] });
+    }
+
+    const event = findEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    if (event.status === "cancelled") {
+      return res.status(409).json({ error: "This event has been cancelled" });
+    }
+
+    const ticket = getTicket(event, req.user.id);
+    if (!ticket) {
+      return res.status(404).json({ error: "You are not registered for this event" });
+    }
+
+    const qrCode = createQrCode(ticket.token);
+
+    if (format === "svg") {
+      return res.type("image/svg+xml").send(toSvg(qrCode));
+    }
+    if (format === "png") {
+      return res.type("image/png").send(toPng(qrCode));
+    }
+
+    res.status(200).json({
+      ticket: {
+        eventId: event.id,
+        name: ticket.participant.name,
+        token: ticket.token,
+        checkedInAt: ticket.participant.checkedInAt || null,
+        qrCode: `data:image/svg+xml;base64,${Buffer.from(toSvg(qrCode)).toString("base64")}`,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check in the holder of a ticket
+ * POST /events/:id/check-in
+ * Takes the scanned ticket `token`; each ticket is admitted once.
+ */
+const checkIn = async (req, res, next) => {
+  try {
+    const event = findEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    // Check the user's permissions on this event
+    if (!canOnEvent(req.user, event, "event:checkin")) {
+      return res.status(403).json({
+        error: "Access denied. You are not allowed to check in attendees.",
+      });
+    }
+
+    if (event.status === "cancelled") {
+      return res.status(409).json({ error: "This event has been cancelled" });
+    }
+
+    const { token } = req.body;
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({ errors: ["Ticket token is required"] });
+    }
+
+    const result = checkInTicket(event, token, req.user);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { participant, attendance } = result;
+    recordActivity("checked-in", event.id, participant.userId);
+
+    res.status(200).json({
+      message: `${participant.name} checked in`,
+      participant: {
+        userId: participant.userId,
+        name: participant.name,
+        ticketTypeId: participant.ticketTypeId || null,
+        checkedInAt: participant.checkedInAt,
+      },
+      attendance,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getOwnTicket,
+  checkIn,
+};
@@ -0,0 +1,141 @@
+const {
+  findEventsByAttendeeId,
+  findEventsByOrganizerId,
+  findEventsByTeamMemberId,
+} = require("../data/events");
+const { isValidTimeZone } = require("../utils/dates");
+const { summarizeEvent } = require("../utils/serializers");
+const { getEventRole } = require("../services/eventPolicy");
+
+/**
+ * Check whether an event has ended
+ * Unscheduled (legacy) events count as upcoming
+ */
+const hasEnded = (event, now) => Boolean(event.endsAt) && Date.parse(event.endsAt) <= now;
+
+/**
+ * Split date-ordered items into upcoming (soonest first) and past
+ * (most recent first)
+ */
+const splitByTime = (items, now = Date.now()) => {
+  const upcoming = items.filter(({ event }) => !hasEnded(event, now));
+  const past = items.filter(({ event }) => hasEnded(event, now)).reverse();
+  return { upcoming, past };
+};
+
+/**
+ * Describe a user's registration on an event
+ * A current registration or waitlist spot wins over an earlier cancellation
+ */
+const toRegistration = (event, userId) => {
+  const participant = event.participants.find((p) => p.userId === userId);
+  if (participant) {
+    return {
+      status: "registered",
+      registeredAt: participant.registeredAt,
+      checkedInAt: participant.checkedInAt || null,
+      ticketTypeId: participant.ticketTypeId || null,
+    };
+  }
+
+  const position = event.waitlist.findIndex((w) => w.userId === userId);
+  if (position !== -1) {
+    return {
+      status: "waitlisted",
+      joinedAt: event.waitlist[position].joinedAt,
+      position: position + 1,
+    };
+  }
+
+  const cancellation = event.cancellations.filter((c) => c.userId === userId).pop();
+  return {
+    status: "cancelled",
+    cancelledAt: cancellation.cancelledAt,
+    removedByOrganizer: Boolean(cancellation.removedByOrganizer),
+  };
+};
+
+/**
+ * Seat and attendance figures of an event for its organizers
+ * `fillRate` is the share of seats taken (null without a seat limit)
+ */
+const toEventStats = (event) => {
+  const registered = event.participants.length;
+  return {
+    registered,
+    maxParticipants: event.maxParticipants || null,
+    fillRate: event.maxParticipants
+      ? Math.round((registered / event.maxParticipants) * 100) / 100
+      : null,
+    waitlisted: event.waitlist.length,
+    checkedIn: event.participants.filter((p) => p.checkedInAt).length,
+    cancelled: event.cancellations.length,
+  };
+};
+
+/**
+ * List the current user's registrations, split into upcoming and past
+ * GET /me/registrations?tz=
+ * Covers registrations, waitlist spots and cancelled registrations.
+ * `tz` defaults to the user's profile time zone.
+ */
+const getOwnRegistrations = async (req, res, next) => {
+  try {
+    const { tz } = req.query;
+    if (tz !== undefined && !isValidTimeZone(tz)) {
+      return res.status(400).json({ error: "'tz' must be a valid IANA time zone" });
+    }
+
+    const timezone = tz || req.user.timezone;
+    const items = findEventsByAttendeeId(req.user.id)
+      .filter((event) => !event.takenDownAt)
+      .map((event) => ({
+        ...toRegistration(event, req.user.id),
+        event: summarizeEvent(event, timezone || event.timezone),
+      }));
+
+    res.status(200).json(splitByTime(items));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the events the current user organizes or helps run, split into
+ * upcoming and past, with seat and attendance figures
+ * GET /me/events?tz=
+ * `role` is "owner" or the user's team role on the event.
+ */
+const getOwnEvents = async (req, res, next) => {
+  try {
+    const { tz } = req.query;
+    if (tz !== undefined && !isValidTimeZone(tz)) {
+      return res.status(400).json({ error: "'tz' must be a valid IANA time zone" });
+    }
+
+    const timezone = tz || req.user.timezone;
+    const byId = new Map(
+      [...findEventsByOrganizerId(req.user.id), ...findEventsByTeamMemberId(req.user.id)].map(
+        (event) => [event.id, event]
+      )
+    );
+    const events = [...byId.values()].sort((a, b) =>
+      (a.startsAt || "").localeCompare(b.startsAt || "")
+    );
+
+    const items = events.map((event) => ({
+      role: getEventRole(event, req.user.id),
+      event: summarizeEvent(event, timezone || event.timezone),
+      stats: toEventStats(event),
+    }));
+
+    res.status(200).json(splitByTime(items));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getOwnRegistrations,
+  getOwnEvents,
+};
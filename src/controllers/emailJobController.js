@@ -0,0 +1,136 @@
+const { findEmailJobById, getEmailJobs, removeEmailJob } = require("../data/emailJobs");
+const { retryEmailJob } = require("../services/emailQueue");
+const { validateEmailJobQuery } = require("../utils/validators");
+
+/**
+ * Summarize a job for the API
+ * Message bodies are never exposed: they can hold live single-use links.
+ */
+const toJobSummary = ({ message, ...job }) => ({
+  ...job,
+  to: message.to,
+  subject: message.subject,
+});
+
+/**
+ * List queued and dead-lettered emails
+ * GET /admin/email-jobs?status=pending|dead&page=&limit=
+ */
+const listEmailJobs = async (req, res, next) => {
+  try {
+    const errors = validateEmailJobQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const jobs = getEmailJobs(req.query.status);
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const start = (page - 1) * limit;
+
+    res.status(200).json({
+      jobs: jobs.slice(start, start + limit).map(toJobSummary),
+      counts: {
+        pending: getEmailJobs("pending").length,
+        dead: getEmailJobs("dead").length,
+      },
+      pagination: {
+        page,
+        limit,
+        total: jobs.length,
+        totalPages: Math.ceil(jobs.length / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the delivery details of a queued email
+ * GET /admin/email-jobs/:id
+ */
+const getEmailJob = async (req, res, next) => {
+  try {
+    const job = findEmailJobById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: "Email job not found" });
+    }
+
+    res.status(200).json({ job: toJobSummary(job) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Requeue a dead-lettered email
+ * POST /admin/email-jobs/:id/retry
+ */
+const retryEmailJobById = async (req, res, next) => {
+  try {
+    const job = findEmailJobById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: "Email job not found" });
+    }
+    if (job.status !== "dead") {
+      return res.status(409).json({ error: "Only dead-lettered emails can be retried" });
+    }
+    if (job.redacted) {
+      return res.status(409).json({
+        error: "This email held a single-use link and cannot be resent. The user can request a new one.",
+      });
+    }
+
+    res.status(200).json({
+      message: "Email requeued for delivery",
+      job: toJobSummary(retryEmailJob(job.id)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Requeue every dead-lettered email
+ * POST /admin/email-jobs/retry
+ */
+const retryDeadEmailJobs = async (req, res, next) => {
+  try {
+    const jobs = getEmailJobs("dead")
+      .filter((job) => !job.redacted)
+      .map((job) => retryEmailJob(job.id));
+
+    res.status(200).json({
+      message: "Dead-lettered emails requeued for delivery",
+      retriedCount: jobs.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Discard a queued or dead-lettered email
+ * DELETE /admin/email-jobs/:id
+ */
+const deleteEmailJob = async (req, res, next) => {
+  try {
+    const job = removeEmailJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: "Email job not found" });
+    }
+
+    res.status(200).json({ message: "Email job deleted" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listEmailJobs,
+  getEmailJob,
+  retryEmailJobById,
+  retryDeadEmailJobs,
+  deleteEmailJob,
+};
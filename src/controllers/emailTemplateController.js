@@ -0,0 +1,160 @@
+const { findEventById, updateEvent } = require("../data/events");
+const { validateTemplateOverride } = require("../utils/validators");
+const { EVENT_TEMPLATES, SUPPORTED_LOCALES } = require("../templates/email");
+const { ANY_LOCALE } = require("../services/templateService");
+const { previewEventEmail } = require("../services/emailService");
+const { canOnEvent } = require("../services/eventPolicy");
+
+/**
+ * Load an event whose details the current user may edit
+ * Sends the 404/403 response and returns null otherwise
+ */
+const findEditableEvent = (req, res) => {
+  const event = findEventById(req.params.id);
+  if (!event) {
+    res.status(404).json({ error: "Event not found" });
+    return null;
+  }
+
+  // Check the user's permissions on this event
+  if (!canOnEvent(req.user, event, "event:edit")) {
+    res.status(403).json({
+      error: "Access denied. You are not allowed to manage this event's email templates.",
+    });
+    return null;
+  }
+
+  return event;
+};
+
+/**
+ * Reject template names organizers cannot override
+ */
+const checkTemplateName = (req, res) => {
+  if (!EVENT_TEMPLATES.includes(req.params.name)) {
+    res.status(404).json({
+      error: `Unknown email template. Available templates: ${EVENT_TEMPLATES.join(", ")}`,
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * List an event's email template overrides
+ * GET /events/:id/email-templates
+ */
+const getEventTemplates = async (req, res, next) => {
+  try {
+    const event = findEditableEvent(req, res);
+    if (!event) return;
+
+    const overrides = event.emailTemplates || {};
+    res.status(200).json({
+      locales: SUPPORTED_LOCALES,
+      templates: EVENT_TEMPLATES.map((name) => ({
+        name,
+        overrides: overrides[name] || {},
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Override an email template for an event
+ * PUT /events/:id/email-templates/:name
+ * Without `locale` the override applies to every language
+ */
+const putEventTemplate = async (req, res, next) => {
+  try {
+    const event = findEditableEvent(req, res);
+    if (!event || !checkTemplateName(req, res)) return;
+
+    const errors = validateTemplateOverride(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const { locale = ANY_LOCALE, subject, html, text } = req.body;
+    const templates = event.emailTemplates || {};
+    const updated = updateEvent(event.id, {
+      emailTemplates: {
+        ...templates,
+        [req.params.name]: {
+          ...templates[req.params.name],
+          [locale]: {
+            ...(subject && { subject }),
+            ...(html && { html }),
+            ...(text && { text }),
+          },
+        },
+      },
+    });
+
+    res.status(200).json({
+      message: "Email template saved",
+      name: req.params.name,
+      overrides: updated.emailTemplates[req.params.name],
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove an event's template override, restoring the built-in template
+ * DELETE /events/:id/email-templates/:name?locale=
+ * Without `locale` the overrides for every language are removed
+ */
+const deleteEventTemplate = async (req, res, next) => {
+  try {
+    const event = findEditableEvent(req, res);
+    if (!event || !checkTemplateName(req, res)) return;
+
+    const { [req.params.name]: current, ...others } = event.emailTemplates || {};
+    let remaining = null;
+    if (req.query.locale !== undefined && current) {
+      const { [req.query.locale]: removed, ...rest } = current;
+      remaining = Object.keys(rest).length > 0 ? rest : null;
+    }
+
+    updateEvent(event.id, {
+      emailTemplates: { ...others, ...(remaining && { [req.params.name]: remaining }) },
+    });
+
+    res.status(200).json({ message: "Email template override removed" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Render an event email with the organizer as the recipient
+ * GET /events/:id/email-templates/:name/preview?locale=
+ */
+const previewEventTemplate = async (req, res, next) => {
+  try {
+    const event = findEditableEvent(req, res);
+    if (!event || !checkTemplateName(req, res)) return;
+
+    const preview = previewEventEmail(
+      req.params.name,
+      event,
+      req.user,
+      req.query.locale || req.user.language
+    );
+
+    res.status(200).json({ preview });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getEventTemplates,
+  putEventTemplate,
+  deleteEventTemplate,
+  previewEventTemplate,
+};
@@ -1,26 +1,103 @@
 const { v4: uuidv4 } = require("uuid");
+const config = require("../config/config");
+const { hasPermission } = require("../config/permissions");
 const {
   findEventById,
   addEvent,
   updateEvent,
-  deleteEvent,
-  getAllEvents,
+  queryEvents,
 } = require("../data/events");
 const { findUserById } = require("../data/users");
-const { validateEvent } = require("../utils/validators");
-const { sendRegistrationEmail } = require("../services/emailService");
+const { findOrderById } = require("../data/orders");
+const {
+  validateEvent,
+  validateVenue,
+  validateMaxParticipants,
+  validateAnnouncement,
+  validateCancellationReason,
+  validateEventQuery,
+  validateRosterQuery,
+} = require("../utils/validators");
+const { serializeEvent } = require("../utils/serializers");
+const { toVirtualVenue } = require("../utils/venues");
+const { toCsv } = require("../utils/csv");
+const {
+  sendRegistrationEmail,
+  sendAnnouncementEmail,
+} = require("../services/emailService");
+const { scheduleReminders } = require("../services/reminderService");
+const { notifyEventUpdated } = require("../services/notificationService");
+const { canOnEvent, getEventRole } = require("../services/eventPolicy");
+const { recordActivity } = require("../services/analyticsService");
+const { openStream, publishAnnouncement } = require("../services/eventStream");
+const { createInvite } = require("../services/calendarService");
+const { promoteFromWaitlist } = require("../services/waitlistService");
+const { enrollUser, cancelParticipation } = require("../services/registrationService");
+const { createTicketToken } = require("../services/tokenService");
+const { requiresTicket, refundOrder } = require("../services/ticketService");
+const {
+  checkSeriesScope,
+  createEventSeries,
+  getScopedOccurrences,
+} = require("../services/seriesService");
+const { cancelEventOccurrences } = require("../services/cancellationService");
+const { parseRRule, validateExdates } = require("../utils/recurrence");
+const {
+  isValidTimeZone,
+  dayRangeToUtc,
+  parseSchedule,
+} = require("../utils/dates");
+
+// Request body fields describing an event's schedule
+const SCHEDULE_FIELDS = ["startsAt", "endsAt", "date", "time", "timezone"];
+
+/**
+ * Pick the schedule fields present in a request body
+ */
+const pickSchedule = (body) => {
+  const input = {};
+  SCHEDULE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) input[field] = body[field];
+  });
+  return input;
+};
 
 /**
  * Create a new event
  * POST /events
- * Only organizers can create events
+ * Only organizers can create events. With a `recurrence` RRULE (and
+ * optional `exdates`), one event is created per occurrence of the series.
+ * Events take place at a `location`, in a `virtualVenue` or both.
  */
 const createEvent = async (req, res, next) => {
   try {
-    const { title, description, date, time, location, maxParticipants } = req.body;
+    const {
+      title,
+      description,
+      location,
+      virtualVenue,
+      maxParticipants,
+      recurrence,
+      exdates,
+    } = req.body;
 
     // Validate input
-    const errors = validateEvent(title, description, date, time, location);
+    const errors = [
+      ...validateEvent(title, description, location, virtualVenue),
+      ...validateMaxParticipants(maxParticipants),
+    ];
+    const { errors: scheduleErrors, schedule } = parseSchedule(
+      pickSchedule(req.body),
+      null,
+      { defaultDurationMs: config.defaultEventDurationMinutes * 60 * 1000 }
+    );
+    errors.push(...scheduleErrors);
+    let rule = null;
+    if (recurrence !== undefined) {
+      const parsed = parseRRule(recurrence, config.maxSeriesOccurrences);
+      rule = parsed.rule;
+      errors.push(...parsed.errors, ...validateExdates(exdates));
+    }
     if (errors.length > 0) {
       return res.status(400).json({ errors });
     }
@@ -29,21 +106,45 @@ const createEvent = async (req, res, next) => {
       id: uuidv4(),
       title: title.trim(),
       description: description.trim(),
-      date,
-      time,
-      location: location.trim(),
+      ...schedule,
+      location: location ? location.trim() : null,
+      virtualVenue: virtualVenue ? toVirtualVenue(virtualVenue) : null,
       maxParticipants: maxParticipants || null,
       organizerId: req.user.id,
+      team: [],
+      ticketTypes: [],
+      promoCodes: [],
+      sessions: [],
       participants: [],
+      waitlist: [],
+      cancellations: [],
+      seriesId: null,
+      status: "active",
+      sequence: 0,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
 
+    if (rule) {
+      const result = createEventSeries(newEvent, recurrence, rule, exdates);
+      if (result.errors) {
+        return res.status(400).json({ errors: result.errors });
+      }
+      result.events.forEach((event) => scheduleReminders(event));
+
+      return res.status(201).json({
+        message: "Event series created successfully",
+        series: result.series,
+        events: result.events.map((event) => serializeEvent(event)),
+      });
+    }
+
     addEvent(newEvent);
+    scheduleReminders(newEvent);
 
     res.status(201).json({
       message: "Event created successfully",
-      event: newEvent,
+      event: serializeEvent(newEvent),
     });
   } catch (error) {
     next(error);
@@ -51,13 +152,49 @@ const createEvent = async (req, res, next) => {
 };
 
 /**
- * Get all events
- * GET /events
+ * List events with search, filters, sorting and pagination
+ * GET /events?search=&from=&to=&tz=&organizerId=&seriesId=&hasSeats=&status=&sort=&order=&page=&limit=
+ * `from`/`to` are local days in `tz`, which also sets the time zone of
+ * the `local` times in the response; it defaults to the user's profile
+ * time zone. Cancelled events are only listed with `status=cancelled` or
+ * `status=all`.
  */
 const getEvents = async (req, res, next) => {
   try {
-    const events = getAllEvents();
-    res.status(200).json({ events });
+    const errors = validateEventQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const { search, organizerId, seriesId, hasSeats, status, sort, order } = req.query;
+    const tz = req.query.tz || req.user.timezone;
+    const { from, to } = dayRangeToUtc(req.query.from, req.query.to, tz || "UTC");
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const { events, total } = queryEvents({
+      search,
+      from,
+      to,
+      organizerId,
+      seriesId,
+      hasSeats: hasSeats === "true",
+      status,
+      sort,
+      order,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      events: events.map((event) => serializeEvent(event, tz || event.timezone)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
   } catch (error) {
     next(error);
   }
@@ -65,15 +202,51 @@ const getEvents = async (req, res, next) => {
 
 /**
  * Get a single event by ID
- * GET /events/:id
+ * GET /events/:id?tz=
+ * `tz` defaults to the user's profile time zone
  */
 const getEventById = async (req, res, next) => {
   try {
     const event = findEventById(req.params.id);
-    if (!event) {
+
+    // Taken-down events are only visible to moderators
+    if (!event || (event.takenDownAt && !hasPermission(req.user.role, "events:moderate"))) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    const { tz } = req.query;
+    if (tz !== undefined && !isValidTimeZone(tz)) {
+      return res.status(400).json({ error: "'tz' must be a valid IANA time zone" });
+    }
+
+    // Views by the event team would skew the conversion rate
+    if (!getEventRole(event, req.user.id)) {
+      recordActivity("viewed", event.id, req.user.id);
+    }
+
+    res.status(200).json({
+      event: serializeEvent(event, tz || req.user.timezone || event.timezone),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Subscribe to live updates of an event (Server-Sent Events)
+ * GET /events/:id/stream
+ * See services/eventStream.js for the messages sent
+ */
+const streamEventUpdates = async (req, res, next) => {
+  try {
+    const event = findEventById(req.params.id);
+
+    // Taken-down events are only visible to moderators
+    if (!event || (event.takenDownAt && !hasPermission(req.user.role, "events:moderate"))) {
       return res.status(404).json({ error: "Event not found" });
     }
-    res.status(200).json({ event });
+
+    openStream(req, res, event);
   } catch (error) {
     next(error);
   }
@@ -81,8 +254,11 @@ const getEventById = async (req, res, next) => {
 
 /**
  * Update an event
- * PUT /events/:id
- * Only the organizer who created the event can update it
+ * PUT /events/:id?scope=this|following|all
+ * The owner and co-organizers can update it. For events in a
+ * series, `scope` also applies the changes to later or all occurrences.
+ * `location` or `virtualVenue` can be set to null as long as the other
+ * remains.
  */
 const updateEventById = async (req, res, next) => {
   try {
@@ -91,30 +267,115 @@ const updateEventById = async (req, res, next) => {
       return res.status(404).json({ error: "Event not found" });
     }
 
-    // Check if the user is the organizer of this event
-    if (event.organizerId !== req.user.id) {
+    // Check the user's permissions on this event
+    if (!canOnEvent(req.user, event, "event:edit")) {
       return res.status(403).json({
-        error: "Access denied. Only the event organizer can update this event.",
+        error: "Access denied. You are not allowed to update this event.",
       });
     }
 
-    const { title, description, date, time, location, maxParticipants } = req.body;
+    if (event.status === "cancelled") {
+      return res.status(409).json({ error: "Cancelled events cannot be updated" });
+    }
+
+    const scope = req.query.scope || "this";
+    const scopeError = checkSeriesScope(event, scope);
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError });
+    }
+
+    const { title, description, location, virtualVenue, maxParticipants } = req.body;
+    const scheduleInput = pickSchedule(req.body);
+
+    const seatErrors = validateMaxParticipants(maxParticipants);
+    if (seatErrors.length > 0) {
+      return res.status(400).json({ errors: seatErrors });
+    }
+
+    if (location !== undefined || virtualVenue !== undefined) {
+      const errors = validateVenue(
+        location !== undefined ? location : event.location,
+        virtualVenue !== undefined ? virtualVenue : event.virtualVenue
+      );
+      if (errors.length > 0) {
+        return res.status(400).json({ errors });
+      }
+    }
+
+    if (
+      scope !== "this" &&
+      ["startsAt", "endsAt", "date"].some((field) => field in scheduleInput)
+    ) {
+      return res.status(400).json({
+        error: "The date can only be changed for a single occurrence",
+      });
+    }
 
     const updatedData = {
       ...(title && { title: title.trim() }),
       ...(description && { description: description.trim() }),
-      ...(date && { date }),
-      ...(time && { time }),
-      ...(location && { location: location.trim() }),
+      ...(location !== undefined && { location: location ? location.trim() : null }),
+      ...(virtualVenue !== undefined && {
+        virtualVenue: virtualVenue ? toVirtualVenue(virtualVenue) : null,
+      }),
       ...(maxParticipants !== undefined && { maxParticipants }),
       updatedAt: new Date().toISOString(),
     };
 
-    const updatedEvent = updateEvent(req.params.id, updatedData);
+    // Resolve the new schedule of every affected occurrence before saving any
+    const occurrences = getScopedOccurrences(event, scope);
+    const schedules = new Map();
+    if (Object.keys(scheduleInput).length > 0) {
+      for (const occurrence of occurrences) {
+        const { errors, schedule } = parseSchedule(scheduleInput, occurrence);
+        if (errors.length > 0) {
+          return res.status(400).json({ errors });
+        }
+        schedules.set(occurrence.id, schedule);
+      }
+    }
+
+    // Agenda sessions must stay within the event
+    if (schedules.has(event.id)) {
+      const { startsAt, endsAt } = schedules.get(event.id);
+      const outside = (event.sessions || []).filter(
+        (s) => s.startsAt < startsAt || s.endsAt > endsAt
+      );
+      if (outside.length > 0) {
+        return res.status(409).json({
+          error: `${outside.length} session(s) would fall outside the new schedule. Move them first.`,
+        });
+      }
+    }
+
+    occurrences.forEach((occurrence) => {
+      updateEvent(occurrence.id, {
+        ...updatedData,
+        // Calendar clients only apply updates with a higher SEQUENCE
+        sequence: (occurrence.sequence || 0) + 1,
+        ...(schedules.has(occurrence.id) && {
+          ...schedules.get(occurrence.id),
+          legacySchedule: undefined,
+        }),
+      });
+
+      // Raising (or removing) the limit frees seats for waitlisted users
+      promoteFromWaitlist(occurrence.id);
+
+      const updated = findEventById(occurrence.id);
+      if (schedules.has(occurrence.id)) {
+        scheduleReminders(updated);
+      }
+
+      // Tell participants what changed
+      notifyEventUpdated(occurrence, updated);
+    });
+    const updatedEvent = findEventById(req.params.id);
 
     res.status(200).json({
       message: "Event updated successfully",
-      event: updatedEvent,
+      event: serializeEvent(updatedEvent),
+      ...(event.seriesId && { updatedCount: occurrences.length }),
     });
   } catch (error) {
     next(error);
@@ -122,9 +383,12 @@ const updateEventById = async (req, res, next) => {
 };
 
 /**
- * Delete an event
- * DELETE /events/:id
- * Only the organizer who created the event can delete it
+ * Cancel an event
+ * DELETE /events/:id?scope=this|following|all
+ * Only the event owner can cancel it. The event is kept
+ * in the "cancelled" state with the optional `reason`, and participants and
+ * waitlisted users are notified. For events in a series, `scope` also
+ * cancels later or all occurrences.
  */
 const deleteEventById = async (req, res, next) => {
   try {
@@ -133,16 +397,37 @@ const deleteEventById = async (req, res, next) => {
       return res.status(404).json({ error: "Event not found" });
     }
 
-    // Check if the user is the organizer of this event
-    if (event.organizerId !== req.user.id) {
+    // Check the user's permissions on this event
+    if (!canOnEvent(req.user, event, "event:cancel")) {
       return res.status(403).json({
-        error: "Access denied. Only the event organizer can delete this event.",
+        error: "Access denied. You are not allowed to cancel this event.",
       });
     }
 
-    deleteEvent(req.params.id);
+    if (event.status === "cancelled") {
+      return res.status(409).json({ error: "Event has already been cancelled" });
+    }
+
+    const scope = req.query.scope || "this";
+    const scopeError = checkSeriesScope(event, scope);
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError });
+    }
+
+    const { reason } = req.body || {};
+    const errors = validateCancellationReason(reason);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const occurrences = getScopedOccurrences(event, scope);
+    cancelEventOccurrences(occurrences, { cancelledBy: req.user.id, reason });
 
-    res.status(200).json({ message: "Event deleted successfully" });
+    res.status(200).json({
+      message: "Event cancelled successfully",
+      event: serializeEvent(findEventById(event.id)),
+      ...(event.seriesId && { cancelledCount: occurrences.length }),
+    });
   } catch (error) {
     next(error);
   }
@@ -150,8 +435,10 @@ const deleteEventById = async (req, res, next) => {
 
 /**
  * Register for an event
- * POST /events/:id/register
- * Any authenticated user can register
+ * POST /events/:id/register?scope=series
+ * Any authenticated user can register; when the event is full
+ * the user joins the waitlist instead. With `scope=series`, the user is
+ * registered for this and every later occurrence of the series.
  */
 const registerForEvent = async (req, res, next) => {
   try {
@@ -160,49 +447,373 @@ const registerForEvent = async (req, res, next) => {
       return res.status(404).json({ error: "Event not found" });
     }
 
-    // Check if user is already registered
-    const alreadyRegistered = event.participants.find(
-      (p) => p.userId === req.user.id
-    );
-    if (alreadyRegistered) {
+    if (event.status === "cancelled") {
+      return res.status(409).json({ error: "This event has been cancelled" });
+    }
+
+    if (config.requireVerifiedEmail && !req.user.emailVerified) {
+      return res.status(403).json({
+        error: "Please verify your email address before registering for events",
+      });
+    }
+
+    if (req.query.scope !== undefined && req.query.scope !== "series") {
+      return res.status(400).json({ error: "'scope' must be 'series'" });
+    }
+
+    if (requiresTicket(event)) {
+      return res.status(409).json({
+        error: "This event requires a ticket. Buy one with POST /events/:id/orders",
+      });
+    }
+
+    if (req.query.scope === "series") {
+      if (!event.seriesId) {
+        return res.status(400).json({
+          error: "Scope 'series' only applies to events in a series",
+        });
+      }
+      return registerForSeries(req, res, event);
+    }
+
+    const result = enrollUser(event.id, req.user);
+
+    if (result.status === "already-registered") {
       return res.status(409).json({
         error: "You are already registered for this event",
       });
     }
 
-    // Check max participants
-    if (
-      event.maxParticipants &&
-      event.participants.length >= event.maxParticipants
-    ) {
-      return res.status(400).json({
-        error: "Event has reached maximum number of participants",
+    if (result.status === "already-waitlisted") {
+      return res.status(409).json({
+        error: "You are already on the waitlist for this event",
       });
     }
 
-    // Add participant
-    const participant = {
-      userId: req.user.id,
-      name: req.user.name,
-      email: req.user.email,
-      registeredAt: new Date().toISOString(),
-    };
+    recordActivity(result.status, event.id, req.user.id);
+
+    if (result.status === "waitlisted") {
+      return res.status(202).json({
+        message: "Event is full. You have been added to the waitlist",
+        waitlist: {
+          position: result.position,
+          total: result.position,
+        },
+      });
+    }
 
-    event.participants.push(participant);
+    const ticket = createTicketToken(result.participant.ticketId);
 
     // Send confirmation email asynchronously (don't block response)
-    sendRegistrationEmail(req.user.email, req.user.name, event.title).catch(
-      (err) => console.error("Email sending failed:", err.message)
-    );
+    sendRegistrationEmail(req.user, event, {
+      calendar: createInvite([event], { name: req.user.name, email: req.user.email }),
+      ticket,
+    }).catch((err) => console.error("Email sending failed:", err.message));
 
     res.status(200).json({
       message: "Successfully registered for the event",
       event: {
         id: event.id,
         title: event.title,
-        date: event.date,
-        time: event.time,
+        startsAt: event.startsAt,
+        endsAt: event.endsAt,
+        timezone: event.timezone,
       },
+      ticket,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Register the current user for an occurrence and every later one
+ * Full occurrences put the user on their waitlist; occurrences that sell
+ * tickets are skipped with status "ticket-required"
+ */
+const registerForSeries = (req, res, event) => {
+  const occurrences = getScopedOccurrences(event, "following");
+  const registrations = occurrences.map((occurrence) => {
+    const { participant, ...result } = requiresTicket(occurrence)
+      ? { status: "ticket-required" }
+      : enrollUser(occurrence.id, req.user);
+    if (["registered", "waitlisted"].includes(result.status)) {
+      recordActivity(result.status, occurrence.id, req.user.id);
+    }
+    return { eventId: occurrence.id, startsAt: occurrence.startsAt, ...result };
+  });
+
+  const registered = occurrences.filter(
+    (occurrence, index) => registrations[index].status === "registered"
+  );
+  if (registered.length > 0) {
+    sendRegistrationEmail(req.user, event, {
+      calendar: createInvite(registered, { name: req.user.name, email: req.user.email }),
+      occurrenceCount: registered.length,
+    }).catch((err) => console.error("Email sending failed:", err.message));
+  }
+
+  res.status(200).json({
+    message: "Successfully registered for the event series",
+    seriesId: event.seriesId,
+    registrations,
+  });
+};
+
+/**
+ * Cancel own registration for an event
+ * DELETE /events/:id/register
+ */
+const cancelRegistration = async (req, res, next) => {
+  try {
+    const event = findEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    const participant = event.participants.find(
+      (p) => p.userId === req.user.id
+    );
+    if (!participant) {
+      return res.status(404).json({
+        error: "You are not registered for this event",
+      });
+    }
+
+    cancelParticipation(event, participant, req.user.id);
+    if (participant.orderId) {
+      await refundOrder(findOrderById(participant.orderId));
+    }
+
+    res.status(200).json({ message: "Your registration has been cancelled" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a participant from an event
+ * DELETE /events/:id/participants/:userId
+ * The owner, co-organizers and moderators can remove participants
+ */
+const removeParticipant = async (req, res, next) => {
+  try {
+    const event = findEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    // Check the user's permissions on this event
+    if (!canOnEvent(req.user, event, "event:participants")) {
+      return res.status(403).json({
+        error: "Access denied. You are not allowed to remove participants.",
+      });
+    }
+
+    const participant = event.participants.find(
+      (p) => p.userId === req.params.userId
+    );
+    if (!participant) {
+      return res.status(404).json({ error: "Participant not found" });
+    }
+
+    cancelParticipation(event, participant, req.user.id);
+    if (participant.orderId) {
+      await refundOrder(findOrderById(participant.orderId));
+    }
+
+    res.status(200).json({ message: "Participant removed successfully" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Roster columns, in export order
+const ROSTER_COLUMNS = [
+  { key: "userId", header: "User ID" },
+  { key: "name", header: "Name" },
+  { key: "email", header: "Email" },
+  { key: "registeredAt", header: "Registered At" },
+  { key: "checkedInAt", header: "Checked In At" },
+];
+
+/**
+ * Get the participant roster of an event
+ * GET /events/:id/participants?search=&page=&limit=&format=csv|json
+ * The owner and every event team member can view the roster. Check-in
+ * staff get it without emails and cannot export it. With `format`, the
+ * full (searched) roster is returned as a download.
+ */
+const getParticipants = async (req, res, next) => {
+  try {
+    const event = findEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    // Check the user's permissions on this event
+    if (!canOnEvent(req.user, event, "event:roster")) {
+      return res.status(403).json({
+        error: "Access denied. You are not allowed to view participants.",
+      });
+    }
+
+    const errors = validateRosterQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const withContacts = canOnEvent(req.user, event, "event:contacts");
+    if (req.query.format && !withContacts) {
+      return res.status(403).json({
+        error: "Access denied. You are not allowed to export participants.",
+      });
+    }
+
+    const search = (req.query.search || "").trim().toLowerCase();
+    const participants = event.participants
+      .filter(
+        (p) =>
+          !search ||
+          p.name.toLowerCase().includes(search) ||
+          (withContacts && (p.email || "").toLowerCase().includes(search))
+      )
+      .map((p) => ({
+        userId: p.userId,
+        name: p.name,
+        ...(withContacts && { email: p.email }),
+        registeredAt: p.registeredAt,
+        checkedInAt: p.checkedInAt || null,
+        ...(p.orderId && { ticketTypeId: p.ticketTypeId, orderId: p.orderId }),
+      }));
+
+    if (req.query.format === "csv") {
+      res.attachment(`participants-${event.id}.csv`);
+      return res.type("text/csv").send(toCsv(participants, ROSTER_COLUMNS));
+    }
+
+    if (req.query.format === "json") {
+      res.attachment(`participants-${event.id}.json`);
+      return res.status(200).json({ participants });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const start = (page - 1) * limit;
+
+    res.status(200).json({
+      participants: participants.slice(start, start + limit),
+      pagination: {
+        page,
+        limit,
+        total: participants.length,
+        totalPages: Math.ceil(participants.length / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's waitlist position
+ * GET /events/:id/waitlist
+ */
+const getWaitlistPosition = async (req, res, next) => {
+  try {
+    const event = findEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    const index = event.waitlist.findIndex((w) => w.userId === req.user.id);
+    if (index === -1) {
+      return res.status(404).json({
+        error: "You are not on the waitlist for this event",
+      });
+    }
+
+    res.status(200).json({
+      waitlist: {
+        position: index + 1,
+        total: event.waitlist.length,
+        joinedAt: event.waitlist[index].joinedAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Leave the waitlist of an event
+ * DELETE /events/:id/waitlist
+ */
+const leaveWaitlist = async (req, res, next) => {
+  try {
+    const event = findEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    const onWaitlist = event.waitlist.find((w) => w.userId === req.user.id);
+    if (!onWaitlist) {
+      return res.status(404).json({
+        error: "You are not on the waitlist for this event",
+      });
+    }
+
+    updateEvent(event.id, {
+      waitlist: event.waitlist.filter((w) => w.userId !== req.user.id),
+    });
+    recordActivity("left-waitlist", event.id, req.user.id);
+
+    res.status(200).json({ message: "You have left the waitlist" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Broadcast a message to all participants of an event
+ * POST /events/:id/announcements
+ * The owner, co-organizers and moderators can send announcements
+ */
+const sendAnnouncement = async (req, res, next) => {
+  try {
+    const event = findEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    // Check the user's permissions on this event
+    if (!canOnEvent(req.user, event, "event:participants")) {
+      return res.status(403).json({
+        error: "Access denied. You are not allowed to send announcements.",
+      });
+    }
+
+    const { subject, message } = req.body;
+    const errors = validateAnnouncement(subject, message);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const announcement = {
+      subject: subject.trim(),
+      message: message.trim(),
+      organizerName: req.user.name,
+    };
+    event.participants.forEach((participant) => {
+      sendAnnouncementEmail(participant, event, announcement).catch((err) =>
+        console.error("Email sending failed:", err.message)
+      );
+    });
+    publishAnnouncement(event, announcement);
+
+    res.status(202).json({
+      message: "Announcement queued for delivery",
+      recipientCount: event.participants.length,
     });
   } catch (error) {
     next(error);
@@ -213,7 +824,14 @@ module.exports = {
   createEvent,
   getEvents,
   getEventById,
+  streamEventUpdates,
   updateEventById,
   deleteEventById,
   registerForEvent,
+  cancelRegistration,
+  removeParticipant,
+  getParticipants,
+  getWaitlistPosition,
+  leaveWaitlist,
+  sendAnnouncement,
 };
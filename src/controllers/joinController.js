@@ -0,0 +1,85 @@
+const { hasPermission } = require("../config/permissions");
+const { findEventById } = require("../data/events");
+const { findUserById } = require("../data/users");
+const { verifyJoinToken } = require("../services/tokenService");
+const { checkJoinAccess, createJoinLink } = require("../services/joinService");
+
+/**
+ * Get a join link and the dial-in details of an event's virtual venue
+ * GET /events/:id/join-link
+ * Registered participants get them shortly before the event starts, the
+ * event team at any time. The link itself expires after a few minutes.
+ */
+const getJoinLink = async (req, res, next) => {
+  try {
+    const event = findEventById(req.params.id);
+
+    // Taken-down events are only visible to moderators
+    if (!event || (event.takenDownAt && !hasPermission(req.user.role, "events:moderate"))) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    const denied = checkJoinAccess(event, req.user.id);
+    if (denied) {
+      const { status, ...body } = denied;
+      return res.status(status).json(body);
+    }
+
+    const { provider, passcode, dialIn } = event.virtualVenue;
+    res.set("Cache-Control", "no-store");
+    res.status(200).json({
+      joinLink: createJoinLink(event, req.user.id),
+      venue: { provider, passcode, dialIn },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Redirect to an event's virtual venue
+ * GET /events/:id/join?token=
+ * Opened in a browser, so the signed token takes the place of the access
+ * token. Access is checked again in case the registration was cancelled.
+ */
+const joinEvent = async (req, res, next) => {
+  try {
+    const { token } = req.query;
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({ error: "Join token is required" });
+    }
+
+    const claims = verifyJoinToken(token);
+    if (!claims || claims.eventId !== req.params.id) {
+      return res.status(401).json({ error: "Invalid or expired join link" });
+    }
+
+    const user = findUserById(claims.userId);
+    if (!user || user.status === "suspended") {
+      return res.status(401).json({ error: "Invalid or expired join link" });
+    }
+
+    const event = findEventById(req.params.id);
+    if (!event || event.takenDownAt) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    const denied = checkJoinAccess(event, user.id);
+    if (denied) {
+      const { status, ...body } = denied;
+      return res.status(status).json(body);
+    }
+
+    // Keep the token out of caches and of the provider's Referer logs
+    res.set("Cache-Control", "no-store");
+    res.set("Referrer-Policy", "no-referrer");
+    res.redirect(302, event.virtualVenue.joinUrl);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getJoinLink,
+  joinEvent,
+};
@@ -0,0 +1,122 @@
+const config = require("../config/config");
+const { findEventById } = require("../data/events");
+const { findOrderById, findOrdersByUserId } = require("../data/orders");
+const { canOnEvent } = require("../services/eventPolicy");
+const { getPaymentProvider } = require("../services/paymentProvider");
+const { createOrder, handlePaymentEvent } = require("../services/ticketService");
+
+/**
+ * Buy a ticket for an event
+ * POST /events/:id/orders
+ * Free tickets are confirmed at once. Paid tickets hold a seat while the
+ * client completes the returned payment intent with the provider; the
+ * seat is confirmed when the provider's webhook reports the payment.
+ */
+const placeOrder = async (req, res, next) => {
+  try {
+    const event = findEventById(req.params.id);
+    if (!event || event.takenDownAt) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    if (event.status === "cancelled") {
+      return res.status(409).json({ error: "This event has been cancelled" });
+    }
+
+    if (config.requireVerifiedEmail && !req.user.emailVerified) {
+      return res.status(403).json({
+        error: "Please verify your email address before registering for events",
+      });
+    }
+
+    const { ticketTypeId, promoCode } = req.body;
+    if (!ticketTypeId || typeof ticketTypeId !== "string") {
+      return res.status(400).json({ errors: ["'ticketTypeId' is required"] });
+    }
+    if (promoCode !== undefined && typeof promoCode !== "string") {
+      return res.status(400).json({ errors: ["'promoCode' must be a string"] });
+    }
+
+    const result = await createOrder(event, req.user, { ticketTypeId, promoCode });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { order, payment } = result;
+    res.status(201).json({
+      message:
+        order.status === "paid"
+          ? "Successfully registered for event"
+          : "Order created. Complete the payment to confirm your seat",
+      order,
+      payment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the current user's orders, newest first
+ * GET /orders
+ */
+const getOwnOrders = async (req, res, next) => {
+  try {
+    res.status(200).json({ orders: findOrdersByUserId(req.user.id) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single order
+ * GET /orders/:id
+ * Visible to the buyer and to event staff who manage participants
+ */
+const getOrderById = async (req, res, next) => {
+  try {
+    const order = findOrderById(req.params.id);
+    const event = order && findEventById(order.eventId);
+    const allowed =
+      order &&
+      (order.userId === req.user.id || (event && canOnEvent(req.user, event, "event:participants")));
+
+    // Hide other users' orders entirely
+    if (!allowed) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    res.status(200).json({ order });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Receive payment notifications from the payment provider
+ * POST /payments/webhook
+ * Authenticated by the provider's signature over the raw request body
+ */
+const receivePaymentWebhook = async (req, res, next) => {
+  try {
+    let notification;
+    try {
+      notification = getPaymentProvider().parseWebhook(req.rawBody, req.headers);
+    } catch (error) {
+      return res.status(400).json({ error: "Invalid webhook signature" });
+    }
+
+    await handlePaymentEvent(notification);
+
+    res.status(200).json({ received: true });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  placeOrder,
+  getOwnOrders,
+  getOrderById,
+  receivePaymentWebhook,
+};
@@ -0,0 +1,151 @@
+const { findUserById } = require("../data/users");
+const {
+  findOrganizerRequestById,
+  findOrganizerRequestsByUserId,
+  getOrganizerRequests,
+} = require("../data/organizerRequests");
+const {
+  validateOrganizerRequest,
+  validateOrganizerRequestQuery,
+} = require("../utils/validators");
+const {
+  submitOrganizerRequest,
+  reviewOrganizerRequest,
+} = require("../services/organizerRequestService");
+
+/**
+ * Add the requesting user's public details to a request
+ */
+const withUser = (request) => {
+  const user = findUserById(request.userId);
+  return {
+    ...request,
+    user: user ? { id: user.id, name: user.name, email: user.email, role: user.role } : null,
+  };
+};
+
+/**
+ * Ask to be promoted to organizer
+ * POST /organizer-requests
+ */
+const createOrganizerRequest = async (req, res, next) => {
+  try {
+    const { message } = req.body || {};
+    const errors = validateOrganizerRequest(message);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    if (req.user.role !== "attendee") {
+      return res.status(409).json({ error: "You can already organize events" });
+    }
+
+    const pending = findOrganizerRequestsByUserId(req.user.id).some(
+      (request) => request.status === "pending"
+    );
+    if (pending) {
+      return res.status(409).json({ error: "You already have a pending organizer request" });
+    }
+
+    const request = submitOrganizerRequest(req.user, message);
+
+    res.status(201).json({
+      message: "Organizer request submitted for review",
+      request,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List own organizer requests, newest first
+ * GET /organizer-requests
+ */
+const getOwnOrganizerRequests = async (req, res, next) => {
+  try {
+    res.status(200).json({ requests: findOrganizerRequestsByUserId(req.user.id) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List organizer requests, oldest first
+ * GET /admin/organizer-requests?status=pending|approved|rejected&page=&limit=
+ */
+const listOrganizerRequests = async (req, res, next) => {
+  try {
+    const errors = validateOrganizerRequestQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const requests = getOrganizerRequests(req.query.status);
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const start = (page - 1) * limit;
+
+    res.status(200).json({
+      requests: requests.slice(start, start + limit).map(withUser),
+      pagination: {
+        page,
+        limit,
+        total: requests.length,
+        totalPages: Math.ceil(requests.length / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve or reject a pending organizer request
+ */
+const reviewRequest = (approved) => async (req, res, next) => {
+  try {
+    const request = findOrganizerRequestById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: "Organizer request not found" });
+    }
+    if (request.status !== "pending") {
+      return res.status(409).json({ error: "Organizer request has already been reviewed" });
+    }
+
+    const { note } = req.body || {};
+    const errors = validateOrganizerRequest(note, "Note");
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const reviewed = reviewOrganizerRequest(request, req.user.id, { approved, note });
+
+    res.status(200).json({
+      message: approved ? "Organizer request approved" : "Organizer request rejected",
+      request: withUser(reviewed),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve an organizer request and promote the user
+ * POST /admin/organizer-requests/:id/approve
+ */
+const approveOrganizerRequest = reviewRequest(true);
+
+/**
+ * Reject an organizer request
+ * POST /admin/organizer-requests/:id/reject
+ */
+const rejectOrganizerRequest = reviewRequest(false);
+
+module.exports = {
+  createOrganizerRequest,
+  getOwnOrganizerRequests,
+  listOrganizerRequests,
+  approveOrganizerRequest,
+  rejectOrganizerRequest,
+};
@@ -0,0 +1,200 @@
+const bcrypt = require("bcrypt");
+const { findUserByEmail, findUserById, updateUser } = require("../data/users");
+const { revokeUserTokenFamilies, invalidateActionTokens } = require("../data/tokens");
+const { validatePassword, validateProfile } = require("../utils/validators");
+const {
+  getLoginRetryAfter,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require("../services/loginThrottle");
+const {
+  sendVerificationLink,
+  syncParticipantDetails,
+  countActiveOrganizedEvents,
+  deleteAccount,
+} = require("../services/accountService");
+
+/**
+ * Shape a user for their own profile
+ */
+const toProfile = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  pendingEmail: user.pendingEmail || null,
+  emailVerified: Boolean(user.emailVerified),
+  role: user.role,
+  avatarUrl: user.avatarUrl || null,
+  bio: user.bio || null,
+  timezone: user.timezone || null,
+  language: user.language || null,
+  createdAt: user.createdAt,
+});
+
+/**
+ * Check the current password before a sensitive account change
+ * Wrong guesses count towards the account's login lockout, which also
+ * sets Retry-After on `res`. Returns { status, error } on failure, or null.
+ */
+const checkCurrentPassword = async (user, password, res) => {
+  if (!password || typeof password !== "string") {
+    return { status: 400, error: "Current password is required" };
+  }
+
+  const retryAfter = getLoginRetryAfter(user.email);
+  if (retryAfter > 0) {
+    res.set("Retry-After", String(retryAfter));
+    return { status: 429, error: "Too many failed attempts. Please try again later." };
+  }
+
+  if (!(await bcrypt.compare(password, user.password))) {
+    recordLoginFailure(user.email);
+    return { status: 403, error: "Current password is incorrect" };
+  }
+
+  recordLoginSuccess(user.email);
+  return null;
+};
+
+/**
+ * Get the current user's profile
+ * GET /me
+ */
+const getProfile = async (req, res, next) => {
+  try {
+    res.status(200).json({ user: toProfile(findUserById(req.user.id)) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the current user's profile
+ * PATCH /me
+ * A new email address only replaces the current one once it is confirmed
+ * through the verification link sent to it.
+ */
+const updateProfile = async (req, res, next) => {
+  try {
+    const errors = validateProfile(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const user = findUserById(req.user.id);
+    const { name, email, avatarUrl, bio, timezone, language } = req.body;
+    const updates = {};
+
+    if (name !== undefined) updates.name = name.trim();
+    if (avatarUrl !== undefined) updates.avatarUrl = avatarUrl;
+    if (bio !== undefined) updates.bio = (bio && bio.trim()) || null;
+    if (timezone !== undefined) updates.timezone = timezone;
+    if (language !== undefined) updates.language = language;
+
+    let newEmail = null;
+    if (email !== undefined) {
+      const normalizedEmail = email.toLowerCase().trim();
+
+      if (normalizedEmail === user.email) {
+        updates.pendingEmail = null;
+      } else if (findUserByEmail(normalizedEmail)) {
+        return res.status(409).json({ error: "User with this email already exists" });
+      } else if (normalizedEmail !== user.pendingEmail) {
+        updates.pendingEmail = normalizedEmail;
+        newEmail = normalizedEmail;
+      }
+    }
+
+    const updated = updateUser(user.id, updates);
+    if (updated.name !== user.name) {
+      syncParticipantDetails(updated);
+    }
+
+    // Links sent for an earlier address stop working
+    if (newEmail || updates.pendingEmail === null) {
+      invalidateActionTokens(user.id, "email-verification");
+    }
+    if (newEmail) {
+      sendVerificationLink(updated, newEmail);
+    }
+
+    res.status(200).json({
+      message: newEmail
+        ? `Profile updated. Confirm your new email address with the link sent to ${newEmail}.`
+        : "Profile updated successfully",
+      user: toProfile(updated),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change the current user's password
+ * POST /me/password
+ * Signs out every other session; the current one stays signed in.
+ */
+const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = findUserById(req.user.id);
+
+    const failure = await checkCurrentPassword(user, currentPassword, res);
+    if (failure) {
+      return res.status(failure.status).json({ error: failure.error });
+    }
+
+    const errors = validatePassword(newPassword);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+    updateUser(user.id, { password: hashedPassword });
+
+    invalidateActionTokens(user.id, "password-reset");
+    revokeUserTokenFamilies(user.id, req.auth.fid);
+
+    res.status(200).json({ message: "Password changed successfully" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete the current user's account
+ * DELETE /me
+ * Requires the password; events the user organizes must be transferred
+ * or cancelled first.
+ */
+const deleteOwnAccount = async (req, res, next) => {
+  try {
+    const user = findUserById(req.user.id);
+
+    const failure = await checkCurrentPassword(user, (req.body || {}).password, res);
+    if (failure) {
+      return res.status(failure.status).json({ error: failure.error });
+    }
+
+    const activeEvents = countActiveOrganizedEvents(user.id);
+    if (activeEvents > 0) {
+      return res.status(409).json({
+        error: `You organize ${activeEvents} active event(s). Transfer or cancel them first.`,
+      });
+    }
+
+    await deleteAccount(user.id);
+
+    res.status(200).json({ message: "Account deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getProfile,
+  updateProfile,
+  changePassword,
+  deleteOwnAccount,
+};
@@ -0,0 +1,370 @@
+const { v4: uuidv4 } = require("uuid");
+const { hasPermission } = require("../config/permissions");
+const { findEventById, updateEvent } = require("../data/events");
+const { findUserById } = require("../data/users");
+const { isValidTimeZone, parseDateTime } = require("../utils/dates");
+const { validateSession } = require("../utils/validators");
+const { canOnEvent } = require("../services/eventPolicy");
+const {
+  findRoomConflict,
+  activeBookmarks,
+  toAgendaSession,
+} = require("../services/sessionService");
+
+// Session fields organizers may set
+const SESSION_FIELDS = [
+  "title",
+  "description",
+  "startsAt",
+  "endsAt",
+  "room",
+  "track",
+  "speakerIds",
+  "capacity",
+];
+
+/**
+ * Load an event whose agenda the current user may manage
+ * Sends the 404/403/409 response and returns null otherwise
+ */
+const findEditableEvent = (req, res) => {
+  const event = findEventById(req.params.id);
+  if (!event) {
+    res.status(404).json({ error: "Event not found" });
+    return null;
+  }
+
+  // Check the user's permissions on this event
+  if (!canOnEvent(req.user, event, "event:edit")) {
+    res.status(403).json({
+      error: "Access denied. You are not allowed to manage the agenda of this event.",
+    });
+    return null;
+  }
+
+  if (event.status === "cancelled") {
+    res.status(409).json({ error: "The agenda of a cancelled event cannot be changed" });
+    return null;
+  }
+
+  if (!event.startsAt) {
+    res.status(409).json({ error: "Schedule the event before adding sessions" });
+    return null;
+  }
+
+  return event;
+};
+
+/**
+ * Load an event and one of its sessions for bookmarking
+ * Sends the 404/403/409 response and returns null otherwise
+ */
+const findBookmarkableSession = (req, res) => {
+  const event = findEventById(req.params.id);
+  if (!event || event.takenDownAt) {
+    res.status(404).json({ error: "Event not found" });
+    return null;
+  }
+
+  const session = (event.sessions || []).find((s) => s.id === req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ error: "Session not found" });
+    return null;
+  }
+
+  if (event.status === "cancelled") {
+    res.status(409).json({ error: "This event has been cancelled" });
+    return null;
+  }
+
+  if (!event.participants.some((p) => p.userId === req.user.id)) {
+    res.status(403).json({ error: "Register for the event to build your agenda" });
+    return null;
+  }
+
+  return { event, session };
+};
+
+/**
+ * Pick the session fields present in a request body
+ */
+const pickSessionInput = (body, base = {}) => {
+  const input = { ...base };
+  SESSION_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) input[field] = body[field];
+  });
+  return input;
+};
+
+/**
+ * Normalize a validated session for storage
+ */
+const toSession = (input, timezone) => {
+  const toIso = (value) => new Date(parseDateTime(value, timezone)).toISOString();
+  const trimmed = (value) => (value ? value.trim() : null);
+
+  return {
+    id: input.id,
+    title: input.title.trim(),
+    description: trimmed(input.description),
+    startsAt: toIso(input.startsAt),
+    endsAt: toIso(input.endsAt),
+    room: trimmed(input.room),
+    track: trimmed(input.track),
+    speakerIds: input.speakerIds || [],
+    capacity: input.capacity || null,
+    bookmarks: input.bookmarks || [],
+  };
+};
+
+/**
+ * Check a session against its event: the schedule, speakers and room
+ * Returns { status, error(s) } for the HTTP response, or null when it fits
+ */
+const checkSessionFits = (event, session) => {
+  if (session.startsAt < event.startsAt || session.endsAt > event.endsAt) {
+    return {
+      status: 400,
+      errors: [`Sessions must take place between ${event.startsAt} and ${event.endsAt}`],
+    };
+  }
+
+  const unknown = session.speakerIds.filter((id) => !findUserById(id));
+  if (unknown.length > 0) {
+    return { status: 400, errors: unknown.map((id) => `Unknown speaker: ${id}`) };
+  }
+
+  const conflict = findRoomConflict(event, session);
+  if (conflict) {
+    return {
+      status: 409,
+      error: `${session.room} is already booked for "${conflict.title}" from ${conflict.startsAt} to ${conflict.endsAt}`,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * List the agenda of an event
+ * GET /events/:id/sessions?track=&room=&bookmarked=true&tz=
+ * Sessions come in start order; `bookmarked=true` narrows the list to the
+ * user's own agenda.
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const event = findEventById(req.params.id);
+
+    // Taken-down events are only visible to moderators
+    if (!event || (event.takenDownAt && !hasPermission(req.user.role, "events:moderate"))) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    const { track, room, bookmarked, tz } = req.query;
+    if (tz !== undefined && !isValidTimeZone(tz)) {
+      return res.status(400).json({ error: "'tz' must be a valid IANA time zone" });
+    }
+    if (bookmarked !== undefined && !["true", "false"].includes(bookmarked)) {
+      return res.status(400).json({ error: "'bookmarked' must be 'true' or 'false'" });
+    }
+
+    const sessions = event.sessions || [];
+    const agenda = sessions
+      .filter((s) => !track || s.track === track)
+      .filter((s) => !room || s.room === room)
+      .map((s) => toAgendaSession(event, s, req.user.id, tz || req.user.timezone || event.timezone))
+      .filter((s) => bookmarked !== "true" || s.bookmarked)
+      .sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+
+    const distinct = (field) => [...new Set(sessions.map((s) => s[field]).filter(Boolean))].sort();
+
+    res.status(200).json({
+      sessions: agenda,
+      tracks: distinct("track"),
+      rooms: distinct("room"),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a session to an event's agenda
+ * POST /events/:id/sessions
+ */
+const createSession = async (req, res, next) => {
+  try {
+    const event = findEditableEvent(req, res);
+    if (!event) return;
+
+    const input = pickSessionInput(req.body);
+    const errors = validateSession(input, event.timezone);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const session = toSession({ ...input, id: uuidv4() }, event.timezone);
+    const misfit = checkSessionFits(event, session);
+    if (misfit) {
+      const { status, ...body } = misfit;
+      return res.status(status).json(body);
+    }
+
+    const updated = updateEvent(event.id, { sessions: [...(event.sessions || []), session] });
+
+    res.status(201).json({
+      message: "Session created successfully",
+      session: toAgendaSession(updated, session, req.user.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a session
+ * PUT /events/:id/sessions/:sessionId
+ * Omitted fields keep their value.
+ */
+const updateSession = async (req, res, next) => {
+  try {
+    const event = findEditableEvent(req, res);
+    if (!event) return;
+
+    const sessions = event.sessions || [];
+    const existing = sessions.find((s) => s.id === req.params.sessionId);
+    if (!existing) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    const input = pickSessionInput(req.body, existing);
+    const errors = validateSession(input, event.timezone);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const session = toSession(input, event.timezone);
+    const misfit = checkSessionFits(event, session);
+    if (misfit) {
+      const { status, ...body } = misfit;
+      return res.status(status).json(body);
+    }
+
+    const bookmarked = activeBookmarks(event, existing).length;
+    if (session.capacity && session.capacity < bookmarked) {
+      return res.status(409).json({
+        error: `Capacity cannot be lower than the ${bookmarked} attendee(s) who saved this session`,
+      });
+    }
+
+    const updated = updateEvent(event.id, {
+      sessions: sessions.map((s) => (s.id === session.id ? session : s)),
+    });
+
+    res.status(200).json({
+      message: "Session updated successfully",
+      session: toAgendaSession(updated, session, req.user.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a session from the agenda
+ * DELETE /events/:id/sessions/:sessionId
+ */
+const deleteSession = async (req, res, next) => {
+  try {
+    const event = findEditableEvent(req, res);
+    if (!event) return;
+
+    const sessions = event.sessions || [];
+    if (!sessions.some((s) => s.id === req.params.sessionId)) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    updateEvent(event.id, { sessions: sessions.filter((s) => s.id !== req.params.sessionId) });
+
+    res.status(200).json({ message: "Session deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Save a session to the current user's agenda
+ * POST /events/:id/sessions/:sessionId/bookmark
+ * Participants only; sessions with a capacity fill up.
+ */
+const bookmarkSession = async (req, res, next) => {
+  try {
+    const found = findBookmarkableSession(req, res);
+    if (!found) return;
+    const { event, session } = found;
+
+    const bookmarks = activeBookmarks(event, session);
+    if (!bookmarks.includes(req.user.id)) {
+      if (session.capacity && bookmarks.length >= session.capacity) {
+        return res.status(409).json({ error: "This session is full" });
+      }
+
+      updateEvent(event.id, {
+        sessions: event.sessions.map((s) =>
+          s.id === session.id
+            ? { ...s, bookmarks: [...bookmarks, req.user.id] }
+            : s
+        ),
+      });
+    }
+
+    const updated = findEventById(event.id);
+    res.status(200).json({
+      message: "Session added to your agenda",
+      session: toAgendaSession(
+        updated,
+        updated.sessions.find((s) => s.id === session.id),
+        req.user.id
+      ),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a session from the current user's agenda
+ * DELETE /events/:id/sessions/:sessionId/bookmark
+ */
+const removeBookmark = async (req, res, next) => {
+  try {
+    const found = findBookmarkableSession(req, res);
+    if (!found) return;
+    const { event, session } = found;
+
+    if (!(session.bookmarks || []).includes(req.user.id)) {
+      return res.status(404).json({ error: "This session is not on your agenda" });
+    }
+
+    updateEvent(event.id, {
+      sessions: event.sessions.map((s) =>
+        s.id === session.id
+          ? { ...s, bookmarks: s.bookmarks.filter((id) => id !== req.user.id) }
+          : s
+      ),
+    });
+
+    res.status(200).json({ message: "Session removed from your agenda" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSessions,
+  createSession,
+  updateSession,
+  deleteSession,
+  bookmarkSession,
+  removeBookmark,
+};
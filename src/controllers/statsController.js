@@ -0,0 +1,80 @@
+const { findEventById, findEventsByOrganizerId } = require("../data/events");
+const { validateStatsQuery } = require("../utils/validators");
+const { canOnEvent } = require("../services/eventPolicy");
+const { buildStats } = require("../services/analyticsService");
+
+/**
+ * Get the analytics report of an event
+ * GET /events/:id/stats?from=&to=&interval=day|week|month&tz=
+ * The owner and co-organizers can view it. `tz` defaults to the user's
+ * profile time zone, then the event's.
+ */
+const getEventStats = async (req, res, next) => {
+  try {
+    const event = findEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    // Check the user's permissions on this event
+    if (!canOnEvent(req.user, event, "event:stats")) {
+      return res.status(403).json({
+        error: "Access denied. You are not allowed to view the statistics of this event.",
+      });
+    }
+
+    const errors = validateStatsQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const { from, to, interval, tz } = req.query;
+    const { stats, error } = buildStats([event], {
+      from,
+      to,
+      interval,
+      timezone: tz || req.user.timezone || event.timezone,
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.status(200).json({ eventId: event.id, ...stats });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the combined analytics report of every event the current user owns
+ * GET /me/stats?from=&to=&interval=day|week|month&tz=
+ */
+const getOrganizerStats = async (req, res, next) => {
+  try {
+    const errors = validateStatsQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const events = findEventsByOrganizerId(req.user.id);
+    const { from, to, interval, tz } = req.query;
+    const { stats, error } = buildStats(events, {
+      from,
+      to,
+      interval,
+      timezone: tz || req.user.timezone || "UTC",
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.status(200).json({ eventCount: events.length, ...stats });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getEventStats,
+  getOrganizerStats,
+};
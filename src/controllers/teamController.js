@@ -0,0 +1,244 @@
+const { findEventById } = require("../data/events");
+const { findUserByEmail, findUserById } = require("../data/users");
+const { hasPermission } = require("../config/permissions");
+const { validateTeamRole, validateTeamInvitation } = require("../utils/validators");
+const { serializeEvent } = require("../utils/serializers");
+const { canOnEvent, getEventRole } = require("../services/eventPolicy");
+const { saveTeam, toTeamMember, transferOwnership } = require("../services/eventTeamService");
+const { sendTeamInvitationEmail } = require("../services/emailService");
+
+/**
+ * Load an event on which the current user has a permission
+ * Sends the 404/403 response and returns null otherwise
+ */
+const findEventFor = (req, res, permission, action) => {
+  const event = findEventById(req.params.id);
+  if (!event) {
+    res.status(404).json({ error: "Event not found" });
+    return null;
+  }
+
+  // Check the user's permissions on this event
+  if (!canOnEvent(req.user, event, permission)) {
+    res.status(403).json({ error: `Access denied. You are not allowed to ${action}.` });
+    return null;
+  }
+
+  return event;
+};
+
+/**
+ * Get the event team, including pending invitations
+ * GET /events/:id/team
+ */
+const getTeam = async (req, res, next) => {
+  try {
+    const event = findEventFor(req, res, "event:roster", "view this event's team");
+    if (!event) return;
+
+    const owner = findUserById(event.organizerId);
+
+    res.status(200).json({
+      owner: owner ? { userId: owner.id, name: owner.name, email: owner.email } : null,
+      members: event.team || [],
+      role: getEventRole(event, req.user.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Invite a registered user to the event team
+ * POST /events/:id/team
+ * The invitee gets an email and joins once they accept
+ */
+const inviteTeamMember = async (req, res, next) => {
+  try {
+    const event = findEventFor(req, res, "event:team", "manage this event's team");
+    if (!event) return;
+
+    const { email, role } = req.body;
+    const errors = validateTeamInvitation(email, role);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const user = findUserByEmail(email.toLowerCase().trim());
+    if (!user) {
+      return res.status(404).json({ error: "No user registered with this email" });
+    }
+    if (user.id === event.organizerId) {
+      return res.status(409).json({ error: "The event owner cannot join its team" });
+    }
+
+    const team = event.team || [];
+    if (team.some((member) => member.userId === user.id)) {
+      return res.status(409).json({ error: "User is already on the team or invited" });
+    }
+
+    const member = toTeamMember(user, role, { status: "invited", invitedBy: req.user.id });
+    saveTeam(event, [...team, member]);
+
+    sendTeamInvitationEmail(user, event, { inviterName: req.user.name, role }).catch((err) =>
+      console.error("Email sending failed:", err.message)
+    );
+
+    res.status(201).json({ message: "Team invitation sent", member });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept an invitation to the event team
+ * POST /events/:id/team/accept
+ */
+const acceptTeamInvitation = async (req, res, next) => {
+  try {
+    const event = findEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    const team = event.team || [];
+    const invitation = team.find(
+      (member) => member.userId === req.user.id && member.status === "invited"
+    );
+    if (!invitation) {
+      return res.status(404).json({ error: "You have no pending invitation for this event" });
+    }
+
+    const member = { ...invitation, status: "active", joinedAt: new Date().toISOString() };
+    saveTeam(
+      event,
+      team.map((entry) => (entry.userId === member.userId ? member : entry))
+    );
+
+    res.status(200).json({ message: "You have joined the event team", member });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change the role of a team member
+ * PATCH /events/:id/team/:userId
+ */
+const updateTeamMember = async (req, res, next) => {
+  try {
+    const event = findEventFor(req, res, "event:team", "manage this event's team");
+    if (!event) return;
+
+    const errors = validateTeamRole(req.body.role);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const team = event.team || [];
+    const existing = team.find((member) => member.userId === req.params.userId);
+    if (!existing) {
+      return res.status(404).json({ error: "Team member not found" });
+    }
+
+    const member = { ...existing, role: req.body.role };
+    saveTeam(
+      event,
+      team.map((entry) => (entry.userId === member.userId ? member : entry))
+    );
+
+    res.status(200).json({ message: "Team member updated successfully", member });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a team member or withdraw an invitation
+ * DELETE /events/:id/team/:userId
+ * Members may also remove themselves (leave the team or decline)
+ */
+const removeTeamMember = async (req, res, next) => {
+  try {
+    const event = findEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    const leaving = req.params.userId === req.user.id;
+    if (!leaving && !canOnEvent(req.user, event, "event:team")) {
+      return res.status(403).json({
+        error: "Access denied. You are not allowed to manage this event's team.",
+      });
+    }
+
+    const team = event.team || [];
+    if (!team.some((member) => member.userId === req.params.userId)) {
+      return res.status(404).json({ error: "Team member not found" });
+    }
+
+    saveTeam(
+      event,
+      team.filter((member) => member.userId !== req.params.userId)
+    );
+
+    res.status(200).json({
+      message: leaving ? "You have left the event team" : "Team member removed successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Hand ownership of an event (and its whole series) to a team member
+ * POST /events/:id/transfer
+ * The new owner must be an organizer; the previous owner stays on the
+ * team as a co-organizer.
+ */
+const transferEventOwnership = async (req, res, next) => {
+  try {
+    const event = findEventFor(req, res, "event:transfer", "transfer this event");
+    if (!event) return;
+
+    const { userId } = req.body;
+    if (!userId || typeof userId !== "string") {
+      return res.status(400).json({ error: "userId is required" });
+    }
+
+    const member = (event.team || []).find(
+      (entry) => entry.userId === userId && entry.status === "active"
+    );
+    const user = member && findUserById(userId);
+    if (!user) {
+      return res.status(400).json({ error: "The new owner must be an active team member" });
+    }
+    if (!hasPermission(user.role, "events:create")) {
+      return res.status(400).json({ error: "The new owner must have the organizer role" });
+    }
+    if (user.status === "suspended") {
+      return res.status(400).json({ error: "The new owner is suspended" });
+    }
+
+    const transferredCount = transferOwnership(event, user, {
+      previousOwnerRole: "co-organizer",
+    });
+
+    res.status(200).json({
+      message: "Event ownership transferred successfully",
+      event: serializeEvent(findEventById(event.id)),
+      ...(event.seriesId && { transferredCount }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTeam,
+  inviteTeamMember,
+  acceptTeamInvitation,
+  updateTeamMember,
+  removeTeamMember,
+  transferEventOwnership,
+};
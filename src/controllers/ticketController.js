@@ -0,0 +1,289 @@
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config/config");
+const { findEventById, updateEvent } = require("../data/events");
+const { parseDateTime } = require("../utils/dates");
+const { validateTicketType, validatePromoCode } = require("../utils/validators");
+const { hasPermission } = require("../config/permissions");
+const { canOnEvent } = require("../services/eventPolicy");
+const {
+  getTicketAvailability,
+  countSeats,
+  countRedemptions,
+} = require("../services/ticketService");
+
+// Ticket type fields organizers may set
+const TICKET_TYPE_FIELDS = ["name", "price", "currency", "capacity", "salesStart", "salesEnd"];
+
+/**
+ * Load an event whose tickets the current user may manage
+ * Sends the 404/403/409 response and returns null otherwise
+ */
+const findEditableEvent = (req, res) => {
+  const event = findEventById(req.params.id);
+  if (!event) {
+    res.status(404).json({ error: "Event not found" });
+    return null;
+  }
+
+  // Check the user's permissions on this event
+  if (!canOnEvent(req.user, event, "event:edit")) {
+    res.status(403).json({
+      error: "Access denied. You are not allowed to manage tickets for this event.",
+    });
+    return null;
+  }
+
+  if (event.status === "cancelled") {
+    res.status(409).json({ error: "Tickets of cancelled events cannot be changed" });
+    return null;
+  }
+
+  return event;
+};
+
+/**
+ * Normalize a validated ticket type for storage
+ */
+const toTicketType = (input, timezone) => {
+  const toIso = (value) => (value ? new Date(parseDateTime(value, timezone)).toISOString() : null);
+
+  return {
+    id: input.id,
+    name: input.name.trim(),
+    price: input.price,
+    currency: (input.currency || config.payments.currency).toUpperCase(),
+    capacity: input.capacity || null,
+    salesStart: toIso(input.salesStart),
+    salesEnd: toIso(input.salesEnd),
+  };
+};
+
+/**
+ * List an event's ticket types with their availability
+ * GET /events/:id/ticket-types
+ */
+const getTicketTypes = async (req, res, next) => {
+  try {
+    const event = findEventById(req.params.id);
+
+    // Taken-down events are only visible to moderators
+    if (!event || (event.takenDownAt && !hasPermission(req.user.role, "events:moderate"))) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    res.status(200).json({ ticketTypes: getTicketAvailability(event) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a ticket type to an event
+ * POST /events/:id/ticket-types
+ * Once an event has ticket types, seats are only sold through orders, so
+ * events with people on their waitlist cannot start selling tickets
+ */
+const createTicketType = async (req, res, next) => {
+  try {
+    const event = findEditableEvent(req, res);
+    if (!event) return;
+
+    if (event.waitlist.length > 0) {
+      return res.status(409).json({
+        error: "Ticket types cannot be added while people are on the waitlist",
+      });
+    }
+
+    const input = {};
+    TICKET_TYPE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) input[field] = req.body[field];
+    });
+
+    const errors = validateTicketType(input, event.timezone);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const ticketType = toTicketType({ ...input, id: uuidv4() }, event.timezone);
+    updateEvent(event.id, { ticketTypes: [...(event.ticketTypes || []), ticketType] });
+
+    res.status(201).json({ message: "Ticket type created successfully", ticketType });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a ticket type
+ * PUT /events/:id/ticket-types/:ticketTypeId
+ * Omitted fields keep their value. Price changes apply to new orders only.
+ */
+const updateTicketType = async (req, res, next) => {
+  try {
+    const event = findEditableEvent(req, res);
+    if (!event) return;
+
+    const ticketTypes = event.ticketTypes || [];
+    const existing = ticketTypes.find((t) => t.id === req.params.ticketTypeId);
+    if (!existing) {
+      return res.status(404).json({ error: "Ticket type not found" });
+    }
+
+    const input = { ...existing };
+    TICKET_TYPE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) input[field] = req.body[field];
+    });
+
+    const errors = validateTicketType(input, event.timezone);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const { sold, held } = countSeats(event, existing.id);
+    if (input.capacity && input.capacity < sold + held) {
+      return res.status(409).json({
+        error: `Capacity cannot be lower than the ${sold + held} ticket(s) sold or reserved`,
+      });
+    }
+
+    const ticketType = toTicketType(input, event.timezone);
+    updateEvent(event.id, {
+      ticketTypes: ticketTypes.map((t) => (t.id === ticketType.id ? ticketType : t)),
+    });
+
+    res.status(200).json({ message: "Ticket type updated successfully", ticketType });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a ticket type that has not sold any tickets
+ * DELETE /events/:id/ticket-types/:ticketTypeId
+ */
+const deleteTicketType = async (req, res, next) => {
+  try {
+    const event = findEditableEvent(req, res);
+    if (!event) return;
+
+    const ticketTypes = event.ticketTypes || [];
+    if (!ticketTypes.some((t) => t.id === req.params.ticketTypeId)) {
+      return res.status(404).json({ error: "Ticket type not found" });
+    }
+
+    const { sold, held } = countSeats(event, req.params.ticketTypeId);
+    if (sold + held > 0) {
+      return res.status(409).json({
+        error: "Ticket types with sold or reserved tickets cannot be deleted",
+      });
+    }
+
+    const withoutTicketType = (ids) => ids && ids.filter((id) => id !== req.params.ticketTypeId);
+    updateEvent(event.id, {
+      ticketTypes: ticketTypes.filter((t) => t.id !== req.params.ticketTypeId),
+      promoCodes: (event.promoCodes || []).map((promo) => ({
+        ...promo,
+        ticketTypeIds: withoutTicketType(promo.ticketTypeIds),
+      })),
+    });
+
+    res.status(200).json({ message: "Ticket type deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List an event's promo codes with their redemption counts
+ * GET /events/:id/promo-codes
+ */
+const getPromoCodes = async (req, res, next) => {
+  try {
+    const event = findEditableEvent(req, res);
+    if (!event) return;
+
+    res.status(200).json({
+      promoCodes: (event.promoCodes || []).map((promo) => ({
+        ...promo,
+        redemptions: countRedemptions(event, promo.code),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a promo code
+ * POST /events/:id/promo-codes
+ * Codes are case-insensitive and stored upper case
+ */
+const createPromoCode = async (req, res, next) => {
+  try {
+    const event = findEditableEvent(req, res);
+    if (!event) return;
+
+    const ticketTypes = event.ticketTypes || [];
+    const errors = validatePromoCode(req.body, ticketTypes, event.timezone);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const { code, percentOff, amountOff, maxRedemptions, expiresAt, ticketTypeIds } = req.body;
+    const promoCodes = event.promoCodes || [];
+    if (promoCodes.some((promo) => promo.code === code.toUpperCase())) {
+      return res.status(409).json({ error: "A promo code with this code already exists" });
+    }
+
+    const promoCode = {
+      code: code.toUpperCase(),
+      percentOff: percentOff || null,
+      amountOff: amountOff || null,
+      maxRedemptions: maxRedemptions || null,
+      expiresAt: expiresAt
+        ? new Date(parseDateTime(expiresAt, event.timezone)).toISOString()
+        : null,
+      ticketTypeIds: ticketTypeIds || null,
+      createdAt: new Date().toISOString(),
+    };
+    updateEvent(event.id, { promoCodes: [...promoCodes, promoCode] });
+
+    res.status(201).json({ message: "Promo code created successfully", promoCode });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a promo code
+ * DELETE /events/:id/promo-codes/:code
+ * Orders that already used it keep their discount
+ */
+const deletePromoCode = async (req, res, next) => {
+  try {
+    const event = findEditableEvent(req, res);
+    if (!event) return;
+
+    const code = req.params.code.toUpperCase();
+    const promoCodes = event.promoCodes || [];
+    if (!promoCodes.some((promo) => promo.code === code)) {
+      return res.status(404).json({ error: "Promo code not found" });
+    }
+
+    updateEvent(event.id, { promoCodes: promoCodes.filter((promo) => promo.code !== code) });
+
+    res.status(200).json({ message: "Promo code deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTicketTypes,
+  createTicketType,
+  updateTicketType,
+  deleteTicketType,
+  getPromoCodes,
+  createPromoCode,
+  deletePromoCode,
+};
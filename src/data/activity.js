@@ -0,0 +1,62 @@
+const { createStore } = require("./store");
+const { createHashIndex } = require("./store/indexes");
+
+// Append-only log of domain actions on events, read by the analytics
+// endpoints (backend chosen by config.storage.driver)
+const store = createStore("activity");
+
+// Secondary indexes, kept in sync by the write functions below
+const byEvent = createHashIndex((entry) => entry.eventId);
+const byUser = createHashIndex((entry) => entry.userId);
+const indexes = [byEvent, byUser];
+
+const indexEntry = (entry) => indexes.forEach((index) => index.add(entry));
+const unindexEntry = (entry) => indexes.forEach((index) => index.remove(entry));
+
+store.all().forEach(indexEntry);
+
+/**
+ * Append an entry to the log
+ */
+const addActivity = (entry) => {
+  const added = store.insert(entry);
+  indexEntry(added);
+  return added;
+};
+
+/**
+ * Get the logged actions of a set of events, oldest first
+ */
+const findActivityByEventIds = (eventIds) => {
+  return eventIds
+    .flatMap((eventId) => [...byEvent.get(eventId)])
+    .map((id) => store.get(id))
+    .sort((a, b) => a.occurredAt.localeCompare(b.occurredAt));
+};
+
+/**
+ * Detach a user from their logged actions
+ * The actions keep counting; they just no longer point to the user.
+ */
+const anonymizeActivity = (userId) => {
+  [...byUser.get(userId)].forEach((id) => {
+    const existing = store.get(id);
+    unindexEntry(existing);
+    indexEntry(store.update(id, { userId: null }));
+  });
+};
+
+/**
+ * Clear the log (for testing)
+ */
+const clearActivity = () => {
+  store.clear();
+  indexes.forEach((index) => index.clear());
+};
+
+module.exports = {
+  addActivity,
+  findActivityByEventIds,
+  anonymizeActivity,
+  clearActivity,
+};
@@ -0,0 +1,71 @@
+const { createStore } = require("./store");
+
+// Outbound email jobs (backend chosen by config.storage.driver)
+// Jobs are removed once sent; failed jobs stay as dead letters
+const store = createStore("emailJobs");
+
+/**
+ * Add a new email job
+ */
+const addEmailJob = (job) => {
+  return store.insert(job);
+};
+
+/**
+ * Find an email job by ID
+ */
+const findEmailJobById = (id) => {
+  return store.get(id);
+};
+
+/**
+ * Update an existing email job
+ */
+const updateEmailJob = (id, updatedData) => {
+  return store.update(id, updatedData);
+};
+
+/**
+ * Remove an email job
+ */
+const removeEmailJob = (id) => {
+  return store.remove(id);
+};
+
+/**
+ * Get email jobs, optionally only those with a given status
+ * Oldest first
+ */
+const getEmailJobs = (status) => {
+  const jobs = store.all();
+  return status ? jobs.filter((job) => job.status === status) : jobs;
+};
+
+/**
+ * Get the oldest pending job that is due for an attempt
+ */
+const findDueEmailJob = (now, skipIds = new Set()) => {
+  return store.find(
+    (job) =>
+      job.status === "pending" &&
+      Date.parse(job.nextAttemptAt) <= now &&
+      !skipIds.has(job.id)
+  );
+};
+
+/**
+ * Clear all email jobs (for testing)
+ */
+const clearEmailJobs = () => {
+  store.clear();
+};
+
+module.exports = {
+  addEmailJob,
+  findEmailJobById,
+  updateEmailJob,
+  removeEmailJob,
+  getEmailJobs,
+  findDueEmailJob,
+  clearEmailJobs,
+};
@@ -1,61 +1,275 @@
-// In-memory event store
-const events = [];
+const config = require("../config/config");
+const { createStore } = require("./store");
+const { createHashIndex, createSortedIndex } = require("./store/indexes");
+const { parseDateTime } = require("../utils/dates");
+
+// Event store (backend chosen by config.storage.driver)
+const store = createStore("events");
+
+/**
+ * Migrate an event stored with the legacy free-text `date`/`time` fields
+ * to `startsAt`/`endsAt` instants. Legacy values carried no time zone, so
+ * they are read as UTC. Values that cannot be parsed are kept in
+ * `legacySchedule` until the organizer reschedules the event.
+ */
+const migrateLegacySchedule = (event) => {
+  const { date, time, ...rest } = event;
+  const start = parseDateTime(`${date}T${time}`, "UTC");
+  const duration = config.defaultEventDurationMinutes * 60 * 1000;
+
+  return {
+    ...rest,
+    timezone: "UTC",
+    startsAt: start === null ? null : new Date(start).toISOString(),
+    endsAt: start === null ? null : new Date(start + duration).toISOString(),
+    ...(start === null && { legacySchedule: { date, time } }),
+  };
+};
+
+store
+  .all()
+  .filter((event) => event.startsAt === undefined)
+  .forEach((event) => store.insert(migrateLegacySchedule(event)));
+
+/**
+ * Split free text into lowercase search tokens
+ */
+const tokenize = (text) => {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+};
+
+/**
+ * Sortable key for an event's start (UTC ISO strings sort chronologically)
+ */
+const dateKey = (event) => event.startsAt || "";
+
+// Secondary indexes, kept in sync by the write functions below
+const byOrganizer = createHashIndex((event) => event.organizerId);
+const bySeries = createHashIndex((event) => event.seriesId);
+const byDate = createSortedIndex(dateKey);
+const byToken = createHashIndex((event) => [
+  ...new Set(tokenize(`${event.title} ${event.description} ${event.location || ""}`)),
+]);
+// Users with an entry on the event: registered, waitlisted or cancelled
+const byAttendee = createHashIndex((event) => [
+  ...new Set(
+    [event.participants, event.waitlist, event.cancellations]
+      .flatMap((entries) => entries || [])
+      .map((entry) => entry.userId)
+  ),
+]);
+const byTeamMember = createHashIndex((event) =>
+  (event.team || []).filter((member) => member.status === "active").map((m) => m.userId)
+);
+const indexes = [byOrganizer, bySeries, byDate, byToken, byAttendee, byTeamMember];
+
+/**
+ * Look up indexed event IDs and return the events in date order
+ */
+const inDateOrder = (ids) => {
+  return [...ids]
+    .map((id) => store.get(id))
+    .sort((a, b) => (dateKey(a) < dateKey(b) ? -1 : dateKey(a) > dateKey(b) ? 1 : 0));
+};
+
+const indexEvent = (event) => indexes.forEach((index) => index.add(event));
+const unindexEvent = (event) => indexes.forEach((index) => index.remove(event));
+
+store.all().forEach(indexEvent);
+
+// Listeners called with (previous, updated) after every event update
+const changeListeners = [];
+
+/**
+ * Register a listener for event updates
+ * Used to push live changes to subscribed clients
+ */
+const onEventChange = (listener) => {
+  changeListeners.push(listener);
+};
 
 /**
  * Find an event by ID
  */
 const findEventById = (id) => {
-  return events.find((event) => event.id === id);
+  return store.get(id);
 };
 
 /**
  * Add a new event
  */
 const addEvent = (event) => {
-  events.push(event);
-  return event;
+  const added = store.insert(event);
+  indexEvent(added);
+  return added;
 };
 
 /**
  * Update an existing event
  */
 const updateEvent = (id, updatedData) => {
-  const index = events.findIndex((event) => event.id === id);
-  if (index === -1) return null;
-  events[index] = { ...events[index], ...updatedData };
-  return events[index];
+  const existing = store.get(id);
+  if (!existing) return null;
+  unindexEvent(existing);
+  const updated = store.update(id, updatedData);
+  indexEvent(updated);
+  changeListeners.forEach((listener) => listener(existing, updated));
+  return updated;
 };
 
 /**
  * Delete an event by ID
  */
 const deleteEvent = (id) => {
-  const index = events.findIndex((event) => event.id === id);
-  if (index === -1) return null;
-  const deleted = events.splice(index, 1);
-  return deleted[0];
+  const deleted = store.remove(id);
+  if (deleted) unindexEvent(deleted);
+  return deleted;
 };
 
 /**
  * Get all events
  */
 const getAllEvents = () => {
-  return events;
+  return store.all();
+};
+
+/**
+ * Get all occurrences of an event series in date order
+ */
+const findEventsBySeriesId = (seriesId) => {
+  return inDateOrder(bySeries.get(seriesId));
+};
+
+/**
+ * Get every event organized by a user, in date order
+ */
+const findEventsByOrganizerId = (organizerId) => {
+  return inDateOrder(byOrganizer.get(organizerId));
+};
+
+/**
+ * Get every event a user is registered for, waitlisted on or cancelled
+ * their registration for, in date order
+ */
+const findEventsByAttendeeId = (userId) => {
+  return inDateOrder(byAttendee.get(userId));
+};
+
+/**
+ * Get every event on whose team a user is an active member, in date order
+ */
+const findEventsByTeamMemberId = (userId) => {
+  return inDateOrder(byTeamMember.get(userId));
+};
+
+/**
+ * Get IDs of events matching every search token (prefix match)
+ * Returns null when the search text has no tokens
+ */
+const matchSearch = (search) => {
+  const tokens = tokenize(search);
+  let matched = null;
+
+  tokens.forEach((token) => {
+    const ids = new Set();
+    for (const key of byToken.keys()) {
+      if (key.startsWith(token)) {
+        byToken.get(key).forEach((id) => ids.add(id));
+      }
+    }
+    matched = matched ? new Set([...matched].filter((id) => ids.has(id))) : ids;
+  });
+
+  return matched;
+};
+
+/**
+ * Check whether an event still has free seats
+ */
+const hasSeatsLeft = (event) => {
+  return !event.maxParticipants || event.participants.length < event.maxParticipants;
+};
+
+/**
+ * Query events with filtering, sorting and pagination
+ * `from` and `to` are inclusive UTC ISO instants bounding the start time.
+ * `status` is "active" (default), "cancelled" or "all".
+ * Events taken down by a moderator are never listed.
+ * Returns the requested page of events and the total number of matches
+ */
+const queryEvents = ({
+  search,
+  from,
+  to,
+  organizerId,
+  seriesId,
+  hasSeats,
+  status = "active",
+  sort = "date",
+  order = "asc",
+  page = 1,
+  limit = 20,
+} = {}) => {
+  // Narrow the candidates with the hash indexes first
+  const filters = [];
+  if (organizerId) filters.push(byOrganizer.get(organizerId));
+  if (seriesId) filters.push(bySeries.get(seriesId));
+  const searchMatches = search && matchSearch(search);
+  if (searchMatches) filters.push(searchMatches);
+
+  // The date index yields IDs in start order and applies the date range
+  let ids = byDate.range(from, to);
+  filters.forEach((set) => {
+    ids = ids.filter((id) => set.has(id));
+  });
+
+  let matches = ids.map((id) => store.get(id)).filter((event) => !event.takenDownAt);
+  if (status !== "all") {
+    matches = matches.filter((event) => (event.status || "active") === status);
+  }
+  if (hasSeats) matches = matches.filter(hasSeatsLeft);
+
+  const sign = order === "desc" ? -1 : 1;
+  if (sort === "popularity") {
+    // `order` applies to popularity; equally popular events stay in date order
+    matches.sort(
+      (a, b) =>
+        sign * (a.participants.length - b.participants.length) ||
+        (dateKey(a) < dateKey(b) ? -1 : dateKey(a) > dateKey(b) ? 1 : 0)
+    );
+  } else if (sign < 0) {
+    matches.reverse();
+  }
+
+  const start = (page - 1) * limit;
+  return {
+    events: matches.slice(start, start + limit),
+    total: matches.length,
+  };
 };
 
 /**
  * Clear all events (for testing)
  */
 const clearEvents = () => {
-  events.length = 0;
+  store.clear();
+  indexes.forEach((index) => index.clear());
 };
 
 module.exports = {
-  events,
   findEventById,
   addEvent,
   updateEvent,
+  onEventChange,
   deleteEvent,
   getAllEvents,
+  findEventsBySeriesId,
+  findEventsByOrganizerId,
+  findEventsByAttendeeId,
+  findEventsByTeamMemberId,
+  queryEvents,
   clearEvents,
 };
@@ -0,0 +1,69 @@
+const { createStore } = require("./store");
+
+// Ticket orders (backend chosen by config.storage.driver)
+const store = createStore("orders");
+
+/**
+ * Find an order by ID
+ */
+const findOrderById = (id) => {
+  return store.get(id);
+};
+
+/**
+ * Find the order paid through a payment intent
+ */
+const findOrderByPaymentIntentId = (paymentIntentId) => {
+  return store.find((order) => order.paymentIntentId === paymentIntentId);
+};
+
+/**
+ * Get the orders of an event, oldest first
+ */
+const findOrdersByEventId = (eventId) => {
+  return store
+    .all()
+    .filter((order) => order.eventId === eventId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+/**
+ * Get a user's orders, newest first
+ */
+const findOrdersByUserId = (userId) => {
+  return store
+    .all()
+    .filter((order) => order.userId === userId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Add a new order
+ */
+const addOrder = (order) => {
+  return store.insert(order);
+};
+
+/**
+ * Update an existing order
+ */
+const updateOrder = (id, updatedData) => {
+  return store.update(id, updatedData);
+};
+
+/**
+ * Clear all orders (for testing)
+ */
+const clearOrders = () => {
+  store.clear();
+};
+
+module.exports = {
+  findOrderById,
+  findOrderByPaymentIntentId,
+  findOrdersByEventId,
+  findOrdersByUserId,
+  addOrder,
+  updateOrder,
+  clearOrders,
+};
@@ -0,0 +1,69 @@
+const { createStore } = require("./store");
+
+// Requests to be promoted to organizer (backend chosen by config.storage.driver)
+const store = createStore("organizerRequests");
+
+/**
+ * Find an organizer request by ID
+ */
+const findOrganizerRequestById = (id) => {
+  return store.get(id);
+};
+
+/**
+ * Get a user's organizer requests, newest first
+ */
+const findOrganizerRequestsByUserId = (userId) => {
+  return store
+    .all()
+    .filter((request) => request.userId === userId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Get organizer requests, optionally by status, oldest first
+ */
+const getOrganizerRequests = (status) => {
+  return store
+    .all()
+    .filter((request) => !status || request.status === status)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+/**
+ * Add a new organizer request
+ */
+const addOrganizerRequest = (request) => {
+  return store.insert(request);
+};
+
+/**
+ * Update an existing organizer request
+ */
+const updateOrganizerRequest = (id, updatedData) => {
+  return store.update(id, updatedData);
+};
+
+/**
+ * Remove every organizer request of a user
+ */
+const removeOrganizerRequestsByUserId = (userId) => {
+  return findOrganizerRequestsByUserId(userId).map((request) => store.remove(request.id));
+};
+
+/**
+ * Clear all organizer requests (for testing)
+ */
+const clearOrganizerRequests = () => {
+  store.clear();
+};
+
+module.exports = {
+  findOrganizerRequestById,
+  findOrganizerRequestsByUserId,
+  getOrganizerRequests,
+  addOrganizerRequest,
+  updateOrganizerRequest,
+  removeOrganizerRequestsByUserId,
+  clearOrganizerRequests,
+};
@@ -0,0 +1,29 @@
+const { createMemoryCounterStore } = require("./store/counterStore");
+
+// Active counter store for rate limiting and login lockout
+let counterStore = createMemoryCounterStore();
+
+/**
+ * Get the active counter store
+ */
+const getCounterStore = () => counterStore;
+
+/**
+ * Replace the counter store (e.g. with a shared one for multiple instances)
+ */
+const setCounterStore = (store) => {
+  counterStore = store;
+};
+
+/**
+ * Clear all rate limit counters (for testing)
+ */
+const clearRateLimits = () => {
+  counterStore.clear();
+};
+
+module.exports = {
+  getCounterStore,
+  setCounterStore,
+  clearRateLimits,
+};
@@ -0,0 +1,62 @@
+const { createStore } = require("./store");
+
+// Pending event reminders (backend chosen by config.storage.driver)
+// A reminder is removed once it has been sent
+const store = createStore("reminders");
+
+/**
+ * Add a new reminder
+ */
+const addReminder = (reminder) => {
+  return store.insert(reminder);
+};
+
+/**
+ * Remove a reminder by ID
+ */
+const removeReminder = (id) => {
+  return store.remove(id);
+};
+
+/**
+ * Get the pending reminders of an event, earliest first
+ */
+const findRemindersByEventId = (eventId) => {
+  return store
+    .all()
+    .filter((reminder) => reminder.eventId === eventId)
+    .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+};
+
+/**
+ * Get the reminders that are due at a point in time, earliest first
+ */
+const findDueReminders = (now) => {
+  return store
+    .all()
+    .filter((reminder) => Date.parse(reminder.sendAt) <= now)
+    .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+};
+
+/**
+ * Remove every pending reminder of an event
+ */
+const removeRemindersByEventId = (eventId) => {
+  return findRemindersByEventId(eventId).map((reminder) => store.remove(reminder.id));
+};
+
+/**
+ * Clear all reminders (for testing)
+ */
+const clearReminders = () => {
+  store.clear();
+};
+
+module.exports = {
+  addReminder,
+  removeReminder,
+  findRemindersByEventId,
+  findDueReminders,
+  removeRemindersByEventId,
+  clearReminders,
+};
@@ -0,0 +1,39 @@
+const { createStore } = require("./store");
+
+// Event series store (backend chosen by config.storage.driver)
+const store = createStore("series");
+
+/**
+ * Find a series by ID
+ */
+const findSeriesById = (id) => {
+  return store.get(id);
+};
+
+/**
+ * Add a new series
+ */
+const addSeries = (series) => {
+  return store.insert(series);
+};
+
+/**
+ * Update an existing series
+ */
+const updateSeries = (id, updatedData) => {
+  return store.update(id, updatedData);
+};
+
+/**
+ * Clear all series (for testing)
+ */
+const clearSeries = () => {
+  store.clear();
+};
+
+module.exports = {
+  findSeriesById,
+  addSeries,
+  updateSeries,
+  clearSeries,
+};
@@ -0,0 +1,56 @@
+/**
+ * In-memory sliding-window counter store
+ * Keeps the timestamps of recent hits per key. Any store exposing the same
+ * interface (hit, peek, reset, clear) can be plugged in through
+ * setCounterStore in data/rateLimits.js, e.g. one backed by Redis.
+ */
+const createMemoryCounterStore = () => {
+  const hits = new Map();
+
+  // Drop timestamps that have slid out of the window
+  const recent = (key, windowMs, now) => {
+    const timestamps = (hits.get(key) || []).filter((t) => t > now - windowMs);
+    if (timestamps.length === 0) {
+      hits.delete(key);
+    } else {
+      hits.set(key, timestamps);
+    }
+    return timestamps;
+  };
+
+  return {
+    /**
+     * Record a hit and return the timestamps inside the window (oldest first)
+     */
+    hit: (key, windowMs, now = Date.now()) => {
+      const timestamps = [...recent(key, windowMs, now), now];
+      hits.set(key, timestamps);
+      return timestamps;
+    },
+
+    /**
+     * Return the timestamps inside the window without recording a hit
+     */
+    peek: (key, windowMs, now = Date.now()) => {
+      return recent(key, windowMs, now);
+    },
+
+    /**
+     * Forget all hits for a key
+     */
+    reset: (key) => {
+      hits.delete(key);
+    },
+
+    /**
+     * Forget all hits
+     */
+    clear: () => {
+      hits.clear();
+    },
+  };
+};
+
+module.exports = {
+  createMemoryCounterStore,
+};
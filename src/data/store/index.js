@@ -0,0 +1,24 @@
+const config = require("../../config/config");
+const { createMemoryStore } = require("./memoryStore");
+const { createJournalStore } = require("./journalStore");
+
+/**
+ * Create a named record store using the configured storage driver
+ *
+ * Every store exposes the same synchronous interface:
+ * get, all, find, insert, update, remove, clear
+ */
+const createStore = (name) => {
+  switch (config.storage.driver) {
+    case "memory":
+      return createMemoryStore();
+    case "journal":
+      return createJournalStore(name, { dir: config.storage.dir });
+    default:
+      throw new Error(`Unknown storage driver: ${config.storage.driver}`);
+  }
+};
+
+module.exports = {
+  createStore,
+};
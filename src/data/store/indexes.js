@@ -0,0 +1,105 @@
+/**
+ * Hash index mapping one or more keys per record to record IDs
+ * `keysOf(record)` returns a key or an array of keys
+ */
+const createHashIndex = (keysOf) => {
+  const buckets = new Map();
+
+  const toKeys = (record) => {
+    const keys = keysOf(record);
+    if (keys === undefined || keys === null) return [];
+    return Array.isArray(keys) ? keys : [keys];
+  };
+
+  return {
+    add: (record) => {
+      toKeys(record).forEach((key) => {
+        if (!buckets.has(key)) buckets.set(key, new Set());
+        buckets.get(key).add(record.id);
+      });
+    },
+
+    remove: (record) => {
+      toKeys(record).forEach((key) => {
+        const bucket = buckets.get(key);
+        if (!bucket) return;
+        bucket.delete(record.id);
+        if (bucket.size === 0) buckets.delete(key);
+      });
+    },
+
+    /**
+     * Get the set of record IDs stored under a key
+     */
+    get: (key) => buckets.get(key) || new Set(),
+
+    /**
+     * Iterate over all keys in the index
+     */
+    keys: () => buckets.keys(),
+
+    clear: () => {
+      buckets.clear();
+    },
+  };
+};
+
+/**
+ * Sorted index ordering record IDs by a comparable key
+ * Supports range lookups with binary search
+ */
+const createSortedIndex = (keyOf) => {
+  let entries = [];
+
+  // First position whose key is >= key (or > key when `after` is set)
+  const bound = (key, after) => {
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      const midKey = entries[mid].key;
+      if (midKey < key || (after && midKey === key)) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  };
+
+  return {
+    add: (record) => {
+      const key = keyOf(record);
+      entries.splice(bound(key, true), 0, { key, id: record.id });
+    },
+
+    remove: (record) => {
+      const key = keyOf(record);
+      for (let i = bound(key, false); i < entries.length && entries[i].key === key; i++) {
+        if (entries[i].id === record.id) {
+          entries.splice(i, 1);
+          return;
+        }
+      }
+    },
+
+    /**
+     * Get record IDs with from <= key <= to, in key order
+     * Either bound may be omitted
+     */
+    range: (from, to) => {
+      const start = from === undefined ? 0 : bound(from, false);
+      const end = to === undefined ? entries.length : bound(to, true);
+      return entries.slice(start, end).map((entry) => entry.id);
+    },
+
+    clear: () => {
+      entries = [];
+    },
+  };
+};
+
+module.exports = {
+  createHashIndex,
+  createSortedIndex,
+};
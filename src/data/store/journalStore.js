@@ -0,0 +1,97 @@
+const fs = require("fs");
+const path = require("path");
+const { createMemoryStore } = require("./memoryStore");
+
+/**
+ * Replay a journal file into a memory store
+ * Each line is a JSON entry: { op: "put", record } or { op: "del", id }
+ */
+const replayJournal = (file, memory) => {
+  if (!fs.existsSync(file)) return;
+
+  const lines = fs.readFileSync(file, "utf8").split("\n");
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      // A torn final line means the process died mid-write; anything else is corruption
+      if (lines.slice(index + 1).every((rest) => !rest.trim())) {
+        return;
+      }
+      throw new Error(`Corrupt journal entry in ${file} at line ${index + 1}`);
+    }
+
+    if (entry.op === "put") {
+      memory.insert(entry.record);
+    } else if (entry.op === "del") {
+      memory.remove(entry.id);
+    }
+  });
+};
+
+/**
+ * Rewrite the journal so it holds one "put" entry per live record
+ */
+const compactJournal = (file, memory) => {
+  const tmpFile = `${file}.tmp`;
+  const lines = memory
+    .all()
+    .map((record) => JSON.stringify({ op: "put", record }) + "\n")
+    .join("");
+  fs.writeFileSync(tmpFile, lines);
+  fs.renameSync(tmpFile, file);
+};
+
+/**
+ * Durable record store backed by an append-only JSON journal
+ * Reads are served from memory; every write is appended to
+ * `<dir>/<name>.jsonl` before returning. The journal is compacted on open.
+ */
+const createJournalStore = (name, { dir }) => {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${name}.jsonl`);
+  const memory = createMemoryStore();
+
+  replayJournal(file, memory);
+  compactJournal(file, memory);
+
+  const append = (entry) => {
+    fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+  };
+
+  return {
+    get: memory.get,
+    all: memory.all,
+    find: memory.find,
+
+    insert: (record) => {
+      memory.insert(record);
+      append({ op: "put", record });
+      return record;
+    },
+
+    update: (id, data) => {
+      const updated = memory.update(id, data);
+      if (updated) append({ op: "put", record: updated });
+      return updated;
+    },
+
+    remove: (id) => {
+      const removed = memory.remove(id);
+      if (removed) append({ op: "del", id });
+      return removed;
+    },
+
+    clear: () => {
+      memory.clear();
+      fs.writeFileSync(file, "");
+    },
+  };
+};
+
+module.exports = {
+  createJournalStore,
+};
@@ -0,0 +1,69 @@
+/**
+ * In-memory record store
+ * Records are kept in insertion order and keyed by their `id`
+ */
+const createMemoryStore = () => {
+  const records = new Map();
+
+  return {
+    /**
+     * Get a record by ID
+     */
+    get: (id) => records.get(id),
+
+    /**
+     * Get all records in insertion order
+     */
+    all: () => Array.from(records.values()),
+
+    /**
+     * Find the first record matching a predicate
+     */
+    find: (predicate) => {
+      for (const record of records.values()) {
+        if (predicate(record)) return record;
+      }
+      return undefined;
+    },
+
+    /**
+     * Insert a new record (replacing any record with the same ID)
+     */
+    insert: (record) => {
+      records.set(record.id, record);
+      return record;
+    },
+
+    /**
+     * Merge data into an existing record
+     */
+    update: (id, data) => {
+      const existing = records.get(id);
+      if (!existing) return null;
+      const updated = { ...existing, ...data };
+      records.set(id, updated);
+      return updated;
+    },
+
+    /**
+     * Remove a record by ID
+     */
+    remove: (id) => {
+      const existing = records.get(id);
+      if (!existing) return null;
+      records.delete(id);
+      return existing;
+    },
+
+    /**
+     * Remove all records
+     */
+    clear: () => {
+      records.clear();
+    },
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+};
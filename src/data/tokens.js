@@ -0,0 +1,150 @@
+const { createStore } = require("./store");
+
+// Refresh tokens, keyed by the SHA-256 hash of the token
+const refreshTokens = createStore("refreshTokens");
+
+// Token families (one per login session), revoked on logout or token reuse
+const families = createStore("tokenFamilies");
+
+// Revoked access token IDs (jti), kept until the token would have expired
+const revokedAccessTokens = createStore("revokedAccessTokens");
+
+// Single-use action tokens (password reset, email verification), keyed by jti
+const actionTokens = createStore("actionTokens");
+
+/**
+ * Add a refresh token record
+ */
+const addRefreshToken = (record) => {
+  return refreshTokens.insert(record);
+};
+
+/**
+ * Find a refresh token record by its hash
+ */
+const findRefreshToken = (hash) => {
+  return refreshTokens.get(hash);
+};
+
+/**
+ * Update a refresh token record
+ */
+const updateRefreshToken = (hash, updatedData) => {
+  return refreshTokens.update(hash, updatedData);
+};
+
+/**
+ * Add a new token family
+ */
+const addTokenFamily = (family) => {
+  return families.insert(family);
+};
+
+/**
+ * Revoke a token family and every token issued in it
+ */
+const revokeTokenFamily = (familyId) => {
+  const family = families.get(familyId);
+  if (!family || family.revokedAt) return family || null;
+  return families.update(familyId, { revokedAt: new Date().toISOString() });
+};
+
+/**
+ * Revoke every token family of a user (signs them out everywhere)
+ * Pass `exceptFamilyId` to keep the current session signed in
+ */
+const revokeUserTokenFamilies = (userId, exceptFamilyId = null) => {
+  families
+    .all()
+    .filter((family) => family.userId === userId && family.id !== exceptFamilyId)
+    .forEach((family) => revokeTokenFamily(family.id));
+};
+
+/**
+ * Check whether a token family has been revoked
+ */
+const isTokenFamilyRevoked = (familyId) => {
+  const family = families.get(familyId);
+  return !family || Boolean(family.revokedAt);
+};
+
+/**
+ * Put an access token on the revocation list
+ * Entries whose tokens have expired anyway are pruned on the way
+ */
+const revokeAccessToken = (jti, expiresAt) => {
+  const now = Date.now();
+  revokedAccessTokens
+    .all()
+    .filter((entry) => entry.expiresAt < now)
+    .forEach((entry) => revokedAccessTokens.remove(entry.id));
+
+  if (!revokedAccessTokens.get(jti)) {
+    revokedAccessTokens.insert({ id: jti, expiresAt });
+  }
+};
+
+/**
+ * Check whether an access token has been revoked
+ */
+const isAccessTokenRevoked = (jti) => {
+  return Boolean(revokedAccessTokens.get(jti));
+};
+
+/**
+ * Add a single-use action token record
+ */
+const addActionToken = (record) => {
+  return actionTokens.insert(record);
+};
+
+/**
+ * Find an action token record by its jti
+ */
+const findActionToken = (id) => {
+  return actionTokens.get(id);
+};
+
+/**
+ * Mark an action token as used
+ */
+const markActionTokenUsed = (id) => {
+  return actionTokens.update(id, { usedAt: new Date().toISOString() });
+};
+
+/**
+ * Mark every unused action token of a user and purpose as used
+ */
+const invalidateActionTokens = (userId, purpose) => {
+  actionTokens
+    .all()
+    .filter((t) => t.userId === userId && t.purpose === purpose && !t.usedAt)
+    .forEach((t) => markActionTokenUsed(t.id));
+};
+
+/**
+ * Clear all token records (for testing)
+ */
+const clearTokens = () => {
+  refreshTokens.clear();
+  families.clear();
+  revokedAccessTokens.clear();
+  actionTokens.clear();
+};
+
+module.exports = {
+  addRefreshToken,
+  findRefreshToken,
+  updateRefreshToken,
+  addTokenFamily,
+  revokeTokenFamily,
+  revokeUserTokenFamilies,
+  isTokenFamilyRevoked,
+  revokeAccessToken,
+  isAccessTokenRevoked,
+  addActionToken,
+  findActionToken,
+  markActionTokenUsed,
+  invalidateActionTokens,
+  clearTokens,
+};
@@ -1,47 +1,71 @@
-// In-memory user store
-const users = [];
+const { createStore } = require("./store");
+
+// User store (backend chosen by config.storage.driver)
+const store = createStore("users");
 
 /**
  * Find a user by email
  */
 const findUserByEmail = (email) => {
-  return users.find((user) => user.email === email);
+  return store.find((user) => user.email === email);
 };
 
 /**
  * Find a user by ID
  */
 const findUserById = (id) => {
-  return users.find((user) => user.id === id);
+  return store.get(id);
+};
+
+/**
+ * Find a user by their calendar feed token
+ */
+const findUserByCalendarToken = (token) => {
+  return store.find((user) => user.calendarFeedToken === token);
 };
 
 /**
  * Add a new user
  */
 const addUser = (user) => {
-  users.push(user);
-  return user;
+  return store.insert(user);
+};
+
+/**
+ * Update an existing user
+ */
+const updateUser = (id, updatedData) => {
+  return store.update(id, updatedData);
+};
+
+/**
+ * Remove a user by ID
+ */
+const removeUser = (id) => {
+  return store.remove(id);
 };
 
 /**
  * Get all users
  */
 const getAllUsers = () => {
-  return users;
+  return store.all();
 };
 
 /**
  * Clear all users (for testing)
  */
 const clearUsers = () => {
-  users.length = 0;
+  store.clear();
 };
 
 module.exports = {
-  users,
   findUserByEmail,
   findUserById,
+  findUserByCalendarToken,
   addUser,
+  updateUser,
+  removeUser,
   getAllUsers,
   clearUsers,
 };
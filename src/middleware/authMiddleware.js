@@ -1,33 +1,42 @@
 const jwt = require("jsonwebtoken");
 const config = require("../config/config");
 const { findUserById } = require("../data/users");
+const { isAccessTokenRevoked, isTokenFamilyRevoked } = require("../data/tokens");
+const { ROLES, hasPermission } = require("../config/permissions");
 
 /**
- * Middleware to authenticate JWT token
+ * Verify an access token and attach its user to the request
+ * Rejects tokens on the revocation list or from a revoked session family,
+ * and tokens of suspended accounts
  */
-const authenticate = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return res.status(401).json({ error: "Access denied. No token provided." });
-  }
-
-  const token = authHeader.split(" ")[1];
-
+const verifyAccessToken = (token, req, res, next) => {
   try {
     const decoded = jwt.verify(token, config.jwtSecret);
+
+    if (isAccessTokenRevoked(decoded.jti) || isTokenFamilyRevoked(decoded.fid)) {
+      return res.status(401).json({ error: "Token has been revoked." });
+    }
+
     const user = findUserById(decoded.id);
 
     if (!user) {
       return res.status(401).json({ error: "Invalid token. User not found." });
     }
 
+    if (user.status === "suspended") {
+      return res.status(403).json({ error: "Your account has been suspended." });
+    }
+
     req.user = {
       id: user.id,
       name: user.name,
       email: user.email,
       role: user.role,
+      emailVerified: Boolean(user.emailVerified),
+      language: user.language || null,
+      timezone: user.timezone || null,
     };
+    req.auth = decoded;
     next();
   } catch (error) {
     return res.status(401).json({ error: "Invalid or expired token." });
@@ -35,15 +44,54 @@ const authenticate = (req, res, next) => {
 };
 
 /**
- * Middleware to authorize by role
+ * Middleware to authenticate JWT token
+ */
+const authenticate = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return res.status(401).json({ error: "Access denied. No token provided." });
+  }
+
+  verifyAccessToken(authHeader.split(" ")[1], req, res, next);
+};
+
+/**
+ * Middleware to authenticate event streams
+ * Browsers' EventSource cannot set headers, so the same access token may
+ * also be passed as `?access_token=`
+ */
+const authenticateStream = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith("Bearer ")) {
+    return verifyAccessToken(authHeader.split(" ")[1], req, res, next);
+  }
+  if (typeof req.query.access_token === "string") {
+    return verifyAccessToken(req.query.access_token, req, res, next);
+  }
+
+  return res.status(401).json({ error: "Access denied. No token provided." });
+};
+
+/**
+ * Middleware to authorize by permission
+ * Each argument is a permission name such as "events:create" (see
+ * config/permissions.js) or a role name; any match grants access.
  */
-const authorize = (...roles) => {
+const authorize = (...requirements) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: "Authentication required." });
     }
 
-    if (!roles.includes(req.user.role)) {
+    const allowed = requirements.some((requirement) =>
+      ROLES.includes(requirement)
+        ? req.user.role === requirement
+        : hasPermission(req.user.role, requirement)
+    );
+
+    if (!allowed) {
       return res.status(403).json({
         error: "Access denied. Insufficient permissions.",
       });
@@ -55,5 +103,6 @@ const authorize = (...roles) => {
 
 module.exports = {
   authenticate,
+  authenticateStream,
   authorize,
 };
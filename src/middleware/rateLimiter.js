@@ -0,0 +1,31 @@
+const config = require("../config/config");
+const { getCounterStore } = require("../data/rateLimits");
+
+/**
+ * Middleware to rate limit requests with a sliding window
+ * Limits are read from config.rateLimit[name]; `keyOf(req)` picks the
+ * counter (the client IP by default).
+ */
+const rateLimit = (name, keyOf = (req) => req.ip) => {
+  return (req, res, next) => {
+    const { windowMs, max } = config.rateLimit[name];
+    const key = `${name}:${keyOf(req)}`;
+    const now = Date.now();
+
+    const timestamps = getCounterStore().peek(key, windowMs, now);
+    if (timestamps.length >= max) {
+      const retryAfter = Math.ceil((timestamps[0] + windowMs - now) / 1000);
+      res.set("Retry-After", String(Math.max(retryAfter, 1)));
+      return res.status(429).json({
+        error: "Too many requests. Please try again later.",
+      });
+    }
+
+    getCounterStore().hit(key, windowMs, now);
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit,
+};
@@ -0,0 +1,78 @@
+const express = require("express");
+const router = express.Router();
+const { authenticate, authorize } = require("../middleware/authMiddleware");
+const {
+  listUsers,
+  suspendUser,
+  unsuspendUser,
+  deleteUserById,
+  takedownEvent,
+  transferEvent,
+} = require("../controllers/adminController");
+const {
+  listOrganizerRequests,
+  approveOrganizerRequest,
+  rejectOrganizerRequest,
+} = require("../controllers/organizerRequestController");
+const {
+  listEmailJobs,
+  getEmailJob,
+  retryEmailJobById,
+  retryDeadEmailJobs,
+  deleteEmailJob,
+} = require("../controllers/emailJobController");
+
+// All admin endpoints require authentication; each checks its own permission
+router.use(authenticate);
+
+// GET /admin/users - List users (admins only)
+router.get("/users", authorize("users:manage"), listUsers);
+
+// POST /admin/users/:id/suspend - Suspend a user (admins only)
+router.post("/users/:id/suspend", authorize("users:manage"), suspendUser);
+
+// POST /admin/users/:id/unsuspend - Lift a suspension (admins only)
+router.post("/users/:id/unsuspend", authorize("users:manage"), unsuspendUser);
+
+// DELETE /admin/users/:id - Delete a user (admins only)
+router.delete("/users/:id", authorize("users:manage"), deleteUserById);
+
+// GET /admin/organizer-requests - List organizer requests (admins only)
+router.get("/organizer-requests", authorize("organizers:approve"), listOrganizerRequests);
+
+// POST /admin/organizer-requests/:id/approve - Promote the requester (admins only)
+router.post(
+  "/organizer-requests/:id/approve",
+  authorize("organizers:approve"),
+  approveOrganizerRequest
+);
+
+// POST /admin/organizer-requests/:id/reject - Decline an organizer request (admins only)
+router.post(
+  "/organizer-requests/:id/reject",
+  authorize("organizers:approve"),
+  rejectOrganizerRequest
+);
+
+// POST /admin/events/:id/takedown - Cancel and hide an event (admins only)
+router.post("/events/:id/takedown", authorize("events:moderate"), takedownEvent);
+
+// POST /admin/events/:id/transfer - Hand an event to another organizer (admins only)
+router.post("/events/:id/transfer", authorize("events:moderate"), transferEvent);
+
+// GET /admin/email-jobs - List queued and dead-lettered emails (admins only)
+router.get("/email-jobs", authorize("emails:manage"), listEmailJobs);
+
+// POST /admin/email-jobs/retry - Requeue all dead-lettered emails (admins only)
+router.post("/email-jobs/retry", authorize("emails:manage"), retryDeadEmailJobs);
+
+// GET /admin/email-jobs/:id - Get a queued email (admins only)
+router.get("/email-jobs/:id", authorize("emails:manage"), getEmailJob);
+
+// POST /admin/email-jobs/:id/retry - Requeue a dead-lettered email (admins only)
+router.post("/email-jobs/:id/retry", authorize("emails:manage"), retryEmailJobById);
+
+// DELETE /admin/email-jobs/:id - Discard a queued email (admins only)
+router.delete("/email-jobs/:id", authorize("emails:manage"), deleteEmailJob);
+
+module.exports = router;
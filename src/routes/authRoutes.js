@@ -1,11 +1,40 @@
 const express = require("express");
 const router = express.Router();
-const { register, login } = require("../controllers/authController");
+const { authenticate } = require("../middleware/authMiddleware");
+const { rateLimit } = require("../middleware/rateLimiter");
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+} = require("../controllers/authController");
 
 // POST /register - Register a new user
-router.post("/register", register);
+router.post("/register", rateLimit("register"), register);
 
 // POST /login - Login user
-router.post("/login", login);
+router.post("/login", rateLimit("login"), login);
+
+// POST /refresh - Exchange a refresh token for a new token pair
+router.post("/refresh", refresh);
+
+// POST /logout - Revoke the current session
+router.post("/logout", authenticate, logout);
+
+// POST /forgot-password - Email a password reset link
+router.post("/forgot-password", rateLimit("forgotPassword"), forgotPassword);
+
+// POST /reset-password - Set a new password with a reset token
+router.post("/reset-password", resetPassword);
+
+// GET /verify-email - Confirm an email address
+router.get("/verify-email", verifyEmail);
+
+// POST /resend-verification - Email a new verification link
+router.post("/resend-verification", authenticate, resendVerification);
 
 module.exports = router;
@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+const { authenticate } = require("../middleware/authMiddleware");
+const {
+  getFeedUrl,
+  rotateFeedUrl,
+  getFeed,
+} = require("../controllers/calendarController");
+
+// GET /calendar/feed-url - Get own calendar feed URL (any authenticated user)
+router.get("/feed-url", authenticate, getFeedUrl);
+
+// POST /calendar/feed-url - Regenerate own calendar feed URL (any authenticated user)
+router.post("/feed-url", authenticate, rotateFeedUrl);
+
+// GET /calendar/feed/:token.ics - Subscribable calendar feed (public, token in URL)
+router.get("/feed/:token.ics", getFeed);
+
+module.exports = router;
@@ -1,14 +1,64 @@
 const express = require("express");
 const router = express.Router();
-const { authenticate, authorize } = require("../middleware/authMiddleware");
+const {
+  authenticate,
+  authenticateStream,
+  authorize,
+} = require("../middleware/authMiddleware");
 const {
   createEvent,
   getEvents,
   getEventById,
+  streamEventUpdates,
   updateEventById,
   deleteEventById,
   registerForEvent,
+  cancelRegistration,
+  removeParticipant,
+  getParticipants,
+  getWaitlistPosition,
+  leaveWaitlist,
+  sendAnnouncement,
 } = require("../controllers/eventController");
+const { getEventIcs } = require("../controllers/calendarController");
+const {
+  getEventTemplates,
+  putEventTemplate,
+  deleteEventTemplate,
+  previewEventTemplate,
+} = require("../controllers/emailTemplateController");
+const {
+  getTeam,
+  inviteTeamMember,
+  acceptTeamInvitation,
+  updateTeamMember,
+  removeTeamMember,
+  transferEventOwnership,
+} = require("../controllers/teamController");
+const {
+  getTicketTypes,
+  createTicketType,
+  updateTicketType,
+  deleteTicketType,
+  getPromoCodes,
+  createPromoCode,
+  deletePromoCode,
+} = require("../controllers/ticketController");
+const { placeOrder } = require("../controllers/orderController");
+const { getOwnTicket, checkIn } = require("../controllers/checkInController");
+const { getJoinLink, joinEvent } = require("../controllers/joinController");
+const { getEventStats } = require("../controllers/statsController");
+const {
+  getSessions,
+  createSession,
+  updateSession,
+  deleteSession,
+  bookmarkSession,
+  removeBookmark,
+} = require("../controllers/sessionController");
+
+// Per-event endpoints check the user's role on the event itself
+// (owner or team member, see services/eventPolicy.js)
 
 // GET /events - Get all events (authenticated users)
 router.get("/", authenticate, getEvents);
@@ -16,16 +66,127 @@ router.get("/", authenticate, getEvents);
 // GET /events/:id - Get a single event (authenticated users)
 router.get("/:id", authenticate, getEventById);
 
+// GET /events/:id/stream - Live updates as Server-Sent Events (authenticated users)
+router.get("/:id/stream", authenticateStream, streamEventUpdates);
+
+// GET /events/:id/ics - Download event as iCalendar file (authenticated users)
+router.get("/:id/ics", authenticate, getEventIcs);
+
 // POST /events - Create event (organizers only)
-router.post("/", authenticate, authorize("organizer"), createEvent);
+router.post("/", authenticate, authorize("events:create"), createEvent);
 
-// PUT /events/:id - Update event (organizers only)
-router.put("/:id", authenticate, authorize("organizer"), updateEventById);
+// PUT /events/:id - Update event (owner and co-organizers)
+router.put("/:id", authenticate, updateEventById);
 
-// DELETE /events/:id - Delete event (organizers only)
-router.delete("/:id", authenticate, authorize("organizer"), deleteEventById);
+// DELETE /events/:id - Cancel event (owner only)
+router.delete("/:id", authenticate, deleteEventById);
 
 // POST /events/:id/register - Register for event (any authenticated user)
 router.post("/:id/register", authenticate, registerForEvent);
 
+// DELETE /events/:id/register - Cancel own registration (any authenticated user)
+router.delete("/:id/register", authenticate, cancelRegistration);
+
+// GET /events/:id/ticket - Get own ticket with its QR code (participants)
+router.get("/:id/ticket", authenticate, getOwnTicket);
+
+// GET /events/:id/join-link - Get a signed join link and dial-in details (participants and event team)
+router.get("/:id/join-link", authenticate, getJoinLink);
+
+// GET /events/:id/join - Redirect to the virtual venue (public, signed token in URL)
+router.get("/:id/join", joinEvent);
+
+// POST /events/:id/check-in - Check in a ticket holder (event team)
+router.post("/:id/check-in", authenticate, checkIn);
+
+// GET /events/:id/participants - Participant roster and export (event team)
+router.get("/:id/participants", authenticate, getParticipants);
+
+// DELETE /events/:id/participants/:userId - Remove a participant (owner, co-organizers, moderators)
+router.delete("/:id/participants/:userId", authenticate, removeParticipant);
+
+// GET /events/:id/waitlist - Get own waitlist position (any authenticated user)
+router.get("/:id/waitlist", authenticate, getWaitlistPosition);
+
+// DELETE /events/:id/waitlist - Leave the waitlist (any authenticated user)
+router.delete("/:id/waitlist", authenticate, leaveWaitlist);
+
+// POST /events/:id/announcements - Email all participants (owner, co-organizers, moderators)
+router.post("/:id/announcements", authenticate, sendAnnouncement);
+
+// GET /events/:id/stats - Analytics report with date buckets (owner and co-organizers)
+router.get("/:id/stats", authenticate, getEventStats);
+
+// GET /events/:id/team - List the event team (event team)
+router.get("/:id/team", authenticate, getTeam);
+
+// POST /events/:id/team - Invite a team member (owner only)
+router.post("/:id/team", authenticate, inviteTeamMember);
+
+// POST /events/:id/team/accept - Accept a team invitation (invitee)
+router.post("/:id/team/accept", authenticate, acceptTeamInvitation);
+
+// PATCH /events/:id/team/:userId - Change a team member's role (owner only)
+router.patch("/:id/team/:userId", authenticate, updateTeamMember);
+
+// DELETE /events/:id/team/:userId - Remove a team member, or leave the team (owner or self)
+router.delete("/:id/team/:userId", authenticate, removeTeamMember);
+
+// POST /events/:id/transfer - Hand ownership to a team member (owner only)
+router.post("/:id/transfer", authenticate, transferEventOwnership);
+
+// GET /events/:id/sessions - List the agenda, or own bookmarks (authenticated users)
+router.get("/:id/sessions", authenticate, getSessions);
+
+// POST /events/:id/sessions - Add a session (owner and co-organizers)
+router.post("/:id/sessions", authenticate, createSession);
+
+// PUT /events/:id/sessions/:sessionId - Update a session (owner and co-organizers)
+router.put("/:id/sessions/:sessionId", authenticate, updateSession);
+
+// DELETE /events/:id/sessions/:sessionId - Remove a session (owner and co-organizers)
+router.delete("/:id/sessions/:sessionId", authenticate, deleteSession);
+
+// POST /events/:id/sessions/:sessionId/bookmark - Add a session to own agenda (participants)
+router.post("/:id/sessions/:sessionId/bookmark", authenticate, bookmarkSession);
+
+// DELETE /events/:id/sessions/:sessionId/bookmark - Remove a session from own agenda (participants)
+router.delete("/:id/sessions/:sessionId/bookmark", authenticate, removeBookmark);
+
+// GET /events/:id/ticket-types - List ticket types and availability (authenticated users)
+router.get("/:id/ticket-types", authenticate, getTicketTypes);
+
+// POST /events/:id/ticket-types - Add a ticket type (owner and co-organizers)
+router.post("/:id/ticket-types", authenticate, createTicketType);
+
+// PUT /events/:id/ticket-types/:ticketTypeId - Update a ticket type (owner and co-organizers)
+router.put("/:id/ticket-types/:ticketTypeId", authenticate, updateTicketType);
+
+// DELETE /events/:id/ticket-types/:ticketTypeId - Remove an unsold ticket type (owner and co-organizers)
+router.delete("/:id/ticket-types/:ticketTypeId", authenticate, deleteTicketType);
+
+// GET /events/:id/promo-codes - List promo codes and redemptions (owner and co-organizers)
+router.get("/:id/promo-codes", authenticate, getPromoCodes);
+
+// POST /events/:id/promo-codes - Create a promo code (owner and co-organizers)
+router.post("/:id/promo-codes", authenticate, createPromoCode);
+
+// DELETE /events/:id/promo-codes/:code - Delete a promo code (owner and co-organizers)
+router.delete("/:id/promo-codes/:code", authenticate, deletePromoCode);
+
+// POST /events/:id/orders - Buy a ticket (any authenticated user)
+router.post("/:id/orders", authenticate, placeOrder);
+
+// GET /events/:id/email-templates - List email template overrides (owner and co-organizers)
+router.get("/:id/email-templates", authenticate, getEventTemplates);
+
+// PUT /events/:id/email-templates/:name - Override an email template (owner and co-organizers)
+router.put("/:id/email-templates/:name", authenticate, putEventTemplate);
+
+// DELETE /events/:id/email-templates/:name - Restore the built-in template (owner and co-organizers)
+router.delete("/:id/email-templates/:name", authenticate, deleteEventTemplate);
+
+// GET /events/:id/email-templates/:name/preview - Preview an event email (owner and co-organizers)
+router.get("/:id/email-templates/:name/preview", authenticate, previewEventTemplate);
+
 module.exports = router;
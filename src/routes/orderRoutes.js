@@ -0,0 +1,12 @@
+const express = require("express");
+const router = express.Router();
+const { authenticate } = require("../middleware/authMiddleware");
+const { getOwnOrders, getOrderById } = require("../controllers/orderController");
+
+// GET /orders - List own ticket orders (any authenticated user)
+router.get("/", authenticate, getOwnOrders);
+
+// GET /orders/:id - Get an order (buyer and event staff)
+router.get("/:id", authenticate, getOrderById);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require("express");
+const router = express.Router();
+const { authenticate } = require("../middleware/authMiddleware");
+const {
+  createOrganizerRequest,
+  getOwnOrganizerRequests,
+} = require("../controllers/organizerRequestController");
+
+// POST /organizer-requests - Ask to become an organizer (any authenticated user)
+router.post("/", authenticate, createOrganizerRequest);
+
+// GET /organizer-requests - List own organizer requests (any authenticated user)
+router.get("/", authenticate, getOwnOrganizerRequests);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require("express");
+const router = express.Router();
+const { receivePaymentWebhook } = require("../controllers/orderController");
+
+// POST /payments/webhook - Payment provider notifications (signed by the provider)
+router.post("/webhook", receivePaymentWebhook);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+const { authenticate, authorize } = require("../middleware/authMiddleware");
+const {
+  getProfile,
+  updateProfile,
+  changePassword,
+  deleteOwnAccount,
+} = require("../controllers/profileController");
+const { getOwnRegistrations, getOwnEvents } = require("../controllers/dashboardController");
+const { getOrganizerStats } = require("../controllers/statsController");
+
+// All profile endpoints act on the authenticated user
+router.use(authenticate);
+
+// GET /me - Get own profile (any authenticated user)
+router.get("/", getProfile);
+
+// PATCH /me - Update own profile (any authenticated user)
+router.patch("/", updateProfile);
+
+// POST /me/password - Change own password (any authenticated user)
+router.post("/password", changePassword);
+
+// GET /me/registrations - List own registrations, upcoming and past (any authenticated user)
+router.get("/registrations", getOwnRegistrations);
+
+// GET /me/events - List events the user organizes or helps run (any authenticated user)
+router.get("/events", getOwnEvents);
+
+// GET /me/stats - Analytics across the user's own events (organizers only)
+router.get("/stats", authorize("events:create"), getOrganizerStats);
+
+// DELETE /me - Delete own account (any authenticated user)
+router.delete("/", deleteOwnAccount);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+/**
+ * Grant the admin role to an existing user
+ * Usage: npm run make-admin -- <email>
+ * Writes to the configured store; restart a running server to pick it up.
+ */
+const { findUserByEmail, updateUser } = require("../data/users");
+
+const email = (process.argv[2] || "").toLowerCase().trim();
+if (!email) {
+  console.error("Usage: npm run make-admin -- <email>");
+  process.exit(1);
+}
+
+const user = findUserByEmail(email);
+if (!user) {
+  console.error(`No user registered with email ${email}`);
+  process.exit(1);
+}
+
+updateUser(user.id, { role: "admin" });
+console.log(`${user.email} is now an admin`);
@@ -1,9 +1,22 @@
 const app = require("./app");
 const config = require("./config/config");
+const { startEmailWorker } = require("./services/emailQueue");
+const { startReminderScheduler } = require("./services/reminderService");
+const { closeAllStreams } = require("./services/eventStream");
 
 const PORT = config.port;
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
   console.log(`API available at http://localhost:${PORT}`);
 });
+
+// Deliver queued emails, including retries left over from a previous run
+startEmailWorker();
+startReminderScheduler();
+
+// Open event streams would keep the server from closing
+process.on("SIGTERM", () => {
+  closeAllStreams();
+  server.close(() => process.exit(0));
+});
@@ -0,0 +1,184 @@
+const config = require("../config/config");
+const { findUserById, removeUser } = require("../data/users");
+const {
+  getAllEvents,
+  findEventsByOrganizerId,
+  findEventsByAttendeeId,
+  updateEvent,
+} = require("../data/events");
+const { revokeUserTokenFamilies } = require("../data/tokens");
+const { anonymizeActivity } = require("../data/activity");
+const { removeOrganizerRequestsByUserId } = require("../data/organizerRequests");
+const { findOrderById, findOrdersByUserId, updateOrder } = require("../data/orders");
+const { cancelParticipation } = require("./registrationService");
+const { refundOrder } = require("./ticketService");
+const { recordActivity } = require("./analyticsService");
+const { createActionToken } = require("./tokenService");
+const { sendVerificationEmail } = require("./emailService");
+
+// Stands in for the name of a deleted user in past events and orders
+const DELETED_USER_NAME = "Deleted user";
+
+/**
+ * Email a fresh verification link to a user (fire and forget)
+ * `email` defaults to the user's own address; pass a new address to
+ * confirm an email change.
+ */
+const sendVerificationLink = (user, email = user.email) => {
+  const token = createActionToken({ ...user, email }, "email-verification");
+  const verifyUrl = `${config.appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+  sendVerificationEmail({ ...user, email }, verifyUrl).catch((err) =>
+    console.error("Email sending failed:", err.message)
+  );
+};
+
+/**
+ * Count the events a user organizes that have not ended or been cancelled
+ */
+const countActiveOrganizedEvents = (userId, now = Date.now()) => {
+  return findEventsByOrganizerId(userId).filter(
+    (event) => event.status !== "cancelled" && !(event.endsAt && Date.parse(event.endsAt) <= now)
+  ).length;
+};
+
+/**
+ * Take a user off the participant lists and waitlists of events that
+ * have not ended yet, refunding their tickets and handing freed seats
+ * to the waitlist
+ * Registrations are cancelled like any other (without emailing the
+ * departing user), so rosters and statistics keep a record of them.
+ */
+const removeFromUpcomingEvents = async (userId, now = Date.now()) => {
+  const events = findEventsByAttendeeId(userId).filter(
+    (event) => !(event.endsAt && Date.parse(event.endsAt) <= now)
+  );
+
+  for (const event of events) {
+    const participant = event.participants.find((p) => p.userId === userId);
+    if (participant) {
+      cancelParticipation(event, participant, userId, {
+        reason: "account-deleted",
+        notify: false,
+      });
+      if (participant.orderId) {
+        await refundOrder(findOrderById(participant.orderId));
+      }
+    }
+
+    if (event.waitlist.some((w) => w.userId === userId)) {
+      updateEvent(event.id, {
+        waitlist: event.waitlist.filter((w) => w.userId !== userId),
+      });
+      recordActivity("left-waitlist", event.id, userId, { reason: "account-deleted" });
+    }
+  }
+};
+
+/**
+ * Copy a user's current name and email onto their entries in events that
+ * have not ended, so rosters and notifications use the new details
+ */
+const syncParticipantDetails = (user, now = Date.now()) => {
+  const refresh = (entry) =>
+    entry.userId === user.id ? { ...entry, name: user.name, email: user.email } : entry;
+
+  findEventsByAttendeeId(user.id)
+    .filter((event) => !(event.endsAt && Date.parse(event.endsAt) <= now))
+    .forEach((event) => {
+      updateEvent(event.id, {
+        participants: event.participants.map(refresh),
+        waitlist: event.waitlist.map(refresh),
+      });
+    });
+};
+
+/**
+ * Strip a user's name and email from the entries they leave behind in
+ * events (past participation and cancellations) and from their orders;
+ * counts and check-ins stay intact
+ */
+const anonymizeParticipation = (userId) => {
+  const anonymizedAt = new Date().toISOString();
+  const anonymize = (entry) =>
+    entry.userId === userId
+      ? { ...entry, name: DELETED_USER_NAME, email: null, anonymizedAt }
+      : entry;
+
+  findEventsByAttendeeId(userId).forEach((event) => {
+    updateEvent(event.id, {
+      participants: event.participants.map(anonymize),
+      waitlist: event.waitlist.map(anonymize),
+      cancellations: event.cancellations.map(anonymize),
+    });
+  });
+
+  findOrdersByUserId(userId).forEach((order) => {
+    updateOrder(order.id, { name: DELETED_USER_NAME, email: null });
+  });
+};
+
+/**
+ * Take a user off every event team they belong to or are invited to
+ */
+const removeFromTeams = (userId) => {
+  getAllEvents()
+    .filter((event) => (event.team || []).some((member) => member.userId === userId))
+    .forEach((event) => {
+      updateEvent(event.id, {
+        team: event.team.filter((member) => member.userId !== userId),
+      });
+    });
+};
+
+/**
+ * Take a user off the speaker lists and bookmarks of every session
+ */
+const removeFromSessions = (userId) => {
+  const involves = (session) =>
+    session.speakerIds.includes(userId) || (session.bookmarks || []).includes(userId);
+
+  getAllEvents()
+    .filter((event) => (event.sessions || []).some(involves))
+    .forEach((event) => {
+      updateEvent(event.id, {
+        sessions: event.sessions.map((session) =>
+          involves(session)
+            ? {
+                ...session,
+                speakerIds: session.speakerIds.filter((id) => id !== userId),
+                bookmarks: (session.bookmarks || []).filter((id) => id !== userId),
+              }
+            : session
+        ),
+      });
+    });
+};
+
+/**
+ * Delete a user account
+ * Signs the user out everywhere, frees their seats and anonymizes what
+ * is left of their participation; events they organize must have been
+ * transferred or cancelled beforehand. Resolves once their tickets are
+ * refunded.
+ */
+const deleteAccount = async (userId) => {
+  const user = findUserById(userId);
+  if (!user) return null;
+
+  revokeUserTokenFamilies(user.id);
+  await removeFromUpcomingEvents(user.id);
+  anonymizeParticipation(user.id);
+  removeFromTeams(user.id);
+  removeFromSessions(user.id);
+  anonymizeActivity(user.id);
+  removeOrganizerRequestsByUserId(user.id);
+  return removeUser(user.id);
+};
+
+module.exports = {
+  sendVerificationLink,
+  syncParticipantDetails,
+  countActiveOrganizedEvents,
+  deleteAccount,
+};
@@ -0,0 +1,203 @@
+const { v4: uuidv4 } = require("uuid");
+const { addActivity, findActivityByEventIds } = require("../data/activity");
+const { toLocalDateTime } = require("../utils/dates");
+
+// Logged action types and the counter each one feeds
+const COUNTERS = {
+  viewed: "views",
+  registered: "registrations",
+  promoted: "promotions",
+  cancelled: "cancellations",
+  waitlisted: "waitlistJoins",
+  "left-waitlist": "waitlistLeaves",
+  "checked-in": "checkIns",
+  "email-sent": "emailsSent",
+  "email-failed": "emailsFailed",
+};
+
+// How each action type moves the waitlist
+const WAITLIST_CHANGE = { waitlisted: 1, promoted: -1, "left-waitlist": -1 };
+
+// Upper bound on the buckets of one report
+const MAX_BUCKETS = 366;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Log a domain action on an event
+ * Never throws — analytics should not block the action being logged.
+ */
+const recordActivity = (type, eventId, userId = null, details = null) => {
+  try {
+    addActivity({
+      id: uuidv4(),
+      type,
+      eventId,
+      userId,
+      ...(details && { details }),
+      occurredAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error(`Failed to record "${type}" on event ${eventId}:`, error.message);
+  }
+};
+
+const emptyCounters = () =>
+  Object.fromEntries(Object.values(COUNTERS).map((counter) => [counter, 0]));
+
+/**
+ * Share of `part` in `whole`, rounded to two decimals (null when empty)
+ */
+const ratio = (part, whole) => (whole ? Math.round((part / whole) * 100) / 100 : null);
+
+const addDays = (date, days) =>
+  new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY).toISOString().slice(0, 10);
+
+/**
+ * First day of the bucket a date falls in (weeks start on Monday)
+ */
+const bucketStart = (date, interval) => {
+  if (interval === "month") return `${date.slice(0, 7)}-01`;
+  if (interval === "week") {
+    const weekday = (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+    return addDays(date, -weekday);
+  }
+  return date;
+};
+
+/**
+ * First day of the bucket after the one starting on `start`
+ */
+const nextBucket = (start, interval) => {
+  if (interval === "month") {
+    const date = new Date(`${start}T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() + 1);
+    return date.toISOString().slice(0, 10);
+  }
+  return addDays(start, interval === "week" ? 7 : 1);
+};
+
+/**
+ * List the first days of the buckets covering a date range
+ * Stops one past MAX_BUCKETS, so oversized ranges are cheap to reject
+ */
+const listBuckets = (from, to, interval) => {
+  const starts = [];
+  let start = bucketStart(from, interval);
+  while (start <= to && starts.length <= MAX_BUCKETS) {
+    starts.push(start);
+    start = nextBucket(start, interval);
+  }
+  return starts;
+};
+
+/**
+ * Resolve the reporting range of a stats query
+ * `to` defaults to today and `from` to the day the first of the events
+ * was created, both in `timezone`
+ */
+const resolveRange = (events, { from, to, interval = "day", timezone }) => {
+  const end = to || toLocalDateTime(Date.now(), timezone).date;
+  const created = events.map(
+    (event) => toLocalDateTime(Date.parse(event.createdAt), timezone).date
+  );
+  const start = from || [...created, end].sort()[0];
+  return { from: start, to: end, interval, timezone };
+};
+
+/**
+ * Build the analytics report of one or more events over a date range
+ * Action counts come from the activity log and are bucketed by the local
+ * date they happened on; `attendance` is the current state of the events.
+ * `waitlistDepth` is the number of people waiting at the end of each
+ * bucket. Returns { stats } or { error } for an invalid range.
+ */
+const buildStats = (events, query) => {
+  const range = resolveRange(events, query);
+  const { from, to, interval, timezone } = range;
+  if (from > to) {
+    return { error: "'from' must not be after 'to'" };
+  }
+
+  const starts = listBuckets(from, to, interval);
+  if (starts.length > MAX_BUCKETS) {
+    return {
+      error: `A report covers at most ${MAX_BUCKETS} ${interval}s. Narrow the range or use a larger interval.`,
+    };
+  }
+
+  const log = findActivityByEventIds(events.map((event) => event.id)).map((entry) => ({
+    entry,
+    date: toLocalDateTime(Date.parse(entry.occurredAt), timezone).date,
+  }));
+
+  // Viewers and registrants are counted once per event
+  const viewers = new Set();
+  const registrants = new Set();
+  let depth = 0;
+  let next = 0;
+
+  const buckets = starts.map((start) => {
+    const end = nextBucket(start, interval);
+    const bucket = { start, ...emptyCounters() };
+
+    for (; next < log.length && log[next].date < end; next += 1) {
+      const { entry, date } = log[next];
+      depth = Math.max(depth + (WAITLIST_CHANGE[entry.type] || 0), 0);
+      if (date < from || date > to) continue;
+
+      bucket[COUNTERS[entry.type]] += 1;
+      if (entry.userId && entry.type === "viewed") {
+        viewers.add(`${entry.eventId}:${entry.userId}`);
+      }
+      if (entry.userId && ["registered", "promoted"].includes(entry.type)) {
+        registrants.add(`${entry.eventId}:${entry.userId}`);
+      }
+    }
+
+    return { ...bucket, waitlistDepth: depth };
+  });
+
+  const totals = emptyCounters();
+  buckets.forEach((bucket) => {
+    Object.keys(totals).forEach((counter) => {
+      totals[counter] += bucket[counter];
+    });
+  });
+
+  const converted = [...viewers].filter((key) => registrants.has(key)).length;
+  const registered = events.reduce((sum, event) => sum + event.participants.length, 0);
+  const checkedIn = events.reduce(
+    (sum, event) => sum + event.participants.filter((p) => p.checkedInAt).length,
+    0
+  );
+
+  return {
+    stats: {
+      range,
+      totals,
+      conversion: {
+        viewers: viewers.size,
+        registered: converted,
+        rate: ratio(converted, viewers.size),
+      },
+      attendance: {
+        registered,
+        checkedIn,
+        rate: ratio(checkedIn, registered),
+        waitlisted: events.reduce((sum, event) => sum + event.waitlist.length, 0),
+      },
+      emails: {
+        sent: totals.emailsSent,
+        failed: totals.emailsFailed,
+        deliveryRate: ratio(totals.emailsSent, totals.emailsSent + totals.emailsFailed),
+      },
+      buckets,
+    },
+  };
+};
+
+module.exports = {
+  recordActivity,
+  buildStats,
+};
@@ -0,0 +1,99 @@
+const config = require("../config/config");
+const { findUserById } = require("../data/users");
+const { buildCalendar } = require("../utils/ical");
+const { describeLocation } = require("../utils/venues");
+
+// Address calendar clients see as the organizer of every event
+const ORGANIZER_EMAIL = "noreply@eventplatform.com";
+
+/**
+ * Build the calendar entry of an event
+ * The UID is stable per event so clients update entries in place,
+ * and SEQUENCE grows with every edit of the event
+ */
+const toCalendarEntry = (
+  event,
+  { status = event.status === "cancelled" ? "CANCELLED" : "CONFIRMED", attendee } = {}
+) => {
+  const organizer = findUserById(event.organizerId);
+
+  return {
+    uid: `${event.id}@${new URL(config.appUrl).hostname}`,
+    sequence: event.sequence || 0,
+    status,
+    startsAt: event.startsAt,
+    endsAt: event.endsAt,
+    summary: event.title,
+    description: event.description,
+    location: describeLocation(event),
+    url: `${config.appUrl}/events/${event.id}`,
+    organizer: {
+      name: organizer ? organizer.name : "Event Organizer",
+      email: ORGANIZER_EMAIL,
+    },
+    attendee,
+  };
+};
+
+// Events whose legacy schedule could not be migrated cannot be exported
+const isScheduled = (event) => Boolean(event.startsAt);
+
+/**
+ * Build a downloadable .ics file for events
+ */
+const buildEventsIcs = (events) => {
+  return buildCalendar({
+    method: "PUBLISH",
+    events: events.filter(isScheduled).map((event) => toCalendarEntry(event)),
+  });
+};
+
+/**
+ * Build the subscribable calendar feed of a user's registered events
+ */
+const buildFeedIcs = (user, events) => {
+  return buildCalendar({
+    method: "PUBLISH",
+    name: `${user.name} – Registered Events`,
+    events: events.filter(isScheduled).map((event) => toCalendarEntry(event)),
+  });
+};
+
+/**
+ * Build an email invitation (METHOD:REQUEST) for events
+ * Returns { method, content } for attaching to an email
+ */
+const createInvite = (events, attendee) => {
+  return {
+    method: "REQUEST",
+    content: buildCalendar({
+      method: "REQUEST",
+      events: events
+        .filter(isScheduled)
+        .map((event) => toCalendarEntry(event, { attendee })),
+    }),
+  };
+};
+
+/**
+ * Build an email cancellation (METHOD:CANCEL) for events
+ * Returns { method, content } for attaching to an email
+ */
+const createCancellation = (events, attendee) => {
+  return {
+    method: "CANCEL",
+    content: buildCalendar({
+      method: "CANCEL",
+      events: events
+        .filter(isScheduled)
+        .map((event) => toCalendarEntry(event, { status: "CANCELLED", attendee })),
+    }),
+  };
+};
+
+module.exports = {
+  buildEventsIcs,
+  buildFeedIcs,
+  createInvite,
+  createCancellation,
+};
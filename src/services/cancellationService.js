@@ -0,0 +1,50 @@
+const { updateEvent } = require("../data/events");
+const { cancelReminders } = require("./reminderService");
+const { notifyEventCancelled } = require("./notificationService");
+const { removeSeriesOccurrences } = require("./seriesService");
+const { refundEventOrders } = require("./ticketService");
+const { recordActivity } = require("./analyticsService");
+
+/**
+ * Cancel event occurrences, notify everyone registered or waitlisted and
+ * refund their tickets. Cancelled events are kept (with a bumped iCalendar sequence) so calendar
+ * clients and participants can see what happened. `fields` are stored on
+ * every occurrence along with the cancellation.
+ * Returns the cancelled occurrences
+ */
+const cancelEventOccurrences = (occurrences, { cancelledBy, reason, ...fields }) => {
+  const now = new Date().toISOString();
+
+  const cancelled = occurrences.map((occurrence) => {
+    const updated = updateEvent(occurrence.id, {
+      ...fields,
+      status: "cancelled",
+      cancelledAt: now,
+      cancelledBy,
+      cancellationReason: (reason && reason.trim()) || null,
+      sequence: (occurrence.sequence || 0) + 1,
+      updatedAt: now,
+    });
+
+    // Nobody waits for a cancelled event any longer
+    occurrence.waitlist.forEach((entry) => {
+      recordActivity("left-waitlist", occurrence.id, entry.userId, { reason: "event-cancelled" });
+    });
+
+    cancelReminders(occurrence.id);
+    notifyEventCancelled(updated);
+    refundEventOrders(occurrence.id);
+    return updated;
+  });
+
+  const { seriesId } = occurrences[0] || {};
+  if (seriesId) {
+    removeSeriesOccurrences(seriesId, occurrences);
+  }
+
+  return cancelled;
+};
+
+module.exports = {
+  cancelEventOccurrences,
+};
@@ -0,0 +1,70 @@
+const { v4: uuidv4 } = require("uuid");
+const { updateEvent } = require("../data/events");
+const { createTicketToken, verifyTicketToken } = require("./tokenService");
+
+/**
+ * Count registered and checked-in participants of an event
+ */
+const getAttendance = (event) => {
+  return {
+    registered: event.participants.length,
+    checkedIn: event.participants.filter((p) => p.checkedInAt).length,
+  };
+};
+
+/**
+ * Get a participant's ticket, issuing one to entries created before
+ * tickets existed
+ * Returns { participant, token }, or null if the user is not registered
+ */
+const getTicket = (event, userId) => {
+  let participant = event.participants.find((p) => p.userId === userId);
+  if (!participant) return null;
+
+  if (!participant.ticketId) {
+    participant = { ...participant, ticketId: uuidv4() };
+    updateEvent(event.id, {
+      participants: event.participants.map((p) => (p.userId === userId ? participant : p)),
+    });
+  }
+
+  return { participant, token: createTicketToken(participant.ticketId) };
+};
+
+/**
+ * Admit the holder of a ticket token to an event
+ * Returns { participant, attendance } or { status, error } for the HTTP
+ * response; a ticket can only be checked in once.
+ */
+const checkInTicket = (event, token, staff) => {
+  const ticketId = verifyTicketToken(token);
+  if (!ticketId) {
+    return { status: 400, error: "Invalid ticket" };
+  }
+
+  const participant = event.participants.find((p) => p.ticketId === ticketId);
+  if (!participant) {
+    return { status: 404, error: "This ticket is not valid for this event" };
+  }
+
+  if (participant.checkedInAt) {
+    return { status: 409, error: `Ticket already checked in at ${participant.checkedInAt}` };
+  }
+
+  const checkedIn = {
+    ...participant,
+    checkedInAt: new Date().toISOString(),
+    checkedInBy: staff.id,
+  };
+  const updated = updateEvent(event.id, {
+    participants: event.participants.map((p) => (p.ticketId === ticketId ? checkedIn : p)),
+  });
+
+  return { participant: checkedIn, attendance: getAttendance(updated) };
+};
+
+module.exports = {
+  getAttendance,
+  getTicket,
+  checkInTicket,
+};
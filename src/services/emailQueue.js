@@ -0,0 +1,178 @@
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config/config");
+const {
+  addEmailJob,
+  findEmailJobById,
+  updateEmailJob,
+  removeEmailJob,
+  findDueEmailJob,
+} = require("../data/emailJobs");
+const { getTransport } = require("./mailTransport");
+const { recordActivity } = require("./analyticsService");
+
+// Templates whose bodies carry live single-use links. Their jobs are stored
+// with only the recipient and subject; the body stays in this process until
+// it is sent, so the links never reach the storage backend.
+const SENSITIVE_TEMPLATES = ["passwordReset", "emailVerification"];
+const sensitiveBodies = new Map();
+
+let running = null;
+let worker = null;
+
+/**
+ * Delay before the next attempt after `attempts` failed ones
+ * Doubles with every failure, capped at config.emailQueue.maxDelayMs
+ */
+const retryDelay = (attempts) => {
+  const { baseDelayMs, maxDelayMs } = config.emailQueue;
+  return Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+};
+
+/**
+ * Attempt delivery of one job
+ * Sent jobs are removed; failed jobs are rescheduled or dead-lettered
+ */
+const deliver = async (job) => {
+  const message = job.redacted ? sensitiveBodies.get(job.id) : job.message;
+
+  try {
+    // Bodies held in memory are lost on restart; the user can request a new link
+    if (!message) {
+      throw new Error("The message body was lost in a restart");
+    }
+
+    const info = await getTransport().sendMail(message);
+    removeEmailJob(job.id);
+    sensitiveBodies.delete(job.id);
+    if (job.eventId) recordActivity("email-sent", job.eventId, null, { template: job.template });
+    console.log(`Email "${job.template}" sent to ${job.message.to}: ${info.messageId}`);
+  } catch (error) {
+    const attempts = message ? job.attempts + 1 : job.maxAttempts;
+    const dead = attempts >= job.maxAttempts;
+
+    // Dead letters are kept for inspection, but not the links of sensitive
+    // emails: the user can request a new one
+    if (dead) sensitiveBodies.delete(job.id);
+
+    updateEmailJob(job.id, {
+      attempts,
+      status: dead ? "dead" : "pending",
+      lastError: error.message,
+      lastAttemptAt: new Date().toISOString(),
+      nextAttemptAt: dead ? null : new Date(Date.now() + retryDelay(attempts)).toISOString(),
+    });
+    if (dead && job.eventId) {
+      recordActivity("email-failed", job.eventId, null, { template: job.template });
+    }
+
+    console.error(
+      `Failed to send email to ${job.message.to} (attempt ${attempts}/${job.maxAttempts}):`,
+      error.message
+    );
+  }
+};
+
+/**
+ * Deliver due jobs one at a time until none are left
+ */
+const drain = async () => {
+  // Jobs attempted in this run wait for the next run, even with no delay
+  const attempted = new Set();
+  let job = findDueEmailJob(Date.now(), attempted);
+
+  while (job) {
+    attempted.add(job.id);
+    await deliver(job);
+    job = findDueEmailJob(Date.now(), attempted);
+  }
+};
+
+/**
+ * Deliver all due jobs
+ * Concurrent calls share the run in progress, so no job is sent twice
+ */
+const processEmailQueue = () => {
+  if (!running) {
+    running = drain().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+};
+
+/**
+ * Add a message to the outbound queue and start delivering it
+ * `message` is a nodemailer message; `template` names it in logs and listings.
+ * `eventId` ties the message to an event for its delivery statistics.
+ * Jobs are persisted, so messages survive restarts and SMTP outages (except
+ * the in-memory bodies of SENSITIVE_TEMPLATES, which are dead-lettered).
+ */
+const enqueueEmail = (template, message, { eventId = null } = {}) => {
+  const now = new Date().toISOString();
+  const id = uuidv4();
+  const sensitive = SENSITIVE_TEMPLATES.includes(template);
+  if (sensitive) sensitiveBodies.set(id, message);
+
+  const job = addEmailJob({
+    id,
+    template,
+    eventId,
+    message: sensitive ? { to: message.to, subject: message.subject } : message,
+    ...(sensitive && { redacted: true }),
+    status: "pending",
+    attempts: 0,
+    maxAttempts: config.emailQueue.maxAttempts,
+    nextAttemptAt: now,
+    lastError: null,
+    createdAt: now,
+  });
+
+  setImmediate(() => processEmailQueue().catch(() => {}));
+  return job;
+};
+
+/**
+ * Move a dead-lettered job back into the queue with fresh attempts
+ * Returns the updated job, or null if no dead job with a message body has
+ * that ID
+ */
+const retryEmailJob = (id) => {
+  const job = findEmailJobById(id);
+  if (!job || job.status !== "dead" || job.redacted) return null;
+
+  const updated = updateEmailJob(id, {
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+  });
+
+  setImmediate(() => processEmailQueue().catch(() => {}));
+  return updated;
+};
+
+/**
+ * Poll the queue for jobs whose retry delay has passed
+ * Started by the server, not the app, so tests stay in control
+ */
+const startEmailWorker = (intervalMs = config.emailQueue.pollIntervalMs) => {
+  if (worker) return;
+  worker = setInterval(() => processEmailQueue().catch(() => {}), intervalMs);
+  worker.unref();
+  processEmailQueue().catch(() => {});
+};
+
+/**
+ * Stop polling the queue
+ */
+const stopEmailWorker = () => {
+  clearInterval(worker);
+  worker = null;
+};
+
+module.exports = {
+  enqueueEmail,
+  processEmailQueue,
+  retryEmailJob,
+  startEmailWorker,
+  stopEmailWorker,
+};
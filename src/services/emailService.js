@@ -1,55 +1,277 @@
-const nodemailer = require("nodemailer");
 const config = require("../config/config");
+const { findUserById } = require("../data/users");
+const { renderEmail } = require("./templateService");
+const { enqueueEmail } = require("./emailQueue");
+const { toLocalDateTime } = require("../utils/dates");
+const { describeLocation } = require("../utils/venues");
+const { createQrCode, toPng } = require("../utils/qrcode");
+
+// Content ID of the ticket QR code image, referenced as "cid:ticket-qr"
+const TICKET_QR_CID = "ticket-qr";
 
 /**
- * Create a nodemailer transporter
- * Uses Ethereal (fake SMTP) for dev/testing
+ * Attach an iCalendar invitation or cancellation to mail options
+ * `calendar` is { method, content } as built by calendarService
  */
-const createTransporter = () => {
-  return nodemailer.createTransport({
-    host: config.email.host,
-    port: config.email.port,
-    secure: false,
-    auth: {
-      user: config.email.user,
-      pass: config.email.pass,
+const withCalendar = (mailOptions, calendar) => {
+  if (!calendar) return mailOptions;
+  return {
+    ...mailOptions,
+    icalEvent: {
+      filename: calendar.method === "CANCEL" ? "cancel.ics" : "invite.ics",
+      method: calendar.method,
+      content: calendar.content,
     },
-  });
+  };
 };
 
 /**
- * Send an event registration confirmation email
- * Uses async/await and Promises
+ * Attach a ticket's QR code as an inline image
+ * `ticket` is the signed ticket token
+ */
+const withTicket = (mailOptions, ticket) => {
+  if (!ticket) return mailOptions;
+  return {
+    ...mailOptions,
+    attachments: [
+      {
+        filename: "ticket.png",
+        content: toPng(createQrCode(ticket)).toString("base64"),
+        encoding: "base64",
+        contentType: "image/png",
+        cid: TICKET_QR_CID,
+      },
+    ],
+  };
+};
+
+/**
+ * Get the language preference of a recipient
+ * Recipients are users or participant entries ({ userId, name, email })
+ */
+const languageOf = (recipient) => {
+  if (recipient.language) return recipient.language;
+  const user = findUserById(recipient.userId || recipient.id);
+  return user ? user.language : undefined;
+};
+
+/**
+ * Template data describing an event
+ * Dates and times are in the event's own time zone
+ */
+const eventData = (event) => {
+  const local = event.startsAt
+    ? toLocalDateTime(Date.parse(event.startsAt), event.timezone)
+    : { date: "", time: "" };
+
+  return {
+    eventTitle: event.title,
+    eventDate: local.date,
+    eventTime: local.time,
+    eventTimezone: event.timezone,
+    eventLocation: describeLocation(event),
+    eventUrl: `${config.appUrl}/events/${event.id}`,
+  };
+};
+
+/**
+ * Render a named template for a recipient
+ * Event emails use the event's template overrides
+ */
+const renderFor = (template, recipient, data, { event, language }) => {
+  return renderEmail(
+    template,
+    { name: recipient.name, ...(event && eventData(event)), ...data },
+    {
+      language,
+      overrides: event && event.emailTemplates && event.emailTemplates[template],
+    }
+  );
+};
+
+/**
+ * Render an event email as a recipient would receive it, without sending
+ * Used by organizers to preview their template overrides
+ */
+const previewEventEmail = (template, event, recipient, language) => {
+  return renderFor(template, recipient, {}, { event, language });
+};
+
+/**
+ * Render a named template for a recipient and queue it for delivery
+ * Delivery is retried by the email queue. Never throws — email failure
+ * should not block the action that triggered it.
  */
-const sendRegistrationEmail = async (userEmail, userName, eventTitle) => {
+const sendTemplatedEmail = async (
+  template,
+  recipient,
+  data,
+  { event, calendar, ticket } = {}
+) => {
+  // Anonymized entries of deleted accounts have no address left
+  if (!recipient.email) {
+    return { success: false, error: "Recipient has no email address" };
+  }
+
   try {
-    const transporter = createTransporter();
+    const { subject, html, text } = renderFor(template, recipient, { ...data, ticket }, {
+      event,
+      language: languageOf(recipient),
+    });
 
     const mailOptions = {
       from: '"Event Management Platform" <noreply@eventplatform.com>',
-      to: userEmail,
-      subject: `Registration Confirmed: ${eventTitle}`,
-      html: `
-        <h2>Event Registration Confirmation</h2>
-        <p>Hello <strong>${userName}</strong>,</p>
-        <p>You have successfully registered for <strong>${eventTitle}</strong>.</p>
-        <p>We look forward to seeing you at the event!</p>
-        <br/>
-        <p>Best regards,</p>
-        <p>Virtual Event Management Platform</p>
-      `,
+      to: recipient.email,
+      subject,
+      html,
+      text,
     };
 
-    const info = await transporter.sendMail(mailOptions);
-    console.log(`Registration email sent to ${userEmail}: ${info.messageId}`);
-    return { success: true, messageId: info.messageId };
+    const job = enqueueEmail(template, withTicket(withCalendar(mailOptions, calendar), ticket), {
+      eventId: event ? event.id : null,
+    });
+    return { success: true, jobId: job.id };
   } catch (error) {
-    console.error(`Failed to send email to ${userEmail}:`, error.message);
-    // Don't throw — email failure should not block registration
+    console.error(`Failed to queue email to ${recipient.email}:`, error.message);
     return { success: false, error: error.message };
   }
 };
 
+/**
+ * Send an event registration confirmation email
+ * `occurrenceCount` is set when registering for several occurrences of a series;
+ * `ticket` (a single event's ticket token) is shown as a QR code
+ */
+const sendRegistrationEmail = (
+  recipient,
+  event,
+  { calendar, occurrenceCount, ticket } = {}
+) => {
+  return sendTemplatedEmail(
+    "registration",
+    recipient,
+    { occurrenceCount },
+    { event, calendar, ticket }
+  );
+};
+
+/**
+ * Send a waitlist promotion email
+ * Sent when a waitlisted user is moved into a freed-up seat
+ */
+const sendWaitlistPromotionEmail = (recipient, event, { calendar, ticket } = {}) => {
+  return sendTemplatedEmail("waitlistPromotion", recipient, {}, { event, calendar, ticket });
+};
+
+/**
+ * Send a registration cancellation email
+ * `removedByOrganizer` selects the wording for organizer removals
+ */
+const sendCancellationEmail = (
+  recipient,
+  event,
+  { removedByOrganizer = false, calendar } = {}
+) => {
+  return sendTemplatedEmail(
+    "cancellation",
+    recipient,
+    { removedByOrganizer },
+    { event, calendar }
+  );
+};
+
+/**
+ * Send a reminder that an event is coming up
+ */
+const sendReminderEmail = (recipient, event) => {
+  return sendTemplatedEmail("reminder", recipient, {}, { event });
+};
+
+/**
+ * Send a summary of changes made to an event
+ * `changes` are template items built by notificationService
+ */
+const sendEventUpdatedEmail = (recipient, event, { changes, calendar }) => {
+  return sendTemplatedEmail("eventUpdated", recipient, { changes }, { event, calendar });
+};
+
+/**
+ * Send notice that an event was cancelled, with the organizer's reason
+ */
+const sendEventCancelledEmail = (recipient, event, { calendar } = {}) => {
+  return sendTemplatedEmail(
+    "eventCancelled",
+    recipient,
+    { cancellationReason: event.cancellationReason },
+    { event, calendar }
+  );
+};
+
+/**
+ * Send an organizer's announcement about an event
+ */
+const sendAnnouncementEmail = (recipient, event, { subject, message, organizerName }) => {
+  return sendTemplatedEmail(
+    "announcement",
+    recipient,
+    {
+      announcementSubject: subject,
+      announcementMessage: message,
+      organizerName,
+    },
+    { event }
+  );
+};
+
+/**
+ * Send an email address verification link
+ */
+const sendVerificationEmail = (recipient, verifyUrl) => {
+  return sendTemplatedEmail("emailVerification", recipient, { verifyUrl });
+};
+
+/**
+ * Send a password reset link
+ */
+const sendPasswordResetEmail = (recipient, resetUrl) => {
+  return sendTemplatedEmail("passwordReset", recipient, { resetUrl });
+};
+
+/**
+ * Send the decision on a request to become an organizer
+ */
+const sendOrganizerRequestReviewedEmail = (recipient, { approved, reviewNote }) => {
+  return sendTemplatedEmail("organizerRequestReviewed", recipient, { approved, reviewNote });
+};
+
+/**
+ * Invite a user to the team of an event
+ */
+const sendTeamInvitationEmail = (recipient, event, { inviterName, role }) => {
+  return sendTemplatedEmail(
+    "teamInvitation",
+    recipient,
+    {
+      inviterName,
+      coOrganizer: role === "co-organizer",
+      moderator: role === "moderator",
+      checkIn: role === "check-in",
+    },
+    { event }
+  );
+};
+
 module.exports = {
+  previewEventEmail,
   sendRegistrationEmail,
+  sendWaitlistPromotionEmail,
+  sendCancellationEmail,
+  sendReminderEmail,
+  sendEventUpdatedEmail,
+  sendEventCancelledEmail,
+  sendAnnouncementEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendOrganizerRequestReviewedEmail,
+  sendTeamInvitationEmail,
 };
@@ -0,0 +1,33 @@
+const { hasEventPermission } = require("../config/permissions");
+
+/**
+ * Get the active team entry of a user on an event (or undefined)
+ */
+const findTeamMember = (event, userId) => {
+  return (event.team || []).find(
+    (member) => member.userId === userId && member.status === "active"
+  );
+};
+
+/**
+ * Get a user's role on an event: "owner", their team role, or null
+ * Pending invitations grant nothing until they are accepted
+ */
+const getEventRole = (event, userId) => {
+  if (event.organizerId === userId) return "owner";
+  const member = findTeamMember(event, userId);
+  return member ? member.role : null;
+};
+
+/**
+ * Check whether a user may perform an action on an event
+ * `permission` is one of the event permissions in config/permissions.js
+ */
+const canOnEvent = (user, event, permission) => {
+  return hasEventPermission(getEventRole(event, user.id), permission);
+};
+
+module.exports = {
+  getEventRole,
+  canOnEvent,
+};
@@ -0,0 +1,179 @@
+const config = require("../config/config");
+const { onEventChange } = require("../data/events");
+const { findUserById } = require("../data/users");
+const { isAccessTokenRevoked, isTokenFamilyRevoked } = require("../data/tokens");
+const { serializeEvent } = require("../utils/serializers");
+const { canOnEvent } = require("./eventPolicy");
+
+/**
+ * Live event updates over Server-Sent Events
+ *
+ * Clients subscribe per event and receive these message types:
+ *   attendance    seat counts changed (also sent on connect)
+ *   updated       the event was edited; carries the changed fields and event
+ *   cancelled     the event was cancelled
+ *   announcement  an organizer announcement (participants and team only)
+ *
+ * Subscriptions live in this process; a multi-instance deployment would
+ * fan messages out through a shared broker instead.
+ */
+
+// Open streams by event id
+const streams = new Map();
+
+/**
+ * Seat counts of an event as pushed to clients
+ */
+const toAttendance = (event) => {
+  const registered = event.participants.length;
+  return {
+    eventId: event.id,
+    registered,
+    waitlisted: event.waitlist.length,
+    checkedIn: event.participants.filter((p) => p.checkedInAt).length,
+    maxParticipants: event.maxParticipants || null,
+    seatsLeft: event.maxParticipants ? Math.max(event.maxParticipants - registered, 0) : null,
+  };
+};
+
+/**
+ * Check whether a client's session was revoked since it subscribed
+ * Covers logout, revoked sessions and suspended or deleted accounts
+ */
+const isRevoked = ({ user, auth }) => {
+  if (isAccessTokenRevoked(auth.jti) || isTokenFamilyRevoked(auth.fid)) return true;
+  const current = findUserById(user.id);
+  return !current || current.status === "suspended";
+};
+
+/**
+ * Write one message to a client, or end its stream if it lost access
+ */
+const send = (client, type, data) => {
+  if (isRevoked(client)) {
+    client.res.end();
+    return;
+  }
+  client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Send a message to the subscribers of an event
+ * `filter` can restrict it to some clients
+ */
+const publish = (eventId, type, data, filter = () => true) => {
+  const clients = streams.get(eventId);
+  if (!clients) return;
+  clients.forEach((client) => {
+    if (filter(client)) send(client, type, data);
+  });
+};
+
+/**
+ * Subscribe a request to an event's updates
+ * The stream ends when the client disconnects, its access token expires
+ * or its session is revoked (checked on every message and heartbeat);
+ * clients reconnect with a fresh token.
+ */
+const openStream = (req, res, event) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write(`retry: ${config.stream.retryMs}\n\n`);
+
+  const client = { user: req.user, auth: req.auth, res };
+  if (!streams.has(event.id)) streams.set(event.id, new Set());
+  streams.get(event.id).add(client);
+
+  send(client, "attendance", toAttendance(event));
+
+  // Comments keep proxies from closing idle connections
+  const heartbeat = setInterval(() => {
+    if (isRevoked(client)) res.end();
+    else res.write(": ping\n\n");
+  }, config.stream.heartbeatMs);
+  heartbeat.unref();
+
+  // Timers hold at most ~24.8 days
+  const lifetime = Math.min(Math.max(req.auth.exp * 1000 - Date.now(), 0), 2 ** 31 - 1);
+  const expiry = setTimeout(() => res.end(), lifetime);
+  expiry.unref();
+
+  const close = () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    const clients = streams.get(event.id);
+    if (!clients) return;
+    clients.delete(client);
+    if (clients.size === 0) streams.delete(event.id);
+  };
+  req.on("close", close);
+  res.on("finish", close);
+};
+
+/**
+ * Push the edits of an event
+ * `changes` are the fields detected by utils/eventDiff.js
+ */
+const publishEventUpdated = (event, changes) => {
+  publish(event.id, "updated", {
+    eventId: event.id,
+    changes: changes.map((change) => change.field),
+    event: serializeEvent(event),
+  });
+};
+
+/**
+ * Push the cancellation of an event
+ */
+const publishEventCancelled = (event) => {
+  publish(event.id, "cancelled", {
+    eventId: event.id,
+    cancelledAt: event.cancelledAt,
+    reason: event.cancellationReason || null,
+  });
+};
+
+/**
+ * Push an organizer announcement to participants and the event team
+ */
+const publishAnnouncement = (event, { subject, message, organizerName }) => {
+  publish(
+    event.id,
+    "announcement",
+    { eventId: event.id, subject, message, organizerName, sentAt: new Date().toISOString() },
+    ({ user }) =>
+      event.participants.some((p) => p.userId === user.id) ||
+      canOnEvent(user, event, "event:roster")
+  );
+};
+
+/**
+ * End every open stream (used on shutdown and in tests)
+ */
+const closeAllStreams = () => {
+  streams.forEach((clients) => clients.forEach((client) => client.res.end()));
+  streams.clear();
+};
+
+// Push seat count changes, whichever service made them
+onEventChange((previous, updated) => {
+  if (!streams.has(updated.id)) return;
+
+  const before = toAttendance(previous);
+  const after = toAttendance(updated);
+  if (Object.keys(after).some((key) => before[key] !== after[key])) {
+    publish(updated.id, "attendance", after);
+  }
+});
+
+module.exports = {
+  openStream,
+  publishEventUpdated,
+  publishEventCancelled,
+  publishAnnouncement,
+  closeAllStreams,
+};
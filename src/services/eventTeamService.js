@@ -0,0 +1,72 @@
+const { findUserById } = require("../data/users");
+const { findEventById, findEventsBySeriesId, updateEvent } = require("../data/events");
+const { updateSeries } = require("../data/series");
+
+/**
+ * Get the events a team or ownership change applies to
+ * The team of a series is shared by all of its occurrences
+ */
+const getTeamOccurrences = (event) => {
+  return event.seriesId ? findEventsBySeriesId(event.seriesId) : [event];
+};
+
+/**
+ * Replace the team of an event (and of every occurrence of its series)
+ * Returns the updated event
+ */
+const saveTeam = (event, team) => {
+  const now = new Date().toISOString();
+  getTeamOccurrences(event).forEach((occurrence) =>
+    updateEvent(occurrence.id, { team, updatedAt: now })
+  );
+  return findEventById(event.id);
+};
+
+/**
+ * Build a team entry for a user
+ */
+const toTeamMember = (user, role, { status, invitedBy }) => ({
+  userId: user.id,
+  name: user.name,
+  email: user.email,
+  role,
+  status,
+  invitedBy,
+  invitedAt: new Date().toISOString(),
+  joinedAt: status === "active" ? new Date().toISOString() : null,
+});
+
+/**
+ * Make another user the owner of an event (and its whole series)
+ * The new owner leaves the team; with `previousOwnerRole` the previous
+ * owner stays on the team in that role. Returns the number of events moved.
+ */
+const transferOwnership = (event, newOwner, { previousOwnerRole } = {}) => {
+  const previousOwner = findUserById(event.organizerId);
+  const team = (event.team || []).filter((member) => member.userId !== newOwner.id);
+  if (previousOwnerRole && previousOwner) {
+    team.push(
+      toTeamMember(previousOwner, previousOwnerRole, {
+        status: "active",
+        invitedBy: newOwner.id,
+      })
+    );
+  }
+
+  const occurrences = getTeamOccurrences(event);
+  const now = new Date().toISOString();
+  occurrences.forEach((occurrence) =>
+    updateEvent(occurrence.id, { organizerId: newOwner.id, team, updatedAt: now })
+  );
+  if (event.seriesId) {
+    updateSeries(event.seriesId, { organizerId: newOwner.id });
+  }
+
+  return occurrences.length;
+};
+
+module.exports = {
+  saveTeam,
+  toTeamMember,
+  transferOwnership,
+};
@@ -0,0 +1,63 @@
+const config = require("../config/config");
+const { getEventRole } = require("./eventPolicy");
+const { createJoinToken } = require("./tokenService");
+
+/**
+ * Check whether a user may join an event's virtual venue now
+ * Registered participants can join from config.joinLinks.opensBeforeMinutes
+ * before the start until the end; the event team at any time.
+ * Returns { status, error } (plus `opensAt` when it is too early) for the
+ * HTTP response, or null when the user may join.
+ */
+const checkJoinAccess = (event, userId, now = Date.now()) => {
+  if (!event.virtualVenue) {
+    return { status: 404, error: "This event has no virtual venue" };
+  }
+
+  if (event.status === "cancelled") {
+    return { status: 409, error: "This event has been cancelled" };
+  }
+
+  if (getEventRole(event, userId)) return null;
+
+  if (!event.participants.some((p) => p.userId === userId)) {
+    return {
+      status: 403,
+      error: "Only registered participants and the event team can join this event",
+    };
+  }
+
+  // Unscheduled (legacy) events have no window
+  if (!event.startsAt) return null;
+
+  const opensAt = Date.parse(event.startsAt) - config.joinLinks.opensBeforeMinutes * 60 * 1000;
+  if (now < opensAt) {
+    return {
+      status: 403,
+      error: `Joining opens ${config.joinLinks.opensBeforeMinutes} minutes before the event starts`,
+      opensAt: new Date(opensAt).toISOString(),
+    };
+  }
+
+  if (now >= Date.parse(event.endsAt)) {
+    return { status: 410, error: "This event has ended" };
+  }
+
+  return null;
+};
+
+/**
+ * Create a signed, expiring link that redirects a user to the venue
+ */
+const createJoinLink = (event, userId) => {
+  const { token, expiresAt } = createJoinToken(userId, event.id);
+  return {
+    url: `${config.appUrl}/events/${event.id}/join?token=${encodeURIComponent(token)}`,
+    expiresAt,
+  };
+};
+
+module.exports = {
+  checkJoinAccess,
+  createJoinLink,
+};
@@ -0,0 +1,48 @@
+const config = require("../config/config");
+const { getCounterStore } = require("../data/rateLimits");
+
+const keyFor = (email) => `login-failures:${email}`;
+
+/**
+ * Lockout delay after `failures` recent failures (0 = not locked)
+ * Doubles with every failure past the threshold, up to maxDelayMs
+ */
+const lockoutDelay = (failures) => {
+  const { threshold, baseDelayMs, maxDelayMs } = config.rateLimit.loginLockout;
+  if (failures < threshold) return 0;
+  return Math.min(baseDelayMs * 2 ** (failures - threshold), maxDelayMs);
+};
+
+/**
+ * Get the seconds an account must wait before trying to log in again
+ * Returns 0 when the account is not locked
+ */
+const getLoginRetryAfter = (email) => {
+  const { windowMs } = config.rateLimit.loginLockout;
+  const now = Date.now();
+  const failures = getCounterStore().peek(keyFor(email), windowMs, now);
+  if (failures.length === 0) return 0;
+
+  const lockedUntil = failures[failures.length - 1] + lockoutDelay(failures.length);
+  return lockedUntil > now ? Math.ceil((lockedUntil - now) / 1000) : 0;
+};
+
+/**
+ * Record a failed login attempt for an account
+ */
+const recordLoginFailure = (email) => {
+  getCounterStore().hit(keyFor(email), config.rateLimit.loginLockout.windowMs);
+};
+
+/**
+ * Reset the failure count after a successful login
+ */
+const recordLoginSuccess = (email) => {
+  getCounterStore().reset(keyFor(email));
+};
+
+module.exports = {
+  getLoginRetryAfter,
+  recordLoginFailure,
+  recordLoginSuccess,
+};
@@ -0,0 +1,91 @@
+const nodemailer = require("nodemailer");
+const config = require("../config/config");
+
+let transport = null;
+
+/**
+ * Create a pooled SMTP transport
+ * Connections are reused across messages instead of one per email
+ */
+const createSmtpTransport = () => {
+  return nodemailer.createTransport({
+    pool: true,
+    maxConnections: config.email.maxConnections,
+    host: config.email.host,
+    port: config.email.port,
+    secure: false,
+    auth: {
+      user: config.email.user,
+      pass: config.email.pass,
+    },
+  });
+};
+
+/**
+ * Create a local stub transport that records messages instead of sending
+ * `fail(count)` makes the next `count` sends fail (Infinity = until reset),
+ * which lets tests exercise retries and dead letters.
+ */
+const createStubTransport = () => {
+  let failures = 0;
+  let counter = 0;
+
+  const stub = {
+    sent: [],
+    sendMail: async (message) => {
+      if (failures > 0) {
+        failures -= 1;
+        throw new Error("Stub transport: simulated delivery failure");
+      }
+      counter += 1;
+      const messageId = `<stub-${counter}@eventplatform.local>`;
+      stub.sent.push({ ...message, messageId });
+      return { messageId };
+    },
+    fail: (count = Infinity) => {
+      failures = count;
+    },
+    reset: () => {
+      failures = 0;
+      stub.sent.length = 0;
+    },
+    close: () => {},
+  };
+
+  return stub;
+};
+
+/**
+ * Get the shared transport, creating it on first use
+ * `config.email.transport` selects "smtp" or "stub"
+ */
+const getTransport = () => {
+  if (!transport) {
+    transport =
+      config.email.transport === "stub" ? createStubTransport() : createSmtpTransport();
+  }
+  return transport;
+};
+
+/**
+ * Replace the shared transport (e.g. with a provider-specific one)
+ */
+const setTransport = (replacement) => {
+  if (transport && transport !== replacement) transport.close();
+  transport = replacement;
+};
+
+/**
+ * Close the shared transport's pooled connections
+ */
+const closeTransport = () => {
+  if (transport) transport.close();
+  transport = null;
+};
+
+module.exports = {
+  createStubTransport,
+  getTransport,
+  setTransport,
+  closeTransport,
+};
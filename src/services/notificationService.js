@@ -0,0 +1,81 @@
+const { toLocalDateTime } = require("../utils/dates");
+const { diffEvent } = require("../utils/eventDiff");
+const { sendEventUpdatedEmail, sendEventCancelledEmail } = require("./emailService");
+const { createInvite, createCancellation } = require("./calendarService");
+const { publishEventUpdated, publishEventCancelled } = require("./eventStream");
+
+/**
+ * Describe a schedule as local date, time and time zone
+ */
+const describeSchedule = ({ startsAt, timezone }) => {
+  if (!startsAt) return "";
+  const { date, time } = toLocalDateTime(Date.parse(startsAt), timezone);
+  return `${date} ${time} (${timezone})`;
+};
+
+/**
+ * Turn detected changes into template items
+ * Each item flags its field (e.g. { location: true }) so templates can
+ * label it; descriptions and virtual venues are flagged without their
+ * values (too long, and secret)
+ */
+const toChangeItems = (changes) => {
+  return changes.map(({ field, from, to }) => {
+    if (field === "schedule") {
+      return { schedule: true, from: describeSchedule(from), to: describeSchedule(to) };
+    }
+    if (field === "description" || field === "virtualVenue") {
+      return { [field]: true };
+    }
+    return { [field]: true, from, to };
+  });
+};
+
+const logFailure = (err) => console.error("Email sending failed:", err.message);
+
+/**
+ * Email every participant a summary of what changed in an event
+ * Participants also get an updated calendar invite, and live subscribers
+ * the new event. Returns the detected changes.
+ */
+const notifyEventUpdated = (before, after) => {
+  const changes = diffEvent(before, after);
+  if (changes.length === 0) return changes;
+
+  const items = toChangeItems(changes);
+  after.participants.forEach((participant) => {
+    sendEventUpdatedEmail(participant, after, {
+      changes: items,
+      calendar: createInvite([after], { name: participant.name, email: participant.email }),
+    }).catch(logFailure);
+  });
+  publishEventUpdated(after, changes);
+
+  return changes;
+};
+
+/**
+ * Tell participants, waitlisted users and live subscribers that an event
+ * was cancelled. Participants also get a calendar cancellation.
+ */
+const notifyEventCancelled = (event) => {
+  event.participants.forEach((participant) => {
+    sendEventCancelledEmail(participant, event, {
+      calendar: createCancellation([event], {
+        name: participant.name,
+        email: participant.email,
+      }),
+    }).catch(logFailure);
+  });
+
+  event.waitlist.forEach((entry) => {
+    sendEventCancelledEmail(entry, event).catch(logFailure);
+  });
+
+  publishEventCancelled(event);
+};
+
+module.exports = {
+  notifyEventUpdated,
+  notifyEventCancelled,
+};
@@ -0,0 +1,56 @@
+const { v4: uuidv4 } = require("uuid");
+const { findUserById, updateUser } = require("../data/users");
+const {
+  addOrganizerRequest,
+  updateOrganizerRequest,
+} = require("../data/organizerRequests");
+const { sendOrganizerRequestReviewedEmail } = require("./emailService");
+
+/**
+ * File a request for a user to be promoted to organizer
+ */
+const submitOrganizerRequest = (user, message) => {
+  return addOrganizerRequest({
+    id: uuidv4(),
+    userId: user.id,
+    message: (message && message.trim()) || null,
+    status: "pending",
+    createdAt: new Date().toISOString(),
+    reviewedAt: null,
+    reviewedBy: null,
+    reviewNote: null,
+  });
+};
+
+/**
+ * Approve or reject a pending request and email the user the decision
+ * Approval promotes the user to organizer (admins keep their role).
+ * Returns the updated request
+ */
+const reviewOrganizerRequest = (request, reviewerId, { approved, note }) => {
+  const reviewed = updateOrganizerRequest(request.id, {
+    status: approved ? "approved" : "rejected",
+    reviewedAt: new Date().toISOString(),
+    reviewedBy: reviewerId,
+    reviewNote: (note && note.trim()) || null,
+  });
+
+  const user = findUserById(request.userId);
+  if (user) {
+    if (approved && user.role === "attendee") {
+      updateUser(user.id, { role: "organizer" });
+    }
+
+    sendOrganizerRequestReviewedEmail(user, {
+      approved,
+      reviewNote: reviewed.reviewNote,
+    }).catch((err) => console.error("Email sending failed:", err.message));
+  }
+
+  return reviewed;
+};
+
+module.exports = {
+  submitOrganizerRequest,
+  reviewOrganizerRequest,
+};
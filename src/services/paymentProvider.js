@@ -0,0 +1,126 @@
+const crypto = require("crypto");
+const config = require("../config/config");
+
+/**
+ * Payment providers implement:
+ *
+ *   createPaymentIntent({ amount, currency, metadata }) -> { id, clientSecret }
+ *   refundPayment(intentId, { amount }) -> { id }
+ *   parseWebhook(rawBody, headers) -> { id, type, intentId }
+ *
+ * Amounts are integers in the currency's minor unit (e.g. cents).
+ * `parseWebhook` verifies the request signature (throwing on mismatch) and
+ * maps the provider's notification to one of the event types
+ * "payment.succeeded", "payment.failed" or "payment.refunded".
+ */
+
+let provider = null;
+
+// Header carrying the fake provider's webhook signature
+const SIGNATURE_HEADER = "x-payment-signature";
+
+/**
+ * Create a local provider that never moves money
+ * Payments stay pending until `pay(intentId)` or `decline(intentId)` is
+ * called; those and `refundWebhook(intentId)` return the signed webhook
+ * request ({ body, headers }) the real provider would have sent, so the
+ * whole lifecycle can be exercised offline.
+ */
+const createFakeProvider = ({ webhookSecret = config.payments.webhookSecret } = {}) => {
+  const intents = new Map();
+  let counter = 0;
+
+  const sign = (body) => crypto.createHmac("sha256", webhookSecret).update(body).digest("hex");
+
+  const findIntent = (intentId) => {
+    const intent = intents.get(intentId);
+    if (!intent) throw new Error(`Fake provider: unknown payment intent ${intentId}`);
+    return intent;
+  };
+
+  const webhook = (type, intent) => {
+    counter += 1;
+    const body = JSON.stringify({ id: `evt_fake_${counter}`, type, intentId: intent.id });
+    return { body, headers: { [SIGNATURE_HEADER]: sign(body) } };
+  };
+
+  const fake = {
+    name: "fake",
+    intents,
+    createPaymentIntent: async ({ amount, currency, metadata }) => {
+      counter += 1;
+      const id = `pi_fake_${counter}`;
+      intents.set(id, { id, amount, currency, metadata, status: "requires_payment" });
+      return { id, clientSecret: `${id}_secret_${crypto.randomBytes(8).toString("hex")}` };
+    },
+    refundPayment: async (intentId, { amount } = {}) => {
+      const intent = findIntent(intentId);
+      if (intent.status !== "succeeded") {
+        throw new Error(`Fake provider: payment ${intentId} cannot be refunded`);
+      }
+      intent.status = "refunded";
+      intent.refundedAmount = amount === undefined ? intent.amount : amount;
+      counter += 1;
+      return { id: `re_fake_${counter}` };
+    },
+    parseWebhook: (rawBody, headers) => {
+      const expected = Buffer.from(sign(rawBody || ""));
+      const given = Buffer.from(String(headers[SIGNATURE_HEADER] || ""));
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw new Error("Invalid webhook signature");
+      }
+      return JSON.parse(rawBody);
+    },
+    pay: (intentId) => {
+      const intent = findIntent(intentId);
+      intent.status = "succeeded";
+      return webhook("payment.succeeded", intent);
+    },
+    decline: (intentId) => {
+      const intent = findIntent(intentId);
+      intent.status = "failed";
+      return webhook("payment.failed", intent);
+    },
+    refundWebhook: (intentId) => {
+      const intent = findIntent(intentId);
+      intent.status = "refunded";
+      return webhook("payment.refunded", intent);
+    },
+    reset: () => {
+      intents.clear();
+    },
+  };
+
+  return fake;
+};
+
+/**
+ * Get the shared payment provider, creating it on first use
+ * `config.payments.provider` names it; only "fake" is built in
+ */
+const getPaymentProvider = () => {
+  if (!provider) {
+    if (config.payments.provider !== "fake") {
+      throw new Error(
+        `Payment provider "${config.payments.provider}" is not registered. ` +
+          "Register it with setPaymentProvider() at startup."
+      );
+    }
+    provider = createFakeProvider();
+  }
+  return provider;
+};
+
+/**
+ * Replace the shared payment provider (e.g. with a real one)
+ */
+const setPaymentProvider = (replacement) => {
+  provider = replacement;
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  createFakeProvider,
+  getPaymentProvider,
+  setPaymentProvider,
+};
@@ -0,0 +1,94 @@
+const { v4: uuidv4 } = require("uuid");
+const { findEventById, updateEvent } = require("../data/events");
+const { freeSeats, promoteFromWaitlist } = require("./waitlistService");
+const { sendCancellationEmail } = require("./emailService");
+const { createCancellation } = require("./calendarService");
+const { recordActivity } = require("./analyticsService");
+
+/**
+ * Enroll a user in an event, or queue them when the event is full
+ * Returns { status } where status is one of "registered", "waitlisted",
+ * "already-registered" or "already-waitlisted"; waitlisted results also
+ * carry the user's `position`, registered ones the new `participant`.
+ */
+const enrollUser = (eventId, user) => {
+  const event = findEventById(eventId);
+
+  if (event.participants.some((p) => p.userId === user.id)) {
+    return { status: "already-registered" };
+  }
+
+  if (event.waitlist.some((w) => w.userId === user.id)) {
+    return { status: "already-waitlisted" };
+  }
+
+  // Event is full (or others are already queued): join the waitlist
+  if (freeSeats(event) === 0 || event.waitlist.length > 0) {
+    const entry = {
+      userId: user.id,
+      name: user.name,
+      email: user.email,
+      joinedAt: new Date().toISOString(),
+    };
+    updateEvent(event.id, { waitlist: [...event.waitlist, entry] });
+    return { status: "waitlisted", position: event.waitlist.length + 1 };
+  }
+
+  const participant = {
+    userId: user.id,
+    name: user.name,
+    email: user.email,
+    registeredAt: new Date().toISOString(),
+    ticketId: uuidv4(),
+  };
+  updateEvent(event.id, { participants: [...event.participants, participant] });
+  return { status: "registered", participant };
+};
+
+/**
+ * Move a participant into the event's cancellation record, notify them
+ * and hand the freed seat to the waitlist
+ * Refunding their ticket, if any, is up to the caller. `cancelledBy` is
+ * null when the payment provider refunded the ticket. `reason` is kept on
+ * the record (e.g. "account-deleted"); `notify: false` skips the email.
+ */
+const cancelParticipation = (event, participant, cancelledBy, { reason, notify = true } = {}) => {
+  const removedByOrganizer = cancelledBy !== participant.userId;
+
+  updateEvent(event.id, {
+    participants: event.participants.filter(
+      (p) => p.userId !== participant.userId
+    ),
+    cancellations: [
+      ...event.cancellations,
+      {
+        ...participant,
+        cancelledAt: new Date().toISOString(),
+        cancelledBy,
+        removedByOrganizer,
+        ...(reason && { reason }),
+      },
+    ],
+  });
+  recordActivity("cancelled", event.id, participant.userId, {
+    removedByOrganizer,
+    ...(reason && { reason }),
+  });
+
+  if (notify) {
+    sendCancellationEmail(participant, event, {
+      removedByOrganizer,
+      calendar: createCancellation([event], {
+        name: participant.name,
+        email: participant.email,
+      }),
+    }).catch((err) => console.error("Email sending failed:", err.message));
+  }
+
+  promoteFromWaitlist(event.id);
+};
+
+module.exports = {
+  enrollUser,
+  cancelParticipation,
+};
@@ -0,0 +1,107 @@
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config/config");
+const { findEventById } = require("../data/events");
+const {
+  addReminder,
+  removeReminder,
+  findDueReminders,
+  removeRemindersByEventId,
+} = require("../data/reminders");
+const { sendReminderEmail } = require("./emailService");
+
+let scheduler = null;
+
+/**
+ * Schedule an event's reminders, replacing any already scheduled
+ * One reminder per offset in config.reminders.offsetsMinutes; offsets
+ * whose send time has already passed are skipped.
+ * Returns the scheduled reminders.
+ */
+const scheduleReminders = (event, now = Date.now()) => {
+  removeRemindersByEventId(event.id);
+  if (!event.startsAt || event.status === "cancelled") return [];
+
+  const start = Date.parse(event.startsAt);
+  return config.reminders.offsetsMinutes
+    .map((offsetMinutes) => ({
+      offsetMinutes,
+      sendAt: start - offsetMinutes * 60 * 1000,
+    }))
+    .filter(({ sendAt }) => sendAt > now)
+    .map(({ offsetMinutes, sendAt }) =>
+      addReminder({
+        id: uuidv4(),
+        eventId: event.id,
+        offsetMinutes,
+        sendAt: new Date(sendAt).toISOString(),
+        createdAt: new Date(now).toISOString(),
+      })
+    );
+};
+
+/**
+ * Cancel all pending reminders of an event
+ */
+const cancelReminders = (eventId) => {
+  removeRemindersByEventId(eventId);
+};
+
+/**
+ * Send every due reminder to the event's current participants
+ * Reminders for events that have started, were cancelled or no longer
+ * exist are dropped, as are reminders overtaken by a later one of the same
+ * event (e.g. after downtime, only the 15-minute reminder goes out).
+ * Returns the number of reminder emails queued.
+ */
+const sendDueReminders = (now = Date.now()) => {
+  let queued = 0;
+
+  // Due reminders come earliest first, so the last one per event wins
+  const due = findDueReminders(now);
+  const latest = new Map(due.map((reminder) => [reminder.eventId, reminder.id]));
+
+  due.forEach((reminder) => {
+    removeReminder(reminder.id);
+    if (latest.get(reminder.eventId) !== reminder.id) return;
+
+    const event = findEventById(reminder.eventId);
+    if (!event || event.status === "cancelled") return;
+    if (!event.startsAt || Date.parse(event.startsAt) <= now) return;
+
+    event.participants.forEach((participant) => {
+      sendReminderEmail(participant, event).catch((err) =>
+        console.error("Email sending failed:", err.message)
+      );
+      queued += 1;
+    });
+  });
+
+  return queued;
+};
+
+/**
+ * Check for due reminders periodically
+ * Started by the server, not the app, so tests stay in control
+ */
+const startReminderScheduler = (intervalMs = config.reminders.pollIntervalMs) => {
+  if (scheduler) return;
+  scheduler = setInterval(() => sendDueReminders(), intervalMs);
+  scheduler.unref();
+  sendDueReminders();
+};
+
+/**
+ * Stop checking for due reminders
+ */
+const stopReminderScheduler = () => {
+  clearInterval(scheduler);
+  scheduler = null;
+};
+
+module.exports = {
+  scheduleReminders,
+  cancelReminders,
+  sendDueReminders,
+  startReminderScheduler,
+  stopReminderScheduler,
+};
@@ -0,0 +1,110 @@
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config/config");
+const { addEvent, findEventsBySeriesId } = require("../data/events");
+const { addSeries, findSeriesById, updateSeries } = require("../data/series");
+const { expandOccurrences } = require("../utils/recurrence");
+const { toLocalDateTime, localDateToUtc } = require("../utils/dates");
+
+// Valid values of the `scope` query parameter for series edits
+const SERIES_SCOPES = ["this", "following", "all"];
+
+/**
+ * Check the `scope` query parameter of a series edit
+ * Returns an error message, or null when the scope is valid
+ */
+const checkSeriesScope = (event, scope) => {
+  if (!SERIES_SCOPES.includes(scope)) {
+    return "'scope' must be one of 'this', 'following' or 'all'";
+  }
+  if (scope !== "this" && !event.seriesId) {
+    return `Scope '${scope}' only applies to events in a series`;
+  }
+  return null;
+};
+
+/**
+ * Create a series and one event per occurrence of its recurrence rule
+ * `template` holds the fields shared by every occurrence; its start is the
+ * first candidate. Occurrences keep the same wall-clock time in the event's
+ * time zone across daylight saving changes.
+ * Returns { errors } or { series, events }.
+ */
+const createEventSeries = (template, recurrence, rule, exdates = []) => {
+  const start = Date.parse(template.startsAt);
+  const duration = Date.parse(template.endsAt) - start;
+  const local = toLocalDateTime(start, template.timezone);
+
+  const { errors, dates } = expandOccurrences(
+    local.date,
+    rule,
+    exdates,
+    config.maxSeriesOccurrences
+  );
+  if (errors.length > 0) return { errors };
+  if (dates.length === 0) {
+    return { errors: ["Recurrence rule does not produce any occurrences"] };
+  }
+
+  const series = addSeries({
+    id: uuidv4(),
+    organizerId: template.organizerId,
+    recurrence,
+    exdates,
+    createdAt: new Date().toISOString(),
+  });
+
+  const events = dates.map((date, index) => {
+    const startsAt = localDateToUtc(date, local.time, template.timezone);
+    return addEvent({
+      ...template,
+      id: uuidv4(),
+      startsAt: new Date(startsAt).toISOString(),
+      endsAt: new Date(startsAt + duration).toISOString(),
+      seriesId: series.id,
+      occurrence: index + 1,
+    });
+  });
+
+  return { series, events };
+};
+
+/**
+ * Get the events affected by a scoped edit of one occurrence
+ * "this" is the occurrence itself, "following" adds every later
+ * occurrence and "all" is the whole series. Cancelled occurrences are
+ * no longer part of the schedule and left out unless `includeCancelled`.
+ */
+const getScopedOccurrences = (event, scope, { includeCancelled = false } = {}) => {
+  if (scope === "this" || !event.seriesId) return [event];
+
+  const occurrences = findEventsBySeriesId(event.seriesId).filter(
+    (occurrence) => includeCancelled || occurrence.status !== "cancelled"
+  );
+  if (scope === "all") return occurrences;
+  return occurrences.filter((occurrence) => occurrence.startsAt >= event.startsAt);
+};
+
+/**
+ * Record removed occurrences on their series as excluded local dates
+ * Cancelled occurrences stay in the store, so the series is never emptied.
+ */
+const removeSeriesOccurrences = (seriesId, occurrences) => {
+  const series = findSeriesById(seriesId);
+  if (!series) return;
+
+  const dates = occurrences.map(
+    (occurrence) =>
+      toLocalDateTime(Date.parse(occurrence.startsAt), occurrence.timezone).date
+  );
+  updateSeries(seriesId, {
+    exdates: [...new Set([...series.exdates, ...dates])].sort(),
+  });
+};
+
+module.exports = {
+  SERIES_SCOPES,
+  checkSeriesScope,
+  createEventSeries,
+  getScopedOccurrences,
+  removeSeriesOccurrences,
+};
@@ -0,0 +1,76 @@
+const { findUserById } = require("../data/users");
+const { toLocalTimes } = require("../utils/serializers");
+
+/**
+ * Normalize a room name for comparison
+ */
+const roomKey = (room) => (room ? room.trim().toLowerCase() : null);
+
+/**
+ * Find a session booked in the same room at an overlapping time
+ * Returns the conflicting session or undefined
+ */
+const findRoomConflict = (event, session) => {
+  if (!session.room) return undefined;
+
+  return (event.sessions || []).find(
+    (other) =>
+      other.id !== session.id &&
+      roomKey(other.room) === roomKey(session.room) &&
+      other.startsAt < session.endsAt &&
+      session.startsAt < other.endsAt
+  );
+};
+
+/**
+ * Users who bookmarked a session and are still registered for the event
+ * Only they count towards the session's capacity, so bookmarks of users
+ * who left the event free their spot without further bookkeeping.
+ */
+const activeBookmarks = (event, session) => {
+  const participantIds = new Set(event.participants.map((p) => p.userId));
+  return (session.bookmarks || []).filter((userId) => participantIds.has(userId));
+};
+
+/**
+ * Public profile of a session speaker
+ * Speakers whose accounts are gone are left out
+ */
+const toSpeaker = (userId) => {
+  const user = findUserById(userId);
+  if (!user) return null;
+  return {
+    userId: user.id,
+    name: user.name,
+    avatarUrl: user.avatarUrl || null,
+    bio: user.bio || null,
+  };
+};
+
+/**
+ * Build the agenda entry of a session as seen by a user
+ */
+const toAgendaSession = (event, session, userId, viewerTimezone = event.timezone) => {
+  const bookmarks = activeBookmarks(event, session);
+  return {
+    id: session.id,
+    title: session.title,
+    description: session.description,
+    startsAt: session.startsAt,
+    endsAt: session.endsAt,
+    local: toLocalTimes(session, viewerTimezone),
+    room: session.room,
+    track: session.track,
+    speakers: session.speakerIds.map(toSpeaker).filter(Boolean),
+    capacity: session.capacity,
+    bookmarkCount: bookmarks.length,
+    seatsLeft: session.capacity ? Math.max(session.capacity - bookmarks.length, 0) : null,
+    bookmarked: bookmarks.includes(userId),
+  };
+};
+
+module.exports = {
+  findRoomConflict,
+  activeBookmarks,
+  toAgendaSession,
+};
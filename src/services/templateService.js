@@ -0,0 +1,59 @@
+const { DEFAULT_LOCALE, locales } = require("../templates/email");
+const { renderTemplate, htmlToText, sanitizeEmailHtml } = require("../utils/templates");
+
+// Key of an event template override that applies to every locale
+const ANY_LOCALE = "*";
+
+/**
+ * Pick the supported locale for a language preference such as "de-AT"
+ * Falls back to the default locale
+ */
+const resolveLocale = (language) => {
+  if (typeof language !== "string") return DEFAULT_LOCALE;
+  const tag = language.toLowerCase();
+  if (locales[tag]) return tag;
+  const base = tag.split("-")[0];
+  return locales[base] ? base : DEFAULT_LOCALE;
+};
+
+/**
+ * Render a named email template into { subject, html, text, locale }
+ *
+ * `overrides` are an event's template overrides by locale, e.g.
+ * { "*": { subject }, de: { subject, html } }. Parts an override leaves out
+ * come from the built-in template; an overridden HTML body is sanitized and,
+ * without its own text, gets a plain-text alternative derived from it.
+ */
+const renderEmail = (name, data, { language, overrides } = {}) => {
+  const locale = resolveLocale(language);
+  const builtIn = locales[locale][name];
+  if (!builtIn) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const override = (overrides && (overrides[locale] || overrides[ANY_LOCALE])) || {};
+  const html = override.html
+    ? sanitizeEmailHtml(renderTemplate(override.html, data, { html: true }))
+    : renderTemplate(builtIn.html, data, { html: true });
+  let text;
+  if (override.text) {
+    text = renderTemplate(override.text, data);
+  } else if (override.html) {
+    text = htmlToText(html);
+  } else {
+    text = renderTemplate(builtIn.text, data);
+  }
+
+  return {
+    subject: renderTemplate(override.subject || builtIn.subject, data).replace(/[\r\n]+/g, " "),
+    html,
+    text,
+    locale,
+  };
+};
+
+module.exports = {
+  ANY_LOCALE,
+  resolveLocale,
+  renderEmail,
+};
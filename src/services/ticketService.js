@@ -0,0 +1,339 @@
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config/config");
+const { findEventById, updateEvent } = require("../data/events");
+const { findUserById } = require("../data/users");
+const {
+  findOrderByPaymentIntentId,
+  findOrdersByEventId,
+  addOrder,
+  updateOrder,
+} = require("../data/orders");
+const { getPaymentProvider } = require("./paymentProvider");
+const { sendRegistrationEmail } = require("./emailService");
+const { createInvite } = require("./calendarService");
+const { createTicketToken } = require("./tokenService");
+const { recordActivity } = require("./analyticsService");
+const { cancelParticipation } = require("./registrationService");
+
+/**
+ * Check whether an event sells tickets instead of free registration
+ */
+const requiresTicket = (event) => {
+  return (event.ticketTypes || []).length > 0;
+};
+
+/**
+ * Check whether an order holds or occupies a seat
+ * Pending orders hold theirs until `expiresAt`
+ */
+const isHoldingSeat = (order, now = Date.now()) => {
+  if (order.status === "paid") return true;
+  return order.status === "pending" && Date.parse(order.expiresAt) > now;
+};
+
+/**
+ * Count the seats of a ticket type: sold to participants and held by
+ * pending payments. `ticketTypeId` null counts every ticket type.
+ */
+const countSeats = (event, ticketTypeId = null, { excludeOrderId, now } = {}) => {
+  const matches = (entry) => !ticketTypeId || entry.ticketTypeId === ticketTypeId;
+  const sold = event.participants.filter(matches).length;
+  const held = findOrdersByEventId(event.id).filter(
+    (order) =>
+      order.status === "pending" &&
+      order.id !== excludeOrderId &&
+      isHoldingSeat(order, now) &&
+      matches(order)
+  ).length;
+  return { sold, held };
+};
+
+/**
+ * Check whether a ticket type still has a seat (within the event's overall cap)
+ */
+const hasSeatFor = (event, ticketType, options = {}) => {
+  const own = countSeats(event, ticketType.id, options);
+  if (ticketType.capacity && own.sold + own.held >= ticketType.capacity) return false;
+
+  const all = countSeats(event, null, options);
+  return !event.maxParticipants || all.sold + all.held < event.maxParticipants;
+};
+
+/**
+ * Describe whether a ticket type is on sale at a point in time
+ * Returns null when it is, or the reason it is not
+ */
+const saleWindowError = (ticketType, now = Date.now()) => {
+  if (ticketType.salesStart && Date.parse(ticketType.salesStart) > now) {
+    return "Ticket sales have not started yet";
+  }
+  if (ticketType.salesEnd && Date.parse(ticketType.salesEnd) <= now) {
+    return "Ticket sales have ended";
+  }
+  return null;
+};
+
+/**
+ * Ticket types of an event with their current availability
+ */
+const getTicketAvailability = (event, now = Date.now()) => {
+  return (event.ticketTypes || []).map((ticketType) => {
+    const { sold, held } = countSeats(event, ticketType.id, { now });
+    return {
+      ...ticketType,
+      sold,
+      remaining: ticketType.capacity ? Math.max(ticketType.capacity - sold - held, 0) : null,
+      onSale: !saleWindowError(ticketType, now) && hasSeatFor(event, ticketType, { now }),
+    };
+  });
+};
+
+/**
+ * Count the orders that used a promo code and still hold a seat
+ */
+const countRedemptions = (event, code, now = Date.now()) => {
+  return findOrdersByEventId(event.id).filter(
+    (order) => order.promoCode === code && isHoldingSeat(order, now)
+  ).length;
+};
+
+/**
+ * Apply a promo code to a ticket type's price
+ * Returns { discount } or { error }
+ */
+const applyPromoCode = (event, ticketType, input, now = Date.now()) => {
+  const code = String(input).trim().toUpperCase();
+  const promo = (event.promoCodes || []).find((p) => p.code === code);
+
+  if (!promo) return { error: "Invalid promo code" };
+  if (promo.expiresAt && Date.parse(promo.expiresAt) <= now) {
+    return { error: "This promo code has expired" };
+  }
+  if (promo.maxRedemptions && countRedemptions(event, code, now) >= promo.maxRedemptions) {
+    return { error: "This promo code has been fully redeemed" };
+  }
+  if (promo.ticketTypeIds && !promo.ticketTypeIds.includes(ticketType.id)) {
+    return { error: "This promo code does not apply to this ticket type" };
+  }
+
+  const discount = promo.percentOff
+    ? Math.round((ticketType.price * promo.percentOff) / 100)
+    : Math.min(promo.amountOff, ticketType.price);
+  return { code, discount };
+};
+
+/**
+ * Give the buyer of a paid order their seat and confirmation email
+ */
+const seatBuyer = (event, order) => {
+  const user = findUserById(order.userId);
+  const participant = {
+    userId: order.userId,
+    name: user ? user.name : order.name,
+    email: user ? user.email : order.email,
+    registeredAt: new Date().toISOString(),
+    ticketTypeId: order.ticketTypeId,
+    orderId: order.id,
+    ticketId: uuidv4(),
+  };
+  updateEvent(event.id, { participants: [...event.participants, participant] });
+  recordActivity("registered", event.id, order.userId, { orderId: order.id });
+
+  sendRegistrationEmail(participant, event, {
+    calendar: createInvite([event], { name: participant.name, email: participant.email }),
+    ticket: createTicketToken(participant.ticketId),
+  }).catch((err) => console.error("Email sending failed:", err.message));
+};
+
+/**
+ * Start a ticket purchase
+ * Free orders (after discounts) are completed at once; others hold a seat
+ * and return the payment intent the client completes with the provider.
+ * Returns { order, payment } or { status, error } for the HTTP response.
+ */
+const createOrder = async (event, user, { ticketTypeId, promoCode }) => {
+  const now = Date.now();
+  const ticketType = (event.ticketTypes || []).find((t) => t.id === ticketTypeId);
+  if (!ticketType) {
+    return { status: 404, error: "Ticket type not found" };
+  }
+
+  const windowError = saleWindowError(ticketType, now);
+  if (windowError) {
+    return { status: 409, error: windowError };
+  }
+
+  if (event.participants.some((p) => p.userId === user.id)) {
+    return { status: 409, error: "You are already registered for this event" };
+  }
+  const pending = findOrdersByEventId(event.id).find(
+    (order) => order.userId === user.id && order.status === "pending" && isHoldingSeat(order, now)
+  );
+  if (pending) {
+    return { status: 409, error: "You already have a pending order for this event" };
+  }
+
+  if (!hasSeatFor(event, ticketType, { now })) {
+    return { status: 409, error: "This ticket type is sold out" };
+  }
+
+  let discount = 0;
+  let code = null;
+  if (promoCode !== undefined && promoCode !== "") {
+    const promo = applyPromoCode(event, ticketType, promoCode, now);
+    if (promo.error) {
+      return { status: 400, error: promo.error };
+    }
+    ({ discount, code } = promo);
+  }
+
+  const amount = ticketType.price - discount;
+  const order = addOrder({
+    id: uuidv4(),
+    eventId: event.id,
+    userId: user.id,
+    name: user.name,
+    email: user.email,
+    ticketTypeId: ticketType.id,
+    ticketTypeName: ticketType.name,
+    promoCode: code,
+    currency: ticketType.currency,
+    subtotal: ticketType.price,
+    discount,
+    amount,
+    status: amount === 0 ? "paid" : "pending",
+    provider: amount === 0 ? null : getPaymentProvider().name,
+    paymentIntentId: null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt:
+      amount === 0 ? null : new Date(now + config.payments.holdMinutes * 60 * 1000).toISOString(),
+    paidAt: amount === 0 ? new Date(now).toISOString() : null,
+    refundedAt: null,
+  });
+
+  if (amount === 0) {
+    seatBuyer(event, order);
+    return { order, payment: null };
+  }
+
+  // The seat is held before calling out, so concurrent buyers cannot take it
+  try {
+    const intent = await getPaymentProvider().createPaymentIntent({
+      amount,
+      currency: ticketType.currency,
+      metadata: { orderId: order.id, eventId: event.id, userId: user.id },
+    });
+
+    return {
+      order: updateOrder(order.id, { paymentIntentId: intent.id }),
+      payment: { provider: order.provider, intentId: intent.id, clientSecret: intent.clientSecret },
+    };
+  } catch (error) {
+    updateOrder(order.id, { status: "failed", lastError: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Refund a paid order through its payment provider
+ * The seat itself is released by the caller. Never throws: failed refunds
+ * are recorded as "refund_failed" for follow-up.
+ * Returns the updated order, or null if the order was not paid
+ */
+const refundOrder = async (order) => {
+  if (!order || order.status !== "paid") return null;
+
+  try {
+    if (order.amount > 0) {
+      await getPaymentProvider().refundPayment(order.paymentIntentId, { amount: order.amount });
+    }
+    return updateOrder(order.id, {
+      status: "refunded",
+      refundedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error(`Refund of order ${order.id} failed:`, error.message);
+    return updateOrder(order.id, { status: "refund_failed", lastError: error.message });
+  }
+};
+
+/**
+ * Refund every paid order of an event and void its pending ones
+ * Used when an event is cancelled
+ */
+const refundEventOrders = (eventId) => {
+  const orders = findOrdersByEventId(eventId);
+
+  orders
+    .filter((order) => order.status === "pending")
+    .forEach((order) => updateOrder(order.id, { status: "cancelled" }));
+
+  return Promise.all(orders.filter((order) => order.status === "paid").map(refundOrder));
+};
+
+/**
+ * Apply a verified payment provider notification to its order
+ * A payment that arrives for a cancelled event, or after the hold expired
+ * and the seat was taken, is refunded. Notifications are idempotent.
+ * Returns the updated order, or null when the notification is ignored
+ */
+const handlePaymentEvent = async ({ type, intentId }) => {
+  const order = findOrderByPaymentIntentId(intentId);
+  if (!order) return null;
+
+  const event = findEventById(order.eventId);
+
+  if (type === "payment.succeeded") {
+    if (order.status === "paid" || order.status === "refunded") return null;
+
+    const paid = updateOrder(order.id, {
+      status: "paid",
+      paidAt: new Date().toISOString(),
+    });
+
+    const ticketType = event && (event.ticketTypes || []).find((t) => t.id === order.ticketTypeId);
+    const seated =
+      event &&
+      ticketType &&
+      event.status !== "cancelled" &&
+      !event.participants.some((p) => p.userId === order.userId) &&
+      (isHoldingSeat(order) || hasSeatFor(event, ticketType, { excludeOrderId: order.id }));
+
+    if (!seated) return refundOrder(paid);
+
+    seatBuyer(event, paid);
+    return paid;
+  }
+
+  if (type === "payment.failed") {
+    if (order.status !== "pending") return null;
+    return updateOrder(order.id, { status: "failed" });
+  }
+
+  if (type === "payment.refunded") {
+    if (order.status === "refunded") return null;
+
+    const refunded = updateOrder(order.id, {
+      status: "refunded",
+      refundedAt: new Date().toISOString(),
+    });
+
+    // The buyer loses their seat as if the organizer had removed them
+    const participant = event && event.participants.find((p) => p.orderId === order.id);
+    if (participant) cancelParticipation(event, participant, null);
+    return refunded;
+  }
+
+  return null;
+};
+
+module.exports = {
+  requiresTicket,
+  getTicketAvailability,
+  countSeats,
+  countRedemptions,
+  createOrder,
+  refundOrder,
+  refundEventOrders,
+  handlePaymentEvent,
+};
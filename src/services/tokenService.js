@@ -0,0 +1,215 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config/config");
+const {
+  addRefreshToken,
+  findRefreshToken,
+  updateRefreshToken,
+  addTokenFamily,
+  revokeTokenFamily,
+  isTokenFamilyRevoked,
+  revokeAccessToken,
+  addActionToken,
+  findActionToken,
+  markActionTokenUsed,
+} = require("../data/tokens");
+
+// Lifetime in seconds for each kind of action token
+const ACTION_TOKEN_TTLS = {
+  "password-reset": () => config.passwordResetTtl,
+  "email-verification": () => config.emailVerificationTtl,
+};
+
+/**
+ * Hash a refresh token for storage and lookup
+ */
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+/**
+ * Issue a short-lived access token and a refresh token for a user
+ * Pass `familyId` when rotating; omit it to start a new session family
+ */
+const issueTokens = (user, familyId) => {
+  if (!familyId) {
+    familyId = uuidv4();
+    addTokenFamily({
+      id: familyId,
+      userId: user.id,
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+    });
+  }
+
+  const token = jwt.sign(
+    { id: user.id, email: user.email, role: user.role, fid: familyId },
+    config.jwtSecret,
+    { expiresIn: config.jwtExpiresIn, jwtid: uuidv4() }
+  );
+
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+  addRefreshToken({
+    id: hashToken(refreshToken),
+    userId: user.id,
+    familyId,
+    expiresAt: Date.now() + config.refreshTokenTtl * 1000,
+    rotatedAt: null,
+    createdAt: new Date().toISOString(),
+  });
+
+  return { token, refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * A refresh token can be used once. Presenting an already rotated token
+ * means it was stolen or replayed, so its whole family is revoked.
+ * Returns { userId, familyId } on success, or { error } on failure.
+ */
+const rotateRefreshToken = (refreshToken) => {
+  const record = findRefreshToken(hashToken(refreshToken));
+  if (!record) {
+    return { error: "Invalid refresh token." };
+  }
+
+  if (isTokenFamilyRevoked(record.familyId)) {
+    return { error: "Refresh token has been revoked." };
+  }
+
+  if (record.rotatedAt) {
+    revokeTokenFamily(record.familyId);
+    return {
+      error: "Refresh token reuse detected. All sessions for this login have been revoked.",
+    };
+  }
+
+  if (record.expiresAt < Date.now()) {
+    return { error: "Refresh token has expired." };
+  }
+
+  updateRefreshToken(record.id, { rotatedAt: new Date().toISOString() });
+  return { userId: record.userId, familyId: record.familyId };
+};
+
+/**
+ * Revoke a verified access token and the session family it belongs to
+ */
+const revokeSession = (decoded) => {
+  revokeAccessToken(decoded.jti, decoded.exp * 1000);
+  revokeTokenFamily(decoded.fid);
+};
+
+/**
+ * Create a signed, single-use, expiring token for an account action
+ * `purpose` is "password-reset" or "email-verification"
+ */
+const createActionToken = (user, purpose) => {
+  const jti = uuidv4();
+  const ttl = ACTION_TOKEN_TTLS[purpose]();
+
+  addActionToken({
+    id: jti,
+    userId: user.id,
+    purpose,
+    usedAt: null,
+    createdAt: new Date().toISOString(),
+  });
+
+  return jwt.sign(
+    { id: user.id, email: user.email, purpose },
+    config.jwtSecret,
+    { expiresIn: ttl, jwtid: jti, audience: purpose }
+  );
+};
+
+/**
+ * Verify and use up an action token
+ * Returns { userId, email } on success, or { error } on failure
+ */
+const consumeActionToken = (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwtSecret, { audience: purpose });
+  } catch (error) {
+    return { error: "Invalid or expired token." };
+  }
+
+  const record = findActionToken(decoded.jti);
+  if (!record || record.usedAt) {
+    return { error: "This link has already been used." };
+  }
+
+  markActionTokenUsed(record.id);
+  return { userId: decoded.id, email: decoded.email };
+};
+
+/**
+ * Sign a participant's ticket for their QR code
+ * The token is "<ticketId>.<signature>", short enough for a small QR code.
+ * Tickets do not expire; they stop working when the participant leaves.
+ */
+const createTicketToken = (ticketId) => {
+  const signature = crypto
+    .createHmac("sha256", config.ticketSecret)
+    .update(ticketId)
+    .digest("base64url");
+  return `${ticketId}.${signature}`;
+};
+
+/**
+ * Verify a ticket token
+ * Returns the ticket id, or null if the token was not issued by us
+ */
+const verifyTicketToken = (token) => {
+  if (typeof token !== "string") return null;
+
+  const [ticketId, signature, ...rest] = token.trim().split(".");
+  if (!ticketId || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(createTicketToken(ticketId));
+  const given = Buffer.from(token.trim());
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return null;
+  }
+  return ticketId;
+};
+
+/**
+ * Sign a short-lived link for a user to join an event's virtual venue
+ * Returns the token and its expiry as an ISO timestamp
+ */
+const createJoinToken = (userId, eventId) => {
+  const token = jwt.sign({ id: userId, eid: eventId }, config.jwtSecret, {
+    expiresIn: config.joinLinks.ttl,
+    audience: "event-join",
+  });
+  const { exp } = jwt.decode(token);
+  return { token, expiresAt: new Date(exp * 1000).toISOString() };
+};
+
+/**
+ * Verify a join link token
+ * Returns { userId, eventId }, or null if it is invalid or expired
+ */
+const verifyJoinToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, config.jwtSecret, { audience: "event-join" });
+    return { userId: decoded.id, eventId: decoded.eid };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  createActionToken,
+  consumeActionToken,
+  createTicketToken,
+  verifyTicketToken,
+  createJoinToken,
+  verifyJoinToken,
+};
@@ -0,0 +1,56 @@
+const { v4: uuidv4 } = require("uuid");
+const { findEventById, updateEvent } = require("../data/events");
+const { sendWaitlistPromotionEmail } = require("./emailService");
+const { createInvite } = require("./calendarService");
+const { createTicketToken } = require("./tokenService");
+const { recordActivity } = require("./analyticsService");
+
+/**
+ * Count the free seats of an event (Infinity when unlimited)
+ */
+const freeSeats = (event) => {
+  if (!event.maxParticipants) return Infinity;
+  return Math.max(event.maxParticipants - event.participants.length, 0);
+};
+
+/**
+ * Move waitlisted users into free seats, first come first served
+ * Each promoted user gets their own notification email. Ticketed events
+ * have no waitlist, so seats freed on them go back on sale instead.
+ * Returns the list of promoted participants
+ */
+const promoteFromWaitlist = (eventId) => {
+  const event = findEventById(eventId);
+  if (!event || event.status === "cancelled" || event.waitlist.length === 0) return [];
+
+  const count = Math.min(freeSeats(event), event.waitlist.length);
+  if (count === 0) return [];
+
+  const now = new Date().toISOString();
+  const promoted = event.waitlist.slice(0, count).map(({ joinedAt, ...entry }) => ({
+    ...entry,
+    registeredAt: now,
+    waitlistedAt: joinedAt,
+    ticketId: uuidv4(),
+  }));
+
+  updateEvent(event.id, {
+    participants: [...event.participants, ...promoted],
+    waitlist: event.waitlist.slice(count),
+  });
+
+  promoted.forEach((participant) => {
+    recordActivity("promoted", event.id, participant.userId);
+    sendWaitlistPromotionEmail(participant, event, {
+      calendar: createInvite([event], { name: participant.name, email: participant.email }),
+      ticket: createTicketToken(participant.ticketId),
+    }).catch((err) => console.error("Email sending failed:", err.message));
+  });
+
+  return promoted;
+};
+
+module.exports = {
+  freeSeats,
+  promoteFromWaitlist,
+};
@@ -0,0 +1,264 @@
+/**
+ * German email templates
+ * See src/utils/templates.js for the template syntax
+ */
+module.exports = {
+  registration: {
+    subject: "Anmeldung bestätigt: {{eventTitle}}",
+    html: `
+      <h2>Bestätigung Ihrer Anmeldung</h2>
+      <p>Hallo <strong>{{name}}</strong>,</p>
+      <p>Sie haben sich erfolgreich für <strong>{{eventTitle}}</strong>{{#occurrenceCount}} ({{occurrenceCount}} Termine){{/occurrenceCount}} angemeldet.</p>
+      <p>{{eventDate}} um {{eventTime}} ({{eventTimezone}}) &middot; {{eventLocation}}</p>
+      {{#ticket}}<p>Zeigen Sie diesen QR-Code am Einlass vor:</p>
+      <p><img src="cid:ticket-qr" alt="QR" width="200" height="200"/></p>
+      <p>Ticketcode: <code>{{ticket}}</code></p>{{/ticket}}
+      <p>Wir freuen uns auf Ihre Teilnahme!</p>
+      <br/>
+      <p>Viele Grüße</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hallo {{name}},
+
+Sie haben sich erfolgreich für {{eventTitle}}{{#occurrenceCount}} ({{occurrenceCount}} Termine){{/occurrenceCount}} angemeldet.
+{{eventDate}} um {{eventTime}} ({{eventTimezone}}) - {{eventLocation}}
+{{#ticket}}Ihr Ticketcode (bitte am Einlass vorzeigen): {{ticket}}
+{{/ticket}}
+Wir freuen uns auf Ihre Teilnahme!
+
+Viele Grüße
+Virtual Event Management Platform`,
+  },
+
+  waitlistPromotion: {
+    subject: "Sie sind dabei: {{eventTitle}}",
+    html: `
+      <h2>Ein Platz ist frei geworden</h2>
+      <p>Hallo <strong>{{name}}</strong>,</p>
+      <p>Für <strong>{{eventTitle}}</strong> ist ein Platz frei geworden. Sie wurden von der Warteliste in die Teilnehmerliste übernommen.</p>
+      <p>{{eventDate}} um {{eventTime}} ({{eventTimezone}}) &middot; {{eventLocation}}</p>
+      {{#ticket}}<p>Zeigen Sie diesen QR-Code am Einlass vor:</p>
+      <p><img src="cid:ticket-qr" alt="QR" width="200" height="200"/></p>
+      <p>Ticketcode: <code>{{ticket}}</code></p>{{/ticket}}
+      <p>Wir freuen uns auf Ihre Teilnahme!</p>
+      <br/>
+      <p>Viele Grüße</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hallo {{name}},
+
+Für {{eventTitle}} ist ein Platz frei geworden. Sie wurden von der Warteliste in die Teilnehmerliste übernommen.
+{{eventDate}} um {{eventTime}} ({{eventTimezone}}) - {{eventLocation}}
+{{#ticket}}Ihr Ticketcode (bitte am Einlass vorzeigen): {{ticket}}
+{{/ticket}}
+Wir freuen uns auf Ihre Teilnahme!
+
+Viele Grüße
+Virtual Event Management Platform`,
+  },
+
+  cancellation: {
+    subject: "Anmeldung storniert: {{eventTitle}}",
+    html: `
+      <h2>Anmeldung storniert</h2>
+      <p>Hallo <strong>{{name}}</strong>,</p>
+      <p>{{#removedByOrganizer}}Der Veranstalter hat Sie von der Teilnehmerliste entfernt:{{/removedByOrganizer}}{{^removedByOrganizer}}Ihre Anmeldung wurde storniert:{{/removedByOrganizer}} <strong>{{eventTitle}}</strong>.</p>
+      <br/>
+      <p>Viele Grüße</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hallo {{name}},
+
+{{#removedByOrganizer}}Der Veranstalter hat Sie von der Teilnehmerliste entfernt:{{/removedByOrganizer}}{{^removedByOrganizer}}Ihre Anmeldung wurde storniert:{{/removedByOrganizer}} {{eventTitle}}.
+
+Viele Grüße
+Virtual Event Management Platform`,
+  },
+
+  reminder: {
+    subject: "Erinnerung: {{eventTitle}}",
+    html: `
+      <h2>Erinnerung an Ihre Veranstaltung</h2>
+      <p>Hallo <strong>{{name}}</strong>,</p>
+      <p>Wir möchten Sie daran erinnern, dass <strong>{{eventTitle}}</strong> bald stattfindet.</p>
+      <p>{{eventDate}} um {{eventTime}} ({{eventTimezone}}) &middot; {{eventLocation}}</p>
+      <p><a href="{{eventUrl}}">Details zur Veranstaltung</a></p>
+      <br/>
+      <p>Viele Grüße</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hallo {{name}},
+
+Wir möchten Sie daran erinnern, dass {{eventTitle}} bald stattfindet.
+{{eventDate}} um {{eventTime}} ({{eventTimezone}}) - {{eventLocation}}
+
+Details zur Veranstaltung: {{eventUrl}}
+
+Viele Grüße
+Virtual Event Management Platform`,
+  },
+
+  announcement: {
+    subject: "{{eventTitle}}: {{announcementSubject}}",
+    html: `
+      <h2>{{announcementSubject}}</h2>
+      <p>Hallo <strong>{{name}}</strong>,</p>
+      <p>{{organizerName}} hat eine Nachricht zu <strong>{{eventTitle}}</strong> gesendet:</p>
+      <p style="white-space: pre-line">{{announcementMessage}}</p>
+      <p><a href="{{eventUrl}}">Details zur Veranstaltung</a></p>
+      <br/>
+      <p>Viele Grüße</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hallo {{name}},
+
+{{organizerName}} hat eine Nachricht zu {{eventTitle}} gesendet:
+
+{{announcementMessage}}
+
+Details zur Veranstaltung: {{eventUrl}}
+
+Viele Grüße
+Virtual Event Management Platform`,
+  },
+
+  eventUpdated: {
+    subject: "Veranstaltung geändert: {{eventTitle}}",
+    html: `
+      <h2>Veranstaltung geändert</h2>
+      <p>Hallo <strong>{{name}}</strong>,</p>
+      <p>Der Veranstalter hat <strong>{{eventTitle}}</strong> geändert:</p>
+      <ul>
+        {{#changes}}<li>{{#title}}Titel{{/title}}{{#schedule}}Datum und Uhrzeit{{/schedule}}{{#location}}Ort{{/location}}{{#description}}Die Beschreibung wurde aktualisiert{{/description}}{{#virtualVenue}}Die Zugangsdaten wurden aktualisiert{{/virtualVenue}}{{#from}}: {{from}} &rarr; <strong>{{to}}</strong>{{/from}}</li>{{/changes}}
+      </ul>
+      <p>{{eventDate}} um {{eventTime}} ({{eventTimezone}}) &middot; {{eventLocation}}</p>
+      <p><a href="{{eventUrl}}">Details zur Veranstaltung</a></p>
+      <br/>
+      <p>Viele Grüße</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hallo {{name}},
+
+Der Veranstalter hat {{eventTitle}} geändert:
+{{#changes}}
+- {{#title}}Titel{{/title}}{{#schedule}}Datum und Uhrzeit{{/schedule}}{{#location}}Ort{{/location}}{{#description}}Die Beschreibung wurde aktualisiert{{/description}}{{#virtualVenue}}Die Zugangsdaten wurden aktualisiert{{/virtualVenue}}{{#from}}: {{from}} -> {{to}}{{/from}}{{/changes}}
+
+{{eventDate}} um {{eventTime}} ({{eventTimezone}}) - {{eventLocation}}
+Details zur Veranstaltung: {{eventUrl}}
+
+Viele Grüße
+Virtual Event Management Platform`,
+  },
+
+  eventCancelled: {
+    subject: "Veranstaltung abgesagt: {{eventTitle}}",
+    html: `
+      <h2>Veranstaltung abgesagt</h2>
+      <p>Hallo <strong>{{name}}</strong>,</p>
+      <p>Leider müssen wir Ihnen mitteilen, dass <strong>{{eventTitle}}</strong> am {{eventDate}} um {{eventTime}} ({{eventTimezone}}) abgesagt wurde.</p>
+      {{#cancellationReason}}<p>Begründung des Veranstalters:</p>
+      <p style="white-space: pre-line">{{cancellationReason}}</p>{{/cancellationReason}}
+      <br/>
+      <p>Viele Grüße</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hallo {{name}},
+
+Leider müssen wir Ihnen mitteilen, dass {{eventTitle}} am {{eventDate}} um {{eventTime}} ({{eventTimezone}}) abgesagt wurde.
+{{#cancellationReason}}
+Begründung des Veranstalters:
+{{cancellationReason}}
+{{/cancellationReason}}
+Viele Grüße
+Virtual Event Management Platform`,
+  },
+
+  emailVerification: {
+    subject: "Bestätigen Sie Ihre E-Mail-Adresse",
+    html: `
+      <h2>E-Mail-Adresse bestätigen</h2>
+      <p>Hallo <strong>{{name}}</strong>,</p>
+      <p>Bitte bestätigen Sie Ihre E-Mail-Adresse über den folgenden Link:</p>
+      <p><a href="{{verifyUrl}}">{{verifyUrl}}</a></p>
+      <br/>
+      <p>Viele Grüße</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hallo {{name}},
+
+Bitte bestätigen Sie Ihre E-Mail-Adresse über den folgenden Link:
+{{verifyUrl}}
+
+Viele Grüße
+Virtual Event Management Platform`,
+  },
+
+  passwordReset: {
+    subject: "Passwort zurücksetzen",
+    html: `
+      <h2>Passwort zurücksetzen</h2>
+      <p>Hallo <strong>{{name}}</strong>,</p>
+      <p>Wir haben eine Anfrage zum Zurücksetzen Ihres Passworts erhalten. Über den folgenden Link können Sie ein neues Passwort wählen:</p>
+      <p><a href="{{resetUrl}}">{{resetUrl}}</a></p>
+      <p>Falls Sie dies nicht angefordert haben, können Sie diese E-Mail ignorieren.</p>
+      <br/>
+      <p>Viele Grüße</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hallo {{name}},
+
+Wir haben eine Anfrage zum Zurücksetzen Ihres Passworts erhalten. Über den folgenden Link können Sie ein neues Passwort wählen:
+{{resetUrl}}
+
+Falls Sie dies nicht angefordert haben, können Sie diese E-Mail ignorieren.
+
+Viele Grüße
+Virtual Event Management Platform`,
+  },
+
+  organizerRequestReviewed: {
+    subject: "{{#approved}}Sie sind jetzt Veranstalter{{/approved}}{{^approved}}Ihre Anfrage als Veranstalter wurde abgelehnt{{/approved}}",
+    html: `
+      <h2>{{#approved}}Anfrage als Veranstalter genehmigt{{/approved}}{{^approved}}Anfrage als Veranstalter abgelehnt{{/approved}}</h2>
+      <p>Hallo <strong>{{name}}</strong>,</p>
+      <p>{{#approved}}Ihre Anfrage, Veranstalter zu werden, wurde genehmigt. Sie können jetzt Veranstaltungen erstellen und verwalten.{{/approved}}{{^approved}}Ihre Anfrage, Veranstalter zu werden, wurde abgelehnt.{{/approved}}</p>
+      {{#reviewNote}}<p>Hinweis der Prüfung:</p>
+      <p style="white-space: pre-line">{{reviewNote}}</p>{{/reviewNote}}
+      <br/>
+      <p>Viele Grüße</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hallo {{name}},
+
+{{#approved}}Ihre Anfrage, Veranstalter zu werden, wurde genehmigt. Sie können jetzt Veranstaltungen erstellen und verwalten.{{/approved}}{{^approved}}Ihre Anfrage, Veranstalter zu werden, wurde abgelehnt.{{/approved}}
+{{#reviewNote}}
+Hinweis der Prüfung:
+{{reviewNote}}
+{{/reviewNote}}
+Viele Grüße
+Virtual Event Management Platform`,
+  },
+
+  teamInvitation: {
+    subject: "Einladung ins Team von {{eventTitle}}",
+    html: `
+      <h2>Einladung ins Veranstaltungsteam</h2>
+      <p>Hallo <strong>{{name}}</strong>,</p>
+      <p>{{inviterName}} hat Sie eingeladen, <strong>{{eventTitle}}</strong> als {{#coOrganizer}}Mitveranstalter{{/coOrganizer}}{{#moderator}}Moderator{{/moderator}}{{#checkIn}}Check-in-Team{{/checkIn}} zu unterstützen.</p>
+      <p>{{eventDate}} um {{eventTime}} ({{eventTimezone}}) &middot; {{eventLocation}}</p>
+      <p><a href="{{eventUrl}}">Veranstaltung ansehen und Einladung annehmen</a></p>
+      <br/>
+      <p>Viele Grüße</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hallo {{name}},
+
+{{inviterName}} hat Sie eingeladen, {{eventTitle}} als {{#coOrganizer}}Mitveranstalter{{/coOrganizer}}{{#moderator}}Moderator{{/moderator}}{{#checkIn}}Check-in-Team{{/checkIn}} zu unterstützen.
+{{eventDate}} um {{eventTime}} ({{eventTimezone}}) - {{eventLocation}}
+
+Veranstaltung ansehen und Einladung annehmen: {{eventUrl}}
+
+Viele Grüße
+Virtual Event Management Platform`,
+  },
+};
@@ -0,0 +1,264 @@
+/**
+ * English email templates (default locale)
+ * See src/utils/templates.js for the template syntax
+ */
+module.exports = {
+  registration: {
+    subject: "Registration Confirmed: {{eventTitle}}",
+    html: `
+      <h2>Event Registration Confirmation</h2>
+      <p>Hello <strong>{{name}}</strong>,</p>
+      <p>You have successfully registered for <strong>{{eventTitle}}</strong>{{#occurrenceCount}} ({{occurrenceCount}} occurrences){{/occurrenceCount}}.</p>
+      <p>{{eventDate}} at {{eventTime}} ({{eventTimezone}}) &middot; {{eventLocation}}</p>
+      {{#ticket}}<p>Show this QR code at the entrance:</p>
+      <p><img src="cid:ticket-qr" alt="QR" width="200" height="200"/></p>
+      <p>Ticket code: <code>{{ticket}}</code></p>{{/ticket}}
+      <p>We look forward to seeing you at the event!</p>
+      <br/>
+      <p>Best regards,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hello {{name}},
+
+You have successfully registered for {{eventTitle}}{{#occurrenceCount}} ({{occurrenceCount}} occurrences){{/occurrenceCount}}.
+{{eventDate}} at {{eventTime}} ({{eventTimezone}}) - {{eventLocation}}
+{{#ticket}}Your ticket code (show it at the entrance): {{ticket}}
+{{/ticket}}
+We look forward to seeing you at the event!
+
+Best regards,
+Virtual Event Management Platform`,
+  },
+
+  waitlistPromotion: {
+    subject: "You're In: {{eventTitle}}",
+    html: `
+      <h2>A Seat Opened Up</h2>
+      <p>Hello <strong>{{name}}</strong>,</p>
+      <p>A seat became available for <strong>{{eventTitle}}</strong> and you have been moved from the waitlist to the participant list.</p>
+      <p>{{eventDate}} at {{eventTime}} ({{eventTimezone}}) &middot; {{eventLocation}}</p>
+      {{#ticket}}<p>Show this QR code at the entrance:</p>
+      <p><img src="cid:ticket-qr" alt="QR" width="200" height="200"/></p>
+      <p>Ticket code: <code>{{ticket}}</code></p>{{/ticket}}
+      <p>We look forward to seeing you at the event!</p>
+      <br/>
+      <p>Best regards,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hello {{name}},
+
+A seat became available for {{eventTitle}} and you have been moved from the waitlist to the participant list.
+{{eventDate}} at {{eventTime}} ({{eventTimezone}}) - {{eventLocation}}
+{{#ticket}}Your ticket code (show it at the entrance): {{ticket}}
+{{/ticket}}
+We look forward to seeing you at the event!
+
+Best regards,
+Virtual Event Management Platform`,
+  },
+
+  cancellation: {
+    subject: "Registration Cancelled: {{eventTitle}}",
+    html: `
+      <h2>Event Registration Cancelled</h2>
+      <p>Hello <strong>{{name}}</strong>,</p>
+      <p>{{#removedByOrganizer}}The event organizer has removed you from the participant list of{{/removedByOrganizer}}{{^removedByOrganizer}}Your registration has been cancelled for{{/removedByOrganizer}} <strong>{{eventTitle}}</strong>.</p>
+      <br/>
+      <p>Best regards,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hello {{name}},
+
+{{#removedByOrganizer}}The event organizer has removed you from the participant list of{{/removedByOrganizer}}{{^removedByOrganizer}}Your registration has been cancelled for{{/removedByOrganizer}} {{eventTitle}}.
+
+Best regards,
+Virtual Event Management Platform`,
+  },
+
+  reminder: {
+    subject: "Reminder: {{eventTitle}}",
+    html: `
+      <h2>Event Reminder</h2>
+      <p>Hello <strong>{{name}}</strong>,</p>
+      <p>This is a reminder that <strong>{{eventTitle}}</strong> is coming up.</p>
+      <p>{{eventDate}} at {{eventTime}} ({{eventTimezone}}) &middot; {{eventLocation}}</p>
+      <p><a href="{{eventUrl}}">View event details</a></p>
+      <br/>
+      <p>Best regards,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hello {{name}},
+
+This is a reminder that {{eventTitle}} is coming up.
+{{eventDate}} at {{eventTime}} ({{eventTimezone}}) - {{eventLocation}}
+
+View event details: {{eventUrl}}
+
+Best regards,
+Virtual Event Management Platform`,
+  },
+
+  announcement: {
+    subject: "{{eventTitle}}: {{announcementSubject}}",
+    html: `
+      <h2>{{announcementSubject}}</h2>
+      <p>Hello <strong>{{name}}</strong>,</p>
+      <p>{{organizerName}} sent a message about <strong>{{eventTitle}}</strong>:</p>
+      <p style="white-space: pre-line">{{announcementMessage}}</p>
+      <p><a href="{{eventUrl}}">View event details</a></p>
+      <br/>
+      <p>Best regards,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hello {{name}},
+
+{{organizerName}} sent a message about {{eventTitle}}:
+
+{{announcementMessage}}
+
+View event details: {{eventUrl}}
+
+Best regards,
+Virtual Event Management Platform`,
+  },
+
+  eventUpdated: {
+    subject: "Event Updated: {{eventTitle}}",
+    html: `
+      <h2>Event Updated</h2>
+      <p>Hello <strong>{{name}}</strong>,</p>
+      <p>The organizer has made changes to <strong>{{eventTitle}}</strong>:</p>
+      <ul>
+        {{#changes}}<li>{{#title}}Title{{/title}}{{#schedule}}Date and time{{/schedule}}{{#location}}Location{{/location}}{{#description}}The description has been updated{{/description}}{{#virtualVenue}}The joining details have been updated{{/virtualVenue}}{{#from}}: {{from}} &rarr; <strong>{{to}}</strong>{{/from}}</li>{{/changes}}
+      </ul>
+      <p>{{eventDate}} at {{eventTime}} ({{eventTimezone}}) &middot; {{eventLocation}}</p>
+      <p><a href="{{eventUrl}}">View event details</a></p>
+      <br/>
+      <p>Best regards,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hello {{name}},
+
+The organizer has made changes to {{eventTitle}}:
+{{#changes}}
+- {{#title}}Title{{/title}}{{#schedule}}Date and time{{/schedule}}{{#location}}Location{{/location}}{{#description}}The description has been updated{{/description}}{{#virtualVenue}}The joining details have been updated{{/virtualVenue}}{{#from}}: {{from}} -> {{to}}{{/from}}{{/changes}}
+
+{{eventDate}} at {{eventTime}} ({{eventTimezone}}) - {{eventLocation}}
+View event details: {{eventUrl}}
+
+Best regards,
+Virtual Event Management Platform`,
+  },
+
+  eventCancelled: {
+    subject: "Event Cancelled: {{eventTitle}}",
+    html: `
+      <h2>Event Cancelled</h2>
+      <p>Hello <strong>{{name}}</strong>,</p>
+      <p>We are sorry to let you know that <strong>{{eventTitle}}</strong> on {{eventDate}} at {{eventTime}} ({{eventTimezone}}) has been cancelled.</p>
+      {{#cancellationReason}}<p>Reason given by the organizer:</p>
+      <p style="white-space: pre-line">{{cancellationReason}}</p>{{/cancellationReason}}
+      <br/>
+      <p>Best regards,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hello {{name}},
+
+We are sorry to let you know that {{eventTitle}} on {{eventDate}} at {{eventTime}} ({{eventTimezone}}) has been cancelled.
+{{#cancellationReason}}
+Reason given by the organizer:
+{{cancellationReason}}
+{{/cancellationReason}}
+Best regards,
+Virtual Event Management Platform`,
+  },
+
+  emailVerification: {
+    subject: "Verify your email address",
+    html: `
+      <h2>Verify Your Email Address</h2>
+      <p>Hello <strong>{{name}}</strong>,</p>
+      <p>Please confirm that this is your email address by opening the link below:</p>
+      <p><a href="{{verifyUrl}}">{{verifyUrl}}</a></p>
+      <br/>
+      <p>Best regards,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hello {{name}},
+
+Please confirm that this is your email address by opening the link below:
+{{verifyUrl}}
+
+Best regards,
+Virtual Event Management Platform`,
+  },
+
+  passwordReset: {
+    subject: "Reset your password",
+    html: `
+      <h2>Password Reset Request</h2>
+      <p>Hello <strong>{{name}}</strong>,</p>
+      <p>We received a request to reset your password. Open the link below to choose a new one:</p>
+      <p><a href="{{resetUrl}}">{{resetUrl}}</a></p>
+      <p>If you did not request this, you can safely ignore this email.</p>
+      <br/>
+      <p>Best regards,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hello {{name}},
+
+We received a request to reset your password. Open the link below to choose a new one:
+{{resetUrl}}
+
+If you did not request this, you can safely ignore this email.
+
+Best regards,
+Virtual Event Management Platform`,
+  },
+
+  organizerRequestReviewed: {
+    subject: "{{#approved}}You're now an organizer{{/approved}}{{^approved}}Your organizer request was declined{{/approved}}",
+    html: `
+      <h2>{{#approved}}Organizer Request Approved{{/approved}}{{^approved}}Organizer Request Declined{{/approved}}</h2>
+      <p>Hello <strong>{{name}}</strong>,</p>
+      <p>{{#approved}}Your request to become an organizer has been approved. You can now create and manage events.{{/approved}}{{^approved}}Your request to become an organizer has been declined.{{/approved}}</p>
+      {{#reviewNote}}<p>Note from the reviewer:</p>
+      <p style="white-space: pre-line">{{reviewNote}}</p>{{/reviewNote}}
+      <br/>
+      <p>Best regards,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hello {{name}},
+
+{{#approved}}Your request to become an organizer has been approved. You can now create and manage events.{{/approved}}{{^approved}}Your request to become an organizer has been declined.{{/approved}}
+{{#reviewNote}}
+Note from the reviewer:
+{{reviewNote}}
+{{/reviewNote}}
+Best regards,
+Virtual Event Management Platform`,
+  },
+
+  teamInvitation: {
+    subject: "Join the team of {{eventTitle}}",
+    html: `
+      <h2>Event Team Invitation</h2>
+      <p>Hello <strong>{{name}}</strong>,</p>
+      <p>{{inviterName}} invited you to help run <strong>{{eventTitle}}</strong> as {{#coOrganizer}}a co-organizer{{/coOrganizer}}{{#moderator}}a moderator{{/moderator}}{{#checkIn}}check-in staff{{/checkIn}}.</p>
+      <p>{{eventDate}} at {{eventTime}} ({{eventTimezone}}) &middot; {{eventLocation}}</p>
+      <p><a href="{{eventUrl}}">View the event and accept the invitation</a></p>
+      <br/>
+      <p>Best regards,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hello {{name}},
+
+{{inviterName}} invited you to help run {{eventTitle}} as {{#coOrganizer}}a co-organizer{{/coOrganizer}}{{#moderator}}a moderator{{/moderator}}{{#checkIn}}check-in staff{{/checkIn}}.
+{{eventDate}} at {{eventTime}} ({{eventTimezone}}) - {{eventLocation}}
+
+View the event and accept the invitation: {{eventUrl}}
+
+Best regards,
+Virtual Event Management Platform`,
+  },
+};
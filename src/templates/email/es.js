@@ -0,0 +1,264 @@
+/**
+ * Spanish email templates
+ * See src/utils/templates.js for the template syntax
+ */
+module.exports = {
+  registration: {
+    subject: "Inscripción confirmada: {{eventTitle}}",
+    html: `
+      <h2>Confirmación de inscripción</h2>
+      <p>Hola <strong>{{name}}</strong>,</p>
+      <p>Te has inscrito correctamente en <strong>{{eventTitle}}</strong>{{#occurrenceCount}} ({{occurrenceCount}} sesiones){{/occurrenceCount}}.</p>
+      <p>{{eventDate}} a las {{eventTime}} ({{eventTimezone}}) &middot; {{eventLocation}}</p>
+      {{#ticket}}<p>Muestra este código QR en la entrada:</p>
+      <p><img src="cid:ticket-qr" alt="QR" width="200" height="200"/></p>
+      <p>Código de entrada: <code>{{ticket}}</code></p>{{/ticket}}
+      <p>¡Te esperamos en el evento!</p>
+      <br/>
+      <p>Saludos,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hola {{name}},
+
+Te has inscrito correctamente en {{eventTitle}}{{#occurrenceCount}} ({{occurrenceCount}} sesiones){{/occurrenceCount}}.
+{{eventDate}} a las {{eventTime}} ({{eventTimezone}}) - {{eventLocation}}
+{{#ticket}}Tu código de entrada (muéstralo en la entrada): {{ticket}}
+{{/ticket}}
+¡Te esperamos en el evento!
+
+Saludos,
+Virtual Event Management Platform`,
+  },
+
+  waitlistPromotion: {
+    subject: "Tienes plaza: {{eventTitle}}",
+    html: `
+      <h2>Se ha liberado una plaza</h2>
+      <p>Hola <strong>{{name}}</strong>,</p>
+      <p>Se ha liberado una plaza en <strong>{{eventTitle}}</strong> y has pasado de la lista de espera a la lista de participantes.</p>
+      <p>{{eventDate}} a las {{eventTime}} ({{eventTimezone}}) &middot; {{eventLocation}}</p>
+      {{#ticket}}<p>Muestra este código QR en la entrada:</p>
+      <p><img src="cid:ticket-qr" alt="QR" width="200" height="200"/></p>
+      <p>Código de entrada: <code>{{ticket}}</code></p>{{/ticket}}
+      <p>¡Te esperamos en el evento!</p>
+      <br/>
+      <p>Saludos,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hola {{name}},
+
+Se ha liberado una plaza en {{eventTitle}} y has pasado de la lista de espera a la lista de participantes.
+{{eventDate}} a las {{eventTime}} ({{eventTimezone}}) - {{eventLocation}}
+{{#ticket}}Tu código de entrada (muéstralo en la entrada): {{ticket}}
+{{/ticket}}
+¡Te esperamos en el evento!
+
+Saludos,
+Virtual Event Management Platform`,
+  },
+
+  cancellation: {
+    subject: "Inscripción cancelada: {{eventTitle}}",
+    html: `
+      <h2>Inscripción cancelada</h2>
+      <p>Hola <strong>{{name}}</strong>,</p>
+      <p>{{#removedByOrganizer}}El organizador te ha retirado de la lista de participantes de{{/removedByOrganizer}}{{^removedByOrganizer}}Se ha cancelado tu inscripción en{{/removedByOrganizer}} <strong>{{eventTitle}}</strong>.</p>
+      <br/>
+      <p>Saludos,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hola {{name}},
+
+{{#removedByOrganizer}}El organizador te ha retirado de la lista de participantes de{{/removedByOrganizer}}{{^removedByOrganizer}}Se ha cancelado tu inscripción en{{/removedByOrganizer}} {{eventTitle}}.
+
+Saludos,
+Virtual Event Management Platform`,
+  },
+
+  reminder: {
+    subject: "Recordatorio: {{eventTitle}}",
+    html: `
+      <h2>Recordatorio del evento</h2>
+      <p>Hola <strong>{{name}}</strong>,</p>
+      <p>Te recordamos que <strong>{{eventTitle}}</strong> se celebrará pronto.</p>
+      <p>{{eventDate}} a las {{eventTime}} ({{eventTimezone}}) &middot; {{eventLocation}}</p>
+      <p><a href="{{eventUrl}}">Ver detalles del evento</a></p>
+      <br/>
+      <p>Saludos,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hola {{name}},
+
+Te recordamos que {{eventTitle}} se celebrará pronto.
+{{eventDate}} a las {{eventTime}} ({{eventTimezone}}) - {{eventLocation}}
+
+Ver detalles del evento: {{eventUrl}}
+
+Saludos,
+Virtual Event Management Platform`,
+  },
+
+  announcement: {
+    subject: "{{eventTitle}}: {{announcementSubject}}",
+    html: `
+      <h2>{{announcementSubject}}</h2>
+      <p>Hola <strong>{{name}}</strong>,</p>
+      <p>{{organizerName}} ha enviado un mensaje sobre <strong>{{eventTitle}}</strong>:</p>
+      <p style="white-space: pre-line">{{announcementMessage}}</p>
+      <p><a href="{{eventUrl}}">Ver detalles del evento</a></p>
+      <br/>
+      <p>Saludos,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hola {{name}},
+
+{{organizerName}} ha enviado un mensaje sobre {{eventTitle}}:
+
+{{announcementMessage}}
+
+Ver detalles del evento: {{eventUrl}}
+
+Saludos,
+Virtual Event Management Platform`,
+  },
+
+  eventUpdated: {
+    subject: "Evento modificado: {{eventTitle}}",
+    html: `
+      <h2>Evento modificado</h2>
+      <p>Hola <strong>{{name}}</strong>,</p>
+      <p>El organizador ha modificado <strong>{{eventTitle}}</strong>:</p>
+      <ul>
+        {{#changes}}<li>{{#title}}Título{{/title}}{{#schedule}}Fecha y hora{{/schedule}}{{#location}}Lugar{{/location}}{{#description}}Se ha actualizado la descripción{{/description}}{{#virtualVenue}}Se han actualizado los datos de acceso{{/virtualVenue}}{{#from}}: {{from}} &rarr; <strong>{{to}}</strong>{{/from}}</li>{{/changes}}
+      </ul>
+      <p>{{eventDate}} a las {{eventTime}} ({{eventTimezone}}) &middot; {{eventLocation}}</p>
+      <p><a href="{{eventUrl}}">Ver detalles del evento</a></p>
+      <br/>
+      <p>Saludos,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hola {{name}},
+
+El organizador ha modificado {{eventTitle}}:
+{{#changes}}
+- {{#title}}Título{{/title}}{{#schedule}}Fecha y hora{{/schedule}}{{#location}}Lugar{{/location}}{{#description}}Se ha actualizado la descripción{{/description}}{{#virtualVenue}}Se han actualizado los datos de acceso{{/virtualVenue}}{{#from}}: {{from}} -> {{to}}{{/from}}{{/changes}}
+
+{{eventDate}} a las {{eventTime}} ({{eventTimezone}}) - {{eventLocation}}
+Ver detalles del evento: {{eventUrl}}
+
+Saludos,
+Virtual Event Management Platform`,
+  },
+
+  eventCancelled: {
+    subject: "Evento cancelado: {{eventTitle}}",
+    html: `
+      <h2>Evento cancelado</h2>
+      <p>Hola <strong>{{name}}</strong>,</p>
+      <p>Lamentamos informarte de que <strong>{{eventTitle}}</strong> del {{eventDate}} a las {{eventTime}} ({{eventTimezone}}) ha sido cancelado.</p>
+      {{#cancellationReason}}<p>Motivo indicado por el organizador:</p>
+      <p style="white-space: pre-line">{{cancellationReason}}</p>{{/cancellationReason}}
+      <br/>
+      <p>Saludos,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hola {{name}},
+
+Lamentamos informarte de que {{eventTitle}} del {{eventDate}} a las {{eventTime}} ({{eventTimezone}}) ha sido cancelado.
+{{#cancellationReason}}
+Motivo indicado por el organizador:
+{{cancellationReason}}
+{{/cancellationReason}}
+Saludos,
+Virtual Event Management Platform`,
+  },
+
+  emailVerification: {
+    subject: "Verifica tu dirección de correo",
+    html: `
+      <h2>Verifica tu dirección de correo</h2>
+      <p>Hola <strong>{{name}}</strong>,</p>
+      <p>Confirma que esta es tu dirección de correo abriendo el siguiente enlace:</p>
+      <p><a href="{{verifyUrl}}">{{verifyUrl}}</a></p>
+      <br/>
+      <p>Saludos,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hola {{name}},
+
+Confirma que esta es tu dirección de correo abriendo el siguiente enlace:
+{{verifyUrl}}
+
+Saludos,
+Virtual Event Management Platform`,
+  },
+
+  passwordReset: {
+    subject: "Restablece tu contraseña",
+    html: `
+      <h2>Restablecer contraseña</h2>
+      <p>Hola <strong>{{name}}</strong>,</p>
+      <p>Hemos recibido una solicitud para restablecer tu contraseña. Abre el siguiente enlace para elegir una nueva:</p>
+      <p><a href="{{resetUrl}}">{{resetUrl}}</a></p>
+      <p>Si no lo has solicitado, puedes ignorar este correo.</p>
+      <br/>
+      <p>Saludos,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hola {{name}},
+
+Hemos recibido una solicitud para restablecer tu contraseña. Abre el siguiente enlace para elegir una nueva:
+{{resetUrl}}
+
+Si no lo has solicitado, puedes ignorar este correo.
+
+Saludos,
+Virtual Event Management Platform`,
+  },
+
+  organizerRequestReviewed: {
+    subject: "{{#approved}}Ya eres organizador{{/approved}}{{^approved}}Tu solicitud de organizador ha sido rechazada{{/approved}}",
+    html: `
+      <h2>{{#approved}}Solicitud de organizador aprobada{{/approved}}{{^approved}}Solicitud de organizador rechazada{{/approved}}</h2>
+      <p>Hola <strong>{{name}}</strong>,</p>
+      <p>{{#approved}}Tu solicitud para ser organizador ha sido aprobada. Ya puedes crear y gestionar eventos.{{/approved}}{{^approved}}Tu solicitud para ser organizador ha sido rechazada.{{/approved}}</p>
+      {{#reviewNote}}<p>Nota de la revisión:</p>
+      <p style="white-space: pre-line">{{reviewNote}}</p>{{/reviewNote}}
+      <br/>
+      <p>Saludos,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hola {{name}},
+
+{{#approved}}Tu solicitud para ser organizador ha sido aprobada. Ya puedes crear y gestionar eventos.{{/approved}}{{^approved}}Tu solicitud para ser organizador ha sido rechazada.{{/approved}}
+{{#reviewNote}}
+Nota de la revisión:
+{{reviewNote}}
+{{/reviewNote}}
+Saludos,
+Virtual Event Management Platform`,
+  },
+
+  teamInvitation: {
+    subject: "Únete al equipo de {{eventTitle}}",
+    html: `
+      <h2>Invitación al equipo del evento</h2>
+      <p>Hola <strong>{{name}}</strong>,</p>
+      <p>{{inviterName}} te ha invitado a colaborar en <strong>{{eventTitle}}</strong> como {{#coOrganizer}}coorganizador{{/coOrganizer}}{{#moderator}}moderador{{/moderator}}{{#checkIn}}personal de acreditación{{/checkIn}}.</p>
+      <p>{{eventDate}} a las {{eventTime}} ({{eventTimezone}}) &middot; {{eventLocation}}</p>
+      <p><a href="{{eventUrl}}">Ver el evento y aceptar la invitación</a></p>
+      <br/>
+      <p>Saludos,</p>
+      <p>Virtual Event Management Platform</p>
+    `,
+    text: `Hola {{name}},
+
+{{inviterName}} te ha invitado a colaborar en {{eventTitle}} como {{#coOrganizer}}coorganizador{{/coOrganizer}}{{#moderator}}moderador{{/moderator}}{{#checkIn}}personal de acreditación{{/checkIn}}.
+{{eventDate}} a las {{eventTime}} ({{eventTimezone}}) - {{eventLocation}}
+
+Ver el evento y aceptar la invitación: {{eventUrl}}
+
+Saludos,
+Virtual Event Management Platform`,
+  },
+};
@@ -0,0 +1,29 @@
+/**
+ * Built-in email templates by locale
+ * Every locale must define the same templates as the default locale
+ */
+const DEFAULT_LOCALE = "en";
+
+const locales = {
+  en: require("./en"),
+  de: require("./de"),
+  es: require("./es"),
+};
+
+// Templates that organizers may override per event
+const EVENT_TEMPLATES = [
+  "registration",
+  "waitlistPromotion",
+  "cancellation",
+  "reminder",
+  "eventUpdated",
+  "eventCancelled",
+];
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES: Object.keys(locales),
+  TEMPLATE_NAMES: Object.keys(locales[DEFAULT_LOCALE]),
+  EVENT_TEMPLATES,
+  locales,
+};
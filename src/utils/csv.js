@@ -0,0 +1,36 @@
+/**
+ * Escape a single CSV cell
+ * Cells that spreadsheet apps would treat as formulas are prefixed with a
+ * quote so exported rosters are safe to open in Excel or import into a CRM
+ */
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return "";
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Convert rows to CSV text
+ * `columns` is a list of { key, header } pairs defining column order
+ */
+const toCsv = (rows, columns) => {
+  const lines = [
+    columns.map((column) => escapeCell(column.header)).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => escapeCell(row[column.key])).join(",")
+    ),
+  ];
+  return lines.join("\r\n") + "\r\n";
+};
+
+module.exports = {
+  toCsv,
+};
@@ -0,0 +1,317 @@
+/**
+ * Date, time and time zone helpers
+ *
+ * Event times are stored as UTC ISO-8601 instants together with the IANA
+ * time zone they were scheduled in. These helpers convert between instants
+ * and wall-clock times using the platform's Intl time zone data.
+ */
+
+const DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+const DATE_TIME_REGEX =
+  /^(\d{4})-(\d{2})-(\d{2})T([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d)(?:\.\d{1,3})?)?(Z|[+-](?:[01]\d|2[0-3]):[0-5]\d)?$/;
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter printing wall-clock parts in a time zone
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check whether a string is a valid IANA time zone name
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || timeZone.length === 0) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock parts of an instant in a time zone
+ */
+const toLocalParts = (timestamp, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(new Date(timestamp))
+    .forEach(({ type, value }) => {
+      if (type !== "literal") parts[type] = parseInt(value, 10);
+    });
+  return parts;
+};
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ */
+const getOffset = (timestamp, timeZone) => {
+  const p = toLocalParts(timestamp, timeZone);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wall - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC timestamp
+ * Returns { timestamp, exists }. Following RFC 5545, an ambiguous local
+ * time (clocks turned back) resolves to its first occurrence, and a local
+ * time skipped by a daylight saving gap (exists: false) uses the offset
+ * from before the gap.
+ */
+const zonedTimeToUtc = ({ year, month, day, hour, minute, second = 0 }, timeZone) => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Offsets in effect a day before and after; transitions are never closer
+  const offsetBefore = getOffset(wall - DAY, timeZone);
+  const offsetAfter = getOffset(wall + DAY, timeZone);
+
+  for (const offset of [offsetBefore, offsetAfter]) {
+    const timestamp = wall - offset;
+    if (getOffset(timestamp, timeZone) === offset) {
+      return { timestamp, exists: true };
+    }
+  }
+
+  return { timestamp: wall - offsetBefore, exists: false };
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+/**
+ * Format an instant as an ISO-8601 string with the time zone's offset,
+ * e.g. "2030-03-15T10:00:00+01:00"
+ */
+const formatInTimeZone = (timestamp, timeZone) => {
+  const p = toLocalParts(timestamp, timeZone);
+  const offsetMinutes = Math.round(getOffset(timestamp, timeZone) / 60000);
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const abs = Math.abs(offsetMinutes);
+
+  return (
+    `${pad(p.year, 4)}-${pad(p.month)}-${pad(p.day)}` +
+    `T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`
+  );
+};
+
+/**
+ * Get the local date (YYYY-MM-DD) and time (HH:MM) of an instant
+ */
+const toLocalDateTime = (timestamp, timeZone) => {
+  const p = toLocalParts(timestamp, timeZone);
+  return {
+    date: `${pad(p.year, 4)}-${pad(p.month)}-${pad(p.day)}`,
+    time: `${pad(p.hour)}:${pad(p.minute)}`,
+  };
+};
+
+/**
+ * Check that numeric date parts describe a real calendar date
+ */
+const isRealDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return (
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day
+  );
+};
+
+// Latest year accepted for calendar dates, so the day after any of them
+// still has a four-digit year
+const MAX_YEAR = 9998;
+
+/**
+ * Check that a value is a real calendar date in YYYY-MM-DD format
+ */
+const isValidDate = (value) => {
+  const match = typeof value === "string" && DATE_REGEX.exec(value);
+  if (!match) return false;
+  const [, year, month, day] = match;
+  return +year <= MAX_YEAR && isRealDate(+year, +month, +day);
+};
+
+/**
+ * Parse an ISO-8601 date-time into a timestamp
+ * Values without an offset are wall-clock times in `timeZone`.
+ * Returns null when the value is invalid or the local time does not exist.
+ */
+const parseDateTime = (value, timeZone) => {
+  const match = typeof value === "string" && DATE_TIME_REGEX.exec(value);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second = "0", offset] = match;
+  if (!isRealDate(+year, +month, +day)) return null;
+
+  if (offset) return Date.parse(value);
+
+  const { timestamp, exists } = zonedTimeToUtc(
+    { year: +year, month: +month, day: +day, hour: +hour, minute: +minute, second: +second },
+    timeZone
+  );
+  return exists ? timestamp : null;
+};
+
+/**
+ * Parse a YYYY-MM-DD date at a given wall-clock time in a time zone
+ * Used for day-based filters and recurrence expansion; skipped local
+ * times resolve leniently instead of failing
+ */
+const localDateToUtc = (date, time, timeZone) => {
+  const [, year, month, day] = DATE_REGEX.exec(date);
+  const [, hour, minute, second = "0"] = TIME_REGEX.exec(time);
+  return zonedTimeToUtc(
+    { year: +year, month: +month, day: +day, hour: +hour, minute: +minute, second: +second },
+    timeZone
+  ).timestamp;
+};
+
+/**
+ * Convert an inclusive range of local days to UTC instants
+ * Either bound may be omitted. Returns { from, to } as ISO strings.
+ */
+const dayRangeToUtc = (fromDate, toDate, timeZone) => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const range = {};
+
+  if (fromDate) {
+    range.from = new Date(localDateToUtc(fromDate, "00:00", timeZone)).toISOString();
+  }
+  if (toDate) {
+    const nextDay = new Date(Date.parse(`${toDate}T00:00:00Z`) + DAY)
+      .toISOString()
+      .slice(0, 10);
+    range.to = new Date(localDateToUtc(nextDay, "00:00", timeZone) - 1).toISOString();
+  }
+
+  return range;
+};
+
+/**
+ * Resolve and validate an event's schedule
+ *
+ * `input` may hold `startsAt`/`endsAt` (ISO-8601, with or without offset),
+ * or the local `date` (YYYY-MM-DD) and `time` (HH:MM) of the start, plus an
+ * IANA `timezone`. When `existing` is given, missing values are taken from
+ * it and a moved start keeps the event's duration.
+ * Returns { errors, schedule: { startsAt, endsAt, timezone } }.
+ */
+const parseSchedule = (
+  input,
+  existing = null,
+  { now = Date.now(), defaultDurationMs = 60 * 60 * 1000 } = {}
+) => {
+  const errors = [];
+  const timezone =
+    input.timezone !== undefined
+      ? input.timezone
+      : (existing && existing.timezone) || "UTC";
+
+  if (!isValidTimeZone(timezone)) {
+    return {
+      errors: ["Timezone must be a valid IANA time zone such as 'Europe/Berlin'"],
+      schedule: null,
+    };
+  }
+
+  // Events whose legacy schedule could not be migrated have no start yet
+  const scheduled = Boolean(existing && existing.startsAt);
+  const usesLocalParts = input.date !== undefined || input.time !== undefined;
+  let start = scheduled ? Date.parse(existing.startsAt) : null;
+  let startChanged = !scheduled;
+
+  if (input.startsAt !== undefined) {
+    if (usesLocalParts) {
+      errors.push("Use either 'startsAt' or 'date' and 'time', not both");
+    }
+    start = parseDateTime(input.startsAt, timezone);
+    startChanged = true;
+    if (start === null) {
+      errors.push("startsAt must be a valid ISO 8601 date-time");
+    }
+  } else if (usesLocalParts) {
+    const current = scheduled ? toLocalDateTime(start, timezone) : {};
+    const date = input.date !== undefined ? input.date : current.date;
+    const time = input.time !== undefined ? input.time : current.time;
+    startChanged = true;
+
+    if (typeof date !== "string" || !DATE_REGEX.test(date)) {
+      errors.push("Date must be in YYYY-MM-DD format");
+    }
+    if (typeof time !== "string" || !TIME_REGEX.test(time)) {
+      errors.push("Time must be in HH:MM format");
+    }
+    start = errors.length > 0 ? null : parseDateTime(`${date}T${time}`, timezone);
+    if (errors.length === 0 && start === null) {
+      errors.push("Date and time must describe an existing local time");
+    }
+  } else if (!scheduled) {
+    errors.push("Start time is required ('startsAt', or 'date' and 'time')");
+  }
+
+  let end = null;
+  if (input.endsAt !== undefined) {
+    end = parseDateTime(input.endsAt, timezone);
+    if (end === null) {
+      errors.push("endsAt must be a valid ISO 8601 date-time");
+    }
+  } else if (start !== null) {
+    const duration = scheduled
+      ? Date.parse(existing.endsAt) - Date.parse(existing.startsAt)
+      : defaultDurationMs;
+    end = start + duration;
+  }
+
+  if (errors.length > 0) return { errors, schedule: null };
+
+  if (end <= start) {
+    errors.push("End time must be after the start time");
+  }
+  if (startChanged && start <= now) {
+    errors.push("Event cannot start in the past");
+  }
+
+  return {
+    errors,
+    schedule:
+      errors.length > 0
+        ? null
+        : {
+            startsAt: new Date(start).toISOString(),
+            endsAt: new Date(end).toISOString(),
+            timezone,
+          },
+  };
+};
+
+module.exports = {
+  DATE_REGEX,
+  isValidTimeZone,
+  isValidDate,
+  toLocalDateTime,
+  formatInTimeZone,
+  parseDateTime,
+  localDateToUtc,
+  dayRangeToUtc,
+  parseSchedule,
+};
@@ -0,0 +1,39 @@
+/**
+ * Change detection between two versions of an event
+ * Only fields participants care about are compared. The start, end and
+ * time zone are reported together as a single "schedule" change, and a
+ * new virtual venue as a "virtualVenue" change without its (secret) values.
+ */
+
+const TEXT_FIELDS = ["title", "location", "description"];
+
+/**
+ * Compare two versions of an event
+ * Returns a list of { field, from, to }; schedule values are
+ * { startsAt, endsAt, timezone } objects
+ */
+const diffEvent = (before, after) => {
+  const changes = TEXT_FIELDS.filter((field) => before[field] !== after[field]).map(
+    (field) => ({ field, from: before[field], to: after[field] })
+  );
+
+  if (
+    before.startsAt !== after.startsAt ||
+    before.endsAt !== after.endsAt ||
+    before.timezone !== after.timezone
+  ) {
+    const pick = ({ startsAt, endsAt, timezone }) => ({ startsAt, endsAt, timezone });
+    changes.push({ field: "schedule", from: pick(before), to: pick(after) });
+  }
+
+  const venueOf = (event) => JSON.stringify(event.virtualVenue || null);
+  if (venueOf(before) !== venueOf(after)) {
+    changes.push({ field: "virtualVenue" });
+  }
+
+  return changes;
+};
+
+module.exports = {
+  diffEvent,
+};
@@ -0,0 +1,113 @@
+/**
+ * iCalendar (RFC 5545) helpers
+ * Builds VCALENDAR documents with CRLF line endings and folded lines
+ */
+
+/**
+ * Escape a TEXT property value
+ */
+const escapeText = (value) => {
+  return String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\r?\n/g, "\\n")
+    .replace(/([;,])/g, "\\$1");
+};
+
+/**
+ * Escape a quoted parameter value such as CN
+ * Double quotes are not allowed inside quoted parameters
+ */
+const escapeParam = (value) => `"${String(value || "").replace(/["\r\n]/g, "")}"`;
+
+/**
+ * Format an ISO instant as a UTC DATE-TIME, e.g. 20300315T100000Z
+ */
+const formatDateTime = (iso) => {
+  return new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+};
+
+/**
+ * Fold a content line so no line exceeds 75 octets
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let chunk = "";
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      chunks.push(chunk);
+      chunk = "";
+      size = 0;
+    }
+    chunk += char;
+    size += charSize;
+  }
+  chunks.push(chunk);
+
+  return chunks.join("\r\n ");
+};
+
+/**
+ * Build the lines of a VEVENT component
+ *
+ * `entry` holds uid, sequence, status ("CONFIRMED" or "CANCELLED"),
+ * startsAt, endsAt, summary, description, location, url, and optional
+ * organizer / attendee objects of the form { name, email }.
+ */
+const buildEvent = (entry) => {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${entry.uid}`,
+    `DTSTAMP:${formatDateTime(new Date().toISOString())}`,
+    `DTSTART:${formatDateTime(entry.startsAt)}`,
+    `DTEND:${formatDateTime(entry.endsAt)}`,
+    `SEQUENCE:${entry.sequence || 0}`,
+    `STATUS:${entry.status || "CONFIRMED"}`,
+    `SUMMARY:${escapeText(entry.summary)}`,
+  ];
+
+  if (entry.description) lines.push(`DESCRIPTION:${escapeText(entry.description)}`);
+  if (entry.location) lines.push(`LOCATION:${escapeText(entry.location)}`);
+  if (entry.url) lines.push(`URL:${entry.url}`);
+  if (entry.organizer) {
+    lines.push(
+      `ORGANIZER;CN=${escapeParam(entry.organizer.name)}:mailto:${entry.organizer.email}`
+    );
+  }
+  if (entry.attendee) {
+    lines.push(
+      `ATTENDEE;CN=${escapeParam(entry.attendee.name)};ROLE=REQ-PARTICIPANT;RSVP=FALSE:mailto:${entry.attendee.email}`
+    );
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+/**
+ * Build a VCALENDAR document
+ * `method` is the iTIP method: PUBLISH for downloads and feeds,
+ * REQUEST for invitations and updates, CANCEL for cancellations
+ */
+const buildCalendar = ({ method = "PUBLISH", name, events }) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Virtual Event Management Platform//EN",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...events.flatMap(buildEvent),
+    "END:VCALENDAR",
+  ];
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+module.exports = {
+  buildCalendar,
+};
@@ -0,0 +1,69 @@
+/**
+ * QR code rendering for ticket tokens
+ *
+ * Symbols are encoded by the `qrcode` package at error correction level M
+ * and returned as a matrix of booleans (true = dark), which can be
+ * rendered as SVG or PNG.
+ */
+const QRCode = require("qrcode");
+const { PNG } = require("pngjs");
+
+/**
+ * Encode text as a QR code
+ * Returns the module matrix (rows of booleans, true = dark).
+ * Throws when the text is too long.
+ */
+const createQrCode = (text) => {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: "M" });
+  return Array.from({ length: modules.size }, (_, y) =>
+    Array.from({ length: modules.size }, (_, x) => Boolean(modules.get(y, x)))
+  );
+};
+
+/**
+ * Render a QR code as an SVG document
+ * `margin` is the quiet zone in modules (the standard asks for 4)
+ */
+const toSvg = (modules, { margin = 4 } = {}) => {
+  const size = modules.length + margin * 2;
+  const path = [];
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+    });
+  });
+
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" ` +
+    `shape-rendering="crispEdges"><rect width="100%" height="100%" fill="#fff"/>` +
+    `<path d="${path.join("")}" fill="#000"/></svg>`
+  );
+};
+
+/**
+ * Render a QR code as a grayscale PNG image
+ * Each module is `scale` pixels wide; `margin` is in modules
+ */
+const toPng = (modules, { scale = 8, margin = 4 } = {}) => {
+  const width = (modules.length + margin * 2) * scale;
+  const png = new PNG({ width, height: width });
+  png.data.fill(0xff);
+
+  for (let py = 0; py < width; py++) {
+    const y = Math.floor(py / scale) - margin;
+    for (let px = 0; px < width; px++) {
+      const x = Math.floor(px / scale) - margin;
+      if (modules[y] && modules[y][x]) {
+        png.data.fill(0, (py * width + px) * 4, (py * width + px) * 4 + 3);
+      }
+    }
+  }
+
+  return PNG.sync.write(png, { colorType: 0 });
+};
+
+module.exports = {
+  createQrCode,
+  toSvg,
+  toPng,
+};
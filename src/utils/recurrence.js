@@ -0,0 +1,169 @@
+/**
+ * Recurrence rules for event series
+ *
+ * Supports a subset of RFC 5545 RRULE: FREQ (DAILY, WEEKLY, MONTHLY),
+ * INTERVAL, COUNT and UNTIL, plus a list of excluded dates (EXDATE).
+ * Occurrences are calendar dates in YYYY-MM-DD format.
+ */
+
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_INTERVAL = 1000;
+
+/**
+ * Parse a YYYY-MM-DD string into a UTC date (null when invalid)
+ */
+const parseDate = (value) => {
+  if (typeof value !== "string" || !DATE_REGEX.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value) ? date : null;
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Parse an UNTIL value: 20261231, 20261231T235959Z or 2026-12-31
+ */
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+  return parseDate(match ? `${match[1]}-${match[2]}-${match[3]}` : value);
+};
+
+/**
+ * Parse an RRULE string such as "FREQ=WEEKLY;INTERVAL=2;COUNT=10"
+ * Returns { errors, rule }
+ */
+const parseRRule = (text, maxOccurrences) => {
+  const errors = [];
+  const rule = { interval: 1 };
+
+  if (typeof text !== "string" || text.trim().length === 0) {
+    return { errors: ["Recurrence rule must be a non-empty RRULE string"], rule: null };
+  }
+
+  const parts = text.trim().replace(/^RRULE:/i, "").split(";").filter(Boolean);
+  parts.forEach((part) => {
+    const [rawName, value = ""] = part.split("=");
+    const name = rawName.toUpperCase();
+
+    switch (name) {
+      case "FREQ":
+        if (!FREQUENCIES.includes(value.toUpperCase())) {
+          errors.push("FREQ must be DAILY, WEEKLY or MONTHLY");
+        }
+        rule.freq = value.toUpperCase();
+        break;
+      case "INTERVAL":
+        if (!/^[1-9]\d*$/.test(value) || parseInt(value, 10) > MAX_INTERVAL) {
+          errors.push(`INTERVAL must be a positive integer of at most ${MAX_INTERVAL}`);
+        }
+        rule.interval = parseInt(value, 10);
+        break;
+      case "COUNT":
+        if (!/^[1-9]\d*$/.test(value)) {
+          errors.push("COUNT must be a positive integer");
+        } else if (parseInt(value, 10) > maxOccurrences) {
+          errors.push(`COUNT cannot exceed ${maxOccurrences}`);
+        }
+        rule.count = parseInt(value, 10);
+        break;
+      case "UNTIL":
+        rule.until = parseUntil(value);
+        if (!rule.until) {
+          errors.push("UNTIL must be a date such as 20261231");
+        }
+        break;
+      default:
+        errors.push(`Unsupported recurrence rule part: ${name}`);
+    }
+  });
+
+  if (!rule.freq) {
+    errors.push("FREQ is required");
+  }
+  if (rule.count === undefined && rule.until === undefined) {
+    errors.push("Either COUNT or UNTIL is required");
+  }
+  if (rule.count !== undefined && rule.until !== undefined) {
+    errors.push("COUNT and UNTIL cannot be used together");
+  }
+
+  return { errors, rule: errors.length > 0 ? null : rule };
+};
+
+/**
+ * Get the n-th candidate date of a rule, or null if it does not exist
+ * (e.g. the 31st in a 30-day month, which RFC 5545 skips)
+ */
+const nthDate = (start, rule, n) => {
+  const date = new Date(start);
+  const step = n * rule.interval;
+
+  if (rule.freq === "DAILY") {
+    date.setUTCDate(date.getUTCDate() + step);
+  } else if (rule.freq === "WEEKLY") {
+    date.setUTCDate(date.getUTCDate() + step * 7);
+  } else {
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + step);
+    const daysInMonth = new Date(
+      Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+    ).getUTCDate();
+    if (start.getUTCDate() > daysInMonth) return null;
+    date.setUTCDate(start.getUTCDate());
+  }
+
+  return date;
+};
+
+/**
+ * Expand a rule from a start date into occurrence dates
+ * Like RFC 5545, COUNT includes dates later removed by EXDATE.
+ * Returns { errors, dates }
+ */
+const expandOccurrences = (startDate, rule, exdates = [], maxOccurrences) => {
+  const start = parseDate(startDate);
+  if (!start) {
+    return { errors: ["Date must be in YYYY-MM-DD format for recurring events"], dates: [] };
+  }
+
+  const dates = [];
+  for (let n = 0; ; n++) {
+    if (rule.count !== undefined && dates.length >= rule.count) break;
+
+    const date = nthDate(start, rule, n);
+    if (date && (isNaN(date) || date.getUTCFullYear() > 9999)) {
+      return { errors: ["The series runs past the supported date range"], dates: [] };
+    }
+    if (!date) continue;
+    if (rule.until !== undefined && date > rule.until) break;
+
+    if (dates.length >= maxOccurrences) {
+      return {
+        errors: [`A series cannot have more than ${maxOccurrences} occurrences`],
+        dates: [],
+      };
+    }
+    dates.push(formatDate(date));
+  }
+
+  const excluded = new Set(exdates);
+  return { errors: [], dates: dates.filter((date) => !excluded.has(date)) };
+};
+
+/**
+ * Validate a list of excluded dates
+ */
+const validateExdates = (exdates) => {
+  if (exdates === undefined) return [];
+  if (!Array.isArray(exdates) || !exdates.every((d) => parseDate(d))) {
+    return ["Exdates must be an array of dates in YYYY-MM-DD format"];
+  }
+  return [];
+};
+
+module.exports = {
+  parseRRule,
+  expandOccurrences,
+  validateExdates,
+};
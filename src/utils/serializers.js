@@ -0,0 +1,84 @@
+const { formatInTimeZone } = require("./dates");
+const { eventFormat } = require("./venues");
+
+/**
+ * Strip private contact details and ticket ids from a participant-like entry
+ */
+const toPublicEntry = ({ email, ticketId, ...entry }) => entry;
+
+/**
+ * Start and end of an event in a viewer's time zone (null when unscheduled)
+ */
+const toLocalTimes = (event, viewerTimezone) => {
+  if (!event.startsAt) return null;
+  return {
+    timezone: viewerTimezone,
+    startsAt: formatInTimeZone(Date.parse(event.startsAt), viewerTimezone),
+    endsAt: formatInTimeZone(Date.parse(event.endsAt), viewerTimezone),
+  };
+};
+
+/**
+ * Public part of a virtual venue: the provider only
+ * Join URL, passcode and dial-in go out through the gated join link
+ */
+const toPublicVenue = (venue) => (venue ? { provider: venue.provider } : null);
+
+/**
+ * Build the event payload returned to any authenticated user
+ * Attendee emails are only available through the organizer roster,
+ * email template overrides and promo codes through the organizer endpoints,
+ * pending team invitations through the team endpoint, join details
+ * through the join link, and the agenda through the sessions endpoint.
+ * `local` repeats the start and end in the viewer's time zone
+ * (the event's own time zone when none is given).
+ */
+const serializeEvent = (
+  { emailTemplates, promoCodes, virtualVenue, sessions, ...event },
+  viewerTimezone = event.timezone
+) => {
+  return {
+    ...event,
+    format: eventFormat({ ...event, virtualVenue }),
+    virtualVenue: toPublicVenue(virtualVenue),
+    sessionCount: (sessions || []).length,
+    local: toLocalTimes(event, viewerTimezone),
+    team: (event.team || [])
+      .filter((member) => member.status === "active")
+      .map(({ userId, name, role }) => ({ userId, name, role })),
+    participants: event.participants.map(toPublicEntry),
+    waitlist: event.waitlist.map(toPublicEntry),
+    cancellations: event.cancellations.map(toPublicEntry),
+    attendance: {
+      registered: event.participants.length,
+      checkedIn: event.participants.filter((p) => p.checkedInAt).length,
+    },
+  };
+};
+
+/**
+ * Build the short event payload used in dashboards
+ * Leaves out the description and the participant lists
+ */
+const summarizeEvent = (event, viewerTimezone = event.timezone) => {
+  return {
+    id: event.id,
+    title: event.title,
+    format: eventFormat(event),
+    location: event.location,
+    virtualVenue: toPublicVenue(event.virtualVenue),
+    startsAt: event.startsAt,
+    endsAt: event.endsAt,
+    timezone: event.timezone,
+    local: toLocalTimes(event, viewerTimezone),
+    status: event.status || "active",
+    organizerId: event.organizerId,
+    seriesId: event.seriesId || null,
+  };
+};
+
+module.exports = {
+  toLocalTimes,
+  serializeEvent,
+  summarizeEvent,
+};
@@ -0,0 +1,179 @@
+/**
+ * Minimal logic-less template engine
+ *
+ * Syntax:
+ *   {{name}}                 value of `name` (dotted paths allowed)
+ *   {{#name}}...{{/name}}    section rendered when `name` is truthy, or once
+ *                            per item when it is an array (item fields are
+ *                            visible inside the section)
+ *   {{^name}}...{{/name}}    section rendered when `name` is falsy
+ *
+ * When rendering HTML every value is escaped; there is no raw output, so
+ * data cannot inject markup. The template source itself is output as is:
+ * HTML supplied by organizers must go through sanitizeEmailHtml.
+ */
+const sanitizeHtml = require("sanitize-html");
+
+const TAG_REGEX = /\{\{\s*([#^/]?)\s*([a-zA-Z_][\w.]*)\s*\}\}/g;
+
+// Cache of parsed templates, bounded since organizers can supply templates
+const MAX_COMPILED = 500;
+const compiled = new Map();
+
+/**
+ * Append literal text to a node, rejecting tags the parser did not match
+ */
+const pushText = (node, value) => {
+  if (value.includes("{{")) {
+    throw new Error("Malformed tag: use {{name}}, {{#name}}, {{^name}} or {{/name}}");
+  }
+  node.children.push({ type: "text", value });
+};
+
+/**
+ * Parse a template into a tree of text, variable and section nodes
+ * Throws an Error describing the first syntax problem
+ */
+const compileTemplate = (source) => {
+  if (compiled.has(source)) return compiled.get(source);
+
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TAG_REGEX)) {
+    const [tag, type, name] = match;
+    const current = stack[stack.length - 1];
+
+    if (match.index > lastIndex) {
+      pushText(current, source.slice(lastIndex, match.index));
+    }
+    lastIndex = match.index + tag.length;
+
+    if (type === "#" || type === "^") {
+      const section = { type: "section", name, inverted: type === "^", children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (type === "/") {
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Unexpected closing tag {{/${name}}}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: "variable", name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed section {{#${stack[stack.length - 1].name}}}`);
+  }
+  if (lastIndex < source.length) {
+    pushText(root, source.slice(lastIndex));
+  }
+
+  if (compiled.size >= MAX_COMPILED) compiled.clear();
+  compiled.set(source, root);
+  return root;
+};
+
+/**
+ * Escape a value for HTML text and attribute content
+ */
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+};
+
+/**
+ * Look up a dotted path in the render data
+ */
+const lookup = (data, name) => {
+  return name.split(".").reduce((value, key) => (value == null ? undefined : value[key]), data);
+};
+
+const renderNodes = (nodes, data, escape) => {
+  return nodes
+    .map((node) => {
+      if (node.type === "text") return node.value;
+      const value = lookup(data, node.name);
+      if (node.type === "variable") {
+        if (value === undefined || value === null) return "";
+        return escape ? escapeHtml(value) : String(value);
+      }
+      const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+      if (truthy === node.inverted) return "";
+      if (Array.isArray(value) && !node.inverted) {
+        return value
+          .map((item) => renderNodes(node.children, { ...data, ...item }, escape))
+          .join("");
+      }
+      return renderNodes(node.children, data, escape);
+    })
+    .join("");
+};
+
+/**
+ * Render a template with data
+ * Set `html` to escape interpolated values
+ */
+const renderTemplate = (source, data, { html = false } = {}) => {
+  return renderNodes(compileTemplate(source).children, data, html);
+};
+
+/**
+ * Derive a plain-text alternative from rendered HTML
+ */
+const htmlToText = (html) => {
+  return html
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gi, (match, href, label) =>
+      label === href ? href : `${label} (${href})`
+    )
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|h[1-6]|li|div)>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .split("\n")
+    .map((line) => line.trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+};
+
+// Markup organizers may use in email HTML: text formatting, web and mail
+// links, and images attached to the message itself (cid:). Scripts, forms,
+// styles and remote images (tracking pixels) are dropped.
+const EMAIL_HTML_POLICY = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, "img"],
+  allowedAttributes: {
+    a: ["href", "title"],
+    img: ["src", "alt", "width", "height"],
+    p: ["style"],
+  },
+  allowedStyles: { p: { "white-space": [/^(normal|pre-line|pre-wrap)$/] } },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["cid"] },
+  allowProtocolRelative: false,
+};
+
+/**
+ * Strip everything outside the email allowlist from rendered HTML
+ */
+const sanitizeEmailHtml = (html) => {
+  return sanitizeHtml(html, EMAIL_HTML_POLICY);
+};
+
+module.exports = {
+  compileTemplate,
+  renderTemplate,
+  escapeHtml,
+  htmlToText,
+  sanitizeEmailHtml,
+};
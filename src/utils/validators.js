@@ -1,3 +1,33 @@
+const { isValidDate, isValidTimeZone, parseDateTime } = require("./dates");
+const { compileTemplate } = require("./templates");
+const { SUPPORTED_LOCALES } = require("../templates/email");
+const { ROLES, TEAM_ROLES } = require("../config/permissions");
+const { VIRTUAL_PROVIDERS } = require("./venues");
+
+// Maximum lengths of organizer-supplied email template parts
+const TEMPLATE_LIMITS = { subject: 200, html: 20000, text: 20000 };
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Fields users can change on their own profile
+const PROFILE_FIELDS = ["name", "email", "avatarUrl", "bio", "timezone", "language"];
+const MAX_BIO_LENGTH = 500;
+
+/**
+ * Validate a new password
+ */
+const validatePassword = (password) => {
+  const errors = [];
+
+  if (!password || typeof password !== "string") {
+    errors.push("Password is required");
+  } else if (password.length < 6) {
+    errors.push("Password must be at least 6 characters");
+  }
+
+  return errors;
+};
+
 /**
  * Validate registration input
  */
@@ -10,19 +40,14 @@ const validateRegistration = (name, email, password, role) => {
 
   if (!email || typeof email !== "string") {
     errors.push("Email is required");
-  } else {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      errors.push("Invalid email format");
-    }
+  } else if (!EMAIL_REGEX.test(email)) {
+    errors.push("Invalid email format");
   }
 
-  if (!password || typeof password !== "string") {
-    errors.push("Password is required");
-  } else if (password.length < 6) {
-    errors.push("Password must be at least 6 characters");
-  }
+  errors.push(...validatePassword(password));
 
+  // Asking for "organizer" files a request for admin approval;
+  // the admin role is never self-assigned
   const validRoles = ["organizer", "attendee"];
   if (role && !validRoles.includes(role)) {
     errors.push("Role must be either 'organizer' or 'attendee'");
@@ -31,10 +56,190 @@ const validateRegistration = (name, email, password, role) => {
   return errors;
 };
 
+/**
+ * Validate a language preference (a BCP 47 tag such as "de" or "pt-BR")
+ */
+const validateLanguage = (language) => {
+  if (language === undefined) return [];
+  if (
+    typeof language !== "string" ||
+    !/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/.test(language)
+  ) {
+    return ["Language must be a language tag such as 'en' or 'de-AT'"];
+  }
+  return [];
+};
+
+/**
+ * Validate a profile update
+ * Every field is optional; all but the name and email can be cleared with null
+ */
+const validateProfile = (body) => {
+  const errors = [];
+
+  if (!PROFILE_FIELDS.some((field) => body[field] !== undefined)) {
+    errors.push(`At least one of ${PROFILE_FIELDS.map((f) => `'${f}'`).join(", ")} is required`);
+  }
+
+  if (body.password !== undefined) {
+    errors.push("Use POST /me/password to change your password");
+  }
+
+  const { name, email, avatarUrl, bio, timezone, language } = body;
+
+  if (name !== undefined && (typeof name !== "string" || name.trim().length === 0)) {
+    errors.push("Name cannot be empty");
+  }
+
+  if (email !== undefined && (typeof email !== "string" || !EMAIL_REGEX.test(email))) {
+    errors.push("Invalid email format");
+  }
+
+  if (avatarUrl !== undefined && avatarUrl !== null) {
+    let url = null;
+    try {
+      url = typeof avatarUrl === "string" ? new URL(avatarUrl) : null;
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !["http:", "https:"].includes(url.protocol) || avatarUrl.length > 2048) {
+      errors.push("'avatarUrl' must be an http or https URL");
+    }
+  }
+
+  if (bio !== undefined && bio !== null) {
+    if (typeof bio !== "string") {
+      errors.push("'bio' must be a string");
+    } else if (bio.length > MAX_BIO_LENGTH) {
+      errors.push(`Bio cannot be longer than ${MAX_BIO_LENGTH} characters`);
+    }
+  }
+
+  if (timezone !== undefined && timezone !== null && !isValidTimeZone(timezone)) {
+    errors.push("'timezone' must be a valid IANA time zone");
+  }
+
+  if (language !== null) {
+    errors.push(...validateLanguage(language));
+  }
+
+  return errors;
+};
+
+/**
+ * Validate an event email template override
+ * At least one part must be given and every part must be a valid template
+ */
+const validateTemplateOverride = (body) => {
+  const errors = [];
+  const parts = Object.keys(TEMPLATE_LIMITS).filter((part) => body[part] !== undefined);
+
+  if (body.locale !== undefined && !SUPPORTED_LOCALES.includes(body.locale)) {
+    errors.push(`Locale must be one of: ${SUPPORTED_LOCALES.join(", ")}`);
+  }
+
+  if (parts.length === 0) {
+    errors.push("At least one of 'subject', 'html' or 'text' is required");
+  }
+
+  parts.forEach((part) => {
+    const value = body[part];
+    if (typeof value !== "string" || value.trim().length === 0) {
+      errors.push(`'${part}' must be a non-empty string`);
+    } else if (value.length > TEMPLATE_LIMITS[part]) {
+      errors.push(`'${part}' cannot be longer than ${TEMPLATE_LIMITS[part]} characters`);
+    } else {
+      try {
+        compileTemplate(value);
+      } catch (error) {
+        errors.push(`'${part}': ${error.message}`);
+      }
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validate the virtual venue of an event
+ */
+const validateVirtualVenue = (venue) => {
+  if (!venue || typeof venue !== "object" || Array.isArray(venue)) {
+    return ["'virtualVenue' must be an object"];
+  }
+
+  const errors = [];
+  const { provider, joinUrl, passcode, dialIn } = venue;
+  const providers = Object.keys(VIRTUAL_PROVIDERS);
+
+  if (!providers.includes(provider)) {
+    errors.push(
+      `'virtualVenue.provider' must be one of ${providers.map((p) => `'${p}'`).join(", ")}`
+    );
+  }
+
+  let url = null;
+  try {
+    url = typeof joinUrl === "string" ? new URL(joinUrl.trim()) : null;
+  } catch (error) {
+    url = null;
+  }
+  if (!url || url.protocol !== "https:" || joinUrl.length > 2048) {
+    errors.push("'virtualVenue.joinUrl' must be an https URL");
+  }
+
+  if (passcode !== undefined && passcode !== null) {
+    if (typeof passcode !== "string" || passcode.length > 100) {
+      errors.push("'virtualVenue.passcode' must be a string of at most 100 characters");
+    }
+  }
+
+  if (dialIn !== undefined && dialIn !== null) {
+    if (
+      typeof dialIn !== "object" ||
+      typeof dialIn.number !== "string" ||
+      !/^\+?[0-9][0-9 ()\-.]{3,29}$/.test(dialIn.number.trim())
+    ) {
+      errors.push("'virtualVenue.dialIn.number' must be a phone number");
+    } else if (
+      dialIn.pin !== undefined &&
+      dialIn.pin !== null &&
+      (typeof dialIn.pin !== "string" || dialIn.pin.length > 30)
+    ) {
+      errors.push("'virtualVenue.dialIn.pin' must be a string of at most 30 characters");
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validate where an event takes place
+ * Events need a physical location, a virtual venue or both (hybrid);
+ * null or a missing value means "none"
+ */
+const validateVenue = (location, virtualVenue) => {
+  const hasLocation = location !== undefined && location !== null;
+  const hasVenue = virtualVenue !== undefined && virtualVenue !== null;
+  if (!hasLocation && !hasVenue) {
+    return ["Location or virtual venue is required"];
+  }
+
+  const errors = [];
+  if (hasLocation && (typeof location !== "string" || location.trim().length === 0)) {
+    errors.push("Location cannot be empty");
+  }
+  if (hasVenue) {
+    errors.push(...validateVirtualVenue(virtualVenue));
+  }
+  return errors;
+};
+
 /**
  * Validate event input
+ * The schedule (start, end, time zone) is validated by parseSchedule
  */
-const validateEvent = (title, description, date, time, location) => {
+const validateEvent = (title, description, location, virtualVenue) => {
   const errors = [];
 
   if (!title || typeof title !== "string" || title.trim().length === 0) {
@@ -49,22 +254,421 @@ const validateEvent = (title, description, date, time, location) => {
     errors.push("Description is required");
   }
 
-  if (!date || typeof date !== "string") {
-    errors.push("Date is required");
+  errors.push(...validateVenue(location, virtualVenue));
+
+  return errors;
+};
+
+/**
+ * Validate an event's seat limit (a positive integer, or null for unlimited)
+ */
+const validateMaxParticipants = (maxParticipants) => {
+  if (maxParticipants === undefined || maxParticipants === null) return [];
+  if (!Number.isInteger(maxParticipants) || maxParticipants < 1) {
+    return ["Max participants must be a positive integer or null"];
+  }
+  return [];
+};
+
+/**
+ * Validate the optional reason given when cancelling an event
+ */
+const validateCancellationReason = (reason) => {
+  if (reason === undefined) return [];
+  if (typeof reason !== "string") {
+    return ["Reason must be a string"];
+  }
+  if (reason.length > 1000) {
+    return ["Reason cannot be longer than 1000 characters"];
+  }
+  return [];
+};
+
+/**
+ * Validate an organizer announcement
+ */
+const validateAnnouncement = (subject, message) => {
+  const errors = [];
+
+  if (!subject || typeof subject !== "string" || subject.trim().length === 0) {
+    errors.push("Subject is required");
+  } else if (subject.length > 200) {
+    errors.push("Subject cannot be longer than 200 characters");
+  }
+
+  if (!message || typeof message !== "string" || message.trim().length === 0) {
+    errors.push("Message is required");
+  } else if (message.length > 5000) {
+    errors.push("Message cannot be longer than 5000 characters");
+  }
+
+  return errors;
+};
+
+/**
+ * Validate `page` and `limit` query parameters
+ */
+const validatePagination = (query) => {
+  const errors = [];
+
+  if (query.page !== undefined && !/^[1-9]\d*$/.test(query.page)) {
+    errors.push("'page' must be a positive integer");
+  }
+
+  if (
+    query.limit !== undefined &&
+    (!/^[1-9]\d*$/.test(query.limit) || parseInt(query.limit, 10) > 100)
+  ) {
+    errors.push("'limit' must be an integer between 1 and 100");
+  }
+
+  return errors;
+};
+
+/**
+ * Validate event listing query parameters
+ */
+const validateEventQuery = (query) => {
+  const errors = [];
+
+  if (query.from !== undefined && !isValidDate(query.from)) {
+    errors.push("'from' must be a date in YYYY-MM-DD format");
+  }
+
+  if (query.to !== undefined && !isValidDate(query.to)) {
+    errors.push("'to' must be a date in YYYY-MM-DD format");
+  }
+
+  if (query.tz !== undefined && !isValidTimeZone(query.tz)) {
+    errors.push("'tz' must be a valid IANA time zone");
   }
 
-  if (!time || typeof time !== "string") {
-    errors.push("Time is required");
+  if (query.hasSeats !== undefined && !["true", "false"].includes(query.hasSeats)) {
+    errors.push("'hasSeats' must be 'true' or 'false'");
   }
 
-  if (!location || typeof location !== "string" || location.trim().length === 0) {
-    errors.push("Location is required");
+  if (
+    query.status !== undefined &&
+    !["active", "cancelled", "all"].includes(query.status)
+  ) {
+    errors.push("'status' must be 'active', 'cancelled' or 'all'");
+  }
+
+  if (query.sort !== undefined && !["date", "popularity"].includes(query.sort)) {
+    errors.push("'sort' must be either 'date' or 'popularity'");
+  }
+
+  if (query.order !== undefined && !["asc", "desc"].includes(query.order)) {
+    errors.push("'order' must be either 'asc' or 'desc'");
+  }
+
+  return [...errors, ...validatePagination(query)];
+};
+
+/**
+ * Validate participant roster query parameters
+ */
+const validateRosterQuery = (query) => {
+  const errors = [];
+
+  if (query.format !== undefined && !["csv", "json"].includes(query.format)) {
+    errors.push("'format' must be either 'csv' or 'json'");
+  }
+
+  return [...errors, ...validatePagination(query)];
+};
+
+/**
+ * Validate analytics query parameters
+ */
+const validateStatsQuery = (query) => {
+  const errors = [];
+
+  ["from", "to"].forEach((field) => {
+    if (query[field] !== undefined && !isValidDate(query[field])) {
+      errors.push(`'${field}' must be a date in YYYY-MM-DD format`);
+    }
+  });
+
+  if (query.interval !== undefined && !["day", "week", "month"].includes(query.interval)) {
+    errors.push("'interval' must be 'day', 'week' or 'month'");
+  }
+
+  if (query.tz !== undefined && !isValidTimeZone(query.tz)) {
+    errors.push("'tz' must be a valid IANA time zone");
+  }
+
+  return errors;
+};
+
+/**
+ * Validate the optional message of an organizer request
+ * (`field` is "Note" when validating the reviewer's note)
+ */
+const validateOrganizerRequest = (message, field = "Message") => {
+  if (message === undefined) return [];
+  if (typeof message !== "string") {
+    return [`${field} must be a string`];
+  }
+  if (message.length > 1000) {
+    return [`${field} cannot be longer than 1000 characters`];
+  }
+  return [];
+};
+
+/**
+ * Validate an event team role
+ */
+const validateTeamRole = (role) => {
+  if (!TEAM_ROLES.includes(role)) {
+    return [`Role must be one of ${TEAM_ROLES.map((r) => `'${r}'`).join(", ")}`];
+  }
+  return [];
+};
+
+/**
+ * Validate an event team invitation
+ */
+const validateTeamInvitation = (email, role) => {
+  const errors = [];
+
+  if (!email || typeof email !== "string") {
+    errors.push("Email is required");
+  }
+
+  return [...errors, ...validateTeamRole(role)];
+};
+
+/**
+ * Validate a ticket type
+ * Prices are integers in the currency's minor unit (e.g. cents); sale
+ * window bounds are ISO-8601 date-times, read in the event's time zone
+ * when they carry no offset
+ */
+const validateTicketType = (ticketType, timezone) => {
+  const errors = [];
+  const { name, price, currency, capacity, salesStart, salesEnd } = ticketType;
+
+  if (!name || typeof name !== "string" || name.trim().length === 0) {
+    errors.push("Name is required");
+  } else if (name.length > 100) {
+    errors.push("Name cannot be longer than 100 characters");
+  }
+
+  if (!Number.isInteger(price) || price < 0) {
+    errors.push("Price must be a non-negative integer in minor units (e.g. cents)");
+  }
+
+  if (currency !== undefined && !/^[A-Za-z]{3}$/.test(currency)) {
+    errors.push("Currency must be a 3-letter ISO 4217 code");
+  }
+
+  if (
+    capacity !== undefined &&
+    capacity !== null &&
+    (!Number.isInteger(capacity) || capacity < 1)
+  ) {
+    errors.push("Capacity must be a positive integer or null");
+  }
+
+  const window = {};
+  ["salesStart", "salesEnd"].forEach((field) => {
+    const value = ticketType[field];
+    if (value === undefined || value === null) return;
+    window[field] = parseDateTime(value, timezone);
+    if (window[field] === null) {
+      errors.push(`'${field}' must be a valid ISO-8601 date-time`);
+    }
+  });
+  if (salesStart && salesEnd && window.salesStart && window.salesEnd <= window.salesStart) {
+    errors.push("'salesEnd' must be after 'salesStart'");
   }
 
   return errors;
 };
 
+/**
+ * Validate an agenda session
+ * Times are read in the event's time zone unless they carry an offset
+ */
+const validateSession = (session, timezone) => {
+  const errors = [];
+  const { title, description, room, track, speakerIds, capacity } = session;
+
+  if (!title || typeof title !== "string" || title.trim().length === 0) {
+    errors.push("Title is required");
+  } else if (title.length > 200) {
+    errors.push("Title cannot be longer than 200 characters");
+  }
+
+  if (
+    description !== undefined &&
+    description !== null &&
+    (typeof description !== "string" || description.length > 5000)
+  ) {
+    errors.push("Description must be a string of at most 5000 characters");
+  }
+
+  const times = {};
+  ["startsAt", "endsAt"].forEach((field) => {
+    times[field] = session[field] ? parseDateTime(session[field], timezone) : null;
+    if (times[field] === null) {
+      errors.push(`'${field}' must be a valid ISO-8601 date-time`);
+    }
+  });
+  if (times.startsAt !== null && times.endsAt !== null && times.endsAt <= times.startsAt) {
+    errors.push("'endsAt' must be after 'startsAt'");
+  }
+
+  ["room", "track"].forEach((field) => {
+    const value = session[field];
+    if (value === undefined || value === null) return;
+    if (typeof value !== "string" || value.trim().length === 0 || value.length > 100) {
+      errors.push(`'${field}' must be a non-empty string of at most 100 characters`);
+    }
+  });
+
+  if (speakerIds !== undefined && speakerIds !== null) {
+    if (
+      !Array.isArray(speakerIds) ||
+      speakerIds.length > 20 ||
+      speakerIds.some((id) => typeof id !== "string") ||
+      new Set(speakerIds).size !== speakerIds.length
+    ) {
+      errors.push("'speakerIds' must be a list of up to 20 distinct user IDs");
+    }
+  }
+
+  if (
+    capacity !== undefined &&
+    capacity !== null &&
+    (!Number.isInteger(capacity) || capacity < 1)
+  ) {
+    errors.push("Capacity must be a positive integer or null");
+  }
+
+  return errors;
+};
+
+/**
+ * Validate a promo code
+ * A code takes either `percentOff` (1-100) or `amountOff` (minor units)
+ */
+const validatePromoCode = (promo, ticketTypes, timezone) => {
+  const errors = [];
+  const { code, percentOff, amountOff, maxRedemptions, expiresAt, ticketTypeIds } = promo;
+
+  if (!code || typeof code !== "string" || !/^[A-Za-z0-9_-]{3,32}$/.test(code)) {
+    errors.push("Code must be 3-32 letters, digits, '-' or '_'");
+  }
+
+  if ((percentOff === undefined) === (amountOff === undefined)) {
+    errors.push("Exactly one of 'percentOff' or 'amountOff' is required");
+  } else if (
+    percentOff !== undefined &&
+    (!Number.isInteger(percentOff) || percentOff < 1 || percentOff > 100)
+  ) {
+    errors.push("'percentOff' must be an integer between 1 and 100");
+  } else if (amountOff !== undefined && (!Number.isInteger(amountOff) || amountOff < 1)) {
+    errors.push("'amountOff' must be a positive integer in minor units (e.g. cents)");
+  }
+
+  if (
+    maxRedemptions !== undefined &&
+    maxRedemptions !== null &&
+    (!Number.isInteger(maxRedemptions) || maxRedemptions < 1)
+  ) {
+    errors.push("'maxRedemptions' must be a positive integer or null");
+  }
+
+  if (
+    expiresAt !== undefined &&
+    expiresAt !== null &&
+    parseDateTime(expiresAt, timezone) === null
+  ) {
+    errors.push("'expiresAt' must be a valid ISO-8601 date-time");
+  }
+
+  if (ticketTypeIds !== undefined && ticketTypeIds !== null) {
+    if (!Array.isArray(ticketTypeIds)) {
+      errors.push("'ticketTypeIds' must be an array");
+    } else if (!ticketTypeIds.every((id) => ticketTypes.some((t) => t.id === id))) {
+      errors.push("'ticketTypeIds' must only contain ticket types of this event");
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validate organizer request listing query parameters
+ */
+const validateOrganizerRequestQuery = (query) => {
+  const errors = [];
+  const statuses = ["pending", "approved", "rejected"];
+
+  if (query.status !== undefined && !statuses.includes(query.status)) {
+    errors.push("'status' must be one of 'pending', 'approved' or 'rejected'");
+  }
+
+  return [...errors, ...validatePagination(query)];
+};
+
+/**
+ * Validate admin user listing query parameters
+ */
+const validateUserQuery = (query) => {
+  const errors = [];
+
+  if (query.role !== undefined && !ROLES.includes(query.role)) {
+    errors.push(`'role' must be one of ${ROLES.map((role) => `'${role}'`).join(", ")}`);
+  }
+
+  if (query.status !== undefined && !["active", "suspended"].includes(query.status)) {
+    errors.push("'status' must be either 'active' or 'suspended'");
+  }
+
+  if (query.search !== undefined && typeof query.search !== "string") {
+    errors.push("'search' must be a string");
+  }
+
+  return [...errors, ...validatePagination(query)];
+};
+
+/**
+ * Validate email job listing query parameters
+ */
+const validateEmailJobQuery = (query) => {
+  const errors = [];
+
+  if (query.status !== undefined && !["pending", "dead"].includes(query.status)) {
+    errors.push("'status' must be either 'pending' or 'dead'");
+  }
+
+  return [...errors, ...validatePagination(query)];
+};
+
 module.exports = {
+  validatePassword,
   validateRegistration,
+  validateLanguage,
+  validateProfile,
+  validateTemplateOverride,
   validateEvent,
+  validateMaxParticipants,
+  validateVenue,
+  validateAnnouncement,
+  validateCancellationReason,
+  validateEventQuery,
+  validateRosterQuery,
+  validateStatsQuery,
+  validateEmailJobQuery,
+  validateOrganizerRequest,
+  validateOrganizerRequestQuery,
+  validateUserQuery,
+  validateTeamRole,
+  validateTeamInvitation,
+  validateTicketType,
+  validateSession,
+  validatePromoCode,
 };
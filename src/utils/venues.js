@@ -0,0 +1,56 @@
+/**
+ * Virtual venues of events
+ * Events take place at a physical `location`, in a `virtualVenue` (an
+ * online meeting) or both. Join details are secret: they are only handed
+ * out through the gated join link (see services/joinService.js).
+ */
+
+// Meeting providers a virtual venue can use, with their display names
+const VIRTUAL_PROVIDERS = {
+  zoom: "Zoom",
+  "google-meet": "Google Meet",
+  teams: "Microsoft Teams",
+  webex: "Webex",
+  other: null,
+};
+
+/**
+ * Get how an event takes place: "in-person", "virtual" or "hybrid"
+ */
+const eventFormat = (event) => {
+  if (!event.virtualVenue) return "in-person";
+  return event.location ? "hybrid" : "virtual";
+};
+
+/**
+ * Describe where an event takes place without revealing join details
+ * Used in emails and calendar entries
+ */
+const describeLocation = (event) => {
+  if (!event.virtualVenue) return event.location;
+
+  const provider = VIRTUAL_PROVIDERS[event.virtualVenue.provider];
+  const online = provider ? `Online (${provider})` : "Online";
+  return event.location ? `${event.location} + ${online}` : online;
+};
+
+/**
+ * Build a stored virtual venue from validated input
+ */
+const toVirtualVenue = ({ provider, joinUrl, passcode, dialIn }) => {
+  return {
+    provider,
+    joinUrl: joinUrl.trim(),
+    passcode: (passcode && passcode.trim()) || null,
+    dialIn: dialIn
+      ? { number: dialIn.number.trim(), pin: (dialIn.pin && dialIn.pin.trim()) || null }
+      : null,
+  };
+};
+
+module.exports = {
+  VIRTUAL_PROVIDERS,
+  eventFormat,
+  describeLocation,
+  toVirtualVenue,
+};
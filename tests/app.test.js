@@ -1,12 +1,48 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
 const request = require("supertest");
 const app = require("../src/app");
-const { clearUsers } = require("../src/data/users");
-const { clearEvents } = require("../src/data/events");
+const config = require("../src/config/config");
+const { clearUsers, findUserByEmail, updateUser } = require("../src/data/users");
+const { clearEvents, findEventById, updateEvent } = require("../src/data/events");
+const { clearSeries, findSeriesById } = require("../src/data/series");
+const { clearTokens } = require("../src/data/tokens");
+const { clearRateLimits } = require("../src/data/rateLimits");
+const { createJournalStore } = require("../src/data/store/journalStore");
+const {
+  addEmailJob,
+  clearEmailJobs,
+  getEmailJobs,
+  updateEmailJob,
+} = require("../src/data/emailJobs");
+const { clearReminders, findRemindersByEventId } = require("../src/data/reminders");
+const { clearOrganizerRequests } = require("../src/data/organizerRequests");
+const { clearOrders, findOrderById } = require("../src/data/orders");
+const { clearActivity } = require("../src/data/activity");
+const { getTransport } = require("../src/services/mailTransport");
+const { getPaymentProvider } = require("../src/services/paymentProvider");
+const { closeAllStreams } = require("../src/services/eventStream");
+const { sendDueReminders } = require("../src/services/reminderService");
+const { processEmailQueue } = require("../src/services/emailQueue");
+const { createActionToken } = require("../src/services/tokenService");
+const { renderEmail, resolveLocale } = require("../src/services/templateService");
+const { renderTemplate } = require("../src/utils/templates");
 
 // Clear stores before each test suite
 beforeEach(() => {
   clearUsers();
   clearEvents();
+  clearSeries();
+  clearTokens();
+  clearRateLimits();
+  clearEmailJobs();
+  clearReminders();
+  clearOrganizerRequests();
+  clearOrders();
+  clearActivity();
+  getTransport().reset();
 });
 
 // ─── Helper functions ───────────────────────────────────────────────────────
@@ -23,20 +59,25 @@ const registerUser = async (overrides = {}) => {
   return res;
 };
 
+// Organizers need an admin's approval, so promote directly in the store
 const registerOrganizer = async (overrides = {}) => {
-  return registerUser({
+  const res = await registerUser({
     name: "Organizer",
     email: "organizer@example.com",
-    role: "organizer",
     ...overrides,
   });
+  if (res.status === 201) {
+    updateUser(res.body.user.id, { role: "organizer" });
+    res.body.user.role = "organizer";
+  }
+  return res;
 };
 
 const createEvent = async (token, overrides = {}) => {
   const eventData = {
     title: "Test Event",
     description: "A test event description",
-    date: "2026-03-15",
+    date: "2030-03-15",
     time: "10:00",
     location: "Virtual Room 1",
     ...overrides,
@@ -63,10 +104,15 @@ describe("User Authentication", () => {
       expect(res.body).toHaveProperty("token");
     });
 
-    it("should register an organizer successfully", async () => {
-      const res = await registerOrganizer();
+    it("should register organizers as attendees with a pending request", async () => {
+      const res = await registerUser({ role: "organizer" });
       expect(res.status).toBe(201);
-      expect(res.body.user.role).toBe("organizer");
+      expect(res.body.user.role).toBe("attendee");
+      expect(res.body.message).toMatch(/organizer request is pending approval/);
+      expect(res.body.organizerRequest.status).toBe("pending");
+
+      const event = await createEvent(res.body.token);
+      expect(event.status).toBe(403);
     });
 
     it("should default role to attendee if not provided", async () => {
@@ -169,6 +215,536 @@ describe("User Authentication", () => {
   });
 });
 
+// ─── RATE LIMITING TESTS ────────────────────────────────────────────────────
+
+describe("Rate Limiting", () => {
+  const defaults = JSON.parse(JSON.stringify(config.rateLimit));
+  let clock;
+  let dateNow;
+
+  // Windows and lockouts are stepped through on a mocked clock, so slow
+  // machines cannot push requests past them
+  beforeEach(() => {
+    clock = Date.now();
+    dateNow = jest.spyOn(Date, "now").mockImplementation(() => clock);
+  });
+
+  afterEach(() => {
+    dateNow.mockRestore();
+    Object.assign(config.rateLimit, JSON.parse(JSON.stringify(defaults)));
+  });
+
+  const advance = (ms) => {
+    clock += ms;
+  };
+
+  const login = (password, email = "test@example.com") =>
+    request(app).post("/login").send({ email, password });
+
+  it("should return 429 with Retry-After once the IP limit is reached", async () => {
+    config.rateLimit.register = { windowMs: 60 * 1000, max: 2 };
+
+    await registerUser({ email: "one@example.com" });
+    await registerUser({ email: "two@example.com" });
+    const res = await registerUser({ email: "three@example.com" });
+    expect(res.status).toBe(429);
+    expect(res.body.error).toBe("Too many requests. Please try again later.");
+    expect(Number(res.headers["retry-after"])).toBeGreaterThan(0);
+    expect(Number(res.headers["retry-after"])).toBeLessThanOrEqual(60);
+  });
+
+  it("should limit password reset requests per IP", async () => {
+    config.rateLimit.forgotPassword = { windowMs: 60 * 1000, max: 2 };
+
+    const forgot = () =>
+      request(app).post("/forgot-password").send({ email: "someone@example.com" });
+    expect((await forgot()).status).toBe(200);
+    expect((await forgot()).status).toBe(200);
+    expect((await forgot()).status).toBe(429);
+  });
+
+  it("should allow requests again once the window slides past", async () => {
+    config.rateLimit.login = { windowMs: 200, max: 1 };
+
+    await login("password123");
+    expect((await login("password123")).status).toBe(429);
+
+    advance(200);
+    expect((await login("password123")).status).toBe(401);
+  });
+
+  it("should lock an account after repeated login failures", async () => {
+    config.rateLimit.loginLockout.threshold = 3;
+    await registerUser();
+
+    for (let i = 0; i < 3; i++) {
+      expect((await login("wrong-password")).status).toBe(401);
+    }
+
+    // Even the right password is refused while locked
+    const locked = await login("password123");
+    expect(locked.status).toBe(429);
+    expect(locked.body.error).toBe(
+      "Too many failed login attempts. Please try again later."
+    );
+    expect(Number(locked.headers["retry-after"])).toBe(30);
+
+    // Other accounts are unaffected
+    await registerUser({ email: "other@example.com" });
+    expect((await login("password123", "other@example.com")).status).toBe(200);
+  });
+
+  it("should increase the lockout delay with every further failure", async () => {
+    config.rateLimit.loginLockout.threshold = 1;
+    config.rateLimit.loginLockout.baseDelayMs = 200;
+    await registerUser();
+
+    await login("wrong-password");
+    advance(200);
+    await login("wrong-password");
+
+    // Second failure doubles the delay to 400ms
+    advance(399);
+    expect((await login("password123")).status).toBe(429);
+
+    advance(1);
+    expect((await login("password123")).status).toBe(200);
+  });
+
+  it("should reset the failure count after a successful login", async () => {
+    config.rateLimit.loginLockout.threshold = 2;
+    await registerUser();
+
+    await login("wrong-password");
+    await login("password123");
+    await login("wrong-password");
+    expect((await login("password123")).status).toBe(200);
+  });
+});
+
+// ─── SESSION TESTS ──────────────────────────────────────────────────────────
+
+describe("Sessions", () => {
+  let token;
+  let refreshToken;
+
+  beforeEach(async () => {
+    const res = await registerUser();
+    token = res.body.token;
+    refreshToken = res.body.refreshToken;
+  });
+
+  const refresh = (value) =>
+    request(app).post("/refresh").send({ refreshToken: value });
+
+  const listEvents = (accessToken) =>
+    request(app).get("/events").set("Authorization", `Bearer ${accessToken}`);
+
+  describe("POST /refresh", () => {
+    it("should issue a new token pair", async () => {
+      const res = await refresh(refreshToken);
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveProperty("token");
+      expect(res.body.refreshToken).not.toBe(refreshToken);
+
+      const events = await listEvents(res.body.token);
+      expect(events.status).toBe(200);
+    });
+
+    it("should return 400 without a refresh token", async () => {
+      const res = await request(app).post("/refresh").send({});
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe("Refresh token is required");
+    });
+
+    it("should return 401 for an unknown refresh token", async () => {
+      const res = await refresh("not-a-real-token");
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe("Invalid refresh token.");
+    });
+
+    it("should revoke the whole family when a rotated token is reused", async () => {
+      const rotated = await refresh(refreshToken);
+
+      const reuse = await refresh(refreshToken);
+      expect(reuse.status).toBe(401);
+      expect(reuse.body.error).toMatch(/reuse detected/);
+
+      // The legitimate successor and all access tokens of the family are dead too
+      const successor = await refresh(rotated.body.refreshToken);
+      expect(successor.status).toBe(401);
+
+      const events = await listEvents(rotated.body.token);
+      expect(events.status).toBe(401);
+      expect(events.body.error).toBe("Token has been revoked.");
+    });
+
+    it("should not affect other login sessions on reuse", async () => {
+      const login = await request(app).post("/login").send({
+        email: "test@example.com",
+        password: "password123",
+      });
+
+      await refresh(refreshToken);
+      await refresh(refreshToken);
+
+      const events = await listEvents(login.body.token);
+      expect(events.status).toBe(200);
+    });
+  });
+
+  describe("POST /logout", () => {
+    it("should revoke the access and refresh tokens of the session", async () => {
+      const res = await request(app)
+        .post("/logout")
+        .set("Authorization", `Bearer ${token}`);
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe("Logout successful");
+
+      const events = await listEvents(token);
+      expect(events.status).toBe(401);
+
+      const refreshed = await refresh(refreshToken);
+      expect(refreshed.status).toBe(401);
+    });
+
+    it("should return 401 without authentication", async () => {
+      const res = await request(app).post("/logout");
+      expect(res.status).toBe(401);
+    });
+  });
+});
+
+// ─── ACCOUNT RECOVERY TESTS ─────────────────────────────────────────────────
+
+describe("Password Reset & Email Verification", () => {
+  let user;
+
+  beforeEach(async () => {
+    await registerUser();
+    user = findUserByEmail("test@example.com");
+  });
+
+  const login = (password) =>
+    request(app).post("/login").send({ email: "test@example.com", password });
+
+  describe("POST /forgot-password", () => {
+    it("should respond identically for known and unknown emails", async () => {
+      const known = await request(app)
+        .post("/forgot-password")
+        .send({ email: "test@example.com" });
+      const unknown = await request(app)
+        .post("/forgot-password")
+        .send({ email: "nobody@example.com" });
+      expect(known.status).toBe(200);
+      expect(unknown.status).toBe(200);
+      expect(known.body).toEqual(unknown.body);
+    });
+
+    it("should return 400 without an email", async () => {
+      const res = await request(app).post("/forgot-password").send({});
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe("POST /reset-password", () => {
+    it("should reset the password once per token", async () => {
+      const token = createActionToken(user, "password-reset");
+
+      const res = await request(app)
+        .post("/reset-password")
+        .send({ token, password: "newpassword" });
+      expect(res.status).toBe(200);
+      expect((await login("newpassword")).status).toBe(200);
+      expect((await login("password123")).status).toBe(401);
+
+      const reuse = await request(app)
+        .post("/reset-password")
+        .send({ token, password: "another-password" });
+      expect(reuse.status).toBe(400);
+      expect(reuse.body.error).toBe("This link has already been used.");
+    });
+
+    it("should sign out existing sessions", async () => {
+      const session = await login("password123");
+      const token = createActionToken(user, "password-reset");
+      await request(app)
+        .post("/reset-password")
+        .send({ token, password: "newpassword" });
+
+      const res = await request(app)
+        .get("/events")
+        .set("Authorization", `Bearer ${session.body.token}`);
+      expect(res.status).toBe(401);
+    });
+
+    it("should reject verification tokens and weak passwords", async () => {
+      const verifyToken = createActionToken(user, "email-verification");
+      const wrongPurpose = await request(app)
+        .post("/reset-password")
+        .send({ token: verifyToken, password: "newpassword" });
+      expect(wrongPurpose.status).toBe(400);
+
+      const token = createActionToken(user, "password-reset");
+      const weak = await request(app)
+        .post("/reset-password")
+        .send({ token, password: "123" });
+      expect(weak.status).toBe(400);
+      expect(weak.body.errors).toContain("Password must be at least 6 characters");
+    });
+
+    it("should reject expired tokens", async () => {
+      const ttl = config.passwordResetTtl;
+      config.passwordResetTtl = -1;
+      const token = createActionToken(user, "password-reset");
+      config.passwordResetTtl = ttl;
+
+      const res = await request(app)
+        .post("/reset-password")
+        .send({ token, password: "newpassword" });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe("Invalid or expired token.");
+    });
+  });
+
+  describe("GET /verify-email", () => {
+    it("should mark the email as verified", async () => {
+      const token = createActionToken(user, "email-verification");
+      const res = await request(app).get("/verify-email").query({ token });
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe("Email verified successfully");
+      expect((await login("password123")).body.user.emailVerified).toBe(true);
+    });
+
+    it("should not accept a token twice", async () => {
+      const token = createActionToken(user, "email-verification");
+      await request(app).get("/verify-email").query({ token });
+      const res = await request(app).get("/verify-email").query({ token });
+      expect(res.status).toBe(400);
+    });
+
+    it("should not accept a verification token as an access token", async () => {
+      const token = createActionToken(user, "email-verification");
+      const res = await request(app)
+        .get("/events")
+        .set("Authorization", `Bearer ${token}`);
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe("Verified email requirement", () => {
+    afterEach(() => {
+      config.requireVerifiedEmail = false;
+    });
+
+    it("should gate event registration when enabled", async () => {
+      config.requireVerifiedEmail = true;
+      const organizer = await registerOrganizer();
+      const event = await createEvent(organizer.body.token);
+      const session = await login("password123");
+
+      const blocked = await request(app)
+        .post(`/events/${event.body.event.id}/register`)
+        .set("Authorization", `Bearer ${session.body.token}`);
+      expect(blocked.status).toBe(403);
+
+      const token = createActionToken(user, "email-verification");
+      await request(app).get("/verify-email").query({ token });
+
+      const allowed = await request(app)
+        .post(`/events/${event.body.event.id}/register`)
+        .set("Authorization", `Bearer ${session.body.token}`);
+      expect(allowed.status).toBe(200);
+    });
+  });
+});
+
+// ─── PROFILE TESTS ──────────────────────────────────────────────────────────
+
+describe("Profile & Account", () => {
+  let token;
+  let user;
+
+  beforeEach(async () => {
+    const res = await registerUser();
+    token = res.body.token;
+    user = findUserByEmail("test@example.com");
+    await processEmailQueue();
+    getTransport().reset();
+  });
+
+  const login = (email, password) => request(app).post("/login").send({ email, password });
+  const me = (method, body, authToken = token) =>
+    request(app)[method]("/me").set("Authorization", `Bearer ${authToken}`).send(body);
+
+  it("should return and update the profile", async () => {
+    const res = await me("patch", {
+      name: "  Renamed User ",
+      avatarUrl: "https://cdn.example.com/me.png",
+      bio: "Event enthusiast",
+      timezone: "Europe/Berlin",
+      language: "de",
+    });
+    expect(res.status).toBe(200);
+
+    const profile = await me("get");
+    expect(profile.body.user).toEqual(
+      expect.objectContaining({
+        name: "Renamed User",
+        email: "test@example.com",
+        avatarUrl: "https://cdn.example.com/me.png",
+        bio: "Event enthusiast",
+        timezone: "Europe/Berlin",
+        language: "de",
+      })
+    );
+    expect(profile.body.user.password).toBeUndefined();
+
+    const cleared = await me("patch", { bio: null, avatarUrl: null });
+    expect(cleared.body.user.bio).toBeNull();
+    expect(cleared.body.user.avatarUrl).toBeNull();
+  });
+
+  it("should reject invalid profile fields", async () => {
+    const res = await me("patch", {
+      name: "",
+      avatarUrl: "javascript:alert(1)",
+      bio: "x".repeat(501),
+      timezone: "Mars/Olympus",
+      password: "newpassword",
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      "Use POST /me/password to change your password",
+      "Name cannot be empty",
+      "'avatarUrl' must be an http or https URL",
+      "Bio cannot be longer than 500 characters",
+      "'timezone' must be a valid IANA time zone",
+    ]);
+
+    expect((await me("patch", {})).status).toBe(400);
+  });
+
+  it("should show event times in the profile time zone", async () => {
+    const organizer = await registerOrganizer();
+    const event = await createEvent(organizer.body.token);
+    await me("patch", { timezone: "America/New_York" });
+
+    const res = await request(app)
+      .get(`/events/${event.body.event.id}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(res.body.event.local).toEqual(
+      expect.objectContaining({
+        timezone: "America/New_York",
+        startsAt: "2030-03-15T06:00:00-04:00",
+      })
+    );
+  });
+
+  it("should change the email only after the new address is verified", async () => {
+    await registerUser({ email: "taken@example.com" });
+    await processEmailQueue();
+    getTransport().reset();
+    const taken = await me("patch", { email: "taken@example.com" });
+    expect(taken.status).toBe(409);
+
+    const res = await me("patch", { email: "New@Example.com" });
+    expect(res.status).toBe(200);
+    expect(res.body.user).toEqual(
+      expect.objectContaining({ email: "test@example.com", pendingEmail: "new@example.com" })
+    );
+
+    await processEmailQueue();
+    const sent = getTransport().sent;
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe("new@example.com");
+
+    // The old address keeps working until the change is confirmed
+    expect((await login("test@example.com", "password123")).status).toBe(200);
+
+    const verifyToken = createActionToken(
+      { ...user, email: "new@example.com" },
+      "email-verification"
+    );
+    const verified = await request(app).get("/verify-email").query({ token: verifyToken });
+    expect(verified.status).toBe(200);
+    expect(verified.body.message).toBe("Email address changed successfully");
+
+    expect((await login("test@example.com", "password123")).status).toBe(401);
+    const session = await login("new@example.com", "password123");
+    expect(session.status).toBe(200);
+    expect(session.body.user.emailVerified).toBe(true);
+  });
+
+  it("should require the current password to change it", async () => {
+    const other = await login("test@example.com", "password123");
+
+    const wrong = await request(app)
+      .post("/me/password")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ currentPassword: "wrong-password", newPassword: "newpassword" });
+    expect(wrong.status).toBe(403);
+
+    const res = await request(app)
+      .post("/me/password")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ currentPassword: "password123", newPassword: "newpassword" });
+    expect(res.status).toBe(200);
+
+    // Other sessions are signed out, the current one is kept
+    expect((await me("get", undefined, other.body.token)).status).toBe(401);
+    expect((await me("get")).status).toBe(200);
+    expect((await login("test@example.com", "newpassword")).status).toBe(200);
+  });
+
+  it("should delete the account and anonymize past participation", async () => {
+    const organizer = await registerOrganizer();
+    const organizerToken = organizer.body.token;
+    const past = await createEvent(organizerToken);
+    const upcoming = await createEvent(organizerToken);
+    for (const event of [past, upcoming]) {
+      await request(app)
+        .post(`/events/${event.body.event.id}/register`)
+        .set("Authorization", `Bearer ${token}`);
+    }
+    updateEvent(past.body.event.id, {
+      startsAt: "2020-03-15T10:00:00.000Z",
+      endsAt: "2020-03-15T11:00:00.000Z",
+    });
+
+    const busy = await request(app)
+      .delete("/me")
+      .set("Authorization", `Bearer ${organizerToken}`)
+      .send({ password: "password123" });
+    expect(busy.status).toBe(409);
+
+    const wrong = await me("delete", { password: "wrong-password" });
+    expect(wrong.status).toBe(403);
+
+    const res = await me("delete", { password: "password123" });
+    expect(res.status).toBe(200);
+    expect((await login("test@example.com", "password123")).status).toBe(401);
+
+    const roster = await request(app)
+      .get(`/events/${past.body.event.id}/participants`)
+      .set("Authorization", `Bearer ${organizerToken}`);
+    expect(roster.body.participants).toEqual([
+      expect.objectContaining({ userId: user.id, name: "Deleted user", email: null }),
+    ]);
+
+    const searched = await request(app)
+      .get(`/events/${past.body.event.id}/participants`)
+      .query({ search: "deleted" })
+      .set("Authorization", `Bearer ${organizerToken}`);
+    expect(searched.body.pagination.total).toBe(1);
+
+    const freed = await request(app)
+      .get(`/events/${upcoming.body.event.id}`)
+      .set("Authorization", `Bearer ${organizerToken}`);
+    expect(freed.body.event.participants).toHaveLength(0);
+  });
+});
+
 // ─── EVENT MANAGEMENT TESTS ─────────────────────────────────────────────────
 
 describe("Event Management", () => {
@@ -208,7 +784,7 @@ describe("Event Management", () => {
       const res = await request(app).post("/events").send({
         title: "Test Event",
         description: "Description",
-        date: "2026-03-15",
+        date: "2030-03-15",
         time: "10:00",
         location: "Virtual",
       });
@@ -246,6 +822,113 @@ describe("Event Management", () => {
     });
   });
 
+  describe("GET /events query parameters", () => {
+    const listEvents = (query) =>
+      request(app)
+        .get("/events")
+        .query(query)
+        .set("Authorization", `Bearer ${attendeeToken}`);
+
+    beforeEach(async () => {
+      await createEvent(organizerToken, {
+        title: "JavaScript Meetup",
+        date: "2030-05-01",
+        location: "Berlin Hub",
+      });
+      await createEvent(organizerToken, {
+        title: "Python Workshop",
+        date: "2030-04-01",
+        maxParticipants: 1,
+      });
+      await createEvent(organizerToken, {
+        title: "Cloud Summit",
+        description: "Everything about javascript in the cloud",
+        date: "2030-06-01",
+      });
+    });
+
+    it("should search over title, description and location", async () => {
+      const res = await listEvents({ search: "javascript" });
+      expect(res.status).toBe(200);
+      expect(res.body.events.map((e) => e.title)).toEqual([
+        "JavaScript Meetup",
+        "Cloud Summit",
+      ]);
+
+      const byLocation = await listEvents({ search: "berl" });
+      expect(byLocation.body.events.map((e) => e.title)).toEqual([
+        "JavaScript Meetup",
+      ]);
+    });
+
+    it("should filter by date range and sort by date", async () => {
+      const res = await listEvents({ from: "2030-04-15", to: "2030-06-01" });
+      expect(res.body.events.map((e) => e.title)).toEqual([
+        "JavaScript Meetup",
+        "Cloud Summit",
+      ]);
+
+      const desc = await listEvents({ order: "desc" });
+      expect(desc.body.events[0].title).toBe("Cloud Summit");
+    });
+
+    it("should filter by organizer", async () => {
+      const otherOrg = await registerOrganizer({ email: "other-org@example.com" });
+      await createEvent(otherOrg.body.token, { title: "Other Event" });
+
+      const res = await listEvents({ organizerId: otherOrg.body.user.id });
+      expect(res.body.events.map((e) => e.title)).toEqual(["Other Event"]);
+    });
+
+    it("should filter events with seats left and sort by popularity", async () => {
+      const all = await listEvents({});
+      const python = all.body.events.find((e) => e.title === "Python Workshop");
+      await request(app)
+        .post(`/events/${python.id}/register`)
+        .set("Authorization", `Bearer ${attendeeToken}`);
+
+      const open = await listEvents({ hasSeats: "true" });
+      expect(open.body.events.map((e) => e.title)).not.toContain("Python Workshop");
+
+      // Equally popular events stay in date order
+      const popular = await listEvents({ sort: "popularity", order: "desc" });
+      expect(popular.body.events.map((e) => e.title)).toEqual([
+        "Python Workshop",
+        "JavaScript Meetup",
+        "Cloud Summit",
+      ]);
+    });
+
+    it("should paginate with total counts", async () => {
+      const res = await listEvents({ page: 2, limit: 2 });
+      expect(res.body.events.length).toBe(1);
+      expect(res.body.pagination).toEqual({
+        page: 2,
+        limit: 2,
+        total: 3,
+        totalPages: 2,
+      });
+    });
+
+    it("should return 400 for invalid query parameters", async () => {
+      const res = await listEvents({ sort: "random", limit: 500 });
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toContain(
+        "'sort' must be either 'date' or 'popularity'"
+      );
+      expect(res.body.errors).toContain(
+        "'limit' must be an integer between 1 and 100"
+      );
+    });
+
+    it("should return 400 for dates that do not exist", async () => {
+      for (const query of [{ to: "2026-13-45" }, { to: "9999-12-31" }, { from: "2026-02-31" }]) {
+        const res = await listEvents(query);
+        expect(res.status).toBe(400);
+      }
+    });
+  });
+
   describe("GET /events/:id", () => {
     it("should get a single event by ID", async () => {
       const createRes = await createEvent(organizerToken);
@@ -308,6 +991,30 @@ describe("Event Management", () => {
       expect(res.status).toBe(403);
     });
 
+    it("should reject seat limits that are not positive integers", async () => {
+      const invalid = await createEvent(organizerToken, { maxParticipants: 0 });
+      expect(invalid.status).toBe(400);
+
+      const createRes = await createEvent(organizerToken);
+      const eventId = createRes.body.event.id;
+      for (const maxParticipants of [-5, "abc", 2.5]) {
+        const res = await request(app)
+          .put(`/events/${eventId}`)
+          .set("Authorization", `Bearer ${organizerToken}`)
+          .send({ maxParticipants });
+        expect(res.status).toBe(400);
+        expect(res.body.errors).toEqual([
+          "Max participants must be a positive integer or null",
+        ]);
+      }
+
+      const unlimited = await request(app)
+        .put(`/events/${eventId}`)
+        .set("Authorization", `Bearer ${organizerToken}`)
+        .send({ maxParticipants: null });
+      expect(unlimited.status).toBe(200);
+    });
+
     it("should return 404 for updating non-existent event", async () => {
       const res = await request(app)
         .put("/events/non-existent-id")
@@ -318,21 +1025,24 @@ describe("Event Management", () => {
   });
 
   describe("DELETE /events/:id", () => {
-    it("should delete an event as the organizer", async () => {
+    it("should cancel an event as the organizer", async () => {
       const createRes = await createEvent(organizerToken);
       const eventId = createRes.body.event.id;
 
       const res = await request(app)
         .delete(`/events/${eventId}`)
-        .set("Authorization", `Bearer ${organizerToken}`);
+        .set("Authorization", `Bearer ${organizerToken}`)
+        .send({ reason: "Speaker unavailable" });
       expect(res.status).toBe(200);
-      expect(res.body.message).toBe("Event deleted successfully");
+      expect(res.body.message).toBe("Event cancelled successfully");
 
-      // Verify deletion
+      // The event is kept in the cancelled state
       const getRes = await request(app)
         .get(`/events/${eventId}`)
         .set("Authorization", `Bearer ${organizerToken}`);
-      expect(getRes.status).toBe(404);
+      expect(getRes.status).toBe(200);
+      expect(getRes.body.event.status).toBe("cancelled");
+      expect(getRes.body.event.cancellationReason).toBe("Speaker unavailable");
     });
 
     it("should return 403 for attendee trying to delete", async () => {
@@ -354,42 +1064,495 @@ describe("Event Management", () => {
   });
 });
 
-// ─── PARTICIPANT MANAGEMENT TESTS ───────────────────────────────────────────
+// ─── SCHEDULING & TIME ZONE TESTS ───────────────────────────────────────────
 
-describe("Participant Management", () => {
+describe("Event Scheduling", () => {
   let organizerToken;
-  let attendeeToken;
-  let eventId;
 
   beforeEach(async () => {
     const orgRes = await registerOrganizer();
     organizerToken = orgRes.body.token;
+  });
 
-    const attRes = await registerUser({
-      email: "attendee@example.com",
-      name: "Attendee",
+  it("should store start and end as UTC instants with the time zone", async () => {
+    const res = await createEvent(organizerToken, {
+      date: undefined,
+      time: undefined,
+      startsAt: "2030-07-01T18:00",
+      endsAt: "2030-07-01T20:30",
+      timezone: "Europe/Berlin",
     });
-    attendeeToken = attRes.body.token;
+    expect(res.status).toBe(201);
+    expect(res.body.event.startsAt).toBe("2030-07-01T16:00:00.000Z");
+    expect(res.body.event.endsAt).toBe("2030-07-01T18:30:00.000Z");
+    expect(res.body.event.timezone).toBe("Europe/Berlin");
+    expect(res.body.event.local.startsAt).toBe("2030-07-01T18:00:00+02:00");
+  });
 
-    const eventRes = await createEvent(organizerToken);
-    eventId = eventRes.body.event.id;
+  it("should accept date and time with a default duration", async () => {
+    const res = await createEvent(organizerToken, { timezone: "America/New_York" });
+    expect(res.body.event.startsAt).toBe("2030-03-15T14:00:00.000Z");
+    expect(res.body.event.endsAt).toBe("2030-03-15T15:00:00.000Z");
   });
 
-  describe("POST /events/:id/register", () => {
-    it("should register an attendee for an event", async () => {
-      const res = await request(app)
-        .post(`/events/${eventId}/register`)
-        .set("Authorization", `Bearer ${attendeeToken}`);
-      expect(res.status).toBe(200);
-      expect(res.body.message).toBe(
-        "Successfully registered for the event"
-      );
-      expect(res.body.event.id).toBe(eventId);
+  it("should show times in the viewer's time zone", async () => {
+    const created = await createEvent(organizerToken, { timezone: "Europe/Berlin" });
+    const res = await request(app)
+      .get(`/events/${created.body.event.id}`)
+      .query({ tz: "Asia/Tokyo" })
+      .set("Authorization", `Bearer ${organizerToken}`);
+    expect(res.body.event.local).toEqual({
+      timezone: "Asia/Tokyo",
+      startsAt: "2030-03-15T18:00:00+09:00",
+      endsAt: "2030-03-15T19:00:00+09:00",
     });
 
-    it("should allow an organizer to register for an event", async () => {
-      // Create a different organizer to register for the event
-      const otherOrg = await registerOrganizer({
+    const invalid = await request(app)
+      .get(`/events/${created.body.event.id}`)
+      .query({ tz: "Mars/Olympus" })
+      .set("Authorization", `Bearer ${organizerToken}`);
+    expect(invalid.status).toBe(400);
+  });
+
+  it("should reject malformed dates and times", async () => {
+    const res = await createEvent(organizerToken, { date: "banana", time: "25:00" });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toContain("Date must be in YYYY-MM-DD format");
+    expect(res.body.errors).toContain("Time must be in HH:MM format");
+
+    const impossible = await createEvent(organizerToken, { date: "2030-02-30" });
+    expect(impossible.status).toBe(400);
+  });
+
+  it("should reject unknown time zones", async () => {
+    const res = await createEvent(organizerToken, { timezone: "Mars/Olympus" });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toContain(
+      "Timezone must be a valid IANA time zone such as 'Europe/Berlin'"
+    );
+  });
+
+  it("should reject local times skipped by daylight saving", async () => {
+    const res = await createEvent(organizerToken, {
+      date: "2030-03-31",
+      time: "02:30",
+      timezone: "Europe/Berlin",
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toContain(
+      "Date and time must describe an existing local time"
+    );
+  });
+
+  it("should reject past-dated events", async () => {
+    const res = await createEvent(organizerToken, { date: "2020-01-01" });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toContain("Event cannot start in the past");
+  });
+
+  it("should reject events that end before they start", async () => {
+    const res = await createEvent(organizerToken, {
+      date: undefined,
+      time: undefined,
+      startsAt: "2030-03-15T10:00:00Z",
+      endsAt: "2030-03-15T09:00:00Z",
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toContain("End time must be after the start time");
+  });
+
+  it("should keep the duration when the start is moved", async () => {
+    const created = await createEvent(organizerToken, {
+      endsAt: "2030-03-15T12:00",
+    });
+    const res = await request(app)
+      .put(`/events/${created.body.event.id}`)
+      .set("Authorization", `Bearer ${organizerToken}`)
+      .send({ time: "14:00" });
+    expect(res.status).toBe(200);
+    expect(res.body.event.startsAt).toBe("2030-03-15T14:00:00.000Z");
+    expect(res.body.event.endsAt).toBe("2030-03-15T16:00:00.000Z");
+
+    const past = await request(app)
+      .put(`/events/${created.body.event.id}`)
+      .set("Authorization", `Bearer ${organizerToken}`)
+      .send({ date: "2020-03-15" });
+    expect(past.status).toBe(400);
+  });
+
+  it("should filter by local days in the requested time zone", async () => {
+    // 23:30 in New York is already the next day in UTC
+    await createEvent(organizerToken, {
+      date: "2030-03-15",
+      time: "23:30",
+      timezone: "America/New_York",
+    });
+
+    const utc = await request(app)
+      .get("/events")
+      .query({ from: "2030-03-15", to: "2030-03-15" })
+      .set("Authorization", `Bearer ${organizerToken}`);
+    expect(utc.body.events.length).toBe(0);
+
+    const local = await request(app)
+      .get("/events")
+      .query({ from: "2030-03-15", to: "2030-03-15", tz: "America/New_York" })
+      .set("Authorization", `Bearer ${organizerToken}`);
+    expect(local.body.events.length).toBe(1);
+  });
+
+  it("should keep the local time of series occurrences across DST", async () => {
+    const res = await createEvent(organizerToken, {
+      date: "2030-03-24",
+      time: "18:00",
+      timezone: "Europe/Berlin",
+      recurrence: "FREQ=WEEKLY;COUNT=2",
+    });
+    expect(res.body.events.map((e) => e.startsAt)).toEqual([
+      "2030-03-24T17:00:00.000Z",
+      "2030-03-31T16:00:00.000Z",
+    ]);
+  });
+});
+
+describe("Legacy Schedule Migration", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "vemp-migrate-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should migrate date/time strings to startsAt/endsAt", () => {
+    const legacy = { id: "old", title: "Old", date: "2030-03-15", time: "10:00" };
+    const broken = { id: "bad", title: "Bad", date: "banana", time: "soon" };
+    fs.writeFileSync(
+      path.join(dir, "events.jsonl"),
+      [legacy, broken].map((record) => JSON.stringify({ op: "put", record })).join("\n")
+    );
+
+    const env = { ...process.env };
+    process.env.STORAGE_DRIVER = "journal";
+    process.env.STORAGE_DIR = dir;
+    try {
+      jest.isolateModules(() => {
+        const { findEventById } = require("../src/data/events");
+        expect(findEventById("old")).toEqual({
+          id: "old",
+          title: "Old",
+          timezone: "UTC",
+          startsAt: "2030-03-15T10:00:00.000Z",
+          endsAt: "2030-03-15T11:00:00.000Z",
+        });
+        expect(findEventById("bad")).toMatchObject({
+          startsAt: null,
+          legacySchedule: { date: "banana", time: "soon" },
+        });
+      });
+    } finally {
+      process.env = env;
+    }
+  });
+});
+
+// ─── RECURRING EVENT TESTS ──────────────────────────────────────────────────
+
+describe("Recurring Events", () => {
+  let organizerToken;
+  let attendeeToken;
+
+  beforeEach(async () => {
+    const orgRes = await registerOrganizer();
+    organizerToken = orgRes.body.token;
+
+    const attRes = await registerUser({
+      email: "attendee@example.com",
+      name: "Attendee",
+    });
+    attendeeToken = attRes.body.token;
+  });
+
+  const createSeries = (overrides = {}) =>
+    createEvent(organizerToken, {
+      title: "Weekly Webinar",
+      date: "2030-03-02",
+      recurrence: "FREQ=WEEKLY;COUNT=4",
+      ...overrides,
+    });
+
+  const listSeries = (seriesId) =>
+    request(app)
+      .get("/events")
+      .query({ seriesId })
+      .set("Authorization", `Bearer ${organizerToken}`);
+
+  describe("POST /events with recurrence", () => {
+    it("should create one event per occurrence", async () => {
+      const res = await createSeries();
+      expect(res.status).toBe(201);
+      expect(res.body.message).toBe("Event series created successfully");
+      expect(res.body.series.recurrence).toBe("FREQ=WEEKLY;COUNT=4");
+      expect(res.body.events.map((e) => e.local.startsAt.slice(0, 10))).toEqual([
+        "2030-03-02",
+        "2030-03-09",
+        "2030-03-16",
+        "2030-03-23",
+      ]);
+      expect(res.body.events.every((e) => e.seriesId === res.body.series.id)).toBe(
+        true
+      );
+    });
+
+    it("should support interval, until and exdates", async () => {
+      const res = await createSeries({
+        date: "2030-03-01",
+        recurrence: "RRULE:FREQ=DAILY;INTERVAL=2;UNTIL=20300309",
+        exdates: ["2030-03-05"],
+      });
+      expect(res.body.events.map((e) => e.local.startsAt.slice(0, 10))).toEqual([
+        "2030-03-01",
+        "2030-03-03",
+        "2030-03-07",
+        "2030-03-09",
+      ]);
+    });
+
+    it("should skip monthly dates that do not exist", async () => {
+      const res = await createSeries({
+        date: "2030-01-31",
+        recurrence: "FREQ=MONTHLY;UNTIL=20300630",
+      });
+      expect(res.body.events.map((e) => e.local.startsAt.slice(0, 10))).toEqual([
+        "2030-01-31",
+        "2030-03-31",
+        "2030-05-31",
+      ]);
+    });
+
+    it("should return 400 for invalid rules", async () => {
+      const res = await createSeries({ recurrence: "FREQ=HOURLY;BYDAY=MO" });
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toContain("FREQ must be DAILY, WEEKLY or MONTHLY");
+      expect(res.body.errors).toContain("Unsupported recurrence rule part: BYDAY");
+      expect(res.body.errors).toContain("Either COUNT or UNTIL is required");
+    });
+
+    it("should reject intervals that run past the supported dates", async () => {
+      const huge = await createSeries({ recurrence: "FREQ=MONTHLY;INTERVAL=9999999999;COUNT=2" });
+      expect(huge.status).toBe(400);
+      expect(huge.body.errors).toContain("INTERVAL must be a positive integer of at most 1000");
+
+      const far = await createSeries({ recurrence: "FREQ=MONTHLY;INTERVAL=1000;COUNT=100" });
+      expect(far.status).toBe(400);
+      expect(far.body.errors).toEqual(["The series runs past the supported date range"]);
+    });
+
+    it("should reject series with too many occurrences", async () => {
+      const res = await createSeries({ recurrence: "FREQ=DAILY;UNTIL=20400101" });
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0]).toMatch(/cannot have more than/);
+    });
+  });
+
+  describe("Editing and cancelling occurrences", () => {
+    let seriesId;
+    let events;
+
+    beforeEach(async () => {
+      const res = await createSeries();
+      seriesId = res.body.series.id;
+      events = res.body.events;
+    });
+
+    const updateOccurrence = (eventId, scope, body) =>
+      request(app)
+        .put(`/events/${eventId}`)
+        .query(scope ? { scope } : {})
+        .set("Authorization", `Bearer ${organizerToken}`)
+        .send(body);
+
+    const deleteOccurrence = (eventId, scope) =>
+      request(app)
+        .delete(`/events/${eventId}`)
+        .query(scope ? { scope } : {})
+        .set("Authorization", `Bearer ${organizerToken}`);
+
+    it("should edit a single occurrence by default", async () => {
+      const res = await updateOccurrence(events[1].id, null, {
+        title: "Special Edition",
+        date: "2030-03-10",
+      });
+      expect(res.status).toBe(200);
+
+      const list = await listSeries(seriesId);
+      expect(list.body.events.map((e) => e.title)).toEqual([
+        "Weekly Webinar",
+        "Special Edition",
+        "Weekly Webinar",
+        "Weekly Webinar",
+      ]);
+    });
+
+    it("should edit this and all following occurrences", async () => {
+      const res = await updateOccurrence(events[2].id, "following", { time: "18:00" });
+      expect(res.status).toBe(200);
+      expect(res.body.updatedCount).toBe(2);
+
+      const list = await listSeries(seriesId);
+      expect(list.body.events.map((e) => e.local.startsAt.slice(11, 16))).toEqual([
+        "10:00",
+        "10:00",
+        "18:00",
+        "18:00",
+      ]);
+    });
+
+    it("should edit all occurrences", async () => {
+      const res = await updateOccurrence(events[2].id, "all", {
+        location: "Studio B",
+      });
+      expect(res.body.updatedCount).toBe(4);
+
+      const list = await listSeries(seriesId);
+      expect(list.body.events.every((e) => e.location === "Studio B")).toBe(true);
+    });
+
+    it("should not move dates of several occurrences at once", async () => {
+      const res = await updateOccurrence(events[0].id, "all", { date: "2030-04-01" });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe(
+        "The date can only be changed for a single occurrence"
+      );
+    });
+
+    it("should cancel one occurrence and record it as an exdate", async () => {
+      const res = await deleteOccurrence(events[1].id);
+      expect(res.status).toBe(200);
+      expect(res.body.cancelledCount).toBe(1);
+
+      const list = await listSeries(seriesId);
+      expect(list.body.events.length).toBe(3);
+      expect(findSeriesById(seriesId).exdates).toEqual(["2030-03-09"]);
+    });
+
+    it("should cancel this and all following occurrences", async () => {
+      const res = await deleteOccurrence(events[1].id, "following");
+      expect(res.body.cancelledCount).toBe(3);
+
+      const list = await listSeries(seriesId);
+      expect(list.body.events.map((e) => e.local.startsAt.slice(0, 10))).toEqual(["2030-03-02"]);
+    });
+
+    it("should cancel the whole series", async () => {
+      const res = await deleteOccurrence(events[3].id, "all");
+      expect(res.body.cancelledCount).toBe(4);
+      expect((await listSeries(seriesId)).body.events).toEqual([]);
+      expect(findSeriesById(seriesId).exdates.length).toBe(4);
+    });
+
+    it("should reject series scopes for single events", async () => {
+      const single = await createEvent(organizerToken);
+      const res = await updateOccurrence(single.body.event.id, "all", {
+        title: "Nope",
+      });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe("Scope 'all' only applies to events in a series");
+    });
+  });
+
+  describe("Registering for a series", () => {
+    let events;
+
+    beforeEach(async () => {
+      const res = await createSeries();
+      events = res.body.events;
+    });
+
+    it("should register for a single occurrence", async () => {
+      const res = await request(app)
+        .post(`/events/${events[0].id}/register`)
+        .set("Authorization", `Bearer ${attendeeToken}`);
+      expect(res.status).toBe(200);
+
+      const other = await request(app)
+        .get(`/events/${events[1].id}`)
+        .set("Authorization", `Bearer ${attendeeToken}`);
+      expect(other.body.event.participants).toEqual([]);
+    });
+
+    it("should register for this and all later occurrences", async () => {
+      await request(app)
+        .put(`/events/${events[2].id}`)
+        .set("Authorization", `Bearer ${organizerToken}`)
+        .send({ maxParticipants: 1 });
+      const filler = await registerUser({ email: "filler@example.com" });
+      await request(app)
+        .post(`/events/${events[2].id}/register`)
+        .set("Authorization", `Bearer ${filler.body.token}`);
+
+      const res = await request(app)
+        .post(`/events/${events[1].id}/register`)
+        .query({ scope: "series" })
+        .set("Authorization", `Bearer ${attendeeToken}`);
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe("Successfully registered for the event series");
+      expect(res.body.registrations.map((r) => r.status)).toEqual([
+        "registered",
+        "waitlisted",
+        "registered",
+      ]);
+    });
+
+    it("should return 400 for series registration on single events", async () => {
+      const single = await createEvent(organizerToken);
+      const res = await request(app)
+        .post(`/events/${single.body.event.id}/register`)
+        .query({ scope: "series" })
+        .set("Authorization", `Bearer ${attendeeToken}`);
+      expect(res.status).toBe(400);
+    });
+  });
+});
+
+// ─── PARTICIPANT MANAGEMENT TESTS ───────────────────────────────────────────
+
+describe("Participant Management", () => {
+  let organizerToken;
+  let attendeeToken;
+  let eventId;
+
+  beforeEach(async () => {
+    const orgRes = await registerOrganizer();
+    organizerToken = orgRes.body.token;
+
+    const attRes = await registerUser({
+      email: "attendee@example.com",
+      name: "Attendee",
+    });
+    attendeeToken = attRes.body.token;
+
+    const eventRes = await createEvent(organizerToken);
+    eventId = eventRes.body.event.id;
+  });
+
+  describe("POST /events/:id/register", () => {
+    it("should register an attendee for an event", async () => {
+      const res = await request(app)
+        .post(`/events/${eventId}/register`)
+        .set("Authorization", `Bearer ${attendeeToken}`);
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe(
+        "Successfully registered for the event"
+      );
+      expect(res.body.event.id).toBe(eventId);
+    });
+
+    it("should allow an organizer to register for an event", async () => {
+      // Create a different organizer to register for the event
+      const otherOrg = await registerOrganizer({
         email: "other-org@example.com",
         name: "Other Organizer",
       });
@@ -427,7 +1590,7 @@ describe("Participant Management", () => {
       expect(res.status).toBe(401);
     });
 
-    it("should return 400 when event is full", async () => {
+    it("should add user to the waitlist when event is full", async () => {
       // Create event with max 1 participant
       const limitedEventRes = await createEvent(organizerToken, {
         title: "Limited Event",
@@ -449,10 +1612,11 @@ describe("Participant Management", () => {
       const res = await request(app)
         .post(`/events/${limitedEventId}/register`)
         .set("Authorization", `Bearer ${secondUser.body.token}`);
-      expect(res.status).toBe(400);
-      expect(res.body.error).toBe(
-        "Event has reached maximum number of participants"
+      expect(res.status).toBe(202);
+      expect(res.body.message).toBe(
+        "Event is full. You have been added to the waitlist"
       );
+      expect(res.body.waitlist.position).toBe(1);
     });
 
     it("should add participant to event participant list", async () => {
@@ -467,35 +1631,2859 @@ describe("Participant Management", () => {
       expect(res.body.event.participants.length).toBe(1);
       expect(res.body.event.participants[0].name).toBe("Attendee");
     });
-  });
-});
 
-// ─── MIDDLEWARE TESTS ───────────────────────────────────────────────────────
+    it("should not expose participant emails in the event payload", async () => {
+      await request(app)
+        .post(`/events/${eventId}/register`)
+        .set("Authorization", `Bearer ${attendeeToken}`);
 
-describe("Middleware & Edge Cases", () => {
-  it("should return 401 with invalid token", async () => {
-    const res = await request(app)
-      .get("/events")
-      .set("Authorization", "Bearer invalid.token.here");
-    expect(res.status).toBe(401);
-  });
+      const res = await request(app)
+        .get(`/events/${eventId}`)
+        .set("Authorization", `Bearer ${attendeeToken}`);
+      expect(res.body.event.participants[0]).not.toHaveProperty("email");
 
-  it("should return 401 without Bearer prefix", async () => {
-    const res = await request(app)
-      .get("/events")
-      .set("Authorization", "some-token");
-    expect(res.status).toBe(401);
+      const list = await request(app)
+        .get("/events")
+        .set("Authorization", `Bearer ${attendeeToken}`);
+      expect(list.body.events[0].participants[0]).not.toHaveProperty("email");
+    });
   });
 
-  it("should return 404 for unknown routes", async () => {
-    const res = await request(app).get("/unknown-route");
-    expect(res.status).toBe(404);
-    expect(res.body.error).toBe("Route not found");
+  describe("GET /events/:id/participants", () => {
+    const getRoster = (token, query = {}) =>
+      request(app)
+        .get(`/events/${eventId}/participants`)
+        .query(query)
+        .set("Authorization", `Bearer ${token}`);
+
+    beforeEach(async () => {
+      await request(app)
+        .post(`/events/${eventId}/register`)
+        .set("Authorization", `Bearer ${attendeeToken}`);
+
+      const second = await registerUser({
+        email: "second@example.com",
+        name: "=Second, \"User\"",
+      });
+      await request(app)
+        .post(`/events/${eventId}/register`)
+        .set("Authorization", `Bearer ${second.body.token}`);
+    });
+
+    it("should return the paged roster with emails to the organizer", async () => {
+      const res = await getRoster(organizerToken, { limit: 1 });
+      expect(res.status).toBe(200);
+      expect(res.body.participants).toEqual([
+        expect.objectContaining({ name: "Attendee", email: "attendee@example.com" }),
+      ]);
+      expect(res.body.pagination.total).toBe(2);
+      expect(res.body.pagination.totalPages).toBe(2);
+    });
+
+    it("should search by name or email", async () => {
+      const res = await getRoster(organizerToken, { search: "SECOND@" });
+      expect(res.body.participants.map((p) => p.email)).toEqual([
+        "second@example.com",
+      ]);
+    });
+
+    it("should export the roster as CSV", async () => {
+      const res = await getRoster(organizerToken, { format: "csv" });
+      expect(res.status).toBe(200);
+      expect(res.headers["content-type"]).toMatch(/text\/csv/);
+      expect(res.headers["content-disposition"]).toMatch(/attachment/);
+
+      const lines = res.text.trim().split("\r\n");
+      expect(lines[0]).toBe("User ID,Name,Email,Registered At,Checked In At");
+      expect(lines.length).toBe(3);
+      expect(lines[2]).toContain('"\'=Second, ""User"""');
+    });
+
+    it("should export the roster as JSON", async () => {
+      const res = await getRoster(organizerToken, { format: "json" });
+      expect(res.status).toBe(200);
+      expect(res.headers["content-disposition"]).toMatch(/attachment/);
+      expect(res.body.participants.length).toBe(2);
+    });
+
+    it("should return 403 for attendees and non-owner organizers", async () => {
+      const asAttendee = await getRoster(attendeeToken);
+      expect(asAttendee.status).toBe(403);
+
+      const otherOrg = await registerOrganizer({ email: "other-org@example.com" });
+      const asOther = await getRoster(otherOrg.body.token);
+      expect(asOther.status).toBe(403);
+    });
+
+    it("should return 400 for an unknown export format", async () => {
+      const res = await getRoster(organizerToken, { format: "xml" });
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toContain("'format' must be either 'csv' or 'json'");
+    });
   });
+});
 
-  it("should return health check on root", async () => {
-    const res = await request(app).get("/");
-    expect(res.status).toBe(200);
-    expect(res.body.message).toBe("Virtual Event Management Platform API");
+// ─── CANCELLATION TESTS ─────────────────────────────────────────────────────
+
+describe("Registration Cancellation", () => {
+  let organizerToken;
+  let attendeeToken;
+  let attendeeId;
+  let eventId;
+
+  beforeEach(async () => {
+    const orgRes = await registerOrganizer();
+    organizerToken = orgRes.body.token;
+
+    const attRes = await registerUser({
+      email: "attendee@example.com",
+      name: "Attendee",
+    });
+    attendeeToken = attRes.body.token;
+    attendeeId = attRes.body.user.id;
+
+    const eventRes = await createEvent(organizerToken, { maxParticipants: 1 });
+    eventId = eventRes.body.event.id;
+
+    await request(app)
+      .post(`/events/${eventId}/register`)
+      .set("Authorization", `Bearer ${attendeeToken}`);
+  });
+
+  const getEvent = () =>
+    request(app)
+      .get(`/events/${eventId}`)
+      .set("Authorization", `Bearer ${organizerToken}`);
+
+  describe("DELETE /events/:id/register", () => {
+    it("should cancel own registration and keep a record", async () => {
+      const res = await request(app)
+        .delete(`/events/${eventId}/register`)
+        .set("Authorization", `Bearer ${attendeeToken}`);
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe("Your registration has been cancelled");
+
+      const event = (await getEvent()).body.event;
+      expect(event.participants).toEqual([]);
+      expect(event.cancellations.length).toBe(1);
+      expect(event.cancellations[0].userId).toBe(attendeeId);
+      expect(event.cancellations[0].cancelledBy).toBe(attendeeId);
+      expect(event.cancellations[0].removedByOrganizer).toBe(false);
+      expect(event.cancellations[0]).toHaveProperty("cancelledAt");
+    });
+
+    it("should return 404 when not registered", async () => {
+      const other = await registerUser({ email: "other@example.com" });
+      const res = await request(app)
+        .delete(`/events/${eventId}/register`)
+        .set("Authorization", `Bearer ${other.body.token}`);
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe("You are not registered for this event");
+    });
+
+    it("should promote the next waitlisted user", async () => {
+      const waiting = await registerUser({
+        email: "waiting@example.com",
+        name: "Waiting",
+      });
+      await request(app)
+        .post(`/events/${eventId}/register`)
+        .set("Authorization", `Bearer ${waiting.body.token}`);
+
+      await request(app)
+        .delete(`/events/${eventId}/register`)
+        .set("Authorization", `Bearer ${attendeeToken}`);
+
+      const event = (await getEvent()).body.event;
+      expect(event.participants.map((p) => p.name)).toEqual(["Waiting"]);
+      expect(event.waitlist).toEqual([]);
+    });
+
+    it("should allow registering again after cancelling", async () => {
+      await request(app)
+        .delete(`/events/${eventId}/register`)
+        .set("Authorization", `Bearer ${attendeeToken}`);
+
+      const res = await request(app)
+        .post(`/events/${eventId}/register`)
+        .set("Authorization", `Bearer ${attendeeToken}`);
+      expect(res.status).toBe(200);
+    });
+  });
+
+  describe("DELETE /events/:id/participants/:userId", () => {
+    it("should let the organizer remove a participant", async () => {
+      const res = await request(app)
+        .delete(`/events/${eventId}/participants/${attendeeId}`)
+        .set("Authorization", `Bearer ${organizerToken}`);
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe("Participant removed successfully");
+
+      const event = (await getEvent()).body.event;
+      expect(event.participants).toEqual([]);
+      expect(event.cancellations[0].removedByOrganizer).toBe(true);
+    });
+
+    it("should return 403 for a non-owner organizer", async () => {
+      const otherOrg = await registerOrganizer({ email: "other-org@example.com" });
+      const res = await request(app)
+        .delete(`/events/${eventId}/participants/${attendeeId}`)
+        .set("Authorization", `Bearer ${otherOrg.body.token}`);
+      expect(res.status).toBe(403);
+    });
+
+    it("should return 403 for attendees", async () => {
+      const res = await request(app)
+        .delete(`/events/${eventId}/participants/${attendeeId}`)
+        .set("Authorization", `Bearer ${attendeeToken}`);
+      expect(res.status).toBe(403);
+    });
+
+    it("should return 404 for unknown participants", async () => {
+      const res = await request(app)
+        .delete(`/events/${eventId}/participants/unknown-user`)
+        .set("Authorization", `Bearer ${organizerToken}`);
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe("Participant not found");
+    });
+  });
+});
+
+// ─── WAITLIST TESTS ─────────────────────────────────────────────────────────
+
+describe("Waitlist", () => {
+  let organizerToken;
+  let eventId;
+  let tokens;
+
+  beforeEach(async () => {
+    const orgRes = await registerOrganizer();
+    organizerToken = orgRes.body.token;
+
+    const eventRes = await createEvent(organizerToken, { maxParticipants: 1 });
+    eventId = eventRes.body.event.id;
+
+    tokens = [];
+    for (const name of ["first", "second", "third"]) {
+      const res = await registerUser({ email: `${name}@example.com`, name });
+      tokens.push(res.body.token);
+      await request(app)
+        .post(`/events/${eventId}/register`)
+        .set("Authorization", `Bearer ${res.body.token}`);
+    }
+  });
+
+  const getPosition = (token) =>
+    request(app)
+      .get(`/events/${eventId}/waitlist`)
+      .set("Authorization", `Bearer ${token}`);
+
+  it("should report waitlist positions in FIFO order", async () => {
+    const second = await getPosition(tokens[1]);
+    expect(second.status).toBe(200);
+    expect(second.body.waitlist.position).toBe(1);
+    expect(second.body.waitlist.total).toBe(2);
+
+    const third = await getPosition(tokens[2]);
+    expect(third.body.waitlist.position).toBe(2);
+  });
+
+  it("should return 404 for users not on the waitlist", async () => {
+    const res = await getPosition(tokens[0]);
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe("You are not on the waitlist for this event");
+  });
+
+  it("should return 409 when joining the waitlist twice", async () => {
+    const res = await request(app)
+      .post(`/events/${eventId}/register`)
+      .set("Authorization", `Bearer ${tokens[1]}`);
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe("You are already on the waitlist for this event");
+  });
+
+  it("should promote waitlisted users when maxParticipants is raised", async () => {
+    const res = await request(app)
+      .put(`/events/${eventId}`)
+      .set("Authorization", `Bearer ${organizerToken}`)
+      .send({ maxParticipants: 2 });
+    expect(res.status).toBe(200);
+    expect(res.body.event.participants.map((p) => p.name)).toEqual([
+      "first",
+      "second",
+    ]);
+    expect(res.body.event.waitlist.map((w) => w.name)).toEqual(["third"]);
+
+    const third = await getPosition(tokens[2]);
+    expect(third.body.waitlist.position).toBe(1);
+  });
+
+  it("should let users leave the waitlist", async () => {
+    const res = await request(app)
+      .delete(`/events/${eventId}/waitlist`)
+      .set("Authorization", `Bearer ${tokens[1]}`);
+    expect(res.status).toBe(200);
+
+    const third = await getPosition(tokens[2]);
+    expect(third.body.waitlist.position).toBe(1);
+  });
+});
+
+// ─── CALENDAR TESTS ─────────────────────────────────────────────────────────
+
+describe("Calendar Export", () => {
+  let organizerToken;
+  let attendeeToken;
+  let eventId;
+
+  beforeEach(async () => {
+    const orgRes = await registerOrganizer();
+    organizerToken = orgRes.body.token;
+    const userRes = await registerUser();
+    attendeeToken = userRes.body.token;
+
+    const eventRes = await createEvent(organizerToken, {
+      title: "Launch; Q&A, Demo",
+      description: "Line one\nLine two " + "x".repeat(120),
+      timezone: "Europe/Berlin",
+    });
+    eventId = eventRes.body.event.id;
+  });
+
+  const getIcs = () =>
+    request(app)
+      .get(`/events/${eventId}/ics`)
+      .set("Authorization", `Bearer ${attendeeToken}`);
+
+  const getFeedUrl = (token) =>
+    request(app).get("/calendar/feed-url").set("Authorization", `Bearer ${token}`);
+
+  const feedPath = (url) => new URL(url).pathname;
+
+  it("should export an event as an iCalendar file", async () => {
+    const res = await getIcs();
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/text\/calendar/);
+    expect(res.headers["content-disposition"]).toMatch(/attachment/);
+
+    const ics = res.text;
+    expect(ics).toMatch(/^BEGIN:VCALENDAR\r\n/);
+    expect(ics).toContain("METHOD:PUBLISH\r\n");
+    expect(ics).toContain(`UID:${eventId}@`);
+    expect(ics).toContain("DTSTART:20300315T090000Z\r\n");
+    expect(ics).toContain("DTEND:20300315T100000Z\r\n");
+    expect(ics).toContain("SUMMARY:Launch\\; Q&A\\, Demo\r\n");
+    expect(ics).toContain("DESCRIPTION:Line one\\nLine two");
+    expect(ics.split("\r\n").every((line) => Buffer.byteLength(line) <= 75)).toBe(true);
+  });
+
+  it("should increase the sequence when the event is updated", async () => {
+    expect((await getIcs()).text).toContain("SEQUENCE:0\r\n");
+
+    await request(app)
+      .put(`/events/${eventId}`)
+      .set("Authorization", `Bearer ${organizerToken}`)
+      .send({ time: "11:00" });
+
+    const ics = (await getIcs()).text;
+    expect(ics).toContain("SEQUENCE:1\r\n");
+    expect(ics).toContain("DTSTART:20300315T100000Z\r\n");
+  });
+
+  it("should return 404 when exporting an unknown event", async () => {
+    const res = await request(app)
+      .get("/events/non-existent-id/ics")
+      .set("Authorization", `Bearer ${attendeeToken}`);
+    expect(res.status).toBe(404);
+  });
+
+  it("should serve a feed of registered events", async () => {
+    const otherRes = await createEvent(organizerToken, { title: "Not Registered" });
+    await request(app)
+      .post(`/events/${eventId}/register`)
+      .set("Authorization", `Bearer ${attendeeToken}`);
+
+    const urlRes = await getFeedUrl(attendeeToken);
+    expect(urlRes.status).toBe(200);
+    expect(urlRes.body.url).toMatch(/\/calendar\/feed\/[0-9a-f]+\.ics$/);
+
+    // Calendar clients fetch the feed without authentication
+    const feed = await request(app).get(feedPath(urlRes.body.url));
+    expect(feed.status).toBe(200);
+    expect(feed.headers["content-type"]).toMatch(/text\/calendar/);
+    expect(feed.text).toContain(`UID:${eventId}@`);
+    expect(feed.text).not.toContain(`UID:${otherRes.body.event.id}@`);
+  });
+
+  it("should keep the feed URL stable until it is regenerated", async () => {
+    const first = await getFeedUrl(attendeeToken);
+    const again = await getFeedUrl(attendeeToken);
+    expect(again.body.url).toBe(first.body.url);
+
+    const rotated = await request(app)
+      .post("/calendar/feed-url")
+      .set("Authorization", `Bearer ${attendeeToken}`);
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.url).not.toBe(first.body.url);
+
+    const oldFeed = await request(app).get(feedPath(first.body.url));
+    expect(oldFeed.status).toBe(404);
+    const newFeed = await request(app).get(feedPath(rotated.body.url));
+    expect(newFeed.status).toBe(200);
+  });
+
+  it("should require authentication for the feed URL", async () => {
+    const res = await request(app).get("/calendar/feed-url");
+    expect(res.status).toBe(401);
+  });
+});
+
+// ─── EMAIL TEMPLATE TESTS ───────────────────────────────────────────────────
+
+describe("Email Templates", () => {
+  let organizerToken;
+  let eventId;
+
+  beforeEach(async () => {
+    const orgRes = await registerOrganizer();
+    organizerToken = orgRes.body.token;
+
+    const eventRes = await createEvent(organizerToken, {
+      title: "<script>alert(1)</script> & Friends",
+    });
+    eventId = eventRes.body.event.id;
+  });
+
+  const templatesPath = (name = "") =>
+    `/events/${eventId}/email-templates${name && `/${name}`}`;
+
+  const preview = (name, locale) =>
+    request(app)
+      .get(`${templatesPath(name)}/preview`)
+      .query(locale ? { locale } : {})
+      .set("Authorization", `Bearer ${organizerToken}`);
+
+  const putTemplate = (name, body, token = organizerToken) =>
+    request(app)
+      .put(templatesPath(name))
+      .set("Authorization", `Bearer ${token}`)
+      .send(body);
+
+  it("should escape values in HTML but not in text or subject", () => {
+    const data = { name: "<b>Ann</b>", flag: true };
+    expect(renderTemplate("Hi {{name}}", data, { html: true })).toBe(
+      "Hi &lt;b&gt;Ann&lt;/b&gt;"
+    );
+    expect(renderTemplate("Hi {{name}}", data)).toBe("Hi <b>Ann</b>");
+    expect(renderTemplate("{{#flag}}yes{{/flag}}{{^flag}}no{{/flag}}", data)).toBe("yes");
+  });
+
+  it("should pick the locale from a language preference", () => {
+    expect(resolveLocale("de-AT")).toBe("de");
+    expect(resolveLocale("es")).toBe("es");
+    expect(resolveLocale("fr")).toBe("en");
+    expect(resolveLocale(null)).toBe("en");
+
+    const email = renderEmail("passwordReset", { name: "Ann", resetUrl: "https://x" }, {
+      language: "de",
+    });
+    expect(email.subject).toBe("Passwort zurücksetzen");
+    expect(email.text).toContain("https://x");
+  });
+
+  it("should render event emails with escaped HTML and a text alternative", async () => {
+    const res = await preview("registration");
+    expect(res.status).toBe(200);
+    expect(res.body.preview.html).toContain("&lt;script&gt;alert(1)&lt;/script&gt; &amp; Friends");
+    expect(res.body.preview.html).not.toContain("<script>");
+    expect(res.body.preview.text).toContain("<script>alert(1)</script> & Friends");
+    expect(res.body.preview.subject).toBe(
+      "Registration Confirmed: <script>alert(1)</script> & Friends"
+    );
+  });
+
+  it("should store the language preference given at registration", async () => {
+    const explicit = await registerUser({ email: "de@example.com", language: "de-AT" });
+    expect(explicit.body.user.language).toBe("de-AT");
+
+    const header = await request(app)
+      .post("/register")
+      .set("Accept-Language", "es-MX,es;q=0.9,en;q=0.5")
+      .send({ name: "Eva", email: "es@example.com", password: "password123" });
+    expect(header.body.user.language).toBe("es");
+
+    const invalid = await registerUser({ email: "bad@example.com", language: "??" });
+    expect(invalid.status).toBe(400);
+  });
+
+  it("should use the organizer's language for previews by default", async () => {
+    const orgRes = await registerOrganizer({ email: "org-de@example.com", language: "de" });
+    const eventRes = await createEvent(orgRes.body.token);
+
+    const res = await request(app)
+      .get(`/events/${eventRes.body.event.id}/email-templates/cancellation/preview`)
+      .set("Authorization", `Bearer ${orgRes.body.token}`);
+    expect(res.body.preview.locale).toBe("de");
+    expect(res.body.preview.subject).toMatch(/^Anmeldung storniert/);
+  });
+
+  it("should apply per-event overrides with per-locale variants", async () => {
+    const saved = await putTemplate("registration", {
+      subject: "Welcome to {{eventTitle}}",
+      html: "<p>Hi {{name}}, see you at <a href=\"{{eventUrl}}\">{{eventTitle}}</a></p>",
+    });
+    expect(saved.status).toBe(200);
+    await putTemplate("registration", { locale: "de", subject: "Willkommen, {{name}}" });
+
+    const en = (await preview("registration")).body.preview;
+    expect(en.subject).toBe("Welcome to <script>alert(1)</script> & Friends");
+    expect(en.html).toContain("<p>Hi Organizer, see you at <a href=");
+    expect(en.html).not.toContain("<script>");
+    // Text alternative is derived from the overridden HTML
+    expect(en.text).toContain(`<script>alert(1)</script> & Friends (http`);
+
+    const de = (await preview("registration", "de")).body.preview;
+    expect(de.subject).toBe("Willkommen, Organizer");
+    expect(de.html).toContain("Bestätigung Ihrer Anmeldung");
+
+    const list = await request(app)
+      .get(templatesPath())
+      .set("Authorization", `Bearer ${organizerToken}`);
+    const registration = list.body.templates.find((t) => t.name === "registration");
+    expect(Object.keys(registration.overrides).sort()).toEqual(["*", "de"]);
+  });
+
+  it("should strip scripts, unsafe links and remote images from overridden HTML", async () => {
+    await putTemplate("registration", {
+      html:
+        "<p>Hi {{name}}</p><script>steal()</script>" +
+        '<a href="javascript:steal()">Open</a>' +
+        '<img src="https://tracker.example.com/pixel.gif"/><img src="cid:ticket-qr" alt="QR"/>',
+    });
+    const attendee = await registerUser({ email: "ann@example.com", name: "Ann" });
+    const stub = getTransport();
+    await processEmailQueue();
+    stub.reset();
+
+    await request(app)
+      .post(`/events/${eventId}/register`)
+      .set("Authorization", `Bearer ${attendee.body.token}`);
+    await processEmailQueue();
+
+    const [message] = stub.sent;
+    expect(message.html).toContain("<p>Hi Ann</p>");
+    expect(message.html).toContain('src="cid:ticket-qr"');
+    expect(message.html).not.toContain("<script");
+    expect(message.html).not.toContain("steal()");
+    expect(message.html).not.toContain("javascript:");
+    expect(message.html).not.toContain("tracker.example.com");
+  });
+
+  it("should restore built-in templates when overrides are removed", async () => {
+    await putTemplate("cancellation", { subject: "Custom" });
+    await putTemplate("cancellation", { locale: "es", subject: "Personalizado" });
+
+    await request(app)
+      .delete(templatesPath("cancellation"))
+      .query({ locale: "es" })
+      .set("Authorization", `Bearer ${organizerToken}`);
+    expect((await preview("cancellation", "es")).body.preview.subject).toBe("Custom");
+
+    await request(app)
+      .delete(templatesPath("cancellation"))
+      .set("Authorization", `Bearer ${organizerToken}`);
+    expect((await preview("cancellation")).body.preview.subject).toMatch(
+      /^Registration Cancelled/
+    );
+  });
+
+  it("should reject invalid overrides", async () => {
+    const syntax = await putTemplate("registration", { html: "{{#name}}unclosed" });
+    expect(syntax.status).toBe(400);
+    expect(syntax.body.errors[0]).toMatch(/Unclosed section/);
+
+    const empty = await putTemplate("registration", { locale: "de" });
+    expect(empty.status).toBe(400);
+
+    const locale = await putTemplate("registration", { locale: "xx", subject: "Hi" });
+    expect(locale.status).toBe(400);
+
+    const unknown = await putTemplate("passwordReset", { subject: "Hi" });
+    expect(unknown.status).toBe(404);
+  });
+
+  it("should only let the event organizer manage templates", async () => {
+    const otherRes = await registerOrganizer({ email: "other@example.com" });
+    const res = await putTemplate("registration", { subject: "Hi" }, otherRes.body.token);
+    expect(res.status).toBe(403);
+  });
+
+  it("should not expose overrides in event payloads", async () => {
+    await putTemplate("registration", { subject: "Hi" });
+    const res = await request(app)
+      .get(`/events/${eventId}`)
+      .set("Authorization", `Bearer ${organizerToken}`);
+    expect(res.body.event.emailTemplates).toBeUndefined();
+  });
+});
+
+// ─── EMAIL QUEUE TESTS ──────────────────────────────────────────────────────
+
+describe("Email Queue", () => {
+  const defaults = { ...config.emailQueue };
+  const stub = getTransport();
+  let organizerToken;
+  let attendeeToken;
+  let adminToken;
+  let eventId;
+
+  beforeEach(async () => {
+    const orgRes = await registerOrganizer();
+    organizerToken = orgRes.body.token;
+    const userRes = await registerUser();
+    attendeeToken = userRes.body.token;
+    const adminRes = await registerUser({ email: "admin@example.com", name: "Admin" });
+    adminToken = adminRes.body.token;
+    updateUser(adminRes.body.user.id, { role: "admin" });
+
+    const eventRes = await createEvent(organizerToken);
+    eventId = eventRes.body.event.id;
+
+    // Start from an empty queue (registration sends verification emails)
+    await processEmailQueue();
+    clearEmailJobs();
+    stub.reset();
+  });
+
+  afterEach(() => {
+    Object.assign(config.emailQueue, defaults);
+  });
+
+  const register = () =>
+    request(app)
+      .post(`/events/${eventId}/register`)
+      .set("Authorization", `Bearer ${attendeeToken}`);
+
+  const admin = (method, url) =>
+    request(app)[method](url).set("Authorization", `Bearer ${adminToken}`);
+
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  it("should deliver queued emails with HTML, text and calendar invite", async () => {
+    await register();
+    await processEmailQueue();
+
+    expect(stub.sent.length).toBe(1);
+    const [message] = stub.sent;
+    expect(message.to).toBe("test@example.com");
+    expect(message.subject).toBe("Registration Confirmed: Test Event");
+    expect(message.html).toContain("<strong>Test Event</strong>");
+    expect(message.text).toContain("Test Event");
+    expect(message.icalEvent.method).toBe("REQUEST");
+    expect(getEmailJobs()).toEqual([]);
+  });
+
+  it("should retry failed deliveries with exponential backoff", async () => {
+    config.emailQueue.baseDelayMs = 60 * 1000;
+    stub.fail(2);
+
+    await register();
+    await processEmailQueue();
+
+    let [job] = getEmailJobs();
+    expect(stub.sent.length).toBe(0);
+    expect(job.status).toBe("pending");
+    expect(job.attempts).toBe(1);
+    expect(job.lastError).toMatch(/simulated delivery failure/);
+    const firstDelay = Date.parse(job.nextAttemptAt) - Date.parse(job.lastAttemptAt);
+    expect(firstDelay).toBeGreaterThanOrEqual(59 * 1000);
+
+    // Not due yet: nothing is attempted
+    await processEmailQueue();
+    expect(getEmailJobs()[0].attempts).toBe(1);
+
+    // Pretend the delay has passed; the next delay is shortened
+    config.emailQueue.baseDelayMs = 1;
+    updateEmailJob(job.id, { nextAttemptAt: new Date().toISOString() });
+    await processEmailQueue();
+    job = getEmailJobs()[0];
+    expect(job.attempts).toBe(2);
+
+    await wait(10);
+    await processEmailQueue();
+    expect(stub.sent.length).toBe(1);
+    expect(getEmailJobs()).toEqual([]);
+  });
+
+  it("should dead-letter emails after the maximum attempts", async () => {
+    Object.assign(config.emailQueue, { maxAttempts: 2, baseDelayMs: 1 });
+    stub.fail();
+
+    await register();
+    await processEmailQueue();
+    await wait(10);
+    await processEmailQueue();
+
+    const [job] = getEmailJobs();
+    expect(job.status).toBe("dead");
+    expect(job.attempts).toBe(2);
+    expect(job.nextAttemptAt).toBeNull();
+  });
+
+  it("should let admins inspect and retry dead-lettered emails", async () => {
+    Object.assign(config.emailQueue, { maxAttempts: 1 });
+    stub.fail();
+    await register();
+    await processEmailQueue();
+
+    const list = await admin("get", "/admin/email-jobs").query({ status: "dead" });
+    expect(list.status).toBe(200);
+    expect(list.body.counts).toEqual({ pending: 0, dead: 1 });
+    expect(list.body.jobs[0].to).toBe("test@example.com");
+    expect(list.body.jobs[0]).not.toHaveProperty("message");
+    const jobId = list.body.jobs[0].id;
+
+    const detail = await admin("get", `/admin/email-jobs/${jobId}`);
+    expect(detail.body.job.subject).toBe("Registration Confirmed: Test Event");
+    expect(detail.body.job.message).toBeUndefined();
+
+    stub.reset();
+    const retried = await admin("post", `/admin/email-jobs/${jobId}/retry`);
+    expect(retried.status).toBe(200);
+    expect(retried.body.job.status).toBe("pending");
+
+    await processEmailQueue();
+    expect(stub.sent.length).toBe(1);
+
+    const gone = await admin("post", `/admin/email-jobs/${jobId}/retry`);
+    expect(gone.status).toBe(404);
+  });
+
+  it("should drop the bodies of dead-lettered single-use links", async () => {
+    Object.assign(config.emailQueue, { maxAttempts: 1 });
+    stub.fail();
+    await request(app).post("/forgot-password").send({ email: "test@example.com" });
+    await processEmailQueue();
+
+    const [job] = getEmailJobs("dead").filter((j) => j.template === "passwordReset");
+    expect(job.redacted).toBe(true);
+    expect(JSON.stringify(job.message)).not.toMatch(/token=/);
+
+    const retried = await admin("post", `/admin/email-jobs/${job.id}/retry`);
+    expect(retried.status).toBe(409);
+  });
+
+  it("should never store single-use links", async () => {
+    // A failed first attempt keeps the job in the queue
+    stub.fail(1);
+    await request(app).post("/forgot-password").send({ email: "test@example.com" });
+    await processEmailQueue();
+
+    const [job] = getEmailJobs("pending").filter((j) => j.template === "passwordReset");
+    expect(job.redacted).toBe(true);
+    expect(JSON.stringify(job.message)).not.toMatch(/token=/);
+
+    updateEmailJob(job.id, { nextAttemptAt: new Date().toISOString() });
+    await processEmailQueue();
+    const sent = stub.sent.find((m) => m.subject === job.message.subject);
+    expect(sent.text).toMatch(/token=/);
+
+    // A body lost in a restart cannot be sent
+    const now = new Date().toISOString();
+    addEmailJob({
+      ...job,
+      id: "lost",
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: now,
+      createdAt: now,
+    });
+    await processEmailQueue();
+    expect(getEmailJobs("dead").map((j) => j.id)).toEqual(["lost"]);
+  });
+
+  it("should retry all dead letters and discard jobs", async () => {
+    Object.assign(config.emailQueue, { maxAttempts: 1 });
+    stub.fail();
+    await register();
+    await request(app)
+      .delete(`/events/${eventId}/register`)
+      .set("Authorization", `Bearer ${attendeeToken}`);
+    await processEmailQueue();
+    expect(getEmailJobs("dead").length).toBe(2);
+
+    const [first] = getEmailJobs("dead");
+    const deleted = await admin("delete", `/admin/email-jobs/${first.id}`);
+    expect(deleted.status).toBe(200);
+
+    stub.reset();
+    const retried = await admin("post", "/admin/email-jobs/retry");
+    expect(retried.body.retriedCount).toBe(1);
+    await processEmailQueue();
+    expect(stub.sent.length).toBe(1);
+  });
+
+  it("should only let admins access the queue", async () => {
+    const res = await request(app)
+      .get("/admin/email-jobs")
+      .set("Authorization", `Bearer ${organizerToken}`);
+    expect(res.status).toBe(403);
+
+    const invalid = await admin("get", "/admin/email-jobs").query({ status: "sent" });
+    expect(invalid.status).toBe(400);
+  });
+});
+
+// ─── REMINDER & ANNOUNCEMENT TESTS ──────────────────────────────────────────
+
+describe("Reminders & Announcements", () => {
+  const stub = getTransport();
+  const HOUR = 60 * 60 * 1000;
+  let organizerToken;
+  let attendeeToken;
+  let eventId;
+
+  beforeEach(async () => {
+    const orgRes = await registerOrganizer();
+    organizerToken = orgRes.body.token;
+    const userRes = await registerUser();
+    attendeeToken = userRes.body.token;
+
+    const eventRes = await createEvent(organizerToken, {
+      date: "2030-03-15",
+      time: "10:00",
+      timezone: "UTC",
+    });
+    eventId = eventRes.body.event.id;
+    await request(app)
+      .post(`/events/${eventId}/register`)
+      .set("Authorization", `Bearer ${attendeeToken}`);
+
+    await processEmailQueue();
+    stub.reset();
+  });
+
+  const sendAt = (id = eventId) =>
+    findRemindersByEventId(id).map((reminder) => reminder.sendAt);
+
+  const announce = (body, token = organizerToken) =>
+    request(app)
+      .post(`/events/${eventId}/announcements`)
+      .set("Authorization", `Bearer ${token}`)
+      .send(body);
+
+  it("should schedule reminders at the configured offsets", () => {
+    expect(sendAt()).toEqual(["2030-03-14T10:00:00.000Z", "2030-03-15T09:45:00.000Z"]);
+  });
+
+  it("should skip reminders whose time has already passed", async () => {
+    const soon = new Date(Date.now() + HOUR).toISOString();
+    const res = await createEvent(organizerToken, {
+      date: undefined,
+      time: undefined,
+      startsAt: soon,
+    });
+
+    const reminders = findRemindersByEventId(res.body.event.id);
+    expect(reminders.map((r) => r.offsetMinutes)).toEqual([15]);
+  });
+
+  it("should reschedule reminders when the date changes", async () => {
+    await request(app)
+      .put(`/events/${eventId}`)
+      .set("Authorization", `Bearer ${organizerToken}`)
+      .send({ date: "2030-04-01" });
+
+    expect(sendAt()).toEqual(["2030-03-31T10:00:00.000Z", "2030-04-01T09:45:00.000Z"]);
+  });
+
+  it("should cancel reminders when the event is deleted", async () => {
+    await request(app)
+      .delete(`/events/${eventId}`)
+      .set("Authorization", `Bearer ${organizerToken}`);
+
+    expect(findRemindersByEventId(eventId)).toEqual([]);
+  });
+
+  it("should email participants when a reminder is due", async () => {
+    const now = Date.parse("2030-03-15T09:00:00Z");
+    expect(sendDueReminders(now)).toBe(1);
+    await processEmailQueue();
+
+    expect(stub.sent.map((m) => m.subject)).toEqual(["Reminder: Test Event"]);
+    expect(stub.sent[0].to).toBe("test@example.com");
+    // The 15-minute reminder is still pending
+    expect(sendAt()).toEqual(["2030-03-15T09:45:00.000Z"]);
+  });
+
+  it("should send only the latest overdue reminder after downtime", async () => {
+    const now = Date.parse("2030-03-15T09:50:00Z");
+    expect(sendDueReminders(now)).toBe(1);
+    await processEmailQueue();
+
+    expect(stub.sent).toHaveLength(1);
+    expect(sendAt()).toEqual([]);
+  });
+
+  it("should broadcast announcements to all participants", async () => {
+    const second = await registerUser({ email: "second@example.com", name: "Second" });
+    await request(app)
+      .post(`/events/${eventId}/register`)
+      .set("Authorization", `Bearer ${second.body.token}`);
+    await processEmailQueue();
+    stub.reset();
+
+    const res = await announce({
+      subject: "Room change",
+      message: "We moved to <Room 2>.\nSee you there!",
+    });
+    expect(res.status).toBe(202);
+    expect(res.body.recipientCount).toBe(2);
+
+    await processEmailQueue();
+    expect(stub.sent.map((m) => m.to).sort()).toEqual([
+      "second@example.com",
+      "test@example.com",
+    ]);
+    expect(stub.sent[0].subject).toBe("Test Event: Room change");
+    expect(stub.sent[0].html).toContain("We moved to &lt;Room 2&gt;.");
+    expect(stub.sent[0].text).toContain("We moved to <Room 2>.\nSee you there!");
+  });
+
+  it("should validate announcements", async () => {
+    const res = await announce({ subject: "", message: "x".repeat(5001) });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toHaveLength(2);
+  });
+
+  it("should only let the event organizer send announcements", async () => {
+    const other = await registerOrganizer({ email: "other@example.com" });
+    const res = await announce({ subject: "Hi", message: "Hello" }, other.body.token);
+    expect(res.status).toBe(403);
+
+    const attendee = await announce({ subject: "Hi", message: "Hello" }, attendeeToken);
+    expect(attendee.status).toBe(403);
+  });
+});
+
+// ─── CHANGE NOTIFICATION TESTS ──────────────────────────────────────────────
+
+describe("Event Change Notifications", () => {
+  const stub = getTransport();
+  let organizerToken;
+  let attendeeToken;
+  let waitlistedToken;
+  let eventId;
+
+  beforeEach(async () => {
+    const orgRes = await registerOrganizer();
+    organizerToken = orgRes.body.token;
+    const userRes = await registerUser();
+    attendeeToken = userRes.body.token;
+    const waitRes = await registerUser({ email: "waiting@example.com", name: "Waiting" });
+    waitlistedToken = waitRes.body.token;
+
+    const eventRes = await createEvent(organizerToken, {
+      maxParticipants: 1,
+      timezone: "UTC",
+    });
+    eventId = eventRes.body.event.id;
+    for (const token of [attendeeToken, waitlistedToken]) {
+      await request(app)
+        .post(`/events/${eventId}/register`)
+        .set("Authorization", `Bearer ${token}`);
+    }
+
+    await processEmailQueue();
+    stub.reset();
+  });
+
+  const update = (body) =>
+    request(app)
+      .put(`/events/${eventId}`)
+      .set("Authorization", `Bearer ${organizerToken}`)
+      .send(body);
+
+  const cancel = (body = {}) =>
+    request(app)
+      .delete(`/events/${eventId}`)
+      .set("Authorization", `Bearer ${organizerToken}`)
+      .send(body);
+
+  it("should email participants a summary of the changes", async () => {
+    await update({ time: "14:30", location: "Main Hall", description: "New agenda" });
+    await processEmailQueue();
+
+    expect(stub.sent.length).toBe(1);
+    const [message] = stub.sent;
+    expect(message.to).toBe("test@example.com");
+    expect(message.subject).toBe("Event Updated: Test Event");
+    expect(message.text).toContain("- Location: Virtual Room 1 -> Main Hall");
+    expect(message.text).toContain(
+      "- Date and time: 2030-03-15 10:00 (UTC) -> 2030-03-15 14:30 (UTC)"
+    );
+    expect(message.text).toContain("- The description has been updated");
+    expect(message.icalEvent.method).toBe("REQUEST");
+    expect(message.icalEvent.content).toContain("SEQUENCE:1");
+  });
+
+  it("should not notify anyone when nothing participants see changed", async () => {
+    await update({ maxParticipants: 5, location: "Virtual Room 1" });
+    await processEmailQueue();
+
+    // Raising the limit promotes the waitlisted user, but sends no update email
+    expect(stub.sent.map((m) => m.subject)).toEqual(["You're In: Test Event"]);
+  });
+
+  it("should notify participants and the waitlist when an event is cancelled", async () => {
+    const res = await cancel({ reason: "Venue flooded" });
+    expect(res.status).toBe(200);
+    expect(res.body.event.status).toBe("cancelled");
+    expect(res.body.event.cancelledAt).toBeDefined();
+
+    await processEmailQueue();
+    expect(stub.sent.map((m) => m.to).sort()).toEqual([
+      "test@example.com",
+      "waiting@example.com",
+    ]);
+    stub.sent.forEach((message) => {
+      expect(message.subject).toBe("Event Cancelled: Test Event");
+      expect(message.text).toContain("Venue flooded");
+    });
+
+    const participantEmail = stub.sent.find((m) => m.to === "test@example.com");
+    expect(participantEmail.icalEvent.method).toBe("CANCEL");
+    expect(participantEmail.icalEvent.content).toContain("STATUS:CANCELLED");
+  });
+
+  it("should freeze cancelled events", async () => {
+    await cancel();
+
+    const again = await cancel();
+    expect(again.status).toBe(409);
+
+    const updated = await update({ title: "Back on" });
+    expect(updated.status).toBe(409);
+
+    const newcomer = await registerUser({ email: "new@example.com" });
+    const registered = await request(app)
+      .post(`/events/${eventId}/register`)
+      .set("Authorization", `Bearer ${newcomer.body.token}`);
+    expect(registered.status).toBe(409);
+  });
+
+  it("should hide cancelled events from listings unless asked for", async () => {
+    await createEvent(organizerToken, { title: "Still On" });
+    await cancel();
+
+    const list = (status) =>
+      request(app)
+        .get("/events")
+        .query(status ? { status } : {})
+        .set("Authorization", `Bearer ${attendeeToken}`);
+
+    expect((await list()).body.events.map((e) => e.title)).toEqual(["Still On"]);
+    expect((await list("cancelled")).body.events.map((e) => e.id)).toEqual([eventId]);
+    expect((await list("all")).body.events.length).toBe(2);
+    expect((await list("deleted")).status).toBe(400);
+  });
+
+  it("should validate the cancellation reason", async () => {
+    const res = await cancel({ reason: "x".repeat(1001) });
+    expect(res.status).toBe(400);
+  });
+});
+
+// ─── EVENT TEAM TESTS ───────────────────────────────────────────────────────
+
+describe("Event Teams", () => {
+  const stub = getTransport();
+  let ownerToken;
+  let coToken;
+  let coId;
+  let helperToken;
+  let helperId;
+  let attendeeToken;
+  let attendeeId;
+  let eventId;
+
+  beforeEach(async () => {
+    const ownerRes = await registerOrganizer();
+    ownerToken = ownerRes.body.token;
+    const coRes = await registerOrganizer({ email: "co@example.com", name: "Co" });
+    coToken = coRes.body.token;
+    coId = coRes.body.user.id;
+    const helperRes = await registerUser({ email: "helper@example.com", name: "Helper" });
+    helperToken = helperRes.body.token;
+    helperId = helperRes.body.user.id;
+    const userRes = await registerUser();
+    attendeeToken = userRes.body.token;
+    attendeeId = userRes.body.user.id;
+
+    const eventRes = await createEvent(ownerToken);
+    eventId = eventRes.body.event.id;
+    await request(app)
+      .post(`/events/${eventId}/register`)
+      .set("Authorization", `Bearer ${attendeeToken}`);
+
+    await processEmailQueue();
+    stub.reset();
+  });
+
+  const as = (token, method, url) =>
+    request(app)[method](url).set("Authorization", `Bearer ${token}`);
+
+  const join = async (token, email, role) => {
+    await as(ownerToken, "post", `/events/${eventId}/team`).send({ email, role });
+    return as(token, "post", `/events/${eventId}/team/accept`);
+  };
+
+  it("should invite co-organizers who can edit once they accept", async () => {
+    const invited = await as(ownerToken, "post", `/events/${eventId}/team`).send({
+      email: "co@example.com",
+      role: "co-organizer",
+    });
+    expect(invited.status).toBe(201);
+    expect(invited.body.member.status).toBe("invited");
+
+    await processEmailQueue();
+    expect(stub.sent.length).toBe(1);
+    expect(stub.sent[0].to).toBe("co@example.com");
+    expect(stub.sent[0].text).toContain("as a co-organizer");
+
+    const early = await as(coToken, "put", `/events/${eventId}`).send({ title: "Renamed" });
+    expect(early.status).toBe(403);
+
+    const accepted = await as(coToken, "post", `/events/${eventId}/team/accept`);
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.member.status).toBe("active");
+
+    const updated = await as(coToken, "put", `/events/${eventId}`).send({ title: "Renamed" });
+    expect(updated.status).toBe(200);
+    expect(updated.body.event.team).toEqual([
+      { userId: coId, name: "Co", role: "co-organizer" },
+    ]);
+
+    const templates = await as(coToken, "get", `/events/${eventId}/email-templates`);
+    expect(templates.status).toBe(200);
+
+    const cancel = await as(coToken, "delete", `/events/${eventId}`);
+    expect(cancel.status).toBe(403);
+    const invite = await as(coToken, "post", `/events/${eventId}/team`).send({
+      email: "helper@example.com",
+      role: "moderator",
+    });
+    expect(invite.status).toBe(403);
+  });
+
+  it("should scope moderators and check-in staff", async () => {
+    await join(helperToken, "helper@example.com", "check-in");
+
+    const roster = await as(helperToken, "get", `/events/${eventId}/participants`);
+    expect(roster.status).toBe(200);
+    expect(roster.body.participants[0].name).toBeDefined();
+    expect(roster.body.participants[0].email).toBeUndefined();
+    const exportAsCheckIn = await as(helperToken, "get", `/events/${eventId}/participants`).query({
+      format: "csv",
+    });
+    expect(exportAsCheckIn.status).toBe(403);
+    const removeAsCheckIn = await as(
+      helperToken,
+      "delete",
+      `/events/${eventId}/participants/${attendeeId}`
+    );
+    expect(removeAsCheckIn.status).toBe(403);
+
+    const promoted = await as(ownerToken, "patch", `/events/${eventId}/team/${helperId}`).send({
+      role: "moderator",
+    });
+    expect(promoted.body.member.role).toBe("moderator");
+
+    const edit = await as(helperToken, "put", `/events/${eventId}`).send({ title: "X" });
+    expect(edit.status).toBe(403);
+    const exported = await as(helperToken, "get", `/events/${eventId}/participants`).query({
+      format: "csv",
+    });
+    expect(exported.status).toBe(200);
+    const removed = await as(
+      helperToken,
+      "delete",
+      `/events/${eventId}/participants/${attendeeId}`
+    );
+    expect(removed.status).toBe(200);
+
+    const outsider = await as(attendeeToken, "get", `/events/${eventId}/participants`);
+    expect(outsider.status).toBe(403);
+  });
+
+  it("should validate invitations and let members leave", async () => {
+    const team = (body) => as(ownerToken, "post", `/events/${eventId}/team`).send(body);
+
+    expect((await team({ email: "co@example.com", role: "owner" })).status).toBe(400);
+    expect((await team({ email: "nobody@example.com", role: "moderator" })).status).toBe(404);
+    expect((await team({ email: "organizer@example.com", role: "moderator" })).status).toBe(
+      409
+    );
+
+    await join(helperToken, "helper@example.com", "moderator");
+    expect((await team({ email: "helper@example.com", role: "moderator" })).status).toBe(409);
+
+    const list = await as(helperToken, "get", `/events/${eventId}/team`);
+    expect(list.status).toBe(200);
+    expect(list.body.role).toBe("moderator");
+    expect(list.body.owner.email).toBe("organizer@example.com");
+
+    const left = await as(helperToken, "delete", `/events/${eventId}/team/${helperId}`);
+    expect(left.status).toBe(200);
+    expect((await as(helperToken, "get", `/events/${eventId}/team`)).status).toBe(403);
+  });
+
+  it("should transfer ownership to a team member", async () => {
+    await join(helperToken, "helper@example.com", "co-organizer");
+    const toAttendee = await as(ownerToken, "post", `/events/${eventId}/transfer`).send({
+      userId: helperId,
+    });
+    expect(toAttendee.status).toBe(400);
+
+    const notMember = await as(ownerToken, "post", `/events/${eventId}/transfer`).send({
+      userId: coId,
+    });
+    expect(notMember.status).toBe(400);
+
+    await join(coToken, "co@example.com", "moderator");
+    const res = await as(ownerToken, "post", `/events/${eventId}/transfer`).send({
+      userId: coId,
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.event.organizerId).toBe(coId);
+
+    const team = await as(coToken, "get", `/events/${eventId}/team`);
+    expect(team.body.role).toBe("owner");
+    expect(team.body.owner.userId).toBe(coId);
+    expect(team.body.members.map((m) => [m.name, m.role])).toEqual([
+      ["Helper", "co-organizer"],
+      ["Organizer", "co-organizer"],
+    ]);
+
+    // The previous owner keeps editing rights but can no longer cancel
+    expect((await as(ownerToken, "put", `/events/${eventId}`).send({ title: "Y" })).status).toBe(
+      200
+    );
+    expect((await as(ownerToken, "delete", `/events/${eventId}`)).status).toBe(403);
+    expect((await as(coToken, "delete", `/events/${eventId}`)).status).toBe(200);
+  });
+
+  it("should share the team across a series", async () => {
+    const seriesRes = await createEvent(ownerToken, {
+      recurrence: "FREQ=WEEKLY;COUNT=3",
+    });
+    const [first, , last] = seriesRes.body.events;
+    await as(ownerToken, "post", `/events/${first.id}/team`).send({
+      email: "co@example.com",
+      role: "co-organizer",
+    });
+    await as(coToken, "post", `/events/${first.id}/team/accept`);
+
+    const res = await as(coToken, "put", `/events/${last.id}`).send({ title: "Last" });
+    expect(res.status).toBe(200);
+  });
+});
+
+// ─── ADMIN & MODERATION TESTS ───────────────────────────────────────────────
+
+describe("Admin & Moderation", () => {
+  const stub = getTransport();
+  let adminToken;
+  let adminId;
+  let organizerToken;
+  let organizerId;
+  let attendeeToken;
+  let attendeeId;
+
+  beforeEach(async () => {
+    const adminRes = await registerUser({ email: "admin@example.com", name: "Admin" });
+    adminToken = adminRes.body.token;
+    adminId = adminRes.body.user.id;
+    updateUser(adminId, { role: "admin" });
+    const orgRes = await registerOrganizer();
+    organizerToken = orgRes.body.token;
+    organizerId = orgRes.body.user.id;
+    const userRes = await registerUser();
+    attendeeToken = userRes.body.token;
+    attendeeId = userRes.body.user.id;
+
+    await processEmailQueue();
+    stub.reset();
+  });
+
+  const as = (token, method, url) =>
+    request(app)[method](url).set("Authorization", `Bearer ${token}`);
+
+  it("should promote attendees through the organizer request flow", async () => {
+    const filed = await as(attendeeToken, "post", "/organizer-requests").send({
+      message: "I run a meetup",
+    });
+    expect(filed.status).toBe(201);
+    expect(filed.body.request.status).toBe("pending");
+
+    const again = await as(attendeeToken, "post", "/organizer-requests");
+    expect(again.status).toBe(409);
+
+    const pending = await as(adminToken, "get", "/admin/organizer-requests").query({
+      status: "pending",
+    });
+    expect(pending.status).toBe(200);
+    expect(pending.body.requests.length).toBe(1);
+    expect(pending.body.requests[0].user.email).toBe("test@example.com");
+
+    const approved = await as(
+      adminToken,
+      "post",
+      `/admin/organizer-requests/${filed.body.request.id}/approve`
+    ).send({ note: "Welcome aboard" });
+    expect(approved.status).toBe(200);
+    expect(approved.body.request.status).toBe("approved");
+    expect(approved.body.request.reviewedBy).toBe(adminId);
+
+    const reviewedAgain = await as(
+      adminToken,
+      "post",
+      `/admin/organizer-requests/${filed.body.request.id}/reject`
+    );
+    expect(reviewedAgain.status).toBe(409);
+
+    const event = await createEvent(attendeeToken);
+    expect(event.status).toBe(201);
+
+    const own = await as(attendeeToken, "get", "/organizer-requests");
+    expect(own.body.requests[0].status).toBe("approved");
+
+    await processEmailQueue();
+    expect(stub.sent.length).toBe(1);
+    expect(stub.sent[0].subject).toBe("You're now an organizer");
+    expect(stub.sent[0].text).toContain("Welcome aboard");
+  });
+
+  it("should keep rejected requesters as attendees", async () => {
+    const filed = await as(attendeeToken, "post", "/organizer-requests");
+    const rejected = await as(
+      adminToken,
+      "post",
+      `/admin/organizer-requests/${filed.body.request.id}/reject`
+    );
+    expect(rejected.body.request.status).toBe("rejected");
+    expect((await createEvent(attendeeToken)).status).toBe(403);
+
+    // Organizers cannot file a request
+    const organizerRequest = await as(organizerToken, "post", "/organizer-requests");
+    expect(organizerRequest.status).toBe(409);
+  });
+
+  it("should restrict admin endpoints by permission", async () => {
+    for (const token of [attendeeToken, organizerToken]) {
+      expect((await as(token, "get", "/admin/users")).status).toBe(403);
+      expect((await as(token, "get", "/admin/organizer-requests")).status).toBe(403);
+    }
+    expect((await request(app).get("/admin/users")).status).toBe(401);
+  });
+
+  it("should list and filter users without credentials", async () => {
+    const all = await as(adminToken, "get", "/admin/users");
+    expect(all.status).toBe(200);
+    expect(all.body.users.length).toBe(3);
+    expect(all.body.users[0]).not.toHaveProperty("password");
+    expect(all.body.users[0].status).toBe("active");
+
+    const organizers = await as(adminToken, "get", "/admin/users").query({ role: "organizer" });
+    expect(organizers.body.users.map((u) => u.id)).toEqual([organizerId]);
+
+    const search = await as(adminToken, "get", "/admin/users").query({ search: "ORGAN" });
+    expect(search.body.pagination.total).toBe(1);
+
+    const invalid = await as(adminToken, "get", "/admin/users").query({ role: "owner" });
+    expect(invalid.status).toBe(400);
+  });
+
+  it("should suspend and reinstate accounts", async () => {
+    const suspended = await as(adminToken, "post", `/admin/users/${attendeeId}/suspend`).send({
+      reason: "Spam",
+    });
+    expect(suspended.status).toBe(200);
+    expect(suspended.body.user.status).toBe("suspended");
+    expect(suspended.body.user.suspensionReason).toBe("Spam");
+
+    const blocked = await as(attendeeToken, "get", "/events");
+    expect(blocked.status).toBe(401);
+
+    const login = await request(app)
+      .post("/login")
+      .send({ email: "test@example.com", password: "password123" });
+    expect(login.status).toBe(403);
+    expect(login.body.error).toBe("Your account has been suspended.");
+
+    const filtered = await as(adminToken, "get", "/admin/users").query({ status: "suspended" });
+    expect(filtered.body.users.map((u) => u.id)).toEqual([attendeeId]);
+
+    expect((await as(adminToken, "post", `/admin/users/${adminId}/suspend`)).status).toBe(400);
+
+    const restored = await as(adminToken, "post", `/admin/users/${attendeeId}/unsuspend`);
+    expect(restored.body.user.status).toBe("active");
+    const relogin = await request(app)
+      .post("/login")
+      .send({ email: "test@example.com", password: "password123" });
+    expect(relogin.status).toBe(200);
+  });
+
+  it("should reject suspended accounts in authenticate", async () => {
+    updateUser(attendeeId, { status: "suspended" });
+    const res = await as(attendeeToken, "get", "/events");
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe("Your account has been suspended.");
+  });
+
+  it("should delete users and free their seats", async () => {
+    const eventRes = await createEvent(organizerToken, { maxParticipants: 1 });
+    const eventId = eventRes.body.event.id;
+    const other = await registerUser({ email: "other@example.com", name: "Other" });
+    for (const token of [attendeeToken, other.body.token]) {
+      await as(token, "post", `/events/${eventId}/register`);
+    }
+
+    const blocked = await as(adminToken, "delete", `/admin/users/${organizerId}`);
+    expect(blocked.status).toBe(409);
+
+    const deleted = await as(adminToken, "delete", `/admin/users/${attendeeId}`);
+    expect(deleted.status).toBe(200);
+    expect(findUserByEmail("test@example.com")).toBeUndefined();
+
+    const event = await as(organizerToken, "get", `/events/${eventId}`);
+    expect(event.body.event.participants.map((p) => p.userId)).toEqual([
+      other.body.user.id,
+    ]);
+    expect(event.body.event.waitlist).toEqual([]);
+    expect(findEventById(eventId).cancellations).toEqual([
+      expect.objectContaining({
+        userId: attendeeId,
+        name: "Deleted user",
+        reason: "account-deleted",
+        removedByOrganizer: false,
+      }),
+    ]);
+    const stats = await as(organizerToken, "get", `/events/${eventId}/stats`);
+    expect(stats.body.totals).toMatchObject({ cancellations: 1, promotions: 1 });
+    expect((await as(attendeeToken, "get", "/events")).status).toBe(401);
+  });
+
+  it("should take down events and hide them from listings", async () => {
+    const eventRes = await createEvent(organizerToken);
+    const eventId = eventRes.body.event.id;
+    await as(attendeeToken, "post", `/events/${eventId}/register`);
+    await processEmailQueue();
+    stub.reset();
+
+    const res = await as(adminToken, "post", `/admin/events/${eventId}/takedown`).send({
+      reason: "Violates the terms of service",
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.event.status).toBe("cancelled");
+    expect(res.body.event.takedownReason).toBe("Violates the terms of service");
+    expect(res.body.event.cancellationReason).toBeNull();
+
+    const list = await as(attendeeToken, "get", "/events").query({ status: "all" });
+    expect(list.body.events.length).toBe(0);
+    expect((await as(attendeeToken, "get", `/events/${eventId}`)).status).toBe(404);
+    expect((await as(adminToken, "get", `/events/${eventId}`)).status).toBe(200);
+    expect((await as(attendeeToken, "get", `/events/${eventId}/ics`)).status).toBe(404);
+    expect((await as(adminToken, "get", `/events/${eventId}/ics`)).status).toBe(200);
+    expect((await as(attendeeToken, "get", `/events/${eventId}/ticket-types`)).status).toBe(404);
+    const order = await as(attendeeToken, "post", `/events/${eventId}/orders`).send({
+      ticketTypeId: "any",
+    });
+    expect(order.status).toBe(404);
+
+    const feedUrl = await as(attendeeToken, "get", "/calendar/feed-url");
+    const feed = await request(app).get(new URL(feedUrl.body.url).pathname);
+    expect(feed.status).toBe(200);
+    expect(feed.text).not.toContain(eventId);
+
+    await processEmailQueue();
+    expect(stub.sent.map((m) => m.to)).toContain("test@example.com");
+    expect(stub.sent[0].text).not.toContain("terms of service");
+
+    const again = await as(adminToken, "post", `/admin/events/${eventId}/takedown`);
+    expect(again.status).toBe(409);
+  });
+
+  it("should take down occurrences of a series that were already cancelled", async () => {
+    const series = await createEvent(organizerToken, {
+      date: "2030-03-02",
+      recurrence: "FREQ=WEEKLY;COUNT=3",
+    });
+    const [first, second] = series.body.events.map((e) => e.id);
+    await as(organizerToken, "delete", `/events/${second}`).expect(200);
+
+    const res = await as(adminToken, "post", `/admin/events/${first}/takedown`).query({
+      scope: "all",
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.takenDownCount).toBe(3);
+
+    const list = await as(organizerToken, "get", "/events").query({ status: "cancelled" });
+    expect(list.body.events).toEqual([]);
+    expect((await as(organizerToken, "get", `/events/${second}`)).status).toBe(404);
+  });
+
+  it("should transfer events to another organizer", async () => {
+    const eventRes = await createEvent(organizerToken);
+    const eventId = eventRes.body.event.id;
+    const next = await registerOrganizer({ email: "next@example.com", name: "Next" });
+
+    const toAttendee = await as(adminToken, "post", `/admin/events/${eventId}/transfer`).send({
+      organizerId: attendeeId,
+    });
+    expect(toAttendee.status).toBe(400);
+
+    const res = await as(adminToken, "post", `/admin/events/${eventId}/transfer`).send({
+      organizerId: next.body.user.id,
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.event.organizerId).toBe(next.body.user.id);
+
+    const oldOwner = await as(organizerToken, "put", `/events/${eventId}`).send({ title: "X" });
+    expect(oldOwner.status).toBe(403);
+    const newOwner = await as(next.body.token, "put", `/events/${eventId}`).send({ title: "X" });
+    expect(newOwner.status).toBe(200);
+
+    // The previous organizer can now be deleted
+    expect((await as(adminToken, "delete", `/admin/users/${organizerId}`)).status).toBe(200);
+  });
+});
+
+// ─── TICKETING TESTS ────────────────────────────────────────────────────────
+
+describe("Ticketing", () => {
+  const provider = getPaymentProvider();
+  let organizerToken;
+  let attendeeToken;
+  let attendeeId;
+  let eventId;
+  let standardId;
+
+  beforeEach(async () => {
+    provider.reset();
+    const orgRes = await registerOrganizer();
+    organizerToken = orgRes.body.token;
+    const userRes = await registerUser();
+    attendeeToken = userRes.body.token;
+    attendeeId = userRes.body.user.id;
+
+    const eventRes = await createEvent(organizerToken);
+    eventId = eventRes.body.event.id;
+    const typeRes = await as(organizerToken, "post", `/events/${eventId}/ticket-types`).send({
+      name: "Standard",
+      price: 2500,
+      currency: "eur",
+      capacity: 1,
+    });
+    standardId = typeRes.body.ticketType.id;
+  });
+
+  const as = (token, method, url) =>
+    request(app)[method](url).set("Authorization", `Bearer ${token}`);
+
+  const buy = (token, body = {}) =>
+    as(token, "post", `/events/${eventId}/orders`).send({ ticketTypeId: standardId, ...body });
+
+  const sendWebhook = ({ body, headers }) =>
+    request(app)
+      .post("/payments/webhook")
+      .set("Content-Type", "application/json")
+      .set(headers)
+      .send(body);
+
+  it("should manage ticket types and require a ticket instead of free registration", async () => {
+    const invalid = await as(organizerToken, "post", `/events/${eventId}/ticket-types`).send({
+      name: "",
+      price: 9.99,
+      salesStart: "2030-03-01T10:00",
+      salesEnd: "2030-02-01T10:00",
+    });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors).toEqual([
+      "Name is required",
+      "Price must be a non-negative integer in minor units (e.g. cents)",
+      "'salesEnd' must be after 'salesStart'",
+    ]);
+
+    const forbidden = await as(attendeeToken, "post", `/events/${eventId}/ticket-types`).send({
+      name: "VIP",
+      price: 10000,
+    });
+    expect(forbidden.status).toBe(403);
+
+    const list = await as(attendeeToken, "get", `/events/${eventId}/ticket-types`);
+    expect(list.status).toBe(200);
+    expect(list.body.ticketTypes).toEqual([
+      expect.objectContaining({
+        name: "Standard",
+        price: 2500,
+        currency: "EUR",
+        capacity: 1,
+        sold: 0,
+        remaining: 1,
+        onSale: true,
+      }),
+    ]);
+
+    const register = await as(attendeeToken, "post", `/events/${eventId}/register`);
+    expect(register.status).toBe(409);
+    expect(register.body.error).toContain("requires a ticket");
+  });
+
+  it("should not start selling tickets while people are on the waitlist", async () => {
+    const full = await createEvent(organizerToken, { maxParticipants: 1 });
+    const fullId = full.body.event.id;
+    const other = await registerUser({ email: "other@example.com", name: "Other" });
+    for (const token of [attendeeToken, other.body.token]) {
+      await as(token, "post", `/events/${fullId}/register`);
+    }
+
+    const res = await as(organizerToken, "post", `/events/${fullId}/ticket-types`).send({
+      name: "Standard",
+      price: 2500,
+    });
+    expect(res.status).toBe(409);
+    expect(res.body.error).toContain("waitlist");
+
+    await as(other.body.token, "delete", `/events/${fullId}/waitlist`);
+    const retry = await as(organizerToken, "post", `/events/${fullId}/ticket-types`).send({
+      name: "Standard",
+      price: 2500,
+    });
+    expect(retry.status).toBe(201);
+  });
+
+  it("should confirm a seat when the provider reports the payment", async () => {
+    const res = await buy(attendeeToken);
+    expect(res.status).toBe(201);
+    expect(res.body.order).toMatchObject({
+      status: "pending",
+      amount: 2500,
+      currency: "EUR",
+      provider: "fake",
+    });
+    expect(res.body.payment.clientSecret).toBeDefined();
+
+    // The pending order holds the only seat
+    const other = await registerUser({ email: "other@example.com" });
+    const soldOut = await buy(other.body.token);
+    expect(soldOut.status).toBe(409);
+    expect(soldOut.body.error).toBe("This ticket type is sold out");
+
+    const paid = await sendWebhook(provider.pay(res.body.payment.intentId));
+    expect(paid.status).toBe(200);
+    expect(paid.body).toEqual({ received: true });
+
+    // Redelivered notifications are ignored
+    await sendWebhook(provider.pay(res.body.payment.intentId));
+
+    const event = await as(organizerToken, "get", `/events/${eventId}/participants`);
+    expect(event.body.participants).toEqual([
+      expect.objectContaining({
+        userId: attendeeId,
+        ticketTypeId: standardId,
+        orderId: res.body.order.id,
+      }),
+    ]);
+
+    const orders = await as(attendeeToken, "get", "/orders");
+    expect(orders.body.orders.map((o) => o.status)).toEqual(["paid"]);
+
+    const foreign = await as(other.body.token, "get", `/orders/${res.body.order.id}`);
+    expect(foreign.status).toBe(404);
+
+    await processEmailQueue();
+    expect(getTransport().sent.map((mail) => mail.to)).toContain("test@example.com");
+  });
+
+  it("should reject unsigned webhooks and release seats of declined payments", async () => {
+    const res = await buy(attendeeToken);
+    const { body } = provider.decline(res.body.payment.intentId);
+
+    const forged = await sendWebhook({ body, headers: { "x-payment-signature": "bad" } });
+    expect(forged.status).toBe(400);
+    expect(findOrderById(res.body.order.id).status).toBe("pending");
+
+    await sendWebhook(provider.decline(res.body.payment.intentId));
+    expect(findOrderById(res.body.order.id).status).toBe("failed");
+
+    const other = await registerUser({ email: "other@example.com" });
+    const retry = await buy(other.body.token);
+    expect(retry.status).toBe(201);
+  });
+
+  it("should apply promo codes and enforce their limits", async () => {
+    await as(organizerToken, "put", `/events/${eventId}/ticket-types/${standardId}`).send({
+      capacity: 10,
+    });
+
+    const created = await as(organizerToken, "post", `/events/${eventId}/promo-codes`).send({
+      code: "early-bird",
+      percentOff: 20,
+      maxRedemptions: 1,
+    });
+    expect(created.status).toBe(201);
+    expect(created.body.promoCode.code).toBe("EARLY-BIRD");
+
+    await as(organizerToken, "post", `/events/${eventId}/promo-codes`).send({
+      code: "FRIENDS",
+      amountOff: 5000,
+    });
+
+    const invalid = await buy(attendeeToken, { promoCode: "NOPE" });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe("Invalid promo code");
+
+    const discounted = await buy(attendeeToken, { promoCode: "early-bird" });
+    expect(discounted.status).toBe(201);
+    expect(discounted.body.order).toMatchObject({ subtotal: 2500, discount: 500, amount: 2000 });
+
+    const other = await registerUser({ email: "other@example.com" });
+    const exhausted = await buy(other.body.token, { promoCode: "EARLY-BIRD" });
+    expect(exhausted.status).toBe(400);
+    expect(exhausted.body.error).toBe("This promo code has been fully redeemed");
+
+    // A discount covering the whole price confirms the seat at once
+    const free = await buy(other.body.token, { promoCode: "friends" });
+    expect(free.status).toBe(201);
+    expect(free.body.order).toMatchObject({ status: "paid", amount: 0 });
+    expect(free.body.payment).toBeNull();
+
+    const codes = await as(organizerToken, "get", `/events/${eventId}/promo-codes`);
+    expect(codes.body.promoCodes.map((p) => [p.code, p.redemptions])).toEqual([
+      ["EARLY-BIRD", 1],
+      ["FRIENDS", 1],
+    ]);
+
+    const event = await as(attendeeToken, "get", `/events/${eventId}`);
+    expect(event.body.event.promoCodes).toBeUndefined();
+  });
+
+  it("should only sell tickets within the sale window", async () => {
+    const later = await as(organizerToken, "post", `/events/${eventId}/ticket-types`).send({
+      name: "Late",
+      price: 3000,
+      salesStart: "2030-03-01T00:00",
+    });
+
+    const res = await buy(attendeeToken, { ticketTypeId: later.body.ticketType.id });
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe("Ticket sales have not started yet");
+
+    const unknown = await buy(attendeeToken, { ticketTypeId: "missing" });
+    expect(unknown.status).toBe(404);
+  });
+
+  it("should refund tickets on cancellation and provider refunds", async () => {
+    await as(organizerToken, "put", `/events/${eventId}/ticket-types/${standardId}`).send({
+      capacity: null,
+    });
+    const other = await registerUser({ email: "other@example.com" });
+
+    const first = await buy(attendeeToken);
+    await sendWebhook(provider.pay(first.body.payment.intentId));
+    const second = await buy(other.body.token);
+    await sendWebhook(provider.pay(second.body.payment.intentId));
+
+    const deleteType = await as(
+      organizerToken,
+      "delete",
+      `/events/${eventId}/ticket-types/${standardId}`
+    );
+    expect(deleteType.status).toBe(409);
+
+    // Cancelling a registration refunds its ticket
+    await as(attendeeToken, "delete", `/events/${eventId}/register`);
+    expect(findOrderById(first.body.order.id).status).toBe("refunded");
+    expect(provider.intents.get(first.body.payment.intentId).status).toBe("refunded");
+
+    // Refunds issued in the provider's dashboard release the seat
+    await sendWebhook(provider.refundWebhook(second.body.payment.intentId));
+    expect(findOrderById(second.body.order.id).status).toBe("refunded");
+    const roster = await as(organizerToken, "get", `/events/${eventId}/participants`);
+    expect(roster.body.participants).toEqual([]);
+    expect(findEventById(eventId).cancellations.at(-1)).toMatchObject({
+      userId: other.body.user.id,
+      cancelledBy: null,
+      removedByOrganizer: true,
+    });
+
+    // Cancelling the event refunds paid orders and voids pending ones
+    const third = await buy(other.body.token);
+    await sendWebhook(provider.pay(third.body.payment.intentId));
+    const pending = await buy(attendeeToken);
+
+    await as(organizerToken, "delete", `/events/${eventId}`);
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(findOrderById(third.body.order.id).status).toBe("refunded");
+    expect(findOrderById(pending.body.order.id).status).toBe("cancelled");
+
+    // A payment completed after cancellation is refunded at once
+    await sendWebhook(provider.pay(pending.body.payment.intentId));
+    expect(findOrderById(pending.body.order.id).status).toBe("refunded");
+  });
+});
+
+// ─── CHECK-IN TESTS ─────────────────────────────────────────────────────────
+
+describe("Tickets & Check-in", () => {
+  const stub = getTransport();
+  let organizerToken;
+  let attendeeToken;
+  let eventId;
+
+  beforeEach(async () => {
+    const orgRes = await registerOrganizer();
+    organizerToken = orgRes.body.token;
+    const userRes = await registerUser();
+    attendeeToken = userRes.body.token;
+
+    const eventRes = await createEvent(organizerToken, { maxParticipants: 2 });
+    eventId = eventRes.body.event.id;
+
+    await processEmailQueue();
+    stub.reset();
+  });
+
+  const as = (token, method, url) =>
+    request(app)[method](url).set("Authorization", `Bearer ${token}`);
+
+  it("should issue a QR-code ticket on registration", async () => {
+    const res = await as(attendeeToken, "post", `/events/${eventId}/register`);
+    expect(res.status).toBe(200);
+    expect(res.body.ticket).toMatch(/^[\w-]+\.[\w-]+$/);
+
+    await processEmailQueue();
+    const [mail] = stub.sent;
+    expect(mail.text).toContain(res.body.ticket);
+    expect(mail.html).toContain('src="cid:ticket-qr"');
+    expect(mail.attachments).toEqual([
+      expect.objectContaining({ cid: "ticket-qr", contentType: "image/png" }),
+    ]);
+
+    const ticket = await as(attendeeToken, "get", `/events/${eventId}/ticket`);
+    expect(ticket.status).toBe(200);
+    expect(ticket.body.ticket).toMatchObject({
+      eventId,
+      token: res.body.ticket,
+      checkedInAt: null,
+    });
+    expect(ticket.body.ticket.qrCode).toMatch(/^data:image\/svg\+xml;base64,/);
+
+    const png = await as(attendeeToken, "get", `/events/${eventId}/ticket?format=png`);
+    expect(png.headers["content-type"]).toBe("image/png");
+    expect(png.body.subarray(1, 4).toString()).toBe("PNG");
+
+    const event = await as(attendeeToken, "get", `/events/${eventId}`);
+    expect(event.body.event.participants[0].ticketId).toBeUndefined();
+  });
+
+  it("should only show tickets to registered users", async () => {
+    const res = await as(attendeeToken, "get", `/events/${eventId}/ticket`);
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe("You are not registered for this event");
+  });
+
+  it("should check in tickets once and count attendance", async () => {
+    const registered = await as(attendeeToken, "post", `/events/${eventId}/register`);
+    const other = await registerUser({ email: "other@example.com", name: "Other" });
+    await as(other.body.token, "post", `/events/${eventId}/register`);
+
+    const denied = await as(attendeeToken, "post", `/events/${eventId}/check-in`).send({
+      token: registered.body.ticket,
+    });
+    expect(denied.status).toBe(403);
+
+    // Check-in staff on the event team may scan tickets
+    const staff = await registerUser({ email: "staff@example.com", name: "Staff" });
+    await as(organizerToken, "post", `/events/${eventId}/team`).send({
+      email: "staff@example.com",
+      role: "check-in",
+    });
+    await as(staff.body.token, "post", `/events/${eventId}/team/accept`);
+
+    const res = await as(staff.body.token, "post", `/events/${eventId}/check-in`).send({
+      token: registered.body.ticket,
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.participant.name).toBe("Test User");
+    expect(res.body.attendance).toEqual({ registered: 2, checkedIn: 1 });
+
+    const duplicate = await as(staff.body.token, "post", `/events/${eventId}/check-in`).send({
+      token: registered.body.ticket,
+    });
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.error).toContain("already checked in");
+
+    const forged = await as(staff.body.token, "post", `/events/${eventId}/check-in`).send({
+      token: `${registered.body.ticket.split(".")[0]}.forged`,
+    });
+    expect(forged.status).toBe(400);
+
+    const event = await as(attendeeToken, "get", `/events/${eventId}`);
+    expect(event.body.event.attendance).toEqual({ registered: 2, checkedIn: 1 });
+
+    const roster = await as(organizerToken, "get", `/events/${eventId}/participants`);
+    expect(roster.body.participants[0].checkedInAt).toBe(res.body.participant.checkedInAt);
+    expect(roster.body.participants[1].checkedInAt).toBeNull();
+  });
+
+  it("should reject tickets of other events and of cancelled registrations", async () => {
+    const registered = await as(attendeeToken, "post", `/events/${eventId}/register`);
+    const otherEvent = await createEvent(organizerToken);
+
+    const wrongEvent = await as(
+      organizerToken,
+      "post",
+      `/events/${otherEvent.body.event.id}/check-in`
+    ).send({ token: registered.body.ticket });
+    expect(wrongEvent.status).toBe(404);
+    expect(wrongEvent.body.error).toBe("This ticket is not valid for this event");
+
+    await as(attendeeToken, "delete", `/events/${eventId}/register`);
+    const cancelled = await as(organizerToken, "post", `/events/${eventId}/check-in`).send({
+      token: registered.body.ticket,
+    });
+    expect(cancelled.status).toBe(404);
+  });
+
+  it("should send promoted waitlist users their ticket", async () => {
+    const first = await registerUser({ email: "first@example.com" });
+    await as(first.body.token, "post", `/events/${eventId}/register`);
+    await as(attendeeToken, "post", `/events/${eventId}/register`);
+    const waiting = await registerUser({ email: "waiting@example.com" });
+    await as(waiting.body.token, "post", `/events/${eventId}/register`);
+    await processEmailQueue();
+    stub.reset();
+
+    await as(first.body.token, "delete", `/events/${eventId}/register`);
+    await processEmailQueue();
+
+    const promotion = stub.sent.find((mail) => mail.to === "waiting@example.com");
+    const ticket = await as(waiting.body.token, "get", `/events/${eventId}/ticket`);
+    expect(promotion.text).toContain(ticket.body.ticket.token);
+    expect(promotion.attachments[0].cid).toBe("ticket-qr");
+  });
+});
+
+// ─── LIVE UPDATE TESTS ──────────────────────────────────────────────────────
+
+describe("Live Event Updates", () => {
+  let server;
+  let organizerToken;
+  let attendeeToken;
+  let eventId;
+
+  beforeAll((done) => {
+    server = app.listen(0, done);
+  });
+
+  afterAll((done) => {
+    closeAllStreams();
+    server.close(done);
+  });
+
+  afterEach(() => closeAllStreams());
+
+  beforeEach(async () => {
+    const orgRes = await registerOrganizer();
+    organizerToken = orgRes.body.token;
+    const userRes = await registerUser();
+    attendeeToken = userRes.body.token;
+
+    const eventRes = await createEvent(organizerToken, { maxParticipants: 5 });
+    eventId = eventRes.body.event.id;
+  });
+
+  const as = (token, method, url) =>
+    request(app)[method](url).set("Authorization", `Bearer ${token}`);
+
+  // Open an event stream and collect its messages
+  const subscribe = (token) =>
+    new Promise((resolve, reject) => {
+      const req = http.get(
+        {
+          port: server.address().port,
+          path: `/events/${eventId}/stream?access_token=${token}`,
+        },
+        (res) => {
+          const messages = [];
+          let buffer = "";
+          res.setEncoding("utf8");
+          res.on("data", (chunk) => {
+            buffer += chunk;
+            const blocks = buffer.split("\n\n");
+            buffer = blocks.pop();
+            blocks.forEach((block) => {
+              const type = /^event: (.*)$/m.exec(block);
+              const data = /^data: (.*)$/m.exec(block);
+              if (type && data) messages.push({ type: type[1], data: JSON.parse(data[1]) });
+            });
+          });
+
+          const waitFor = async (type, count = 1) => {
+            for (let i = 0; i < 100; i++) {
+              const matching = messages.filter((message) => message.type === type);
+              if (matching.length >= count) return matching[count - 1].data;
+              await new Promise((done) => setTimeout(done, 10));
+            }
+            throw new Error(`No "${type}" message received`);
+          };
+
+          resolve({ res, messages, waitFor });
+        }
+      );
+      req.on("error", reject);
+    });
+
+  it("should require the same access token as the API", async () => {
+    const anonymous = await request(app).get(`/events/${eventId}/stream`);
+    expect(anonymous.status).toBe(401);
+
+    const invalid = await request(app).get(`/events/${eventId}/stream?access_token=nope`);
+    expect(invalid.status).toBe(401);
+
+    const missing = await request(app)
+      .get("/events/missing/stream")
+      .set("Authorization", `Bearer ${attendeeToken}`);
+    expect(missing.status).toBe(404);
+  });
+
+  it("should push seat counts as they change", async () => {
+    const stream = await subscribe(attendeeToken);
+    expect(stream.res.headers["content-type"]).toBe("text/event-stream");
+    expect(await stream.waitFor("attendance")).toEqual({
+      eventId,
+      registered: 0,
+      waitlisted: 0,
+      checkedIn: 0,
+      maxParticipants: 5,
+      seatsLeft: 5,
+    });
+
+    await as(attendeeToken, "post", `/events/${eventId}/register`);
+    expect(await stream.waitFor("attendance", 2)).toMatchObject({ registered: 1, seatsLeft: 4 });
+
+    await as(attendeeToken, "delete", `/events/${eventId}/register`);
+    expect(await stream.waitFor("attendance", 3)).toMatchObject({ registered: 0, seatsLeft: 5 });
+  });
+
+  it("should push event edits and cancellations", async () => {
+    const stream = await subscribe(attendeeToken);
+
+    await as(organizerToken, "put", `/events/${eventId}`).send({ title: "Renamed" });
+    const updated = await stream.waitFor("updated");
+    expect(updated.changes).toEqual(["title"]);
+    expect(updated.event.title).toBe("Renamed");
+
+    await as(organizerToken, "delete", `/events/${eventId}`).send({ reason: "Speaker is ill" });
+    expect(await stream.waitFor("cancelled")).toMatchObject({
+      eventId,
+      reason: "Speaker is ill",
+    });
+  });
+
+  it("should push announcements to participants only", async () => {
+    await as(attendeeToken, "post", `/events/${eventId}/register`);
+    const outsider = await registerUser({ email: "outsider@example.com" });
+
+    const participantStream = await subscribe(attendeeToken);
+    const outsiderStream = await subscribe(outsider.body.token);
+
+    await as(organizerToken, "post", `/events/${eventId}/announcements`).send({
+      subject: "Room change",
+      message: "We moved to room 2.",
+    });
+    expect(await participantStream.waitFor("announcement")).toMatchObject({
+      subject: "Room change",
+      message: "We moved to room 2.",
+      organizerName: "Organizer",
+    });
+
+    // Messages arrive in order, so an announcement would precede this update
+    await as(outsider.body.token, "post", `/events/${eventId}/register`);
+    await outsiderStream.waitFor("attendance", 2);
+    expect(outsiderStream.messages.map((message) => message.type)).toEqual([
+      "attendance",
+      "attendance",
+    ]);
+  });
+
+  it("should end streams of revoked sessions", async () => {
+    const stream = await subscribe(attendeeToken);
+    await stream.waitFor("attendance");
+    const ended = new Promise((resolve) => stream.res.on("end", resolve));
+
+    await as(attendeeToken, "post", "/logout");
+    const other = await registerUser({ email: "other@example.com" });
+    await as(other.body.token, "post", `/events/${eventId}/register`);
+
+    await ended;
+    expect(stream.messages.map((message) => message.type)).toEqual(["attendance"]);
+  });
+});
+
+// ─── VIRTUAL VENUE TESTS ────────────────────────────────────────────────────
+
+describe("Virtual Venues", () => {
+  let organizerToken;
+  let attendeeToken;
+  let eventId;
+
+  const venue = {
+    provider: "zoom",
+    joinUrl: "https://zoom.example.com/j/123456789?pwd=secret",
+    passcode: "246810",
+    dialIn: { number: "+49 30 1234 5678", pin: "987654" },
+  };
+
+  const as = (token, method, url) =>
+    request(app)[method](url).set("Authorization", `Bearer ${token}`);
+
+  // Join links are absolute URLs; supertest needs the path
+  const pathOf = (url) => {
+    const { pathname, search } = new URL(url);
+    return pathname + search;
+  };
+
+  // Move the event so it starts `minutes` from now
+  const startIn = (minutes) =>
+    updateEvent(eventId, {
+      startsAt: new Date(Date.now() + minutes * 60 * 1000).toISOString(),
+      endsAt: new Date(Date.now() + (minutes + 60) * 60 * 1000).toISOString(),
+    });
+
+  beforeEach(async () => {
+    const orgRes = await registerOrganizer();
+    organizerToken = orgRes.body.token;
+    const attRes = await registerUser({ name: "Attendee", email: "attendee@example.com" });
+    attendeeToken = attRes.body.token;
+
+    const event = await createEvent(organizerToken, { location: undefined, virtualVenue: venue });
+    eventId = event.body.event.id;
+  });
+
+  it("should keep join details out of event payloads", async () => {
+    const res = await as(attendeeToken, "get", `/events/${eventId}`);
+    expect(res.status).toBe(200);
+    expect(res.body.event.format).toBe("virtual");
+    expect(res.body.event.location).toBeNull();
+    expect(res.body.event.virtualVenue).toEqual({ provider: "zoom" });
+
+    const listed = await as(attendeeToken, "get", "/events");
+    const payloads = JSON.stringify([res.body, listed.body]);
+    expect(payloads).not.toContain("zoom.example.com");
+    expect(payloads).not.toContain("246810");
+
+    const hybrid = await createEvent(organizerToken, {
+      location: "Main Hall",
+      virtualVenue: venue,
+    });
+    expect(hybrid.body.event.format).toBe("hybrid");
+    expect(hybrid.body.event.location).toBe("Main Hall");
+  });
+
+  it("should validate venues", async () => {
+    const none = await createEvent(organizerToken, { location: undefined });
+    expect(none.status).toBe(400);
+    expect(none.body.errors).toContain("Location or virtual venue is required");
+
+    const invalid = await createEvent(organizerToken, {
+      virtualVenue: { provider: "skype", joinUrl: "http://example.com", dialIn: { number: "x" } },
+    });
+    expect(invalid.body.errors).toEqual([
+      "'virtualVenue.provider' must be one of 'zoom', 'google-meet', 'teams', 'webex', 'other'",
+      "'virtualVenue.joinUrl' must be an https URL",
+      "'virtualVenue.dialIn.number' must be a phone number",
+    ]);
+
+    // Removing the venue would leave the event nowhere
+    const removed = await as(organizerToken, "put", `/events/${eventId}`).send({
+      virtualVenue: null,
+    });
+    expect(removed.status).toBe(400);
+  });
+
+  it("should hand join links to participants within the join window", async () => {
+    const outsider = await as(attendeeToken, "get", `/events/${eventId}/join-link`);
+    expect(outsider.status).toBe(403);
+
+    await as(attendeeToken, "post", `/events/${eventId}/register`);
+    const early = await as(attendeeToken, "get", `/events/${eventId}/join-link`);
+    expect(early.status).toBe(403);
+    expect(early.body.opensAt).toBe("2030-03-15T09:45:00.000Z");
+
+    // The event team can open the venue at any time
+    const organizer = await as(organizerToken, "get", `/events/${eventId}/join-link`);
+    expect(organizer.status).toBe(200);
+
+    startIn(10);
+    const res = await as(attendeeToken, "get", `/events/${eventId}/join-link`);
+    expect(res.status).toBe(200);
+    expect(res.body.venue).toEqual({
+      provider: "zoom",
+      passcode: "246810",
+      dialIn: { number: "+49 30 1234 5678", pin: "987654" },
+    });
+
+    const join = await request(app).get(pathOf(res.body.joinLink.url));
+    expect(join.status).toBe(302);
+    expect(join.headers.location).toBe(venue.joinUrl);
+    expect(join.headers["referrer-policy"]).toBe("no-referrer");
+
+    startIn(-120);
+    const ended = await as(attendeeToken, "get", `/events/${eventId}/join-link`);
+    expect(ended.status).toBe(410);
+  });
+
+  it("should reject tampered, expired and revoked join links", async () => {
+    startIn(5);
+    await as(attendeeToken, "post", `/events/${eventId}/register`);
+    const res = await as(attendeeToken, "get", `/events/${eventId}/join-link`);
+    const token = new URL(res.body.joinLink.url).searchParams.get("token");
+
+    const tampered = await request(app)
+      .get(`/events/${eventId}/join`)
+      .query({ token: `${token}x` });
+    expect(tampered.status).toBe(401);
+
+    const other = await createEvent(organizerToken);
+    const wrongEvent = await request(app)
+      .get(`/events/${other.body.event.id}/join`)
+      .query({ token });
+    expect(wrongEvent.status).toBe(401);
+
+    const ttl = config.joinLinks.ttl;
+    config.joinLinks.ttl = -1;
+    const expired = await as(attendeeToken, "get", `/events/${eventId}/join-link`);
+    config.joinLinks.ttl = ttl;
+    const late = await request(app).get(pathOf(expired.body.joinLink.url));
+    expect(late.status).toBe(401);
+
+    // Links stop working once the registration is cancelled
+    await as(attendeeToken, "delete", `/events/${eventId}/register`);
+    const revoked = await request(app).get(`/events/${eventId}/join`).query({ token });
+    expect(revoked.status).toBe(403);
+  });
+
+  it("should tell participants about new join details without revealing them", async () => {
+    await as(attendeeToken, "post", `/events/${eventId}/register`);
+    await processEmailQueue();
+    getTransport().reset();
+
+    const res = await as(organizerToken, "put", `/events/${eventId}`).send({
+      location: "Main Hall",
+      virtualVenue: { ...venue, joinUrl: "https://zoom.example.com/j/999" },
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.event.format).toBe("hybrid");
+
+    await processEmailQueue();
+    const [email] = getTransport().sent.filter((m) => m.to === "attendee@example.com");
+    expect(email.text).toContain("The joining details have been updated");
+    expect(email.text).not.toContain("zoom.example.com");
+  });
+});
+
+// ─── SESSION TESTS ──────────────────────────────────────────────────────────
+
+describe("Agenda & Sessions", () => {
+  let organizerToken;
+  let attendeeToken;
+  let speakerId;
+  let eventId;
+
+  const as = (token, method, url) =>
+    request(app)[method](url).set("Authorization", `Bearer ${token}`);
+
+  const addSession = (overrides = {}) =>
+    as(organizerToken, "post", `/events/${eventId}/sessions`).send({
+      title: "Keynote",
+      startsAt: "2030-03-15T09:00:00Z",
+      endsAt: "2030-03-15T10:00:00Z",
+      room: "Main Hall",
+      track: "General",
+      ...overrides,
+    });
+
+  beforeEach(async () => {
+    const orgRes = await registerOrganizer();
+    organizerToken = orgRes.body.token;
+    const attRes = await registerUser({ name: "Attendee", email: "attendee@example.com" });
+    attendeeToken = attRes.body.token;
+    const speakerRes = await registerUser({ name: "Speaker", email: "speaker@example.com" });
+    speakerId = speakerRes.body.user.id;
+
+    const event = await createEvent(organizerToken, {
+      date: undefined,
+      time: undefined,
+      startsAt: "2030-03-15T09:00:00Z",
+      endsAt: "2030-03-15T18:00:00Z",
+    });
+    eventId = event.body.event.id;
+  });
+
+  it("should build an agenda with tracks, rooms and speakers", async () => {
+    const keynote = await addSession({ speakerIds: [speakerId] });
+    expect(keynote.status).toBe(201);
+    expect(keynote.body.session.speakers).toEqual([
+      expect.objectContaining({ userId: speakerId, name: "Speaker" }),
+    ]);
+
+    await addSession({
+      title: "Workshop",
+      startsAt: "2030-03-15T11:00:00Z",
+      endsAt: "2030-03-15T12:30:00Z",
+      room: "Room B",
+      track: "Hands-on",
+    });
+    await addSession({ title: "Opening", startsAt: "2030-03-15T08:00:00Z" }).expect(400);
+
+    const res = await as(attendeeToken, "get", `/events/${eventId}/sessions`);
+    expect(res.status).toBe(200);
+    expect(res.body.sessions.map((s) => s.title)).toEqual(["Keynote", "Workshop"]);
+    expect(res.body.tracks).toEqual(["General", "Hands-on"]);
+    expect(res.body.rooms).toEqual(["Main Hall", "Room B"]);
+
+    const track = await as(attendeeToken, "get", `/events/${eventId}/sessions`).query({
+      track: "Hands-on",
+    });
+    expect(track.body.sessions.map((s) => s.title)).toEqual(["Workshop"]);
+
+    const event = await as(attendeeToken, "get", `/events/${eventId}`);
+    expect(event.body.event.sessionCount).toBe(2);
+    expect(event.body.event.sessions).toBeUndefined();
+  });
+
+  it("should reject overlapping sessions in the same room", async () => {
+    await addSession();
+
+    const clash = await addSession({
+      title: "Panel",
+      startsAt: "2030-03-15T09:30:00Z",
+      endsAt: "2030-03-15T10:30:00Z",
+      room: "main hall",
+    });
+    expect(clash.status).toBe(409);
+    expect(clash.body.error).toContain("Keynote");
+
+    // Back-to-back sessions and other rooms are fine
+    await addSession({
+      title: "Panel",
+      startsAt: "2030-03-15T10:00:00Z",
+      endsAt: "2030-03-15T11:00:00Z",
+    }).expect(201);
+    const parallel = await addSession({ title: "Parallel", room: "Room B" }).expect(201);
+
+    const move = await as(
+      organizerToken,
+      "put",
+      `/events/${eventId}/sessions/${parallel.body.session.id}`
+    ).send({ room: "Main Hall" });
+    expect(move.status).toBe(409);
+
+    const unknown = await addSession({ room: "Room C", speakerIds: ["nobody"] });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.errors).toEqual(["Unknown speaker: nobody"]);
+  });
+
+  it("should let participants bookmark sessions up to their capacity", async () => {
+    const session = await addSession({ capacity: 1 });
+    const url = `/events/${eventId}/sessions/${session.body.session.id}/bookmark`;
+
+    const outsider = await as(attendeeToken, "post", url);
+    expect(outsider.status).toBe(403);
+
+    await as(attendeeToken, "post", `/events/${eventId}/register`);
+    const saved = await as(attendeeToken, "post", url);
+    expect(saved.status).toBe(200);
+    expect(saved.body.session).toEqual(
+      expect.objectContaining({ bookmarked: true, bookmarkCount: 1, seatsLeft: 0 })
+    );
+    await as(attendeeToken, "post", url).expect(200);
+
+    const other = await registerUser({ email: "other@example.com" });
+    await as(other.body.token, "post", `/events/${eventId}/register`);
+    const full = await as(other.body.token, "post", url);
+    expect(full.status).toBe(409);
+    expect(full.body.error).toBe("This session is full");
+
+    const mine = await as(attendeeToken, "get", `/events/${eventId}/sessions`).query({
+      bookmarked: "true",
+    });
+    expect(mine.body.sessions).toHaveLength(1);
+    const theirs = await as(other.body.token, "get", `/events/${eventId}/sessions`).query({
+      bookmarked: "true",
+    });
+    expect(theirs.body.sessions).toEqual([]);
+
+    // Leaving the event frees the spot
+    await as(attendeeToken, "delete", `/events/${eventId}/register`);
+    await as(other.body.token, "post", url).expect(200);
+  });
+
+  it("should not lower a session's capacity below its bookmarks", async () => {
+    const session = await addSession();
+    const sessionId = session.body.session.id;
+    await as(attendeeToken, "post", `/events/${eventId}/register`);
+    await as(attendeeToken, "post", `/events/${eventId}/sessions/${sessionId}/bookmark`);
+    const other = await registerUser({ email: "other@example.com" });
+    await as(other.body.token, "post", `/events/${eventId}/register`);
+    await as(other.body.token, "post", `/events/${eventId}/sessions/${sessionId}/bookmark`);
+
+    const res = await as(organizerToken, "put", `/events/${eventId}/sessions/${sessionId}`).send({
+      capacity: 1,
+    });
+    expect(res.status).toBe(409);
+
+    await as(attendeeToken, "delete", `/events/${eventId}/sessions/${sessionId}/bookmark`).expect(
+      200
+    );
+    await as(organizerToken, "put", `/events/${eventId}/sessions/${sessionId}`)
+      .send({ capacity: 1 })
+      .expect(200);
+  });
+
+  it("should keep the event schedule around its sessions", async () => {
+    const session = await addSession({
+      startsAt: "2030-03-15T16:00:00Z",
+      endsAt: "2030-03-15T17:00:00Z",
+    });
+
+    const shorter = await as(organizerToken, "put", `/events/${eventId}`).send({
+      endsAt: "2030-03-15T12:00:00Z",
+    });
+    expect(shorter.status).toBe(409);
+
+    await as(attendeeToken, "post", `/events/${eventId}/sessions`)
+      .send({ title: "Hijack", startsAt: "2030-03-15T09:00:00Z", endsAt: "2030-03-15T10:00:00Z" })
+      .expect(403);
+
+    await as(organizerToken, "delete", `/events/${eventId}/sessions/${session.body.session.id}`)
+      .expect(200);
+    await as(organizerToken, "put", `/events/${eventId}`)
+      .send({ endsAt: "2030-03-15T12:00:00Z" })
+      .expect(200);
+  });
+});
+
+// ─── DASHBOARD TESTS ────────────────────────────────────────────────────────
+
+describe("My Events Dashboards", () => {
+  let organizerToken;
+  let attendeeToken;
+
+  beforeEach(async () => {
+    const orgRes = await registerOrganizer();
+    organizerToken = orgRes.body.token;
+    const attRes = await registerUser({ name: "Attendee", email: "attendee@example.com" });
+    attendeeToken = attRes.body.token;
+  });
+
+  const as = (token, method, url) =>
+    request(app)[method](url).set("Authorization", `Bearer ${token}`);
+
+  it("should list own registrations split into upcoming and past", async () => {
+    const registered = await createEvent(organizerToken, { title: "Registered" });
+    const full = await createEvent(organizerToken, { title: "Full", maxParticipants: 1 });
+    const cancelled = await createEvent(organizerToken, { title: "Cancelled" });
+    const past = await createEvent(organizerToken, { title: "Past" });
+    await createEvent(organizerToken, { title: "Unrelated" });
+
+    const other = await registerUser({ email: "other@example.com" });
+    await as(other.body.token, "post", `/events/${full.body.event.id}/register`);
+
+    for (const event of [registered, full, cancelled, past]) {
+      await as(attendeeToken, "post", `/events/${event.body.event.id}/register`);
+    }
+    await as(attendeeToken, "delete", `/events/${cancelled.body.event.id}/register`);
+    updateEvent(past.body.event.id, {
+      startsAt: "2020-03-15T10:00:00.000Z",
+      endsAt: "2020-03-15T11:00:00.000Z",
+    });
+
+    const res = await as(attendeeToken, "get", "/me/registrations");
+    expect(res.status).toBe(200);
+    expect(res.body.upcoming.map((r) => [r.event.title, r.status])).toEqual([
+      ["Registered", "registered"],
+      ["Full", "waitlisted"],
+      ["Cancelled", "cancelled"],
+    ]);
+    expect(res.body.upcoming[1].position).toBe(1);
+    expect(res.body.upcoming[0].event.participants).toBeUndefined();
+    expect(res.body.past.map((r) => [r.event.title, r.status])).toEqual([
+      ["Past", "registered"],
+    ]);
+
+    const invalid = await as(attendeeToken, "get", "/me/registrations").query({ tz: "Nowhere" });
+    expect(invalid.status).toBe(400);
+  });
+
+  it("should list organized events with fill rate and attendance", async () => {
+    const event = await createEvent(organizerToken, { maxParticipants: 1 });
+    const eventId = event.body.event.id;
+    await createEvent(organizerToken, { title: "Open Event", date: "2030-04-01" });
+
+    const register = await as(attendeeToken, "post", `/events/${eventId}/register`);
+    await as(organizerToken, "post", `/events/${eventId}/check-in`).send({
+      token: register.body.ticket,
+    });
+    const other = await registerUser({ email: "other@example.com" });
+    await as(other.body.token, "post", `/events/${eventId}/register`);
+
+    const res = await as(organizerToken, "get", "/me/events");
+    expect(res.status).toBe(200);
+    expect(res.body.past).toEqual([]);
+    expect(res.body.upcoming).toHaveLength(2);
+    expect(res.body.upcoming[0]).toEqual(
+      expect.objectContaining({
+        role: "owner",
+        stats: {
+          registered: 1,
+          maxParticipants: 1,
+          fillRate: 1,
+          waitlisted: 1,
+          checkedIn: 1,
+          cancelled: 0,
+        },
+      })
+    );
+    expect(res.body.upcoming[1].stats.fillRate).toBeNull();
+
+    const attendee = await as(attendeeToken, "get", "/me/events");
+    expect(attendee.body).toEqual({ upcoming: [], past: [] });
+  });
+
+  it("should include events the user helps run", async () => {
+    const event = await createEvent(organizerToken);
+    const eventId = event.body.event.id;
+    await as(organizerToken, "post", `/events/${eventId}/team`).send({
+      email: "attendee@example.com",
+      role: "check-in",
+    });
+
+    // Pending invitations do not count yet
+    const pending = await as(attendeeToken, "get", "/me/events");
+    expect(pending.body.upcoming).toEqual([]);
+
+    await as(attendeeToken, "post", `/events/${eventId}/team/accept`);
+    const res = await as(attendeeToken, "get", "/me/events");
+    expect(res.body.upcoming).toEqual([
+      expect.objectContaining({
+        role: "check-in",
+        event: expect.objectContaining({ id: eventId }),
+      }),
+    ]);
+  });
+});
+
+// ─── ANALYTICS TESTS ────────────────────────────────────────────────────────
+
+describe("Organizer Analytics", () => {
+  let organizerToken;
+  let attendeeToken;
+  let eventId;
+  const { maxAttempts } = config.emailQueue;
+
+  beforeEach(async () => {
+    const orgRes = await registerOrganizer();
+    organizerToken = orgRes.body.token;
+    const attRes = await registerUser({ name: "Attendee", email: "attendee@example.com" });
+    attendeeToken = attRes.body.token;
+
+    const event = await createEvent(organizerToken, { maxParticipants: 1 });
+    eventId = event.body.event.id;
+  });
+
+  afterEach(() => {
+    config.emailQueue.maxAttempts = maxAttempts;
+  });
+
+  const as = (token, method, url) =>
+    request(app)[method](url).set("Authorization", `Bearer ${token}`);
+
+  const today = () => new Date().toISOString().slice(0, 10);
+
+  it("should report registrations, waitlist, cancellations and conversion", async () => {
+    const other = await registerUser({ email: "other@example.com" });
+    const otherToken = other.body.token;
+
+    await as(organizerToken, "get", `/events/${eventId}`);
+    await as(attendeeToken, "get", `/events/${eventId}`);
+    await as(attendeeToken, "get", `/events/${eventId}`);
+    await as(otherToken, "get", `/events/${eventId}`);
+
+    const registered = await as(attendeeToken, "post", `/events/${eventId}/register`);
+    await as(organizerToken, "post", `/events/${eventId}/check-in`).send({
+      token: registered.body.ticket,
+    });
+    await as(otherToken, "post", `/events/${eventId}/register`).expect(202);
+    await as(attendeeToken, "delete", `/events/${eventId}/register`);
+
+    const res = await as(organizerToken, "get", `/events/${eventId}/stats`).query({ tz: "UTC" });
+    expect(res.status).toBe(200);
+    expect(res.body.range).toEqual({ from: today(), to: today(), interval: "day", timezone: "UTC" });
+    expect(res.body.totals).toEqual(
+      expect.objectContaining({
+        views: 3,
+        registrations: 1,
+        waitlistJoins: 1,
+        promotions: 1,
+        cancellations: 1,
+        checkIns: 1,
+      })
+    );
+    expect(res.body.conversion).toEqual({ viewers: 2, registered: 2, rate: 1 });
+    expect(res.body.attendance).toEqual({ registered: 1, checkedIn: 0, rate: 0, waitlisted: 0 });
+    expect(res.body.buckets).toEqual([
+      expect.objectContaining({ start: today(), registrations: 1, waitlistDepth: 0 }),
+    ]);
+  });
+
+  it("should empty the waitlist depth when waiters leave for any reason", async () => {
+    await as(attendeeToken, "post", `/events/${eventId}/register`);
+    const waiters = [];
+    for (const email of ["first@example.com", "second@example.com"]) {
+      const res = await registerUser({ email });
+      await as(res.body.token, "post", `/events/${eventId}/register`).expect(202);
+      waiters.push(res.body.token);
+    }
+
+    await as(waiters[0], "delete", "/me").send({ password: "password123" }).expect(200);
+    await as(organizerToken, "delete", `/events/${eventId}`).expect(200);
+
+    const res = await as(organizerToken, "get", `/events/${eventId}/stats`).query({ tz: "UTC" });
+    expect(res.body.totals).toEqual(
+      expect.objectContaining({ waitlistJoins: 2, waitlistLeaves: 2 })
+    );
+    expect(res.body.buckets).toEqual([expect.objectContaining({ waitlistDepth: 0 })]);
+  });
+
+  it("should count delivered and failed event emails", async () => {
+    // Verification emails are not tied to an event
+    await processEmailQueue();
+
+    await as(attendeeToken, "post", `/events/${eventId}/register`);
+    await processEmailQueue();
+
+    config.emailQueue.maxAttempts = 1;
+    getTransport().fail(1);
+    await as(attendeeToken, "delete", `/events/${eventId}/register`);
+    await processEmailQueue();
+
+    const res = await as(organizerToken, "get", `/events/${eventId}/stats`);
+    expect(res.body.emails).toEqual({ sent: 1, failed: 1, deliveryRate: 0.5 });
+  });
+
+  it("should bucket by day, week or month", async () => {
+    const weekly = await as(organizerToken, "get", `/events/${eventId}/stats`).query({
+      from: "2024-01-10",
+      to: "2024-01-25",
+      interval: "week",
+    });
+    expect(weekly.status).toBe(200);
+    expect(weekly.body.buckets.map((b) => b.start)).toEqual([
+      "2024-01-08",
+      "2024-01-15",
+      "2024-01-22",
+    ]);
+    expect(weekly.body.totals.registrations).toBe(0);
+
+    const monthly = await as(organizerToken, "get", `/events/${eventId}/stats`).query({
+      from: "2024-01-31",
+      to: "2024-03-01",
+      interval: "month",
+    });
+    expect(monthly.body.buckets.map((b) => b.start)).toEqual([
+      "2024-01-01",
+      "2024-02-01",
+      "2024-03-01",
+    ]);
+
+    const invalid = await as(organizerToken, "get", `/events/${eventId}/stats`).query({
+      interval: "year",
+      tz: "Nowhere",
+    });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors).toHaveLength(2);
+
+    for (const url of [`/events/${eventId}/stats`, "/me/stats"]) {
+      const impossible = await as(organizerToken, "get", url).query({
+        from: "2026-13-45",
+        to: "2026-14-01",
+      });
+      expect(impossible.status).toBe(400);
+      expect(impossible.body.errors).toEqual([
+        "'from' must be a date in YYYY-MM-DD format",
+        "'to' must be a date in YYYY-MM-DD format",
+      ]);
+    }
+
+    const reversed = await as(organizerToken, "get", `/events/${eventId}/stats`).query({
+      from: "2024-02-01",
+      to: "2024-01-01",
+    });
+    expect(reversed.status).toBe(400);
+
+    const tooLong = await as(organizerToken, "get", `/events/${eventId}/stats`).query({
+      from: "2020-01-01",
+      to: "2024-01-01",
+    });
+    expect(tooLong.status).toBe(400);
+  });
+
+  it("should restrict stats to the owner and co-organizers", async () => {
+    await as(attendeeToken, "get", `/events/${eventId}/stats`).expect(403);
+    await as(organizerToken, "post", `/events/${eventId}/team`).send({
+      email: "attendee@example.com",
+      role: "co-organizer",
+    });
+    await as(attendeeToken, "post", `/events/${eventId}/team/accept`);
+    await as(attendeeToken, "get", `/events/${eventId}/stats`).expect(200);
+
+    // The organizer report only covers events the user owns
+    await as(attendeeToken, "get", "/me/stats").expect(403);
+  });
+
+  it("should combine all of an organizer's events", async () => {
+    const second = await createEvent(organizerToken, { title: "Second Event" });
+    await as(attendeeToken, "post", `/events/${eventId}/register`);
+    await as(attendeeToken, "post", `/events/${second.body.event.id}/register`);
+
+    const res = await as(organizerToken, "get", "/me/stats").query({ interval: "month" });
+    expect(res.status).toBe(200);
+    expect(res.body.eventCount).toBe(2);
+    expect(res.body.totals.registrations).toBe(2);
+    expect(res.body.attendance.registered).toBe(2);
+    expect(res.body.buckets).toHaveLength(1);
+  });
+});
+
+// ─── MIDDLEWARE TESTS ───────────────────────────────────────────────────────
+
+describe("Middleware & Edge Cases", () => {
+  it("should return 401 with invalid token", async () => {
+    const res = await request(app)
+      .get("/events")
+      .set("Authorization", "Bearer invalid.token.here");
+    expect(res.status).toBe(401);
+  });
+
+  it("should return 401 without Bearer prefix", async () => {
+    const res = await request(app)
+      .get("/events")
+      .set("Authorization", "some-token");
+    expect(res.status).toBe(401);
+  });
+
+  it("should return 404 for unknown routes", async () => {
+    const res = await request(app).get("/unknown-route");
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe("Route not found");
+  });
+
+  it("should return health check on root", async () => {
+    const res = await request(app).get("/");
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe("Virtual Event Management Platform API");
+  });
+
+  it("should require secrets and payment settings in production", () => {
+    const env = { ...process.env };
+    const required = {
+      JWT_SECRET: "production_jwt_secret",
+      TICKET_SECRET: "production_ticket_secret",
+      PAYMENT_PROVIDER: "fake",
+      PAYMENT_WEBHOOK_SECRET: "production_webhook_secret",
+    };
+    process.env.NODE_ENV = "production";
+    try {
+      Object.keys(required).forEach((missing) => {
+        // Empty rather than deleted, so a local .env cannot fill it in
+        Object.assign(process.env, required, { [missing]: "" });
+        jest.isolateModules(() => {
+          expect(() => require("../src/config/config")).toThrow(
+            `${missing} must be set in production`
+          );
+        });
+      });
+
+      Object.assign(process.env, required);
+      jest.isolateModules(() => {
+        const production = require("../src/config/config");
+        expect(production.jwtSecret).toBe("production_jwt_secret");
+        expect(production.ticketSecret).toBe("production_ticket_secret");
+        expect(production.payments.webhookSecret).toBe("production_webhook_secret");
+      });
+    } finally {
+      process.env = env;
+    }
+  });
+});
+
+// ─── STORAGE TESTS ──────────────────────────────────────────────────────────
+
+describe("Journal Storage", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "vemp-journal-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should persist inserts, updates and removals across reopen", () => {
+    const store = createJournalStore("events", { dir });
+    store.insert({ id: "a", title: "First" });
+    store.insert({ id: "b", title: "Second" });
+    store.update("a", { title: "First (edited)" });
+    store.remove("b");
+
+    const reopened = createJournalStore("events", { dir });
+    expect(reopened.all()).toEqual([{ id: "a", title: "First (edited)" }]);
+  });
+
+  it("should compact the journal on open", () => {
+    const store = createJournalStore("events", { dir });
+    store.insert({ id: "a", count: 1 });
+    store.update("a", { count: 2 });
+    store.update("a", { count: 3 });
+
+    createJournalStore("events", { dir });
+    const lines = fs
+      .readFileSync(path.join(dir, "events.jsonl"), "utf8")
+      .trim()
+      .split("\n");
+    expect(lines.length).toBe(1);
+  });
+
+  it("should ignore a torn final line", () => {
+    const store = createJournalStore("events", { dir });
+    store.insert({ id: "a" });
+    fs.appendFileSync(path.join(dir, "events.jsonl"), '{"op":"put","rec');
+
+    const reopened = createJournalStore("events", { dir });
+    expect(reopened.get("a")).toEqual({ id: "a" });
+  });
+
+  it("should clear the journal", () => {
+    const store = createJournalStore("events", { dir });
+    store.insert({ id: "a" });
+    store.clear();
+
+    const reopened = createJournalStore("events", { dir });
+    expect(reopened.all()).toEqual([]);
   });
 });